@@ -1,10 +1,8 @@
 const express = require('express');
 const morgan = require('morgan');
 const helmet = require('helmet');
-const xss = require('xss-clean');
 const cors = require('cors');
 const cookieParser = require('cookie-parser');
-const mongoSanitize = require('express-mongo-sanitize');
 const compression = require('compression');
 const hpp = require('hpp');
 const rateLimit = require('express-rate-limit');
@@ -16,6 +14,8 @@ require('dotenv').config();
 
 // Import middleware
 const { errors } = require('./middleware');
+const { sanitizeRequest } = require('./middleware/sanitize');
+const { mountApiRoutes } = require('./routes');
 
 // Create Express app
 const app = express();
@@ -38,9 +38,6 @@ if (process.env.NODE_ENV === 'development') {
 
 // Security middleware
 app.use(helmet()); // Set security headers
-app.use(xss()); // Prevent XSS attacks
-app.use(mongoSanitize()); // Prevent NoSQL injection
-app.use(hpp()); // Prevent HTTP Parameter Pollution
 
 // CORS configuration
 const corsOptions = {
@@ -49,8 +46,7 @@ const corsOptions = {
     : '*', // Allow all origins in development
   credentials: true, // Allow cookies with CORS
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  exposedHeaders: ['X-New-Token'] // For token refresh
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
 };
 app.use(cors(corsOptions));
 
@@ -59,6 +55,10 @@ app.use(express.json({ limit: '10kb' })); // Limit JSON body size
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 app.use(cookieParser()); // Parse cookies
 
+// Input sanitization, once the body is parsed
+app.use(sanitizeRequest); // Prevent XSS attacks and NoSQL injection
+app.use(hpp()); // Prevent HTTP Parameter Pollution
+
 // Compression for responses
 app.use(compression());
 
@@ -91,14 +91,10 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
-app.use('/api/v1/auth', require('./routes/auth.routes'));
-app.use('/api/v1/users', require('./routes/user.routes'));
-app.use('/api/v1/services', require('./routes/service.routes'));
-app.use('/api/v1/bookings', require('./routes/booking.routes'));
-app.use('/api/v1/reviews', require('./routes/review.routes'));
+mountApiRoutes(app);
 
 // 404 handler for undefined routes
-app.use('*', (req, res, next) => {
+app.use((req, res, next) => {
   const error = new errors.NotFoundError(`Resource not found - ${req.originalUrl}`);
   next(error);
 });
@@ -0,0 +1,644 @@
+const Appeal = require('../models/Appeal');
+const Application = require('../models/Application');
+const Service = require('../models/Service');
+const mongoose = require('mongoose');
+const { checkPermissions } = require('../middleware');
+const { getStorage } = require('../utils/documentStorage');
+
+// Roles that decide appeals (admins are always allowed)
+const APPELLATE_ROLES = ['appellateAuthority'];
+
+/**
+ * Find an application by ID or application number
+ * @param {String} id - Application ObjectId or applicationNumber
+ * @returns {Promise<Application|null>} Application document or null if not found
+ */
+const findApplication = (id) => {
+  if (mongoose.Types.ObjectId.isValid(id)) {
+    return Application.findById(id);
+  }
+  return Application.findOne({ applicationNumber: String(id).toUpperCase() });
+};
+
+/**
+ * Find an appeal by ID or appeal number
+ * @param {String} id - Appeal ObjectId or appealNumber
+ * @returns {Promise<Appeal|null>} Appeal document or null if not found
+ */
+const findAppeal = (id) => {
+  if (mongoose.Types.ObjectId.isValid(id)) {
+    return Appeal.findById(id);
+  }
+  return Appeal.findOne({ appealNumber: String(id).toUpperCase() });
+};
+
+/**
+ * Check whether a user may see an appeal
+ * @param {Appeal} appeal - Appeal document
+ * @param {Object} user - Authenticated user
+ * @returns {Boolean} True for the citizen and appellate authorities
+ */
+const canView = (appeal, user) => appeal.isOwnedBy(user) || checkPermissions(user, APPELLATE_ROLES);
+
+/**
+ * Send the response for a rejected status change
+ * @param {Object} res - Express response object
+ * @param {Error} error - InvalidTransitionError
+ */
+const sendTransitionError = (res, error) => res.status(400).json({
+  success: false,
+  message: error.message,
+  allowedTransitions: error.allowedTransitions
+});
+
+/**
+ * @desc    Appeal against the rejection of an application
+ * @route   POST /api/v1/appeals
+ * @access  Private (Owner)
+ */
+exports.createAppeal = async (req, res) => {
+  try {
+    const { applicationId, grounds, language } = req.body;
+
+    const application = await findApplication(applicationId);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (!application.isOwnedBy(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Not authorized to appeal this application'
+      });
+    }
+
+    const rejection = application.getRejection();
+
+    if (!rejection) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only rejected applications can be appealed'
+      });
+    }
+
+    if (application.finalizedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'The rejection of this application is final after an earlier appeal'
+      });
+    }
+
+    const pending = await Appeal.findOne({
+      application: application._id,
+      status: { $in: Appeal.PENDING_STATUSES }
+    });
+
+    if (pending) {
+      return res.status(409).json({
+        success: false,
+        message: `Appeal ${pending.appealNumber} for this application is still pending`
+      });
+    }
+
+    const service = await Service.findById(application.service);
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    const deadline = service.getAppealDeadline(rejection.changedAt);
+
+    if (!deadline) {
+      return res.status(400).json({
+        success: false,
+        message: 'Decisions for this service cannot be appealed'
+      });
+    }
+
+    if (deadline < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: `The ${service.appeal.windowDays} day appeal window closed on ${deadline.toISOString().slice(0, 10)}`
+      });
+    }
+
+    const appeal = await Appeal.create({
+      application: application._id,
+      user: req.user.id,
+      service: service._id,
+      rejection: {
+        rejectedBy: rejection.changedBy,
+        rejectedAt: rejection.changedAt,
+        reason: rejection.reason
+      },
+      grounds,
+      language: language || application.language
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Appeal ${appeal.appealNumber} filed. You can add documents until an appellate authority decides it.`,
+      data: appeal
+    });
+  } catch (error) {
+    console.error('Error in createAppeal:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while filing appeal',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get the citizen's own appeals
+ * @route   GET /api/v1/appeals/me
+ * @access  Private
+ */
+exports.getMyAppeals = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+
+    const query = { user: req.user.id };
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const total = await Appeal.countDocuments(query);
+
+    const appeals = await Appeal.find(query)
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const pagination = {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+      hasMore: page < Math.ceil(total / limit)
+    };
+
+    res.status(200).json({
+      success: true,
+      count: appeals.length,
+      pagination,
+      data: appeals.map(appeal => appeal.getSummary())
+    });
+  } catch (error) {
+    console.error('Error in getMyAppeals:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching appeals',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get pending appeals for appellate authorities, oldest first
+ * @route   GET /api/v1/appeals/queue
+ * @access  Private (Appellate Authority/Admin)
+ */
+exports.getAppealQueue = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    // Officers never see appeals against their own rejections
+    const query = {
+      status: req.query.status || { $in: Appeal.PENDING_STATUSES },
+      'rejection.rejectedBy': { $ne: req.user.id }
+    };
+
+    if (req.query.assignedTo === 'me') {
+      query.assignedTo = req.user.id;
+    }
+
+    const total = await Appeal.countDocuments(query);
+
+    const appeals = await Appeal.find(query)
+      .sort({ createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('service', 'name shortName category')
+      .populate('application', 'applicationNumber status')
+      .populate('user', 'name email phone');
+
+    const pagination = {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+      hasMore: page < Math.ceil(total / limit)
+    };
+
+    res.status(200).json({
+      success: true,
+      count: appeals.length,
+      pagination,
+      data: appeals
+    });
+  } catch (error) {
+    console.error('Error in getAppealQueue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching appeal queue',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get single appeal
+ * @route   GET /api/v1/appeals/:id
+ * @access  Private (Owner/Appellate Authority/Admin)
+ */
+exports.getAppeal = async (req, res) => {
+  try {
+    const appeal = await findAppeal(req.params.id);
+
+    if (!appeal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appeal not found'
+      });
+    }
+
+    if (!canView(appeal, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Not authorized to view this appeal'
+      });
+    }
+
+    await appeal.populate([
+      { path: 'service', select: 'name shortName category' },
+      { path: 'application', select: 'applicationNumber status remarks' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: appeal
+    });
+  } catch (error) {
+    console.error('Error in getAppeal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching appeal',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Upload a document supporting an appeal
+ * @route   POST /api/v1/appeals/:id/documents
+ * @access  Private (Owner)
+ */
+exports.uploadAppealDocument = async (req, res) => {
+  try {
+    const appeal = await findAppeal(req.params.id);
+
+    if (!appeal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appeal not found'
+      });
+    }
+
+    if (!appeal.isOwnedBy(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Not authorized to upload documents for this appeal'
+      });
+    }
+
+    if (!appeal.isPending) {
+      return res.status(400).json({
+        success: false,
+        message: `Documents cannot be uploaded once the appeal is ${appeal.status}`
+      });
+    }
+
+    const file = (req.files || []).find(item => item.fieldName === 'file');
+
+    if (!file || file.size === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A non-empty file is required in the "file" field'
+      });
+    }
+
+    const service = await Service.findById(appeal.service);
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    const { documentType, documentNumber, issuedAt, expiresAt } = req.body;
+    const result = await appeal.attachDocument(
+      service,
+      { documentType, documentNumber, issuedAt, expiresAt },
+      file
+    );
+
+    if (!result.accepted) {
+      return res.status(422).json({
+        success: false,
+        message: result.reason
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Document uploaded successfully',
+      data: result.document
+    });
+  } catch (error) {
+    console.error('Error in uploadAppealDocument:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while uploading document',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Download a document uploaded with an appeal
+ * @route   GET /api/v1/appeals/:id/documents/:documentId/file
+ * @access  Private (Owner/Appellate Authority/Admin)
+ */
+exports.getAppealDocumentFile = async (req, res) => {
+  try {
+    const appeal = await findAppeal(req.params.id);
+
+    if (!appeal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appeal not found'
+      });
+    }
+
+    if (!canView(appeal, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Not authorized to view this document'
+      });
+    }
+
+    const document = appeal.documents.id(req.params.documentId);
+
+    if (!document || !document.storageKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'No uploaded file found for this document'
+      });
+    }
+
+    const data = await getStorage(document.storage).get(document.storageKey);
+
+    res.set({
+      'Content-Type': document.mimeType,
+      'Content-Length': data.length,
+      'Content-Disposition': `attachment; filename="${document.type}.${document.storageKey.split('.').pop()}"`,
+      'X-Content-Type-Options': 'nosniff',
+      ETag: `"${document.checksum}"`
+    });
+    res.status(200).send(data);
+  } catch (error) {
+    console.error('Error in getAppealDocumentFile:', error);
+
+    if (error.name === 'StorageError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Stored file is missing'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching document',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Withdraw a pending appeal
+ * @route   POST /api/v1/appeals/:id/withdraw
+ * @access  Private (Owner)
+ */
+exports.withdrawAppeal = async (req, res) => {
+  try {
+    const appeal = await findAppeal(req.params.id);
+
+    if (!appeal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appeal not found'
+      });
+    }
+
+    if (!appeal.isOwnedBy(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Not authorized to withdraw this appeal'
+      });
+    }
+
+    appeal.transitionTo('withdrawn', { actor: req.user, reason: req.body.reason });
+    await appeal.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Appeal withdrawn',
+      data: appeal.getSummary()
+    });
+  } catch (error) {
+    console.error('Error in withdrawAppeal:', error);
+
+    if (error.name === 'InvalidTransitionError') {
+      return sendTransitionError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while withdrawing appeal',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Take up an appeal for review
+ * @route   POST /api/v1/appeals/:id/review
+ * @access  Private (Appellate Authority/Admin, not the officer who rejected the application)
+ */
+exports.reviewAppeal = async (req, res) => {
+  try {
+    const appeal = await findAppeal(req.params.id);
+
+    if (!appeal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appeal not found'
+      });
+    }
+
+    if (appeal.isRejectedBy(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: The officer who rejected the application cannot hear its appeal'
+      });
+    }
+
+    appeal.transitionTo('underReview', { actor: req.user });
+    appeal.assignedTo = req.user.id;
+    await appeal.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Appeal ${appeal.appealNumber} is under review`,
+      data: appeal
+    });
+  } catch (error) {
+    console.error('Error in reviewAppeal:', error);
+
+    if (error.name === 'InvalidTransitionError') {
+      return sendTransitionError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while taking up appeal',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Decide an appeal: allowed reopens the application, dismissed makes the rejection final
+ * @route   POST /api/v1/appeals/:id/decide
+ * @access  Private (Appellate Authority/Admin, not the officer who rejected the application)
+ */
+exports.decideAppeal = async (req, res) => {
+  try {
+    const { outcome, reason } = req.body;
+
+    const appeal = await findAppeal(req.params.id);
+
+    if (!appeal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appeal not found'
+      });
+    }
+
+    if (appeal.isRejectedBy(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: The officer who rejected the application cannot decide its appeal'
+      });
+    }
+
+    const assignee = appeal.assignedTo && appeal.assignedTo.toString();
+    if (assignee && assignee !== req.user.id.toString() && !checkPermissions(req.user, ['admin'])) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: This appeal is assigned to another appellate authority'
+      });
+    }
+
+    const application = await Application.findById(appeal.application);
+
+    // An earlier attempt may have updated the application but not the appeal
+    const applied = application && application.getAppliedAppeal(appeal);
+
+    if (applied && applied.outcome !== outcome) {
+      return res.status(409).json({
+        success: false,
+        message: `This appeal has already been ${applied.outcome}`
+      });
+    }
+
+    // Otherwise the application must still be in the rejection that was appealed
+    const rejection = application && application.getRejection();
+    if (!applied && (!rejection || application.finalizedAt ||
+        rejection.changedAt.getTime() !== appeal.rejection.rejectedAt.getTime())) {
+      return res.status(409).json({
+        success: false,
+        message: 'The application has changed since the appeal was filed'
+      });
+    }
+
+    appeal.decide(outcome, { reason, actor: req.user });
+    await appeal.validate();
+
+    // The application is updated first and records the appeal, so if saving
+    // the appeal fails a retry finds the change already made and completes it
+    let historyEntry = applied ? applied.entry : undefined;
+    if (!applied && outcome === 'allowed') {
+      const service = await Service.findById(application.service);
+      historyEntry = await application.reopenForAppeal(appeal, req.user, service);
+    } else if (!applied) {
+      await application.finalizeRejection(appeal);
+    }
+
+    await appeal.save();
+
+    res.status(200).json({
+      success: true,
+      message: outcome === 'allowed'
+        ? `Appeal allowed; application ${application.applicationNumber} is back under review`
+        : `Appeal dismissed; the rejection of application ${application.applicationNumber} is final`,
+      data: appeal,
+      application: application.getSummary(),
+      statusChange: historyEntry
+    });
+  } catch (error) {
+    console.error('Error in decideAppeal:', error);
+
+    if (error.name === 'InvalidTransitionError') {
+      return sendTransitionError(res, error);
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deciding appeal',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,960 @@
+const Application = require('../models/Application');
+const Service = require('../models/Service');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const mongoose = require('mongoose');
+const { checkPermissions } = require('../middleware');
+const { getStorage } = require('../utils/documentStorage');
+
+// Roles allowed to process applications (admins are always allowed)
+const OFFICER_ROLES = ['serviceProvider'];
+
+/**
+ * Find a service by ID or shortName
+ * @param {String} id - Service ObjectId or shortName
+ * @returns {Promise<Service|null>} Service document or null if not found
+ */
+const findService = (id) => {
+  if (mongoose.Types.ObjectId.isValid(id)) {
+    return Service.findById(id);
+  }
+  return Service.findOne({ shortName: String(id).toLowerCase() });
+};
+
+/**
+ * Find an application by ID or application number
+ * @param {String} id - Application ObjectId or applicationNumber
+ * @returns {Promise<Application|null>} Application document or null if not found
+ */
+const findApplication = (id) => {
+  if (mongoose.Types.ObjectId.isValid(id)) {
+    return Application.findById(id);
+  }
+  return Application.findOne({ applicationNumber: String(id).toUpperCase() });
+};
+
+/**
+ * Keep only the fields a citizen may declare for a document
+ * Storage details, checksums, file inspection and scan results are only ever set by uploads
+ * @param {Array} documents - Documents from the request body
+ * @returns {Array} Declared documents
+ */
+const toDeclaredDocuments = (documents = []) => documents.map(doc => ({
+  type: doc.type,
+  file: doc.file,
+  sizeKB: doc.sizeKB,
+  documentNumber: doc.documentNumber,
+  issuedAt: doc.issuedAt,
+  expiresAt: doc.expiresAt
+}));
+
+/**
+ * @desc    Start a new application (saved as draft)
+ * @route   POST /api/v1/applications
+ * @access  Private
+ */
+exports.createApplication = async (req, res) => {
+  try {
+    const { serviceId, applicantData, formData, documents, language } = req.body;
+
+    const service = await findService(serviceId);
+
+    // If service not found
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    // Check if service is active
+    if (service.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'This service is currently not accepting applications'
+      });
+    }
+
+    const application = await Application.create({
+      user: req.user.id,
+      service: service._id,
+      language: language || req.user.language || 'en',
+      applicantData: applicantData || {},
+      formData: formData || {},
+      documents: toDeclaredDocuments(documents),
+      updatedBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Application saved as draft',
+      data: application
+    });
+  } catch (error) {
+    console.error('Error in createApplication:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating application',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get applications of the logged in user
+ * @route   GET /api/v1/applications
+ * @access  Private
+ */
+exports.getMyApplications = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+
+    const query = { user: req.user.id };
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const total = await Application.countDocuments(query);
+
+    const applications = await Application.find(query)
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('service', 'name shortName category');
+
+    const pagination = {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+      hasMore: page < Math.ceil(total / limit)
+    };
+
+    res.status(200).json({
+      success: true,
+      count: applications.length,
+      pagination,
+      data: applications.map(application => application.getSummary())
+    });
+  } catch (error) {
+    console.error('Error in getMyApplications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching applications',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get applications queue for officers
+ * @route   GET /api/v1/applications/queue
+ * @access  Private (Service Provider/Admin)
+ */
+exports.getApplicationQueue = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    // Officers never see drafts or withdrawn applications by default
+    const query = {
+      status: req.query.status || { $in: Application.ACTIVE_STATUSES }
+    };
+
+    if (req.query.service) {
+      const service = await findService(req.query.service);
+
+      if (!service) {
+        return res.status(404).json({
+          success: false,
+          message: 'Service not found'
+        });
+      }
+
+      query.service = service._id;
+    }
+
+    if (req.query.assignedTo === 'me') {
+      query.assignedTo = req.user.id;
+    }
+
+    const total = await Application.countDocuments(query);
+
+    // Oldest submissions first so nothing waits indefinitely
+    const applications = await Application.find(query)
+      .sort({ submittedAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('service', 'name shortName category')
+      .populate('user', 'name email phone');
+
+    const pagination = {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+      hasMore: page < Math.ceil(total / limit)
+    };
+
+    res.status(200).json({
+      success: true,
+      count: applications.length,
+      pagination,
+      data: applications
+    });
+  } catch (error) {
+    console.error('Error in getApplicationQueue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching application queue',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get single application
+ * @route   GET /api/v1/applications/:id
+ * @access  Private (Owner/Service Provider/Admin)
+ */
+exports.getApplication = async (req, res) => {
+  try {
+    const application = await findApplication(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (!application.isOwnedBy(req.user) && !checkPermissions(req.user, OFFICER_ROLES)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Not authorized to view this application'
+      });
+    }
+
+    await application.populate('service', 'name shortName category department processingTime');
+
+    res.status(200).json({
+      success: true,
+      data: application
+    });
+  } catch (error) {
+    console.error('Error in getApplication:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching application',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Save changes to a draft application
+ * @route   PUT /api/v1/applications/:id
+ * @access  Private (Owner)
+ */
+exports.updateDraft = async (req, res) => {
+  try {
+    const application = await findApplication(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (!application.isOwnedBy(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Not authorized to update this application'
+      });
+    }
+
+    if (!application.isEditable) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft applications can be edited'
+      });
+    }
+
+    // Only citizen editable fields are accepted
+    const { applicantData, formData, documents, language } = req.body;
+
+    if (applicantData !== undefined) application.applicantData = applicantData;
+    if (formData !== undefined) application.formData = formData;
+    if (documents !== undefined) {
+      // Uploaded files stay attached unless a new file of the same type is uploaded
+      const uploaded = application.documents.filter(doc => doc.storageKey);
+      application.documents = [
+        ...uploaded,
+        ...toDeclaredDocuments(documents).filter(doc => !uploaded.some(item => item.type === doc.type))
+      ];
+    }
+    if (language !== undefined) application.language = language;
+    application.updatedBy = req.user.id;
+
+    await application.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Draft saved successfully',
+      data: application
+    });
+  } catch (error) {
+    console.error('Error in updateDraft:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving draft',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Submit a draft application for review
+ * @route   POST /api/v1/applications/:id/submit
+ * @access  Private (Owner)
+ */
+exports.submitApplication = async (req, res) => {
+  try {
+    const application = await findApplication(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (!application.isOwnedBy(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Not authorized to submit this application'
+      });
+    }
+
+    const service = await Service.findById(application.service);
+
+    if (!service || service.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'This service is currently not accepting applications'
+      });
+    }
+
+    application.updatedBy = req.user.id;
+    const result = await application.submit(service, req.user);
+
+    if (!result.submitted) {
+      return res.status(400).json({
+        success: false,
+        message: result.message,
+        data: result
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      applicationNumber: application.applicationNumber,
+      status: application.status,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error in submitApplication:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while submitting application',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Withdraw an application
+ * @route   POST /api/v1/applications/:id/withdraw
+ * @access  Private (Owner)
+ */
+exports.withdrawApplication = async (req, res) => {
+  try {
+    const application = await findApplication(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (!application.isOwnedBy(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Not authorized to withdraw this application'
+      });
+    }
+
+    if (!Application.WITHDRAWABLE_STATUSES.includes(application.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Application cannot be withdrawn while in '${application.status}' status`
+      });
+    }
+
+    application.updatedBy = req.user.id;
+    await application.withdraw(req.body.reason, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Application withdrawn successfully',
+      data: application.getSummary()
+    });
+  } catch (error) {
+    console.error('Error in withdrawApplication:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while withdrawing application',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Move an application to a new status
+ * @route   PATCH /api/v1/applications/:id/status
+ * @access  Private (Service Provider/Admin)
+ */
+exports.updateApplicationStatus = async (req, res) => {
+  try {
+    const { status, reason, assignedTo } = req.body;
+
+    const application = await findApplication(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    // Submission and withdrawal are the applicant's own actions
+    if (Application.CITIZEN_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status '${status}' can only be set by the applicant`
+      });
+    }
+
+    if (!application.canTransitionTo(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change application status from '${application.status}' to '${status}'`,
+        currentStatus: application.status,
+        allowedTransitions: application.getAllowedTransitions()
+          .filter(next => !Application.CITIZEN_STATUSES.includes(next))
+      });
+    }
+
+    if (Application.REASON_REQUIRED_STATUSES.includes(status) && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: `A reason is required when moving an application to '${status}'`
+      });
+    }
+
+    const service = await Service.findById(application.service);
+
+    const historyEntry = application.transitionTo(status, {
+      actor: req.user,
+      reason,
+      service
+    });
+
+    application.updatedBy = req.user.id;
+    if (assignedTo !== undefined) application.assignedTo = assignedTo;
+
+    await application.save();
+
+    // Fees paid for a rejected application are returned to the citizen
+    let refunds;
+    if (status === 'rejected') {
+      try {
+        refunds = await Payment.refundForApplication(application._id, {
+          reason: reason || 'Application rejected',
+          actor: req.user
+        });
+      } catch (refundError) {
+        // The rejection stands; the refund can be retried from the payments API
+        console.error('Error refunding rejected application:', refundError);
+        refunds = [];
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Application status updated to '${status}'`,
+      data: application,
+      notification: historyEntry.notification,
+      refunds: refunds ? refunds.map(payment => ({
+        orderId: payment.orderId,
+        amount: payment.amount,
+        status: payment.status
+      })) : undefined
+    });
+  } catch (error) {
+    console.error('Error in updateApplicationStatus:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating application status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Upload a document for one of the service's requirements
+ * @route   POST /api/v1/applications/:id/documents
+ * @access  Private (Owner)
+ */
+exports.uploadDocument = async (req, res) => {
+  try {
+    const application = await findApplication(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (!application.isOwnedBy(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Not authorized to upload documents for this application'
+      });
+    }
+
+    if (!application.acceptsUploads) {
+      return res.status(400).json({
+        success: false,
+        message: `Documents cannot be uploaded while the application is in '${application.status}' status`
+      });
+    }
+
+    const file = (req.files || []).find(item => item.fieldName === 'file');
+
+    if (!file || file.size === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A non-empty file is required in the "file" field'
+      });
+    }
+
+    const service = await Service.findById(application.service);
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    const { documentType, documentNumber, issuedAt, expiresAt } = req.body;
+    const result = await application.attachDocument(
+      service,
+      { documentType, documentNumber, issuedAt, expiresAt },
+      file,
+      req.user
+    );
+
+    if (!result.accepted) {
+      return res.status(422).json({
+        success: false,
+        message: result.reason
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Document uploaded successfully',
+      data: result.document
+    });
+  } catch (error) {
+    console.error('Error in uploadDocument:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while uploading document',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Attach a document from the citizen's vault
+ * @route   POST /api/v1/applications/:id/documents/from-vault
+ * @access  Private (Owner)
+ */
+exports.attachVaultDocument = async (req, res) => {
+  try {
+    const application = await findApplication(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (!application.isOwnedBy(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Not authorized to change this application'
+      });
+    }
+
+    if (!application.acceptsUploads) {
+      return res.status(400).json({
+        success: false,
+        message: `Documents cannot be added while the application is in '${application.status}' status`
+      });
+    }
+
+    const vaultDocument = req.user.documentVault.id(req.body.vaultDocumentId);
+
+    if (!vaultDocument) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found in your vault'
+      });
+    }
+
+    const service = await Service.findById(application.service);
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    const result = await application.attachVaultDocument(service, vaultDocument);
+
+    if (!result.accepted) {
+      return res.status(422).json({
+        success: false,
+        message: result.reason
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Document attached from your vault',
+      data: result.document
+    });
+  } catch (error) {
+    console.error('Error in attachVaultDocument:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while attaching document',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Download an uploaded document
+ * @route   GET /api/v1/applications/:id/documents/:documentId/file
+ * @access  Private (Owner/Service Provider/Admin)
+ */
+exports.getDocumentFile = async (req, res) => {
+  try {
+    const application = await findApplication(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (!application.isOwnedBy(req.user) && !checkPermissions(req.user, OFFICER_ROLES)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Not authorized to view this document'
+      });
+    }
+
+    const document = application.documents.id(req.params.documentId);
+
+    if (!document || !document.storageKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'No uploaded file found for this document'
+      });
+    }
+
+    const data = await getStorage(document.storage).get(document.storageKey);
+
+    res.set({
+      'Content-Type': document.mimeType,
+      'Content-Length': data.length,
+      'Content-Disposition': `attachment; filename="${document.type}.${document.storageKey.split('.').pop()}"`,
+      'X-Content-Type-Options': 'nosniff',
+      ETag: `"${document.checksum}"`
+    });
+    res.status(200).send(data);
+  } catch (error) {
+    console.error('Error in getDocumentFile:', error);
+
+    if (error.name === 'StorageError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Stored file is missing'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching document',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Remove a document from an application
+ * @route   DELETE /api/v1/applications/:id/documents/:documentId
+ * @access  Private (Owner)
+ */
+exports.deleteDocument = async (req, res) => {
+  try {
+    const application = await findApplication(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (!application.isOwnedBy(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Not authorized to change this application'
+      });
+    }
+
+    if (!application.acceptsUploads) {
+      return res.status(400).json({
+        success: false,
+        message: `Documents cannot be removed while the application is in '${application.status}' status`
+      });
+    }
+
+    const document = application.documents.id(req.params.documentId);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const { storage, storageKey, vaultDocument } = document;
+    application.documents.pull(document._id);
+    application.updatedBy = req.user.id;
+    await application.save();
+
+    // Vault files stay in the citizen's vault
+    if (storageKey && !vaultDocument) {
+      await getStorage(storage).remove(storageKey);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Document removed'
+    });
+  } catch (error) {
+    console.error('Error in deleteDocument:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing document',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Record the outcome of checking a waiver proof document
+ * @route   PATCH /api/v1/applications/:id/proofs
+ * @access  Private (Service Provider/Admin)
+ */
+exports.verifyProof = async (req, res) => {
+  try {
+    const { documentType, status, note } = req.body;
+
+    const application = await findApplication(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    const applicant = await User.findById(application.user);
+
+    if (!applicant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Applicant not found'
+      });
+    }
+
+    if (status === 'rejected' && !note) {
+      return res.status(400).json({
+        success: false,
+        message: 'A note is required when rejecting a proof document'
+      });
+    }
+
+    const proof = applicant.setProofStatus(documentType, status, {
+      actor: req.user,
+      application: application._id,
+      note
+    });
+    await applicant.save();
+
+    // Fees of an application still under review follow the proof's outcome
+    let fees = application.feeSnapshot;
+    if (application.isActive) {
+      const service = await Service.findById(application.service);
+      if (service) {
+        fees = application.recalculateFees(service, applicant);
+        application.updatedBy = req.user.id;
+        await application.save();
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Proof document '${documentType}' marked as ${status}`,
+      data: {
+        proof,
+        fees
+      }
+    });
+  } catch (error) {
+    console.error('Error in verifyProof:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording proof verification',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get status history (audit trail) of an application
+ * @route   GET /api/v1/applications/:id/history
+ * @access  Private (Owner/Service Provider/Admin)
+ */
+exports.getApplicationHistory = async (req, res) => {
+  try {
+    const application = await findApplication(req.params.id);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    const isOfficer = checkPermissions(req.user, OFFICER_ROLES);
+
+    if (!application.isOwnedBy(req.user) && !isOfficer) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Not authorized to view this application'
+      });
+    }
+
+    await application.populate('statusHistory.changedBy', 'name role');
+
+    // Citizens see the trail without officer identities
+    const history = application.statusHistory.map(entry => ({
+      from: entry.from,
+      to: entry.to,
+      reason: entry.reason,
+      changedAt: entry.changedAt,
+      changedByRole: entry.changedByRole,
+      changedBy: isOfficer ? entry.changedBy : undefined,
+      notification: entry.notification
+    }));
+
+    res.status(200).json({
+      success: true,
+      applicationNumber: application.applicationNumber,
+      currentStatus: application.status,
+      allowedTransitions: application.getAllowedTransitions(),
+      count: history.length,
+      data: history
+    });
+  } catch (error) {
+    console.error('Error in getApplicationHistory:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching application history',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
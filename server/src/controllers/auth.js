@@ -1,37 +1,138 @@
 const mongoose = require('mongoose');
 const User = mongoose.model('User');
+const RefreshToken = require('../models/RefreshToken');
 const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const { computeEmbedding, createVoicePrint } = require('../utils/voicePrint');
+
+// Enrollment needs several samples so one noisy recording does not dominate
+const MIN_ENROLLMENT_SAMPLES = 3;
+const MAX_ENROLLMENT_SAMPLES = 5;
+
+// Enrollment samples less alike than this are rejected
+const MIN_ENROLLMENT_CONSISTENCY = 0.9;
+
+// Voice preferences users may change through updatedetails
+const UPDATABLE_VOICE_PREFERENCES = ['speechRate', 'pitch', 'voiceGender', 'enableVoiceAuth'];
+const UPDATABLE_PROFILE_FIELDS = [
+  'dateOfBirth', 'gender', 'maritalStatus', 'category', 'occupation', 'income',
+  'familySize', 'education', 'hasDisability', 'isBPL', 'isStudent'
+];
+
+/**
+ * Decode a base64 audio upload (plain or data URL)
+ * @param {String} value - Base64 encoded audio
+ * @returns {Buffer} Audio data
+ */
+const decodeAudioUpload = (value) => {
+  const base64 = String(value).replace(/^data:[^,]*,/, '');
+  return Buffer.from(base64, 'base64');
+};
 
 /**
- * Helper function to send token response with cookie
+ * Compute the embedding for an uploaded audio sample
+ * @param {String} audio - Base64 encoded WAV or raw PCM audio
+ * @param {Number} sampleRate - Sample rate of raw PCM audio
+ * @returns {Array} Embedding vector
+ */
+const embedAudioUpload = (audio, sampleRate) => computeEmbedding(decodeAudioUpload(audio), { sampleRate });
+
+// Refresh tokens are only ever sent to the auth routes
+const REFRESH_COOKIE_NAME = 'refreshToken';
+
+/**
+ * Path the refresh cookie is scoped to: wherever the auth router is mounted
+ * @param {Object} req - Express request object
+ * @returns {String} Mount path, e.g. /api/auth or /api/v1/auth
+ */
+const getRefreshCookiePath = (req) => req.baseUrl || '/';
+
+/**
+ * Client details stored with a refresh token
+ * @param {Object} req - Express request object
+ * @returns {Object} { ip, userAgent }
+ */
+const getClientDetails = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent')
+});
+
+/**
+ * Whether the client asked for the refresh token in the response body
+ * Only the mobile app, which has no cookie jar, sends X-Client-Type: mobile;
+ * browsers keep the token in the httpOnly cookie, out of reach of scripts.
+ *
+ * @param {Object} req - Express request object
+ * @returns {Boolean} True for mobile clients
+ */
+const wantsRefreshTokenInBody = (req) => req.get('X-Client-Type') === 'mobile';
+
+/**
+ * Read the refresh token from the cookie or, for mobile clients, the body
+ * @param {Object} req - Express request object
+ * @returns {String|undefined} Refresh token
+ */
+const getRefreshTokenFromRequest = (req) => (
+  (req.cookies && req.cookies[REFRESH_COOKIE_NAME]) || (req.body && req.body.refreshToken) || undefined
+);
+
+/**
+ * Clear the access and refresh token cookies
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const clearAuthCookies = (req, res) => {
+  res.cookie('token', 'none', {
+    expires: new Date(Date.now() + 10 * 1000), // Expires in 10 seconds
+    httpOnly: true
+  });
+  res.clearCookie(REFRESH_COOKIE_NAME, { path: getRefreshCookiePath(req) });
+};
+
+/**
+ * Helper function to send token response with cookies
+ * Sends a short-lived access token and a refresh token. Without a refresh
+ * token in the options a new login session (token family) is started. The
+ * refresh token is only in the cookie unless the client is the mobile app.
+ *
  * @param {Object} user - User instance
  * @param {Number} statusCode - HTTP status code
+ * @param {Object} req - Express request object
  * @param {Object} res - Express response object
+ * @param {Object} [issued] - Refresh token already issued by rotation { token, refreshToken }
  */
-const sendTokenResponse = (user, statusCode, res) => {
-  // Create token
+const sendTokenResponse = async (user, statusCode, req, res, issued) => {
+  // Create tokens
   const token = user.getSignedJwtToken();
+  const { token: refreshToken, refreshToken: stored } = issued ||
+    await RefreshToken.issue(user, getClientDetails(req));
 
-  // Cookie options
-  const cookieOptions = {
-    expires: new Date(
-      Date.now() + process.env.JWT_COOKIE_EXPIRE * 24 * 60 * 60 * 1000
-    ),
-    httpOnly: true
+  const secure = process.env.NODE_ENV === 'production';
+
+  // The access cookie lives exactly as long as the access token
+  const accessCookieOptions = {
+    expires: new Date(jwt.decode(token).exp * 1000),
+    httpOnly: true,
+    secure
   };
 
-  // Set secure flag in production
-  if (process.env.NODE_ENV === 'production') {
-    cookieOptions.secure = true;
-  }
+  const refreshCookieOptions = {
+    expires: stored.expiresAt,
+    httpOnly: true,
+    secure,
+    sameSite: 'strict',
+    path: getRefreshCookiePath(req)
+  };
 
   res
     .status(statusCode)
-    .cookie('token', token, cookieOptions)
+    .cookie('token', token, accessCookieOptions)
+    .cookie(REFRESH_COOKIE_NAME, refreshToken, refreshCookieOptions)
     .json({
       success: true,
       token,
+      refreshToken: wantsRefreshTokenInBody(req) ? refreshToken : undefined,
+      refreshTokenExpiresAt: stored.expiresAt,
       data: user.getPublicProfile()
     });
 };
@@ -72,7 +173,7 @@ exports.register = async (req, res) => {
     });
 
     // Generate token and send response
-    sendTokenResponse(user, 201, res);
+    await sendTokenResponse(user, 201, req, res);
   } catch (error) {
     console.error('Register error:', error);
     return res.status(500).json({
@@ -110,7 +211,7 @@ exports.login = async (req, res) => {
     }
 
     // Check if user is active
-    if (!user.active) {
+    if (['inactive', 'suspended', 'deleted'].includes(user.status)) {
       return res.status(401).json({
         success: false,
         message: 'Your account has been deactivated, please contact support'
@@ -131,7 +232,7 @@ exports.login = async (req, res) => {
     await user.save({ validateBeforeSave: false });
 
     // Send token
-    sendTokenResponse(user, 200, res);
+    await sendTokenResponse(user, 200, req, res);
   } catch (error) {
     console.error('Login error:', error);
     return res.status(500).json({
@@ -143,20 +244,111 @@ exports.login = async (req, res) => {
 };
 
 /**
- * @desc    Log user out / clear cookie
- * @route   GET /api/auth/logout
+ * @desc    Exchange a refresh token for new access and refresh tokens
+ * @route   POST /api/auth/refresh
+ * @access  Public (requires refresh token)
+ */
+exports.refreshSession = async (req, res) => {
+  try {
+    const presented = getRefreshTokenFromRequest(req);
+
+    if (!presented) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const issued = await RefreshToken.rotate(presented, getClientDetails(req));
+    const user = await User.findById(issued.refreshToken.user);
+
+    if (!user || ['inactive', 'suspended', 'deleted'].includes(user.status)) {
+      await RefreshToken.revokeFamily(issued.refreshToken.family, 'deactivated');
+      clearAuthCookies(req, res);
+      return res.status(401).json({
+        success: false,
+        message: 'Your account has been deactivated, please contact support'
+      });
+    }
+
+    await sendTokenResponse(user, 200, req, res, issued);
+  } catch (error) {
+    if (error.name === 'RefreshTokenError') {
+      clearAuthCookies(req, res);
+      return res.status(401).json({
+        success: false,
+        message: error.code === 'reused'
+          ? 'This session was signed out because its refresh token was used twice. Please log in again'
+          : error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Refresh session error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error refreshing session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Log user out / revoke this session and clear cookies
+ * @route   POST /api/auth/logout
+ * @access  Public (uses refresh token)
+ */
+exports.logout = async (req, res) => {
+  try {
+    const presented = getRefreshTokenFromRequest(req);
+
+    if (presented) {
+      const stored = await RefreshToken.findByToken(presented);
+      if (stored) {
+        await RefreshToken.revokeFamily(stored.family, 'logout');
+      }
+    }
+
+    clearAuthCookies(req, res);
+
+    res.status(200).json({
+      success: true,
+      message: 'User logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error during logout',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Log user out of every device
+ * @route   POST /api/auth/logout/all
  * @access  Private
  */
-exports.logout = (req, res) => {
-  res.cookie('token', 'none', {
-    expires: new Date(Date.now() + 10 * 1000), // Expires in 10 seconds
-    httpOnly: true
-  });
+exports.logoutAll = async (req, res) => {
+  try {
+    const revoked = await RefreshToken.revokeForUser(req.user.id, 'logoutAll');
 
-  res.status(200).json({
-    success: true,
-    message: 'User logged out successfully'
-  });
+    clearAuthCookies(req, res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all devices',
+      data: { sessionsRevoked: revoked }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error logging out of all devices',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
 };
 
 /**
@@ -292,8 +484,11 @@ exports.resetPassword = async (req, res) => {
     user.resetPasswordExpire = undefined;
     await user.save();
 
+    // Sign out every session, including one an attacker may hold
+    await RefreshToken.revokeForUser(user._id, 'passwordChange');
+
     // Log the user in
-    sendTokenResponse(user, 200, res);
+    await sendTokenResponse(user, 200, req, res);
   } catch (error) {
     console.error('Reset password error:', error);
     return res.status(500).json({
@@ -344,8 +539,11 @@ exports.updatePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other session; this one gets a new token below
+    await RefreshToken.revokeForUser(user._id, 'passwordChange');
+
     // Send token
-    sendTokenResponse(user, 200, res);
+    await sendTokenResponse(user, 200, req, res);
   } catch (error) {
     console.error('Update password error:', error);
     return res.status(500).json({
@@ -369,15 +567,39 @@ exports.updateDetails = async (req, res) => {
       email: req.body.email,
       phone: req.body.phone,
       preferredLanguage: req.body.preferredLanguage,
-      address: req.body.address,
-      voicePreferences: req.body.voicePreferences
+      address: req.body.address
     };
 
+    // Update voice preferences field by field so the voice print is never overwritten
+    if (req.body.voicePreferences) {
+      UPDATABLE_VOICE_PREFERENCES.forEach(key => {
+        fieldsToUpdate[`voicePreferences.${key}`] = req.body.voicePreferences[key];
+      });
+    }
+
+    // Update the eligibility profile field by field so partial updates keep saved values
+    if (req.body.profile) {
+      UPDATABLE_PROFILE_FIELDS.forEach(key => {
+        fieldsToUpdate[`profile.${key}`] = req.body.profile[key];
+      });
+    }
+
     // Remove undefined fields
     Object.keys(fieldsToUpdate).forEach(key => 
       fieldsToUpdate[key] === undefined && delete fieldsToUpdate[key]
     );
 
+    // Voice login needs an enrolled voice print
+    if (fieldsToUpdate['voicePreferences.enableVoiceAuth'] === true) {
+      const current = await User.findById(req.user.id).select('+voicePreferences.voicePrint');
+      if (!current.voicePreferences.voicePrint) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please enroll your voice before enabling voice login'
+        });
+      }
+    }
+
     // Validate email if provided
     if (fieldsToUpdate.email) {
       const emailRegex = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
@@ -467,45 +689,231 @@ exports.activateVoiceFeatures = async (req, res) => {
 };
 
 /**
- * @desc    Save voice interaction log
- * @route   POST /api/auth/voicelog
+ * @desc    Enroll a voice print from several voice samples
+ * @route   POST /api/auth/voiceprint
  * @access  Private
  */
-exports.saveVoiceInteraction = async (req, res) => {
+exports.enrollVoicePrint = async (req, res) => {
   try {
-    const { command, response, timestamp, success } = req.body;
-    
-    if (!command) {
+    const { samples, sampleRate, enableVoiceAuth } = req.body;
+
+    if (!Array.isArray(samples) ||
+        samples.length < MIN_ENROLLMENT_SAMPLES ||
+        samples.length > MAX_ENROLLMENT_SAMPLES) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide voice command information'
+        message: `Please provide between ${MIN_ENROLLMENT_SAMPLES} and ${MAX_ENROLLMENT_SAMPLES} voice samples`
       });
     }
 
-    // Add to user's voice interaction history
-    await User.findByIdAndUpdate(
-      req.user.id,
-      {
-        $push: {
-          voiceInteractionHistory: {
-            command,
-            response: response || '',
-            timestamp: timestamp || Date.now(),
-            successful: success !== undefined ? success : true
-          }
-        }
+    const embeddings = samples.map(sample => embedAudioUpload(sample, sampleRate));
+    const voicePrint = createVoicePrint(embeddings);
+
+    if (voicePrint.consistency < MIN_ENROLLMENT_CONSISTENCY) {
+      return res.status(400).json({
+        success: false,
+        message: 'Voice samples are too different from each other, please record them again in a quiet place',
+        consistency: voicePrint.consistency
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+voicePreferences.voicePrint');
+
+    user.setVoicePrint(voicePrint);
+    user.voicePreferences.enableVoiceAuth = enableVoiceAuth !== false;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Voice print enrolled successfully',
+      data: {
+        enrolled: true,
+        sampleCount: voicePrint.sampleCount,
+        consistency: voicePrint.consistency,
+        enableVoiceAuth: user.voicePreferences.enableVoiceAuth
       }
-    );
+    });
+  } catch (error) {
+    if (error.name === 'AudioFormatError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Voice enrollment error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error enrolling voice print',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get voice print enrollment status
+ * @route   GET /api/auth/voiceprint
+ * @access  Private
+ */
+exports.getVoicePrintStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+voicePreferences.voicePrint');
+    const voicePrint = user.voicePreferences && user.voicePreferences.voicePrint;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enrolled: Boolean(voicePrint),
+        sampleCount: voicePrint ? voicePrint.sampleCount : 0,
+        enrolledAt: voicePrint ? voicePrint.enrolledAt : undefined,
+        enableVoiceAuth: Boolean(user.voicePreferences && user.voicePreferences.enableVoiceAuth)
+      }
+    });
+  } catch (error) {
+    console.error('Voice print status error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving voice print status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Check a voice sample against the enrolled voice print
+ * @route   POST /api/auth/voiceprint/verify
+ * @access  Private
+ */
+exports.verifyVoiceSample = async (req, res) => {
+  try {
+    const { audio, sampleRate } = req.body;
+
+    if (!audio) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a voice sample'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+voicePreferences.voicePrint');
+
+    if (!user.voicePreferences || !user.voicePreferences.voicePrint) {
+      return res.status(400).json({
+        success: false,
+        message: 'No voice print enrolled'
+      });
+    }
+
+    const result = user.verifyVoicePrint(embedAudioUpload(audio, sampleRate));
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error.name === 'AudioFormatError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Voice verification error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error verifying voice sample',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Remove the enrolled voice print and disable voice login
+ * @route   DELETE /api/auth/voiceprint
+ * @access  Private
+ */
+exports.deleteVoicePrint = async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user.id, {
+      $unset: { 'voicePreferences.voicePrint': 1 },
+      $set: { 'voicePreferences.enableVoiceAuth': false }
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Voice interaction logged successfully'
+      message: 'Voice print removed and voice login disabled'
     });
   } catch (error) {
-    console.error('Voice log error:', error);
+    console.error('Voice print removal error:', error);
     return res.status(500).json({
       success: false,
-      message: 'Error logging voice interaction',
+      message: 'Error removing voice print',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Login with a voice sample instead of a password
+ * @route   POST /api/auth/voicelogin
+ * @access  Public
+ */
+exports.voiceLogin = async (req, res) => {
+  try {
+    const { email, audio, sampleRate } = req.body;
+
+    if (!email || !audio) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide email and a voice sample'
+      });
+    }
+
+    const user = await User.findOne({ email }).select('+voicePreferences.voicePrint');
+
+    // Same response for unknown users and users without voice login
+    if (!user || !user.voicePreferences || !user.voicePreferences.enableVoiceAuth ||
+        !user.voicePreferences.voicePrint) {
+      return res.status(401).json({
+        success: false,
+        message: 'Voice login is not available for this account'
+      });
+    }
+
+    if (['inactive', 'suspended', 'deleted'].includes(user.status)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your account has been deactivated, please contact support'
+      });
+    }
+
+    const { matched } = user.verifyVoicePrint(embedAudioUpload(audio, sampleRate));
+
+    if (!matched) {
+      return res.status(401).json({
+        success: false,
+        message: 'Voice not recognised, please try again or use your password'
+      });
+    }
+
+    // Update lastLogin timestamp
+    user.lastLogin = Date.now();
+    await user.save({ validateBeforeSave: false });
+
+    // Send token
+    await sendTokenResponse(user, 200, req, res);
+  } catch (error) {
+    if (error.name === 'AudioFormatError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Voice login error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error during voice login',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -543,16 +951,12 @@ exports.verifyEmail = async (req, res) => {
  */
 exports.deactivateAccount = async (req, res) => {
   try {
-    const user = await User.findByIdAndUpdate(
-      req.user.id,
-      { active: false },
-      { new: true }
-    );
+    const user = await User.findById(req.user.id);
+    await user.deactivateAccount();
 
-    res.cookie('token', 'none', {
-      expires: new Date(Date.now() + 10 * 1000),
-      httpOnly: true
-    });
+    await RefreshToken.revokeForUser(req.user.id, 'deactivated');
+
+    clearAuthCookies(req, res);
 
     res.status(200).json({
       success: true,
@@ -567,3 +971,70 @@ exports.deactivateAccount = async (req, res) => {
     });
   }
 };
+
+// Roles only a super admin may grant or take away
+const PRIVILEGED_ROLES = ['admin', 'superAdmin'];
+
+/**
+ * @desc    Change a user's role and, for officers, their department
+ * @route   PUT /api/auth/admin/users/:id/role
+ * @access  Private (Admin)
+ */
+exports.updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!User.ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${User.ROLES.join(', ')}`
+      });
+    }
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const privileged = PRIVILEGED_ROLES.includes(role) || PRIVILEGED_ROLES.includes(user.role);
+    if (privileged && req.user.role !== 'superAdmin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Only a super admin can grant or remove admin roles'
+      });
+    }
+
+    user.role = role;
+
+    // Officers may be attached to a department at the same time; an empty value detaches them
+    if (req.body.department !== undefined) {
+      user.department = req.body.department ? String(req.body.department) : undefined;
+    }
+
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: `Role changed to ${role}`,
+      data: user.getPublicProfile()
+    });
+  } catch (error) {
+    console.error('Update user role error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error updating user role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
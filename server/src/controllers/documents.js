@@ -0,0 +1,363 @@
+const User = require('../models/User');
+const Application = require('../models/Application');
+const { storeUpload, removeStoredFile } = require('../utils/documentUpload');
+const { getStorage } = require('../utils/documentStorage');
+const { checkFormat, maskNumber } = require('../utils/documentRules');
+
+// Most documents a citizen can keep in the vault
+const MAX_VAULT_DOCUMENTS = 50;
+
+/**
+ * Shape a vault document for the response
+ * @param {Object} item - Vault document
+ * @returns {Object} Vault document with an expired flag, a masked number and no storage details
+ */
+const toVaultResponse = (item) => ({
+  id: item._id,
+  documentType: item.documentType,
+  label: item.label,
+  documentNumber: maskNumber(item.documentNumber),
+  issuedAt: item.issuedAt,
+  expiresAt: item.expiresAt,
+  expired: Boolean(item.expiresAt && item.expiresAt < new Date()),
+  file: item.file,
+  mimeType: item.mimeType,
+  sizeBytes: item.sizeBytes,
+  checksum: item.checksum,
+  inspection: item.inspection,
+  scanStatus: item.scan ? item.scan.status : undefined,
+  verification: {
+    status: item.verification ? item.verification.status : 'pending',
+    verifiedAt: item.verification ? item.verification.verifiedAt : undefined,
+    note: item.verification ? item.verification.note : undefined
+  },
+  uploadedAt: item.uploadedAt
+});
+
+/**
+ * @desc    Get the documents in the citizen's vault
+ * @route   GET /api/v1/documents
+ * @access  Private
+ */
+exports.getVault = async (req, res) => {
+  try {
+    let items = req.user.documentVault || [];
+
+    if (req.query.documentType) {
+      items = items.filter(item => item.documentType === req.query.documentType);
+    }
+
+    res.status(200).json({
+      success: true,
+      count: items.length,
+      data: items.map(toVaultResponse)
+    });
+  } catch (error) {
+    console.error('Error in getVault:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching documents',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Upload a document to the citizen's vault
+ * @route   POST /api/v1/documents
+ * @access  Private
+ */
+exports.uploadToVault = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.documentVault.length >= MAX_VAULT_DOCUMENTS) {
+      return res.status(400).json({
+        success: false,
+        message: `The document vault can hold at most ${MAX_VAULT_DOCUMENTS} documents`
+      });
+    }
+
+    const file = (req.files || []).find(item => item.fieldName === 'file');
+
+    if (!file || file.size === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A non-empty file is required in the "file" field'
+      });
+    }
+
+    const { documentType, label, documentNumber, issuedAt, expiresAt } = req.body;
+
+    const formatProblem = documentNumber ? checkFormat(documentType, documentNumber) : null;
+
+    if (formatProblem) {
+      return res.status(422).json({
+        success: false,
+        message: formatProblem
+      });
+    }
+
+    const upload = await storeUpload(file, {
+      keyPrefix: `users/${user._id}/vault/${documentType}`
+    });
+
+    if (!upload.accepted) {
+      return res.status(422).json({
+        success: false,
+        message: upload.reason
+      });
+    }
+
+    user.documentVault.push({
+      documentType,
+      label,
+      documentNumber,
+      issuedAt,
+      expiresAt,
+      ...upload.stored
+    });
+
+    try {
+      await user.save();
+    } catch (saveError) {
+      // Do not keep a file the vault does not point to
+      await removeStoredFile(upload.stored);
+      throw saveError;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Document added to your vault',
+      data: toVaultResponse(user.documentVault[user.documentVault.length - 1])
+    });
+  } catch (error) {
+    console.error('Error in uploadToVault:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while uploading document',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Update the label, number or dates of a vault document
+ * @route   PATCH /api/v1/documents/:documentId
+ * @access  Private
+ */
+exports.updateVaultDocument = async (req, res) => {
+  try {
+    const user = req.user;
+    const item = user.documentVault.id(req.params.documentId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const { label, documentNumber, issuedAt, expiresAt } = req.body;
+
+    if (documentNumber) {
+      const formatProblem = checkFormat(item.documentType, documentNumber);
+
+      if (formatProblem) {
+        return res.status(422).json({
+          success: false,
+          message: formatProblem
+        });
+      }
+    }
+
+    if (label !== undefined) item.label = label;
+
+    // Verified details must be checked again once changed
+    if (documentNumber !== undefined || issuedAt !== undefined || expiresAt !== undefined) {
+      if (documentNumber !== undefined) item.documentNumber = documentNumber;
+      if (issuedAt !== undefined) item.issuedAt = issuedAt;
+      if (expiresAt !== undefined) item.expiresAt = expiresAt;
+      user.setVaultVerification(item, 'pending');
+    }
+
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Document updated',
+      data: toVaultResponse(item)
+    });
+  } catch (error) {
+    console.error('Error in updateVaultDocument:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating document',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Download a vault document
+ * @route   GET /api/v1/documents/:documentId/file
+ * @access  Private
+ */
+exports.getVaultFile = async (req, res) => {
+  try {
+    const item = req.user.documentVault.id(req.params.documentId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const data = await getStorage(item.storage).get(item.storageKey);
+
+    res.set({
+      'Content-Type': item.mimeType,
+      'Content-Length': data.length,
+      'Content-Disposition': `attachment; filename="${item.documentType}.${item.storageKey.split('.').pop()}"`,
+      'X-Content-Type-Options': 'nosniff',
+      ETag: `"${item.checksum}"`
+    });
+    res.status(200).send(data);
+  } catch (error) {
+    console.error('Error in getVaultFile:', error);
+
+    if (error.name === 'StorageError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Stored file is missing'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching document',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Remove a document from the vault
+ * @route   DELETE /api/v1/documents/:documentId
+ * @access  Private
+ */
+exports.deleteVaultDocument = async (req, res) => {
+  try {
+    const user = req.user;
+    const item = user.documentVault.id(req.params.documentId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    // Submitted applications keep pointing at the file for their reviewers
+    const inUse = await Application.countDocuments({
+      'documents.vaultDocument': item._id,
+      status: { $ne: 'draft' }
+    });
+
+    if (inUse > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This document is part of a submitted application and cannot be deleted'
+      });
+    }
+
+    await Application.updateMany(
+      { user: user._id, status: 'draft' },
+      { $pull: { documents: { vaultDocument: item._id } } }
+    );
+
+    const stored = { storage: item.storage, storageKey: item.storageKey };
+    user.documentVault.pull(item._id);
+    await user.save();
+    await removeStoredFile(stored);
+
+    res.status(200).json({
+      success: true,
+      message: 'Document removed from your vault'
+    });
+  } catch (error) {
+    console.error('Error in deleteVaultDocument:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing document',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Verify or reject a citizen's vault document
+ * @route   PATCH /api/v1/documents/:documentId/verification
+ * @access  Private (Service Provider/Admin)
+ */
+exports.verifyVaultDocument = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    const owner = await User.findOne({ 'documentVault._id': req.params.documentId });
+
+    if (!owner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    if (status === 'rejected' && !note) {
+      return res.status(400).json({
+        success: false,
+        message: 'A note is required when rejecting a document'
+      });
+    }
+
+    const item = owner.documentVault.id(req.params.documentId);
+    owner.setVaultVerification(item, status, { actor: req.user, note });
+    await owner.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Document marked as ${status}`,
+      data: toVaultResponse(item)
+    });
+  } catch (error) {
+    console.error('Error in verifyVaultDocument:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while verifying document',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,696 @@
+const Grievance = require('../models/Grievance');
+const Application = require('../models/Application');
+const Service = require('../models/Service');
+const User = require('../models/User');
+const mongoose = require('mongoose');
+const { checkPermissions } = require('../middleware');
+const { hasHigherOrEqualRole } = require('../middleware/role');
+
+// Roles that handle grievances at the department level (admins are always allowed)
+const OFFICER_ROLES = ['serviceProvider'];
+
+// Largest number of critical reviews seeded per service in one request
+const MAX_SEED_LIMIT = 50;
+
+/**
+ * Find a service by ID or shortName
+ * @param {String} id - Service ObjectId or shortName
+ * @returns {Promise<Service|null>} Service document or null if not found
+ */
+const findService = (id) => {
+  if (mongoose.Types.ObjectId.isValid(id)) {
+    return Service.findById(id);
+  }
+  return Service.findOne({ shortName: String(id).toLowerCase() });
+};
+
+/**
+ * Find an application by ID or application number
+ * @param {String} id - Application ObjectId or applicationNumber
+ * @returns {Promise<Application|null>} Application document or null if not found
+ */
+const findApplication = (id) => {
+  if (mongoose.Types.ObjectId.isValid(id)) {
+    return Application.findById(id);
+  }
+  return Application.findOne({ applicationNumber: String(id).toUpperCase() });
+};
+
+/**
+ * Find a grievance by ID or grievance number
+ * @param {String} id - Grievance ObjectId or grievanceNumber
+ * @returns {Promise<Grievance|null>} Grievance document or null if not found
+ */
+const findGrievance = (id) => {
+  if (mongoose.Types.ObjectId.isValid(id)) {
+    return Grievance.findById(id);
+  }
+  return Grievance.findOne({ grievanceNumber: String(id).toUpperCase() });
+};
+
+/**
+ * Check whether an officer works for the grievance's department
+ * Officers without a department and admins work for every department
+ * @param {Object} user - Authenticated user
+ * @param {String} [code] - Department code
+ * @returns {Boolean} True if the department is theirs
+ */
+const inDepartment = (user, code) =>
+  checkPermissions(user, ['admin']) || !user.department || !code || user.department === code;
+
+/**
+ * Check whether a user may act at an escalation level
+ * @param {Object} user - Authenticated user
+ * @param {Number} level - Index into Grievance.ESCALATION_LEVELS
+ * @returns {Boolean} True if the level is handled by the user's role
+ */
+const handlesLevel = (user, level) => {
+  const { role } = Grievance.ESCALATION_LEVELS[level];
+  return OFFICER_ROLES.includes(role) ? checkPermissions(user, OFFICER_ROLES) : hasHigherOrEqualRole(user.role, role);
+};
+
+/**
+ * Check whether a user may respond to, assign or escalate a grievance
+ * @param {Grievance} grievance - Grievance document
+ * @param {Object} user - Authenticated user
+ * @returns {Boolean} True for officers of the current level and department
+ */
+const canHandle = (grievance, user) =>
+  handlesLevel(user, grievance.escalationLevel) && inDepartment(user, grievance.department && grievance.department.code);
+
+/**
+ * Check whether a user may see a grievance
+ * Department officers keep seeing grievances escalated past them
+ * @param {Grievance} grievance - Grievance document
+ * @param {Object} user - Authenticated user
+ * @returns {Boolean} True for the citizen and the department's officers
+ */
+const canView = (grievance, user) =>
+  grievance.isOwnedBy(user) ||
+  (checkPermissions(user, OFFICER_ROLES) && inDepartment(user, grievance.department && grievance.department.code)) ||
+  canHandle(grievance, user);
+
+/**
+ * Send the response for a rejected status change
+ * @param {Object} res - Express response object
+ * @param {Error} error - InvalidTransitionError
+ */
+const sendTransitionError = (res, error) => res.status(400).json({
+  success: false,
+  message: error.message,
+  allowedTransitions: error.allowedTransitions
+});
+
+/**
+ * @desc    File a grievance about a service or application
+ * @route   POST /api/v1/grievances
+ * @access  Private
+ */
+exports.createGrievance = async (req, res) => {
+  try {
+    const { serviceId, applicationId, category, subject, description, language } = req.body;
+    let application;
+
+    if (applicationId) {
+      application = await findApplication(applicationId);
+
+      if (!application || !application.isOwnedBy(req.user)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Application not found'
+        });
+      }
+
+      const existing = await Grievance.findOne({
+        application: application._id,
+        status: { $in: Grievance.PENDING_STATUSES }
+      });
+
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: `Grievance ${existing.grievanceNumber} about this application is still pending`
+        });
+      }
+    }
+
+    const service = await findService(application ? application.service : serviceId);
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    const grievance = new Grievance({
+      user: req.user.id,
+      service: service._id,
+      application: application ? application._id : undefined,
+      category,
+      subject,
+      description,
+      language: language || req.user.language
+    });
+
+    await grievance.routeToDepartment(service);
+    await grievance.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Grievance ${grievance.grievanceNumber} filed`,
+      data: grievance
+    });
+  } catch (error) {
+    console.error('Error in createGrievance:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while filing grievance',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get the citizen's own grievances
+ * @route   GET /api/v1/grievances/me
+ * @access  Private
+ */
+exports.getMyGrievances = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+
+    const query = { user: req.user.id };
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const total = await Grievance.countDocuments(query);
+
+    const grievances = await Grievance.find(query)
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const pagination = {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+      hasMore: page < Math.ceil(total / limit)
+    };
+
+    res.status(200).json({
+      success: true,
+      count: grievances.length,
+      pagination,
+      data: grievances.map(grievance => grievance.getSummary())
+    });
+  } catch (error) {
+    console.error('Error in getMyGrievances:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching grievances',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get the grievance queue for the officer's levels and department
+ * @route   GET /api/v1/grievances/queue
+ * @access  Private (Service Provider/Admin)
+ */
+exports.getGrievanceQueue = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const levels = Grievance.ESCALATION_LEVELS
+      .map((level, index) => index)
+      .filter(index => handlesLevel(req.user, index));
+
+    if (levels.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You do not handle grievances'
+      });
+    }
+
+    const query = {
+      status: req.query.status || { $in: Grievance.PENDING_STATUSES },
+      escalationLevel: { $in: levels }
+    };
+
+    if (req.query.level !== undefined) {
+      const level = Number(req.query.level);
+
+      if (!levels.includes(level)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied: You do not handle grievances at this escalation level'
+        });
+      }
+
+      query.escalationLevel = level;
+    }
+
+    // Department officers only see their own department
+    if (!checkPermissions(req.user, ['admin']) && req.user.department) {
+      query['department.code'] = req.user.department;
+    } else if (req.query.department) {
+      query['department.code'] = String(req.query.department).toUpperCase();
+    }
+
+    if (req.query.assignedTo === 'me') {
+      query.assignedTo = req.user.id;
+    }
+
+    if (req.query.overdue === 'true') {
+      query['sla.dueAt'] = { $lt: new Date() };
+    }
+
+    const total = await Grievance.countDocuments(query);
+
+    // Nearest deadline first
+    const grievances = await Grievance.find(query)
+      .sort({ 'sla.dueAt': 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('service', 'name shortName category')
+      .populate('user', 'name email phone')
+      .populate('assignedTo', 'name email');
+
+    const pagination = {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+      hasMore: page < Math.ceil(total / limit)
+    };
+
+    res.status(200).json({
+      success: true,
+      count: grievances.length,
+      pagination,
+      data: grievances
+    });
+  } catch (error) {
+    console.error('Error in getGrievanceQueue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching grievance queue',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get single grievance
+ * @route   GET /api/v1/grievances/:id
+ * @access  Private (Owner/Department Officer/Admin)
+ */
+exports.getGrievance = async (req, res) => {
+  try {
+    const grievance = await findGrievance(req.params.id);
+
+    if (!grievance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grievance not found'
+      });
+    }
+
+    if (!canView(grievance, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: You cannot view this grievance'
+      });
+    }
+
+    await grievance.populate([
+      { path: 'service', select: 'name shortName category' },
+      { path: 'application', select: 'applicationNumber status' },
+      { path: 'assignedTo', select: 'name' },
+      { path: 'responses.responder', select: 'name' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: grievance
+    });
+  } catch (error) {
+    console.error('Error in getGrievance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching grievance',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Respond to a grievance, optionally resolving it
+ * @route   POST /api/v1/grievances/:id/responses
+ * @access  Private (Officer of the current escalation level)
+ */
+exports.respondToGrievance = async (req, res) => {
+  try {
+    const grievance = await findGrievance(req.params.id);
+
+    if (!grievance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grievance not found'
+      });
+    }
+
+    if (!canHandle(grievance, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied: This grievance is handled at the ${grievance.escalationLevelName} level`
+      });
+    }
+
+    const resolve = req.body.resolve === true || req.body.resolve === 'true';
+    grievance.respond(req.user, req.body.message, { resolve });
+
+    // Whoever answers an unassigned grievance takes it on
+    if (!grievance.assignedTo) {
+      grievance.assignedTo = req.user.id;
+    }
+
+    await grievance.save();
+
+    res.status(200).json({
+      success: true,
+      message: resolve ? 'Grievance resolved' : 'Response recorded',
+      data: grievance
+    });
+  } catch (error) {
+    console.error('Error in respondToGrievance:', error);
+
+    if (error.name === 'InvalidTransitionError') {
+      return sendTransitionError(res, error);
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while responding to grievance',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Assign a grievance to an officer
+ * @route   PUT /api/v1/grievances/:id/assign
+ * @access  Private (Officer of the current escalation level)
+ */
+exports.assignGrievance = async (req, res) => {
+  try {
+    const grievance = await findGrievance(req.params.id);
+
+    if (!grievance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grievance not found'
+      });
+    }
+
+    if (!canHandle(grievance, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied: This grievance is handled at the ${grievance.escalationLevelName} level`
+      });
+    }
+
+    if (!Grievance.PENDING_STATUSES.includes(grievance.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot assign a grievance that is ${grievance.status}`
+      });
+    }
+
+    const officer = await User.findById(req.body.officerId);
+
+    if (!officer || officer.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        message: 'Officer not found'
+      });
+    }
+
+    if (!canHandle(grievance, officer)) {
+      return res.status(400).json({
+        success: false,
+        message: `${officer.name} cannot handle grievances at the ${grievance.escalationLevelName} level of this department`
+      });
+    }
+
+    grievance.assignedTo = officer._id;
+    await grievance.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Grievance assigned to ${officer.name}`,
+      data: grievance
+    });
+  } catch (error) {
+    console.error('Error in assignGrievance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while assigning grievance',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Escalate a grievance to the next level before its SLA runs out
+ * @route   POST /api/v1/grievances/:id/escalate
+ * @access  Private (Officer of the current escalation level)
+ */
+exports.escalateGrievance = async (req, res) => {
+  try {
+    const grievance = await findGrievance(req.params.id);
+
+    if (!grievance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grievance not found'
+      });
+    }
+
+    if (!canHandle(grievance, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied: This grievance is handled at the ${grievance.escalationLevelName} level`
+      });
+    }
+
+    if (!Grievance.PENDING_STATUSES.includes(grievance.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot escalate a grievance that is ${grievance.status}`
+      });
+    }
+
+    grievance.escalate({ actor: req.user, reason: req.body.reason });
+    await grievance.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Grievance escalated to the ${grievance.escalationLevelName} level`,
+      data: grievance
+    });
+  } catch (error) {
+    console.error('Error in escalateGrievance:', error);
+
+    if (error.name === 'InvalidTransitionError') {
+      return sendTransitionError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while escalating grievance',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Close a resolved grievance with the citizen's satisfaction rating
+ * @route   POST /api/v1/grievances/:id/close
+ * @access  Private (Owner)
+ */
+exports.closeGrievance = async (req, res) => {
+  try {
+    const grievance = await findGrievance(req.params.id);
+
+    if (!grievance || !grievance.isOwnedBy(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grievance not found'
+      });
+    }
+
+    grievance.close({
+      rating: Number(req.body.rating),
+      comment: req.body.comment,
+      actor: req.user
+    });
+    await grievance.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Grievance closed',
+      data: grievance.getSummary()
+    });
+  } catch (error) {
+    console.error('Error in closeGrievance:', error);
+
+    if (error.name === 'InvalidTransitionError') {
+      return sendTransitionError(res, error);
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while closing grievance',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Reopen a resolved grievance the citizen is not satisfied with
+ * @route   POST /api/v1/grievances/:id/reopen
+ * @access  Private (Owner)
+ */
+exports.reopenGrievance = async (req, res) => {
+  try {
+    const grievance = await findGrievance(req.params.id);
+
+    if (!grievance || !grievance.isOwnedBy(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grievance not found'
+      });
+    }
+
+    grievance.reopen(req.user, req.body.reason);
+    await grievance.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Grievance reopened at the ${grievance.escalationLevelName} level`,
+      data: grievance.getSummary()
+    });
+  } catch (error) {
+    console.error('Error in reopenGrievance:', error);
+
+    if (error.name === 'InvalidTransitionError') {
+      return sendTransitionError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reopening grievance',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Escalate overdue grievances and close unconfirmed resolutions now
+ * @route   POST /api/v1/grievances/escalations/run
+ * @access  Private (Admin)
+ */
+exports.runEscalations = async (req, res) => {
+  try {
+    const escalation = await Grievance.escalateOverdue();
+    const closure = await Grievance.closeUnconfirmed();
+
+    res.status(200).json({
+      success: true,
+      message: `${escalation.escalated} grievances escalated, ${escalation.breached} breached the final SLA, ` +
+        `${closure.closed} closed automatically`,
+      data: { ...escalation, closed: closure.closed, failed: escalation.failed + closure.failed }
+    });
+  } catch (error) {
+    console.error('Error in runEscalations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while escalating grievances',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    File grievances for critical (1-2 star) reviews
+ * @route   POST /api/v1/grievances/seed/reviews
+ * @access  Private (Admin)
+ */
+exports.seedFromReviews = async (req, res) => {
+  try {
+    let service;
+
+    if (req.body.serviceId) {
+      service = await findService(req.body.serviceId);
+
+      if (!service) {
+        return res.status(404).json({
+          success: false,
+          message: 'Service not found'
+        });
+      }
+    }
+
+    const limit = Math.min(parseInt(req.body.limit, 10) || 5, MAX_SEED_LIMIT);
+    const stats = await Grievance.seedFromCriticalReviews({ service: service && service._id, limit });
+
+    res.status(200).json({
+      success: true,
+      message: `${stats.created} grievances filed from critical reviews, ${stats.skipped} already filed`,
+      data: stats
+    });
+  } catch (error) {
+    console.error('Error in seedFromReviews:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while filing grievances from reviews',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
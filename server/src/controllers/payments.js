@@ -0,0 +1,549 @@
+const Payment = require('../models/Payment');
+const Application = require('../models/Application');
+const mongoose = require('mongoose');
+const { checkPermissions } = require('../middleware');
+const { EVENT_TYPES, getGateway, isMockAllowed } = require('../utils/paymentGateway');
+
+// Roles allowed to view any payment (admins are always allowed)
+const OFFICER_ROLES = ['serviceProvider'];
+
+// Header carrying the gateway's callback signature
+const SIGNATURE_HEADER = 'x-payment-signature';
+
+/**
+ * Find an application by ID or application number
+ * @param {String} id - Application ObjectId or applicationNumber
+ * @returns {Promise<Application|null>} Application document or null if not found
+ */
+const findApplication = (id) => {
+  if (mongoose.Types.ObjectId.isValid(id)) {
+    return Application.findById(id);
+  }
+  return Application.findOne({ applicationNumber: String(id).toUpperCase() });
+};
+
+/**
+ * Find a payment by ID or order ID
+ * @param {String} id - Payment ObjectId or orderId
+ * @returns {Promise<Payment|null>} Payment document or null if not found
+ */
+const findPayment = (id) => {
+  if (mongoose.Types.ObjectId.isValid(id)) {
+    return Payment.findById(id);
+  }
+  return Payment.findOne({ orderId: String(id).toUpperCase() });
+};
+
+/**
+ * Check whether the user may view a payment
+ * @param {Payment} payment - Payment document
+ * @param {Object} user - Authenticated user
+ * @returns {Boolean} True for the payer and officers
+ */
+const canViewPayment = (payment, user) => {
+  const payer = payment.user && payment.user._id ? payment.user._id : payment.user;
+  return payer.toString() === user.id.toString() || checkPermissions(user, OFFICER_ROLES);
+};
+
+/**
+ * Verify and apply a gateway callback
+ * Each event is recorded in the same atomic update that applies it, so a
+ * callback delivered twice (or concurrently) changes the payment only once.
+ *
+ * @param {Object} gateway - Gateway adapter
+ * @param {Object} payload - Callback body
+ * @param {String} signature - Callback signature
+ * @returns {Promise<Object>} { status, body } to send back to the gateway
+ */
+const processCallback = async (gateway, payload, signature) => {
+  if (!gateway.verifyCallback(payload, signature)) {
+    return { status: 401, body: { success: false, message: 'Invalid callback signature' } };
+  }
+
+  const event = gateway.parseCallback(payload);
+
+  if (!event.eventId || !EVENT_TYPES.includes(event.type)) {
+    // Acknowledge events we do not handle so the gateway stops retrying
+    return { status: 200, body: { success: true, message: 'Event ignored' } };
+  }
+
+  const filter = { gateway: gateway.name, gatewayOrderId: event.gatewayOrderId };
+  const processed = await Payment.processEvent(filter, event);
+
+  if (!processed) {
+    return { status: 404, body: { success: false, message: 'No payment found for this order' } };
+  }
+
+  const { payment, result } = processed;
+
+  if (processed.duplicate) {
+    return {
+      status: 200,
+      body: {
+        success: true,
+        duplicate: true,
+        message: 'Event already processed',
+        data: { orderId: payment.orderId, status: payment.status }
+      }
+    };
+  }
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      duplicate: false,
+      message: `Event processed: ${result}`,
+      data: {
+        orderId: payment.orderId,
+        status: payment.status,
+        receiptNumber: payment.receipt ? payment.receipt.number : undefined
+      }
+    }
+  };
+};
+
+/**
+ * Send a gateway error response
+ * @param {Object} res - Express response
+ * @param {Error} error - PaymentGatewayError
+ */
+const sendGatewayError = (res, error) => res.status(502).json({
+  success: false,
+  message: 'Payment gateway error',
+  error: error.message
+});
+
+/**
+ * @desc    Create a payment order for an application's fees
+ * @route   POST /api/v1/payments/orders
+ * @access  Private (Owner)
+ */
+exports.createOrder = async (req, res) => {
+  try {
+    const application = await findApplication(req.body.applicationId);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (!application.isOwnedBy(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Not authorized to pay for this application'
+      });
+    }
+
+    if (!Application.ACTIVE_STATUSES.includes(application.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Fees cannot be paid while the application is in '${application.status}' status`
+      });
+    }
+
+    // The fees computed at submission are what the citizen owes
+    const fees = application.feeSnapshot || {};
+
+    if (!fees.totalAmount || fees.totalAmount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fees are payable for this application'
+      });
+    }
+
+    const existing = await Payment.find({
+      application: application._id,
+      status: { $in: ['paid', ...Payment.PAYABLE_STATUSES] }
+    }).sort({ createdAt: -1 });
+
+    // Fees can rise after payment, e.g. when a waiver's proof is rejected
+    const paid = existing.filter(payment => payment.status === 'paid');
+    const paidAmount = paid.reduce((sum, payment) => sum + payment.amount, 0);
+    const amountDue = Math.round((fees.totalAmount - paidAmount) * 100) / 100;
+
+    if (amountDue <= 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Fees for this application have already been paid',
+        data: paid.map(payment => ({ orderId: payment.orderId, receiptNumber: payment.receipt.number }))
+      });
+    }
+
+    let gateway;
+    try {
+      gateway = getGateway(req.body.gateway);
+    } catch (gatewayError) {
+      return res.status(400).json({
+        success: false,
+        message: gatewayError.message
+      });
+    }
+
+    // Reuse an open order for the same amount instead of creating duplicates
+    const open = existing.find(payment =>
+      payment.status === 'created' && payment.gatewayOrderId &&
+      payment.gateway === gateway.name && payment.amount === amountDue);
+
+    if (open) {
+      return res.status(200).json({
+        success: true,
+        message: 'Existing payment order returned',
+        data: open
+      });
+    }
+
+    const payment = new Payment({
+      application: application._id,
+      user: req.user.id,
+      service: application.service,
+      amount: amountDue,
+      currency: fees.currency || 'INR',
+      breakdown: paidAmount > 0
+        ? [{ feeType: 'balance', name: 'Balance due after fee revision', amount: amountDue }]
+        : (fees.breakdown || []).map(item => ({
+          feeType: item.feeType,
+          name: item.name,
+          amount: item.amount
+        })),
+      gateway: gateway.name
+    });
+
+    // Saving generates the orderId shared with the gateway
+    await payment.save();
+
+    const order = await gateway.createOrder({
+      orderId: payment.orderId,
+      amount: payment.amount,
+      currency: payment.currency,
+      notes: { applicationNumber: application.applicationNumber }
+    });
+
+    payment.gatewayOrderId = order.gatewayOrderId;
+    await payment.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment order created',
+      data: payment,
+      checkout: order.checkout
+    });
+  } catch (error) {
+    console.error('Error in createOrder:', error);
+
+    if (error.name === 'PaymentGatewayError') {
+      return sendGatewayError(res, error);
+    }
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating payment order',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Receive a payment gateway callback (webhook)
+ * @route   POST /api/v1/payments/callback/:gateway
+ * @access  Public (signed by the gateway)
+ */
+exports.handleCallback = async (req, res) => {
+  try {
+    // Never accept mock callbacks in production, whatever getGateway allows
+    if (req.params.gateway === 'mock' && !isMockAllowed()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown payment gateway'
+      });
+    }
+
+    const gateway = getGateway(req.params.gateway);
+    const { status, body } = await processCallback(gateway, req.body, req.get(SIGNATURE_HEADER));
+
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('Error in handleCallback:', error);
+
+    if (error.name === 'PaymentGatewayError') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing payment callback',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Complete a payment with the mock gateway
+ * @route   POST /api/v1/payments/:id/simulate
+ * @access  Private (Owner, not available in production)
+ */
+exports.simulatePayment = async (req, res) => {
+  try {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment simulation is not available'
+      });
+    }
+
+    const payment = await findPayment(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (payment.user.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Not authorized to pay this order'
+      });
+    }
+
+    const gateway = getGateway(payment.gateway);
+
+    if (!gateway.simulatePayment) {
+      return res.status(400).json({
+        success: false,
+        message: `The '${payment.gateway}' gateway does not support simulated payments`
+      });
+    }
+
+    const callback = gateway.simulatePayment({
+      gatewayOrderId: payment.gatewayOrderId,
+      amount: req.body.amount !== undefined ? Number(req.body.amount) : payment.amount,
+      currency: payment.currency,
+      outcome: req.body.outcome
+    });
+
+    // Goes through the same path as a real webhook
+    const { status, body } = await processCallback(gateway, callback.payload, callback.signature);
+
+    res.status(status).json({
+      ...body,
+      callback
+    });
+  } catch (error) {
+    console.error('Error in simulatePayment:', error);
+
+    if (error.name === 'PaymentGatewayError') {
+      return sendGatewayError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while simulating payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get payments for an application
+ * @route   GET /api/v1/payments/application/:applicationId
+ * @access  Private (Owner/Service Provider/Admin)
+ */
+exports.getApplicationPayments = async (req, res) => {
+  try {
+    const application = await findApplication(req.params.applicationId);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (!application.isOwnedBy(req.user) && !checkPermissions(req.user, OFFICER_ROLES)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Not authorized to view these payments'
+      });
+    }
+
+    const payments = await Payment.find({ application: application._id })
+      .sort({ createdAt: -1 })
+      .select('-events');
+
+    res.status(200).json({
+      success: true,
+      count: payments.length,
+      data: payments
+    });
+  } catch (error) {
+    console.error('Error in getApplicationPayments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching payments',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get single payment
+ * @route   GET /api/v1/payments/:id
+ * @access  Private (Owner/Service Provider/Admin)
+ */
+exports.getPayment = async (req, res) => {
+  try {
+    const payment = await findPayment(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (!canViewPayment(payment, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Not authorized to view this payment'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: payment
+    });
+  } catch (error) {
+    console.error('Error in getPayment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get the receipt for a captured payment
+ * @route   GET /api/v1/payments/:id/receipt
+ * @access  Private (Owner/Service Provider/Admin)
+ */
+exports.getReceipt = async (req, res) => {
+  try {
+    const payment = await findPayment(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (!canViewPayment(payment, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Not authorized to view this receipt'
+      });
+    }
+
+    await payment.populate([
+      { path: 'application', select: 'applicationNumber' },
+      { path: 'service', select: 'name' },
+      { path: 'user', select: 'name' }
+    ]);
+
+    const receipt = payment.getReceipt();
+
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        message: 'No receipt has been issued for this payment'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: receipt
+    });
+  } catch (error) {
+    console.error('Error in getReceipt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching receipt',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Refund the fees paid for a rejected application
+ * @route   POST /api/v1/payments/:id/refund
+ * @access  Private (Admin)
+ */
+exports.refundPayment = async (req, res) => {
+  try {
+    const payment = await findPayment(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const application = await Application.findById(payment.application);
+
+    if (!application || application.status !== 'rejected') {
+      return res.status(400).json({
+        success: false,
+        message: 'Fees are only refunded for rejected applications'
+      });
+    }
+
+    await payment.refundPayment(getGateway(payment.gateway), {
+      reason: req.body.reason || 'Application rejected',
+      actor: req.user
+    });
+
+    res.status(200).json({
+      success: true,
+      message: payment.status === 'refunded' ? 'Payment refunded' : 'Refund initiated',
+      data: payment
+    });
+  } catch (error) {
+    console.error('Error in refundPayment:', error);
+
+    if (error.name === 'InvalidTransitionError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'PaymentGatewayError') {
+      return sendGatewayError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while refunding payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
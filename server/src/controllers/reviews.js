@@ -0,0 +1,1079 @@
+const Review = require('../models/Review');
+const Service = require('../models/Service');
+const mongoose = require('mongoose');
+const { checkPermissions } = require('../middleware');
+const { storeUpload, removeStoredFile } = require('../utils/documentUpload');
+const { getStorage } = require('../utils/documentStorage');
+
+// Roles allowed to see unpublished reviews (admins are always allowed)
+const OFFICER_ROLES = ['serviceProvider', 'moderator'];
+
+// Statuses waiting for a moderator
+const QUEUE_STATUSES = ['flagged', 'pending'];
+
+// Status codes for the reasons a citizen cannot review a service
+const INELIGIBLE_STATUS_CODES = { already_reviewed: 409, service_not_used: 403 };
+
+// Most reviews one bulk moderation request may change
+const MAX_BULK_REVIEWS = 100;
+
+// Sort orders for review listings
+const SORT_OPTIONS = {
+  recent: { createdAt: -1 },
+  helpful: { 'helpfulness.upvotes': -1, createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+// Largest limit accepted by the helpful/recent/critical listings
+const MAX_HIGHLIGHTS = 20;
+
+/**
+ * Find a service by ID or shortName
+ * @param {String} id - Service ObjectId or shortName
+ * @returns {Promise<Service|null>} Service document or null if not found
+ */
+const findService = (id) => {
+  if (mongoose.Types.ObjectId.isValid(id)) {
+    return Service.findById(id);
+  }
+  return Service.findOne({ shortName: String(id).toLowerCase() });
+};
+
+/**
+ * Check whether the user wrote a review
+ * @param {Review} review - Review document
+ * @param {Object} [user] - Authenticated user
+ * @returns {Boolean} True for the author
+ */
+const isAuthor = (review, user) => {
+  if (!user) return false;
+  const author = review.user && review.user._id ? review.user._id : review.user;
+  return author.toString() === user.id.toString();
+};
+
+/**
+ * Check whether the user may see a review
+ * Only approved reviews are public; authors and officers see the rest
+ * @param {Review} review - Review document
+ * @param {Object} [user] - Authenticated user
+ * @returns {Boolean} True if visible
+ */
+const canViewReview = (review, user) =>
+  review.status === 'approved' || isAuthor(review, user) || checkPermissions(user, OFFICER_ROLES);
+
+/**
+ * Build the citizen editable fields of a review from the request body
+ * The comment is stored under the review's language
+ * @param {Object} body - Request body
+ * @param {String} language - Review language
+ * @returns {Object} Fields to set on the review
+ */
+const toReviewFields = (body, language) => {
+  const fields = {};
+
+  if (body.rating !== undefined) fields.rating = Number(body.rating);
+  if (body.title !== undefined) fields.title = body.title;
+  if (body.comment !== undefined) fields.comment = { [language]: body.comment };
+  if (body.tags !== undefined) fields.tags = body.tags;
+
+  if (body.aspectRatings !== undefined) {
+    fields.aspectRatings = {};
+    Review.ASPECTS.forEach(aspect => {
+      if (body.aspectRatings[aspect] !== undefined) {
+        fields.aspectRatings[aspect] = Number(body.aspectRatings[aspect]);
+      }
+    });
+  }
+
+  return fields;
+};
+
+/**
+ * Send a short list of reviews from one of the Review listing statics
+ * @param {String} finder - Static name, e.g. "findHelpfulReviews"
+ * @param {Number} defaultLimit - Limit when none is requested
+ * @returns {Function} Express handler
+ */
+const listHighlights = (finder, defaultLimit) => async (req, res) => {
+  try {
+    const service = await findService(req.params.serviceId);
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || defaultLimit, MAX_HIGHLIGHTS);
+    const language = req.query.language || 'en';
+    const reviews = await Review[finder](service._id, limit);
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      data: reviews.map(review => review.getSummary(language))
+    });
+  } catch (error) {
+    console.error(`Error in ${finder}:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reviews',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get reviews for a service with its rating summary
+ * @route   GET /api/v1/reviews/service/:serviceId
+ * @access  Public (officers may filter by status)
+ */
+exports.getServiceReviews = async (req, res) => {
+  try {
+    const service = await findService(req.params.serviceId);
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const language = req.query.language || 'en';
+    const isOfficer = checkPermissions(req.user, OFFICER_ROLES);
+
+    if (req.query.status && req.query.status !== 'approved' && !isOfficer) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Only officers can see unpublished reviews'
+      });
+    }
+
+    const query = {
+      service: service._id,
+      status: req.query.status || 'approved'
+    };
+
+    if (req.query.rating) {
+      query.rating = parseInt(req.query.rating, 10);
+    }
+
+    if (req.query.reviewLanguage) {
+      query.language = req.query.reviewLanguage;
+    }
+
+    const total = await Review.countDocuments(query);
+
+    const reviews = await Review.find(query)
+      .sort(SORT_OPTIONS[req.query.sort] || SORT_OPTIONS.recent)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('user', 'name avatar');
+
+    const rating = await Review.calculateServiceRating(service._id);
+
+    const pagination = {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+      hasMore: page < Math.ceil(total / limit)
+    };
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      pagination,
+      rating,
+      data: reviews.map(review => review.getSummary(language))
+    });
+  } catch (error) {
+    console.error('Error in getServiceReviews:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reviews',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get the most helpful reviews for a service
+ * @route   GET /api/v1/reviews/service/:serviceId/helpful
+ * @access  Public
+ */
+exports.getHelpfulReviews = listHighlights('findHelpfulReviews', 5);
+
+/**
+ * @desc    Get the most recent reviews for a service
+ * @route   GET /api/v1/reviews/service/:serviceId/recent
+ * @access  Public
+ */
+exports.getRecentReviews = listHighlights('findRecentReviews', 10);
+
+/**
+ * @desc    Get critical (1-2 star) reviews for a service
+ * @route   GET /api/v1/reviews/service/:serviceId/critical
+ * @access  Public
+ */
+exports.getCriticalReviews = listHighlights('findCriticalReviews', 5);
+
+/**
+ * @desc    Check whether the citizen can review a service
+ * @route   GET /api/v1/reviews/service/:serviceId/eligibility
+ * @access  Private
+ */
+exports.checkEligibility = async (req, res) => {
+  try {
+    const service = await findService(req.params.serviceId);
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    const eligibility = await Review.checkReviewEligibility(req.user.id, service._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        eligible: eligibility.eligible,
+        reason: eligibility.reason,
+        message: eligibility.message,
+        existingReview: eligibility.existingReview
+      }
+    });
+  } catch (error) {
+    console.error('Error in checkEligibility:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking review eligibility',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get the citizen's own reviews
+ * @route   GET /api/v1/reviews/me
+ * @access  Private
+ */
+exports.getMyReviews = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+
+    const query = { user: req.user.id, status: { $ne: 'removed' } };
+
+    const total = await Review.countDocuments(query);
+
+    const reviews = await Review.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('service', 'name shortName category');
+
+    const pagination = {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+      hasMore: page < Math.ceil(total / limit)
+    };
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      pagination,
+      data: reviews
+    });
+  } catch (error) {
+    console.error('Error in getMyReviews:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reviews',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Tell the citizen what happens next with a review they submitted
+ * @param {Review} review - New review
+ * @returns {String} Message
+ */
+const getSubmissionMessage = (review) => {
+  if (review.status !== 'flagged') {
+    return 'Thank you for your feedback. Your review will be published after moderation';
+  }
+
+  const flags = review.moderation.flags;
+
+  if (flags.length > 0 && flags.every(flag => flag.type === 'transcript')) {
+    return 'Thank you for your feedback. A moderator will check the transcript against your recording before publishing';
+  }
+
+  return 'Thank you for your feedback. A moderator will check it before publishing because it may contain personal details or offensive language';
+};
+
+/**
+ * @desc    Review a service the citizen has used
+ * @route   POST /api/v1/reviews
+ * @access  Private
+ */
+exports.createReview = async (req, res) => {
+  try {
+    const service = await findService(req.body.serviceId);
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    const eligibility = await Review.checkReviewEligibility(req.user.id, service._id);
+
+    if (!eligibility.eligible) {
+      return res.status(INELIGIBLE_STATUS_CODES[eligibility.reason] || 500).json({
+        success: false,
+        message: eligibility.message,
+        existingReview: eligibility.existingReview
+      });
+    }
+
+    const language = req.body.language || req.user.language || 'en';
+
+    // New reviews wait for moderation before they are published
+    const review = await Review.create({
+      ...toReviewFields(req.body, language),
+      user: req.user.id,
+      service: service._id,
+      application: eligibility.application,
+      language,
+      isVerified: Boolean(eligibility.application)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: getSubmissionMessage(review),
+      data: review
+    });
+  } catch (error) {
+    console.error('Error in createReview:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating review',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Review a service by voice: an audio clip and the client's transcript
+ * @route   POST /api/v1/reviews/voice
+ * @access  Private
+ */
+exports.createVoiceReview = async (req, res) => {
+  try {
+    const audio = (req.files || []).find(item => item.fieldName === 'audio');
+
+    if (!audio || audio.size === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A non-empty recording is required in the "audio" field'
+      });
+    }
+
+    const service = await findService(req.body.serviceId);
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    const eligibility = await Review.checkReviewEligibility(req.user.id, service._id);
+
+    if (!eligibility.eligible) {
+      return res.status(INELIGIBLE_STATUS_CODES[eligibility.reason] || 500).json({
+        success: false,
+        message: eligibility.message,
+        existingReview: eligibility.existingReview
+      });
+    }
+
+    const language = req.body.language || req.user.language || 'en';
+
+    // The transcript is the review text; low confidence transcripts are held for a moderator
+    const review = new Review({
+      ...toReviewFields({ rating: req.body.rating, title: req.body.title }, language),
+      user: req.user.id,
+      service: service._id,
+      application: eligibility.application,
+      language,
+      isVerified: Boolean(eligibility.application),
+      voiceFeedback: {
+        isVoiceSubmitted: true,
+        transcript: req.body.transcript,
+        confidence: Number(req.body.confidence),
+        engine: req.body.engine
+      }
+    });
+
+    const upload = await storeUpload(audio, {
+      keyPrefix: `reviews/${review._id}/recording`,
+      kind: 'audio'
+    });
+
+    if (!upload.accepted) {
+      return res.status(422).json({
+        success: false,
+        message: upload.reason
+      });
+    }
+
+    const { storage, storageKey, mimeType, sizeBytes, checksum, scan } = upload.stored;
+    review.voiceFeedback.recording = { storage, storageKey, mimeType, sizeBytes, checksum, scanStatus: scan.status };
+    review.voiceFeedback.recordingUrl = `/api/v1/reviews/${review._id}/recording`;
+
+    try {
+      await review.save();
+    } catch (saveError) {
+      // Do not keep a recording no review points to
+      await removeStoredFile(upload.stored);
+      throw saveError;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: getSubmissionMessage(review),
+      data: review
+    });
+  } catch (error) {
+    console.error('Error in createVoiceReview:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating voice review',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get single review
+ * @route   GET /api/v1/reviews/:id
+ * @access  Public (unpublished reviews: Author/Service Provider/Admin)
+ */
+exports.getReview = async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id).populate('user', 'name avatar');
+
+    if (!review || !canViewReview(review, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    const showDetails = isAuthor(review, req.user) || checkPermissions(req.user, OFFICER_ROLES);
+
+    res.status(200).json({
+      success: true,
+      data: showDetails ? review : review.getSummary(req.query.language || review.language)
+    });
+  } catch (error) {
+    console.error('Error in getReview:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching review',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Download the recording of a voice review
+ * @route   GET /api/v1/reviews/:id/recording
+ * @access  Private (Author/Service Provider/Moderator/Admin)
+ */
+exports.getRecording = async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    const recording = review && review.voiceFeedback && review.voiceFeedback.recording;
+
+    // A citizen's voice is personal data, so recordings are never public
+    if (!review || !(isAuthor(review, req.user) || checkPermissions(req.user, OFFICER_ROLES))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (!recording || !recording.storageKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'This review has no recording'
+      });
+    }
+
+    const data = await getStorage(recording.storage).get(recording.storageKey);
+
+    res.set({
+      'Content-Type': recording.mimeType,
+      'Content-Length': data.length,
+      'Content-Disposition': `attachment; filename="review-${review._id}.${recording.storageKey.split('.').pop()}"`,
+      'X-Content-Type-Options': 'nosniff',
+      ETag: `"${recording.checksum}"`
+    });
+    res.status(200).send(data);
+  } catch (error) {
+    console.error('Error in getRecording:', error);
+
+    if (error.name === 'StorageError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Stored recording is missing'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching recording',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Edit a review
+ * @route   PUT /api/v1/reviews/:id
+ * @access  Private (Author)
+ */
+exports.updateReview = async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+
+    if (!review || review.status === 'removed') {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (!isAuthor(review, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Only the author can edit this review'
+      });
+    }
+
+    const language = req.body.language || review.language;
+    const fields = toReviewFields(req.body, language);
+
+    Object.assign(review, fields);
+    review.language = language;
+
+    // Edited text is moderated and analyzed again before it is published
+    if (fields.comment !== undefined || fields.title !== undefined) {
+      review.sentiment = undefined;
+      if (review.status !== 'pending') {
+        await review.updateStatus('pending', 'Edited by author', req.user.id);
+      }
+    }
+
+    await review.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Review updated successfully',
+      data: review
+    });
+  } catch (error) {
+    console.error('Error in updateReview:', error);
+
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating review',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Delete a review
+ * @route   DELETE /api/v1/reviews/:id
+ * @access  Private (Author/Admin)
+ */
+exports.deleteReview = async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (!isAuthor(review, req.user) && !checkPermissions(req.user, ['admin'])) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: Not authorized to delete this review'
+      });
+    }
+
+    await review.deleteOne();
+    await removeStoredFile(review.voiceFeedback && review.voiceFeedback.recording);
+
+    res.status(200).json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error in deleteReview:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting review',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Vote a review helpful (up) or unhelpful (down)
+ * @route   POST /api/v1/reviews/:id/vote
+ * @access  Private
+ */
+exports.voteReview = async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+
+    if (!review || review.status !== 'approved') {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (isAuthor(review, req.user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot vote on your own review'
+      });
+    }
+
+    await review.addVote(req.user.id, req.body.vote);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        upvotes: review.helpfulness.upvotes,
+        downvotes: review.helpfulness.downvotes,
+        vote: req.body.vote
+      }
+    });
+  } catch (error) {
+    console.error('Error in voteReview:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while voting on review',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Remove the citizen's vote from a review
+ * @route   DELETE /api/v1/reviews/:id/vote
+ * @access  Private
+ */
+exports.removeVote = async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    await review.removeVote(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        upvotes: review.helpfulness.upvotes,
+        downvotes: review.helpfulness.downvotes,
+        vote: null
+      }
+    });
+  } catch (error) {
+    console.error('Error in removeVote:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing vote',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Post the department's official response to a review
+ * @route   POST /api/v1/reviews/:id/response
+ * @access  Private (Service Provider/Admin)
+ */
+exports.respondToReview = async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+
+    if (!review || review.status === 'removed') {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    await review.addResponse({
+      text: req.body.text,
+      respondedBy: req.user.id,
+      status: req.body.status
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Response posted successfully',
+      data: review.response
+    });
+  } catch (error) {
+    console.error('Error in respondToReview:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while responding to review',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Check a moderation request has the notes its action needs
+ * @param {String} action - Moderation action
+ * @param {String} [notes] - Moderation notes
+ * @returns {String|null} Problem, or null if complete
+ */
+const checkModerationNotes = (action, notes) =>
+  (['reject', 'remove'].includes(action) && !notes ? 'Notes are required when rejecting or removing a review' : null);
+
+/**
+ * @desc    Approve, reject, flag or remove a review
+ * @route   POST /api/v1/reviews/:id/moderate
+ * @access  Private (Moderator/Admin)
+ */
+exports.moderateReview = async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    const { action, notes, redact, transcript } = req.body;
+    const problem = checkModerationNotes(action, notes);
+
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    if (transcript !== undefined && !(review.voiceFeedback && review.voiceFeedback.isVoiceSubmitted)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only voice reviews have a transcript to correct'
+      });
+    }
+
+    await review.moderate(action, { notes, redact, transcript, moderator: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      message: `Review marked as ${review.status}`,
+      data: review
+    });
+  } catch (error) {
+    console.error('Error in moderateReview:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while moderating review',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get reviews waiting for moderation, automatically flagged first
+ * @route   GET /api/v1/reviews/moderation/queue
+ * @access  Private (Moderator/Admin)
+ */
+exports.getModerationQueue = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const query = {
+      status: req.query.status || { $in: QUEUE_STATUSES }
+    };
+
+    if (req.query.service) {
+      const service = await findService(req.query.service);
+
+      if (!service) {
+        return res.status(404).json({
+          success: false,
+          message: 'Service not found'
+        });
+      }
+
+      query.service = service._id;
+    }
+
+    if (req.query.flag) {
+      query['moderation.flags.type'] = req.query.flag;
+    }
+
+    const total = await Review.countDocuments(query);
+
+    // 'flagged' sorts before 'pending'; oldest first within each so nothing waits indefinitely
+    const reviews = await Review.find(query)
+      .sort({ status: 1, createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('user', 'name')
+      .populate('service', 'name shortName');
+
+    const waiting = await Review.aggregate([
+      { $match: { status: { $in: QUEUE_STATUSES } } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const pagination = {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+      hasMore: page < Math.ceil(total / limit)
+    };
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      pagination,
+      waiting: Object.fromEntries(QUEUE_STATUSES.map(status => [
+        status,
+        (waiting.find(item => item._id === status) || { count: 0 }).count
+      ])),
+      data: reviews
+    });
+  } catch (error) {
+    console.error('Error in getModerationQueue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching moderation queue',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Apply one moderation decision to many reviews
+ * @route   POST /api/v1/reviews/moderation/bulk
+ * @access  Private (Moderator/Admin)
+ */
+exports.bulkModerate = async (req, res) => {
+  try {
+    const { reviewIds, action, notes, redact } = req.body;
+    const problem = checkModerationNotes(action, notes);
+
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    if (reviewIds.length > MAX_BULK_REVIEWS) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_BULK_REVIEWS} reviews can be moderated at once`
+      });
+    }
+
+    const ids = [...new Set(reviewIds.map(String))];
+    const reviews = await Review.find({ _id: { $in: ids } });
+
+    // Each review is saved on its own so rating and screening hooks run for it
+    const results = [];
+    for (const id of ids) {
+      const review = reviews.find(item => item._id.toString() === id);
+
+      if (!review) {
+        results.push({ id, success: false, message: 'Review not found' });
+        continue;
+      }
+
+      try {
+        await review.moderate(action, { notes, redact, moderator: req.user.id });
+        results.push({ id, success: true, status: review.status });
+      } catch (error) {
+        console.error(`Error moderating review ${id}:`, error);
+        results.push({ id, success: false, message: 'Could not update this review' });
+      }
+    }
+
+    const updated = results.filter(result => result.success).length;
+
+    res.status(200).json({
+      success: true,
+      message: `${updated} of ${ids.length} reviews updated`,
+      updated,
+      data: results
+    });
+  } catch (error) {
+    console.error('Error in bulkModerate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while moderating reviews',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Recompute stored service ratings from approved reviews
+ * @route   POST /api/v1/reviews/ratings/sync
+ * @access  Private (Admin)
+ */
+exports.syncRatings = async (req, res) => {
+  try {
+    if (req.body.serviceId) {
+      const service = await findService(req.body.serviceId);
+
+      if (!service) {
+        return res.status(404).json({
+          success: false,
+          message: 'Service not found'
+        });
+      }
+
+      const rating = await Review.syncServiceRating(service._id);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Service rating recalculated',
+        data: rating
+      });
+    }
+
+    const count = await Review.syncAllServiceRatings();
+
+    res.status(200).json({
+      success: true,
+      message: `Ratings recalculated for ${count} services`,
+      count
+    });
+  } catch (error) {
+    console.error('Error in syncRatings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recalculating ratings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Re-analyze the sentiment of approved reviews
+ * @route   POST /api/v1/reviews/sentiment/reanalyze
+ * @access  Private (Admin)
+ */
+exports.reanalyzeSentiment = async (req, res) => {
+  try {
+    const options = {
+      language: req.body.language,
+      since: req.body.since ? new Date(req.body.since) : undefined,
+      all: req.body.all === true
+    };
+
+    if (req.body.serviceId) {
+      const service = await findService(req.body.serviceId);
+
+      if (!service) {
+        return res.status(404).json({
+          success: false,
+          message: 'Service not found'
+        });
+      }
+
+      options.service = service._id;
+    }
+
+    const stats = await Review.reanalyzeSentiment(options);
+
+    res.status(200).json({
+      success: true,
+      message: `Sentiment re-analyzed for ${stats.updated} reviews`,
+      data: stats
+    });
+  } catch (error) {
+    console.error('Error in reanalyzeSentiment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while re-analyzing sentiment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -1,6 +1,30 @@
 const Service = require('../models/Service');
+const User = require('../models/User');
 const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
+const ssml = require('../utils/ssml');
+const { explainEligibility } = require('../utils/eligibilityExplainer');
+
+/**
+ * Check whether the client asked for spoken (SSML) output
+ * @param {Object} req - Express request object
+ * @returns {Boolean} True for ?format=ssml
+ */
+const wantsSsml = (req) => req.query.format === 'ssml';
+
+/**
+ * Send an SSML document using the caller's voice preferences
+ * @param {Object} res - Express response object
+ * @param {String} document - SSML document
+ */
+const sendSsml = (res, document) => res.status(200).type('application/ssml+xml').send(document);
+
+/**
+ * Get the caller's speech settings, if they are logged in
+ * @param {Object} req - Express request object
+ * @returns {Object} Voice preferences (speechRate, pitch)
+ */
+const getVoicePreferences = (req) => (req.user && req.user.voicePreferences) || {};
 
 /**
  * @desc    Get all services with pagination
@@ -21,6 +45,11 @@ exports.listServices = async (req, res) => {
     const sort = {};
     sort[sortField] = sortOrder;
 
+    // Equal averages rank the service with more ratings first
+    if (sortField === 'averageRating') {
+      sort.totalRatings = sortOrder;
+    }
+
     // Build query
     const query = { status };
     
@@ -48,7 +77,7 @@ exports.listServices = async (req, res) => {
       .sort(sort)
       .skip((page - 1) * limit)
       .limit(limit)
-      .select('name shortName description category department processingTime status priority');
+      .select('name shortName description category department processingTime status priority averageRating totalRatings');
 
     // Format services for the requested language
     const formattedServices = services.map(service => 
@@ -110,6 +139,11 @@ exports.getService = async (req, res) => {
       });
     }
 
+    // Spoken summary for IVR and text-to-speech clients
+    if (wantsSsml(req)) {
+      return sendSsml(res, ssml.renderServiceSummary(service, language, getVoicePreferences(req)));
+    }
+
     // Get language-specific service details
     const serviceDetails = service.getDetailsInLanguage(language);
 
@@ -334,6 +368,11 @@ exports.searchServices = async (req, res) => {
     const sortField = req.query.sort || 'priority';
     const sortOrder = req.query.order === 'asc' ? 1 : -1;
     sort[sortField] = sortOrder;
+
+    // Equal averages rank the service with more ratings first
+    if (sortField === 'averageRating') {
+      sort.totalRatings = sortOrder;
+    }
     
     // Execute search query with pagination
     let services;
@@ -510,6 +549,60 @@ exports.getVoiceCommands = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Recommend services a citizen is or may be eligible for
+ * @route   POST /api/services/recommend
+ * @access  Public (uses the saved profile when logged in)
+ */
+exports.recommendServices = async (req, res) => {
+  try {
+    const submitted = req.body || {};
+    const savedProfile = req.user ? req.user.getEligibilityProfile() : {};
+
+    // Submitted fields take precedence over the saved profile
+    const profile = {
+      ...savedProfile,
+      ...submitted,
+      address: {
+        ...(savedProfile.address || {}),
+        ...(submitted.address || {})
+      }
+    };
+
+    if (!req.user && Object.keys(submitted).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A profile is required to recommend services. Please provide one or log in.'
+      });
+    }
+
+    const recommendations = await Service.recommendFor(profile, {
+      category: req.query.category,
+      language: req.query.language || 'en',
+      topMissing: parseInt(req.query.topMissing, 10) || 5
+    });
+
+    return res.status(200).json({
+      success: true,
+      usedSavedProfile: Boolean(req.user),
+      counts: recommendations.counts,
+      data: {
+        eligible: recommendations.eligible,
+        possiblyEligible: recommendations.possiblyEligible,
+        ineligible: recommendations.ineligible,
+        topMissingFields: recommendations.topMissingFields
+      }
+    });
+  } catch (error) {
+    console.error('Error in recommendServices:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recommending services',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * @desc    Check user eligibility for a service
  * @route   POST /api/services/:id/check-eligibility
@@ -553,8 +646,15 @@ exports.checkEligibility = async (req, res) => {
       });
     }
     
-    // Check eligibility
+    // Check eligibility and explain it in the requested language
     const eligibilityResult = service.checkEligibility(userData);
+    const language = req.query.language || 'en';
+    const explanation = explainEligibility(service, eligibilityResult, language);
+    const voice = ssml.renderEligibility(service, eligibilityResult, language, getVoicePreferences(req), explanation);
+
+    if (wantsSsml(req)) {
+      return sendSsml(res, voice);
+    }
     
     // Return eligibility result
     return res.status(200).json({
@@ -566,7 +666,12 @@ exports.checkEligibility = async (req, res) => {
       },
       eligible: eligibilityResult.eligible,
       message: eligibilityResult.message,
-      data: eligibilityResult
+      data: eligibilityResult,
+      explanation: {
+        language: explanation.language,
+        items: explanation.items.map(({ speech, ...item }) => item),
+        voice
+      }
     });
   } catch (error) {
     console.error('Error in checkEligibility:', error);
@@ -578,6 +683,82 @@ exports.checkEligibility = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Simulate eligibility and fees for variations of a profile
+ * @route   POST /api/services/:id/simulate
+ * @access  Private (Service Provider/Admin)
+ */
+exports.simulateEligibility = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { baseProfile = {}, variations, applicantId } = req.body;
+    
+    let service;
+    
+    // Find service by ID or shortName
+    if (mongoose.Types.ObjectId.isValid(id)) {
+      service = await Service.findById(id);
+    } else {
+      service = await Service.findOne({ shortName: id.toLowerCase() });
+    }
+    
+    // If service not found
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+    
+    // Check if service is active
+    if (service.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'This service is currently not active'
+      });
+    }
+    
+    // Waivers for a named applicant follow their saved profile and verified
+    // proofs, as in calculateFees; otherwise no proof counts as verified
+    let waiverOptions = { proofs: {} };
+
+    if (applicantId) {
+      const applicant = await User.findById(applicantId);
+
+      if (!applicant) {
+        return res.status(404).json({
+          success: false,
+          message: 'Applicant not found'
+        });
+      }
+
+      waiverOptions = {
+        proofs: applicant.getProofStatuses(),
+        waiverProfile: applicant.getEligibilityProfile()
+      };
+    }
+
+    const simulation = service.simulateEligibility(baseProfile, variations, waiverOptions);
+    
+    return res.status(200).json({
+      success: true,
+      service: {
+        id: service._id,
+        name: service.name.en,
+        shortName: service.shortName
+      },
+      data: simulation
+    });
+  } catch (error) {
+    console.error('Error in simulateEligibility:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error simulating eligibility',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * @desc    Calculate fees for a service based on user data
  * @route   POST /api/services/:id/calculate-fees
@@ -621,8 +802,16 @@ exports.calculateFees = async (req, res) => {
       });
     }
     
-    // Calculate fees
-    const feesResult = service.calculateFees(userData);
+    // Waivers follow the saved profile and are only final for proofs verified against it
+    const feesResult = service.calculateFees(userData, {
+      proofs: req.user.getProofStatuses(),
+      waiverProfile: req.user.getEligibilityProfile()
+    });
+
+    if (wantsSsml(req)) {
+      const language = req.query.language || 'en';
+      return sendSsml(res, ssml.renderFees(service, feesResult, language, getVoicePreferences(req)));
+    }
     
     // Return calculated fees
     return res.status(200).json({
@@ -679,8 +868,8 @@ exports.validateDocuments = async (req, res) => {
       });
     }
     
-    // Validate documents
-    const validationResult = service.validateDocuments(documents);
+    // Documents the citizen already keeps in their vault count too
+    const validationResult = service.validateDocuments(documents, { vault: req.user.documentVault });
     
     // Return validation result
     return res.status(200).json({
@@ -733,6 +922,18 @@ exports.getServiceStatus = async (req, res) => {
     
     // Get status template
     const statusTemplate = service.getStatusUpdateTemplate(statusCode, language);
+
+    if (wantsSsml(req)) {
+      if (!statusTemplate.valid) {
+        return res.status(400).json({
+          success: false,
+          message: statusTemplate.message,
+          availableStatuses: statusTemplate.availableStatuses
+        });
+      }
+
+      return sendSsml(res, ssml.renderStatus(statusTemplate, language, getVoicePreferences(req)));
+    }
     
     // Return status template
     return res.status(200).json({
@@ -0,0 +1,499 @@
+const Service = require('../models/Service');
+const Application = require('../models/Application');
+const VoiceSession = require('../models/VoiceSession');
+const VoiceInteraction = require('../models/VoiceInteraction');
+const mongoose = require('mongoose');
+const { resolveIntents } = require('../utils/voiceMatcher');
+const { startDialogue, handleTurn, getMessage } = require('../utils/voiceDialogue');
+
+// Two intents closer than this are ambiguous and need a follow-up question
+const CLARIFICATION_MARGIN = 0.1;
+
+/**
+ * Record a voice interaction without failing the request
+ * @param {Object} req - Express request object
+ * @param {Object} interaction - VoiceInteraction fields
+ */
+const recordInteraction = async (req, interaction) => {
+  try {
+    await VoiceInteraction.create({
+      user: req.user ? req.user.id : undefined,
+      client: { userAgent: req.get('user-agent') },
+      ...interaction
+    });
+  } catch (error) {
+    console.error('Error recording voice interaction:', error);
+  }
+};
+
+/**
+ * @desc    Resolve a spoken utterance to ranked service intents
+ * @route   POST /api/voice/resolve
+ * @access  Public
+ */
+exports.resolveIntent = async (req, res) => {
+  try {
+    const startedAt = Date.now();
+    const { transcript } = req.body;
+    const language = req.body.language || (req.user && req.user.language) || 'en';
+    const limit = parseInt(req.body.limit, 10) || 5;
+    const minConfidence = req.body.minConfidence !== undefined
+      ? Number(req.body.minConfidence)
+      : 0.3;
+
+    // Only active services with voice commands can be resolved
+    const services = await Service.find({
+      status: 'active',
+      'voiceCommands.0': { $exists: true }
+    }).select('name shortName category voiceCommands');
+
+    const intents = resolveIntents(transcript, language, services, { limit, minConfidence });
+
+    const topIntent = intents.length > 0 ? intents[0] : null;
+    const needsClarification = intents.length > 1 &&
+      intents[0].confidence - intents[1].confidence < CLARIFICATION_MARGIN;
+
+    let outcome = 'success';
+    if (!topIntent) {
+      outcome = 'noMatch';
+    } else if (needsClarification) {
+      outcome = 'clarification';
+    }
+
+    await recordInteraction(req, {
+      source: 'resolve',
+      transcript,
+      language,
+      intent: topIntent ? topIntent.shortName : undefined,
+      service: topIntent ? topIntent.serviceId : undefined,
+      confidence: topIntent ? topIntent.confidence : 0,
+      outcome,
+      latencyMs: Date.now() - startedAt
+    });
+
+    res.status(200).json({
+      success: true,
+      transcript,
+      language,
+      matched: topIntent !== null,
+      needsClarification,
+      topIntent,
+      count: intents.length,
+      data: intents
+    });
+  } catch (error) {
+    console.error('Error in resolveIntent:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resolving voice intent',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Find a voice session the current caller may use
+ * Sessions started by a logged in user are only usable by that user
+ *
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Session document or an error status and message
+ */
+const findSession = async (req) => {
+  const session = await VoiceSession.findOne({ sessionId: req.params.sessionId });
+
+  if (!session) {
+    return { status: 404, message: 'Voice session not found or expired' };
+  }
+
+  if (session.user && (!req.user || session.user.toString() !== req.user.id.toString())) {
+    return { status: 403, message: 'Access denied: This voice session belongs to another user' };
+  }
+
+  return { session };
+};
+
+/**
+ * Format a session for the response
+ * @param {Object} session - VoiceSession document
+ * @param {String} prompt - Prompt to speak
+ * @param {Boolean} done - Whether the dialogue has ended
+ * @returns {Object} Response data
+ */
+const formatSession = (session, prompt, done) => ({
+  sessionId: session.sessionId,
+  service: session.service,
+  language: session.language,
+  stage: session.stage,
+  done,
+  prompt,
+  pendingField: session.pendingField && session.pendingField.field ? session.pendingField.field : null,
+  profile: session.profile,
+  eligibility: session.eligibility,
+  fees: session.fees,
+  application: session.application,
+  expiresAt: session.expiresAt
+});
+
+/**
+ * @desc    Start a voice dialogue for a service
+ * @route   POST /api/voice/sessions
+ * @access  Public
+ */
+exports.startSession = async (req, res) => {
+  try {
+    const { serviceId, profile } = req.body;
+    const language = req.body.language || (req.user && req.user.language) || 'en';
+
+    let service;
+
+    // Find service by ID or shortName
+    if (mongoose.Types.ObjectId.isValid(serviceId)) {
+      service = await Service.findById(serviceId);
+    } else {
+      service = await Service.findOne({ shortName: String(serviceId).toLowerCase() });
+    }
+
+    // If service not found
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    // Check if service is active and voice enabled
+    if (service.status !== 'active' || (service.voiceInterface && service.voiceInterface.enabled === false)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Voice assistance is not available for this service'
+      });
+    }
+
+    const result = startDialogue(service, language, profile || {});
+
+    const session = new VoiceSession({
+      user: req.user ? req.user.id : undefined,
+      service: service._id,
+      language
+    });
+
+    session.applyState(result.state);
+    session.turns.push({ speaker: 'system', text: result.prompt });
+    await session.save();
+
+    res.status(201).json({
+      success: true,
+      data: formatSession(session, result.prompt, result.done)
+    });
+  } catch (error) {
+    console.error('Error in startSession:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error starting voice session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Send the caller's next utterance to a voice dialogue
+ * @route   POST /api/voice/sessions/:sessionId/turns
+ * @access  Public
+ */
+exports.handleSessionTurn = async (req, res) => {
+  try {
+    const startedAt = Date.now();
+    const { transcript } = req.body;
+    const { session, status, message } = await findSession(req);
+
+    if (!session) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const service = await Service.findById(session.service);
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    const previousState = session.getState();
+    const result = handleTurn(service, session.getState(), transcript);
+    let prompt = result.prompt;
+
+    // Caller confirmed: save the collected details as a draft application
+    if (result.action === 'createApplication') {
+      if (session.user) {
+        const application = await Application.create({
+          user: session.user,
+          service: service._id,
+          language: session.language,
+          applicantData: result.state.profile,
+          updatedBy: session.user
+        });
+
+        session.application = application._id;
+        prompt = `${prompt} ${getMessage(session.language, 'applicationSaved', { number: application.applicationNumber })}`;
+      } else {
+        prompt = `${prompt} ${getMessage(session.language, 'loginToSave')}`;
+      }
+
+      result.state.lastPrompt = prompt;
+    }
+
+    session.applyState(result.state);
+    session.turns.push({ speaker: 'caller', text: transcript });
+    session.turns.push({ speaker: 'system', text: prompt });
+    session.touch();
+    await session.save();
+
+    let outcome = result.understood === false ? 'failed' : 'success';
+    if (result.state.stage === 'cancelled' && previousState.stage !== 'confirmation') {
+      outcome = 'abandoned';
+    }
+
+    await recordInteraction(req, {
+      source: 'dialogue',
+      sessionId: session.sessionId,
+      transcript,
+      language: session.language,
+      intent: previousState.pendingField ? previousState.pendingField.field : previousState.stage,
+      service: service._id,
+      outcome,
+      latencyMs: Date.now() - startedAt
+    });
+
+    res.status(200).json({
+      success: true,
+      data: formatSession(session, prompt, result.done)
+    });
+  } catch (error) {
+    console.error('Error in handleSessionTurn:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error processing voice turn',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Get the current state of a voice dialogue
+ * @route   GET /api/voice/sessions/:sessionId
+ * @access  Public
+ */
+exports.getSession = async (req, res) => {
+  try {
+    const { session, status, message } = await findSession(req);
+
+    if (!session) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...formatSession(session, session.lastPrompt, session.isFinished),
+        turns: session.turns
+      }
+    });
+  } catch (error) {
+    console.error('Error in getSession:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving voice session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    End a voice dialogue
+ * @route   DELETE /api/voice/sessions/:sessionId
+ * @access  Public
+ */
+exports.endSession = async (req, res) => {
+  try {
+    const { session, status, message } = await findSession(req);
+
+    if (!session) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    await VoiceSession.deleteOne({ _id: session._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Voice session ended'
+    });
+  } catch (error) {
+    console.error('Error in endSession:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error ending voice session',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Log a voice interaction handled on the client
+ * @route   POST /api/voice/interactions
+ * @access  Public
+ */
+exports.logInteraction = async (req, res) => {
+  try {
+    const { transcript, intent, serviceId, confidence, outcome, latencyMs, sessionId, engine, device } = req.body;
+    const language = req.body.language || (req.user && req.user.language) || 'en';
+
+    let service;
+    if (serviceId) {
+      service = mongoose.Types.ObjectId.isValid(serviceId)
+        ? await Service.findById(serviceId).select('_id shortName')
+        : await Service.findOne({ shortName: String(serviceId).toLowerCase() }).select('_id shortName');
+    }
+
+    const interaction = await VoiceInteraction.create({
+      user: req.user ? req.user.id : undefined,
+      source: 'client',
+      sessionId,
+      transcript,
+      language,
+      intent: intent || (service ? service.shortName : undefined),
+      service: service ? service._id : undefined,
+      confidence,
+      outcome,
+      latencyMs,
+      client: {
+        engine,
+        device,
+        userAgent: req.get('user-agent')
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Voice interaction logged successfully',
+      data: interaction
+    });
+  } catch (error) {
+    console.error('Error in logInteraction:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging voice interaction',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Query voice interactions
+ *          Users see their own interactions, admins see everyone's
+ * @route   GET /api/voice/interactions
+ * @access  Private
+ */
+exports.getInteractions = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const isAdmin = ['admin', 'superAdmin'].includes(req.user.role);
+
+    const query = {};
+
+    if (!isAdmin) {
+      query.user = req.user.id;
+    } else if (req.query.user) {
+      query.user = req.query.user;
+    }
+
+    ['language', 'outcome', 'source', 'intent', 'sessionId'].forEach(field => {
+      if (req.query[field]) {
+        query[field] = req.query[field];
+      }
+    });
+
+    if (req.query.service) {
+      query.service = req.query.service;
+    }
+
+    if (req.query.maxConfidence) {
+      query.confidence = { $lte: Number(req.query.maxConfidence) };
+    }
+
+    if (req.query.from || req.query.to) {
+      query.createdAt = {};
+      if (req.query.from) query.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) query.createdAt.$lte = new Date(req.query.to);
+    }
+
+    const total = await VoiceInteraction.countDocuments(query);
+
+    const interactions = await VoiceInteraction.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('service', 'name shortName category');
+
+    const pagination = {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+      hasMore: page < Math.ceil(total / limit)
+    };
+
+    res.status(200).json({
+      success: true,
+      count: interactions.length,
+      pagination,
+      data: interactions
+    });
+  } catch (error) {
+    console.error('Error in getInteractions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrieving voice interactions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @desc    Report failed intents per language
+ * @route   GET /api/voice/interactions/report/failed
+ * @access  Private (Admin)
+ */
+exports.getFailedIntentReport = async (req, res) => {
+  try {
+    const report = await VoiceInteraction.getFailedIntentReport({
+      from: req.query.from,
+      to: req.query.to,
+      language: req.query.language,
+      topTranscripts: parseInt(req.query.top, 10) || 10
+    });
+
+    res.status(200).json({
+      success: true,
+      count: report.length,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error in getFailedIntentReport:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating failed intent report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
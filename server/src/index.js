@@ -8,12 +8,14 @@ const path = require('path');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const crypto = require('crypto');
+const hpp = require('hpp');
 
 // Load environment variables
 require('dotenv').config();
 
 // Import database connection
 const { connectDB, closeConnection } = require('./config/database');
+const { sanitizeRequest } = require('./middleware/sanitize');
 const app = express();
 const PORT = process.env.PORT || 5000;
 // Connect to MongoDB
@@ -27,6 +29,10 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser(process.env.COOKIE_SECRET || 'swarseva-secret'));
 
+// Input sanitization, once the body is parsed
+app.use(sanitizeRequest); // Prevent XSS attacks and NoSQL injection
+app.use(hpp()); // Prevent HTTP Parameter Pollution
+
 // Security middleware
 app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:3000',
@@ -78,7 +84,9 @@ app.use(morgan('dev'));
 app.use('/api/auth', require('./routes/auth'));
 // app.use('/api/users', require('./routes/users'));
 // app.use('/api/services', require('./routes/services'));
-// app.use('/api/voice', require('./routes/voice'));
+app.use('/api/voice', require('./routes/voice'));
+// Versioned API routers
+require('./routes').mountApiRoutes(app);
 app.get('/api/health', (req, res) => {
   const healthData = {
     uptime: process.uptime(),
@@ -148,7 +156,7 @@ app.use((err, req, res, next) => {
 });
 
 // Handle 404 routes
-app.use('*', (req, res) => {
+app.use((req, res) => {
   res.status(404).json({
     success: false,
     message: 'API endpoint not found'
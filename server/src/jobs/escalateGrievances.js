@@ -0,0 +1,91 @@
+/**
+ * Grievance SLA job
+ * Escalates pending grievances whose SLA has run out and closes resolved
+ * grievances the citizen has not confirmed or reopened in time. Meant to run
+ * on a schedule, e.g. hourly from cron.
+ *
+ *   node src/jobs/escalateGrievances.js [--seed-reviews] [--limit=5]
+ *
+ * --seed-reviews also files grievances for critical reviews that do not have one yet.
+ */
+
+require('dotenv').config();
+
+const { connectDB, closeConnection } = require('../config/database');
+require('../models/User');
+require('../models/Service');
+require('../models/Review');
+const Grievance = require('../models/Grievance');
+
+/**
+ * Read job options from command line arguments
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} Job options
+ */
+const parseArgs = (args) => {
+  const options = {};
+
+  args.forEach(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+
+    switch (key) {
+    case 'seed-reviews':
+      options.seedReviews = true;
+      break;
+    case 'limit':
+      options.limit = Number(value);
+      break;
+    default:
+      throw new Error(`Unknown option '${arg}'`);
+    }
+  });
+
+  return options;
+};
+
+/**
+ * Run the job
+ * @param {Object} options - Job options
+ * @param {Boolean} [options.seedReviews] - Also file grievances for critical reviews
+ * @param {Number} [options.limit] - Critical reviews considered per service
+ * @returns {Promise<Object>} Job statistics
+ */
+const run = async (options = {}) => {
+  const stats = {};
+
+  if (options.seedReviews) {
+    const seeded = await Grievance.seedFromCriticalReviews({ limit: options.limit });
+    stats.seeded = seeded.created;
+    console.log(`Critical reviews: ${seeded.created} grievances filed, ${seeded.skipped} already filed`);
+  }
+
+  const escalation = await Grievance.escalateOverdue();
+  const closure = await Grievance.closeUnconfirmed();
+
+  Object.assign(stats, escalation, { closed: closure.closed, failed: escalation.failed + closure.failed });
+  console.log(
+    `Grievance SLAs: ${stats.escalated} escalated, ${stats.breached} breached the final level, ` +
+    `${stats.closed} closed automatically, ${stats.failed} failed`
+  );
+  return stats;
+};
+
+if (require.main === module) {
+  (async () => {
+    let exitCode = 0;
+
+    try {
+      const options = parseArgs(process.argv.slice(2));
+      await connectDB();
+      await run(options);
+    } catch (error) {
+      console.error('Grievance escalation failed:', error.message);
+      exitCode = 1;
+    }
+
+    await closeConnection();
+    process.exit(exitCode);
+  })();
+}
+
+module.exports = { run };
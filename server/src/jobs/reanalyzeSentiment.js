@@ -0,0 +1,83 @@
+/**
+ * Batch sentiment re-analysis job
+ * Re-analyzes approved reviews with the configured sentiment analyzer, e.g.
+ * after its word lists change or a new analyzer is registered. Reviews already
+ * analyzed by the current analyzer version are skipped unless --all is given.
+ *
+ *   node src/jobs/reanalyzeSentiment.js [--all] [--service=<id>] [--language=hi]
+ *                                      [--since=2025-01-01] [--batch-size=200]
+ */
+
+require('dotenv').config();
+
+const { connectDB, closeConnection } = require('../config/database');
+const Review = require('../models/Review');
+
+/**
+ * Read job options from command line arguments
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} Options for Review.reanalyzeSentiment
+ */
+const parseArgs = (args) => {
+  const options = {};
+
+  args.forEach(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+
+    switch (key) {
+    case 'all':
+      options.all = true;
+      break;
+    case 'service':
+      options.service = value;
+      break;
+    case 'language':
+      options.language = value;
+      break;
+    case 'since':
+      options.since = new Date(value);
+      break;
+    case 'batch-size':
+      options.batchSize = Number(value);
+      break;
+    default:
+      throw new Error(`Unknown option '${arg}'`);
+    }
+  });
+
+  return options;
+};
+
+/**
+ * Run the job
+ * @param {Object} options - Options for Review.reanalyzeSentiment
+ * @returns {Promise<Object>} Job statistics
+ */
+const run = async (options = {}) => {
+  const stats = await Review.reanalyzeSentiment(options);
+  console.log(
+    `Sentiment re-analysis with ${stats.analyzer}: ${stats.processed} reviews processed, ` +
+    `${stats.updated} updated, ${stats.skipped} without text, ${stats.failed} failed`
+  );
+  return stats;
+};
+
+if (require.main === module) {
+  (async () => {
+    let exitCode = 0;
+
+    try {
+      const options = parseArgs(process.argv.slice(2));
+      await connectDB();
+      await run(options);
+    } catch (error) {
+      console.error('Sentiment re-analysis failed:', error.message);
+      exitCode = 1;
+    }
+
+    await closeConnection();
+    process.exit(exitCode);
+  })();
+}
+
+module.exports = { run };
@@ -266,71 +266,6 @@ exports.optionalAuth = async (req, res, next) => {
   }
 };
 
-/**
- * Middleware to refresh JWT token
- * Extends user session if token is close to expiry
- * 
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next middleware function
- */
-exports.refreshToken = async (req, res, next) => {
-  try {
-    // Get token from request
-    const token = getTokenFromRequest(req);
-
-    // If no token, skip token refresh
-    if (!token) {
-      return next();
-    }
-
-    // Verify the token
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Check token expiration (refresh if less than 30 minutes remain)
-      const expirationTime = decoded.exp * 1000; // Convert to milliseconds
-      const currentTime = Date.now();
-      const timeToExpire = expirationTime - currentTime;
-      const refreshThreshold = 30 * 60 * 1000; // 30 minutes in milliseconds
-
-      // If token is close to expiry, issue a new one
-      if (timeToExpire < refreshThreshold) {
-        const user = await User.findById(decoded.id).select('-password');
-        
-        if (user && user.status === 'active') {
-          // Generate new token
-          const newToken = user.getSignedJwtToken();
-          
-          // Set token in response header
-          res.setHeader('X-New-Token', newToken);
-          
-          // Set token in cookie if cookies are used
-          if (req.cookies && req.cookies.jwt) {
-            const cookieOptions = {
-              expires: new Date(Date.now() + process.env.JWT_COOKIE_EXPIRE * 24 * 60 * 60 * 1000),
-              httpOnly: true,
-              secure: process.env.NODE_ENV === 'production',
-              sameSite: 'strict'
-            };
-            
-            res.cookie('jwt', newToken, cookieOptions);
-          }
-        }
-      }
-
-      // Continue to next middleware
-      next();
-    } catch (error) {
-      // Continue to next middleware even if token is invalid
-      next();
-    }
-  } catch (error) {
-    // Continue to next middleware even if there's an error
-    next();
-  }
-};
-
 /**
  * Middleware to check for active session
  * Ensures user has an active session
@@ -495,10 +430,10 @@ exports.handleMultipleDeviceSessions = async (userId, deviceId, maxSessions = 5)
  * Utility function for generating tokens outside of the User model
  * 
  * @param {Object} payload - Data to encode in the token
- * @param {String} expiresIn - Token expiration time (e.g., '30d', '1h')
+ * @param {String} expiresIn - Token expiration time (e.g., '15m', '1h')
  * @returns {String} - Signed JWT token
  */
-exports.createToken = (payload, expiresIn = process.env.JWT_EXPIRE || '30d') => {
+exports.createToken = (payload, expiresIn = process.env.JWT_EXPIRE || '15m') => {
   return jwt.sign(payload, process.env.JWT_SECRET, {
     expiresIn
   });
@@ -15,7 +15,6 @@ const authentication = {
   // Core authentication middleware
   protect: auth.protect,
   optionalAuth: auth.optionalAuth,
-  refreshToken: auth.refreshToken,
   checkActiveSession: auth.checkActiveSession,
   
   // Rate limiters
@@ -121,11 +120,6 @@ const applyMiddleware = (options = {}) => {
     middlewareStack.push(authentication.optionalAuth);
   }
   
-  // Add token refresh if specified
-  if (options.refreshToken) {
-    middlewareStack.push(authentication.refreshToken);
-  }
-  
   // Add role-based authorization if specified
   if (options.role) {
     if (options.role === 'admin') {
@@ -173,7 +167,7 @@ const applyMiddleware = (options = {}) => {
  * 
  * Example 4: Public route with optional auth
  * router.get('/services',
- *   applyMiddleware({ auth: 'optional', refreshToken: true }),
+ *   applyMiddleware({ auth: 'optional' }),
  *   serviceController.getAllServices
  * );
  */
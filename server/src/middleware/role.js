@@ -5,10 +5,14 @@
 
 // Define role hierarchy and permissions
 // Higher number means higher privileges
+// Specialist roles sit at citizen level so they never pass officer checks;
+// their own routes (review moderation, appeals) check for the role itself
+// with authorize()
 const ROLE_HIERARCHY = {
   user: 1,
+  moderator: 1,
+  appellateAuthority: 1,
   serviceProvider: 2,
-  moderator: 3,
   admin: 4,
   superAdmin: 5
 };
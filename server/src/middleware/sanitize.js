@@ -0,0 +1,34 @@
+const { clean: cleanXss } = require('xss-clean/lib/xss');
+const { sanitize: stripMongoOperators } = require('express-mongo-sanitize');
+
+/**
+ * Clean one part of the request: escape HTML and drop keys starting with $ or containing .
+ * @param {Object} value - Parsed body, query or params
+ * @returns {Object} Cleaned value
+ */
+const cleanValue = (value) => stripMongoOperators(cleanXss(value));
+
+/**
+ * Middleware to protect against XSS and NoSQL injection
+ * Does the work of the xss-clean and express-mongo-sanitize middleware,
+ * which both assign req.query and fail on Express 5, where it is a getter.
+ * Must run after the body parsers.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.sanitizeRequest = (req, res, next) => {
+  if (req.body) req.body = cleanValue(req.body);
+  if (req.params) req.params = cleanValue(req.params);
+
+  // Replace the getter with the cleaned value so later middleware sees it
+  Object.defineProperty(req, 'query', {
+    value: cleanValue(req.query),
+    writable: true,
+    configurable: true,
+    enumerable: true
+  });
+
+  next();
+};
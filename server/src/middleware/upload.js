@@ -0,0 +1,57 @@
+const express = require('express');
+const { parseMultipart } = require('../utils/multipart');
+
+// Largest upload accepted before any per-requirement limit is applied
+const DEFAULT_MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_BYTES, 10) || 5 * 1024 * 1024;
+
+/**
+ * Middleware to accept a multipart/form-data upload
+ * Text fields are placed on req.body (so express-validator can check them)
+ * and files on req.files as { fieldName, filename, declaredType, data, size }
+ *
+ * @param {Object} [options] - Upload limits
+ * @param {Number} [options.maxBytes] - Maximum request body size in bytes
+ * @param {Number} [options.maxFiles=1] - Maximum number of files
+ * @returns {Function} Express middleware
+ */
+exports.multipartUpload = ({ maxBytes = DEFAULT_MAX_UPLOAD_BYTES, maxFiles = 1 } = {}) => {
+  const rawParser = express.raw({ type: 'multipart/form-data', limit: maxBytes });
+
+  return (req, res, next) => {
+    if (!req.is('multipart/form-data')) {
+      return res.status(415).json({
+        success: false,
+        message: 'Uploads must be sent as multipart/form-data'
+      });
+    }
+
+    rawParser(req, res, (error) => {
+      if (error) {
+        const tooLarge = error.type === 'entity.too.large';
+        return res.status(tooLarge ? 413 : 400).json({
+          success: false,
+          message: tooLarge
+            ? `Upload exceeds the maximum size of ${Math.floor(maxBytes / 1024)}KB`
+            : 'Could not read the upload'
+        });
+      }
+
+      try {
+        const { fields, files } = parseMultipart(req.body, req.get('content-type'), { maxFiles });
+        req.body = fields;
+        req.files = files;
+        next();
+      } catch (parseError) {
+        if (parseError.name === 'MultipartError') {
+          return res.status(400).json({
+            success: false,
+            message: parseError.message
+          });
+        }
+        next(parseError);
+      }
+    });
+  };
+};
+
+exports.DEFAULT_MAX_UPLOAD_BYTES = DEFAULT_MAX_UPLOAD_BYTES;
@@ -39,8 +39,10 @@ exports.validateRequest = (req, res, next) => {
 const formatValidationErrors = (errors) => {
   return errors.map(error => {
     // Format the error based on its type
+    // express-validator 7 reports the field as path; older versions as param
+    const param = error.path || error.param || '';
     const formattedError = {
-      param: error.param,
+      param,
       location: error.location || 'body',
       message: error.msg
     };
@@ -51,8 +53,8 @@ const formatValidationErrors = (errors) => {
     }
     
     // Handle nested parameter errors (e.g., user.name)
-    if (error.param.includes('.')) {
-      const paramParts = error.param.split('.');
+    if (param.includes('.')) {
+      const paramParts = param.split('.');
       formattedError.object = paramParts[0];
       formattedError.field = paramParts.slice(1).join('.');
     }
@@ -0,0 +1,393 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { storeUpload, removeStoredFile } = require('../utils/documentUpload');
+const { normalizeNumber } = require('../utils/documentRules');
+
+/**
+ * Appeal statuses
+ * filed: waiting for an appellate authority
+ * underReview: taken up by an appellate authority
+ * allowed: the application is reopened for a fresh review
+ * dismissed: the rejection is final
+ */
+const APPEAL_STATUSES = ['filed', 'underReview', 'allowed', 'dismissed', 'withdrawn'];
+
+/**
+ * Allowed status transitions
+ * Keys are the current status, values the statuses it may move to.
+ * allowed, dismissed and withdrawn are terminal.
+ */
+const STATUS_TRANSITIONS = {
+  filed: ['underReview', 'allowed', 'dismissed', 'withdrawn'],
+  underReview: ['allowed', 'dismissed', 'withdrawn'],
+  allowed: [],
+  dismissed: [],
+  withdrawn: []
+};
+
+// Statuses in which the appeal is still waiting for a decision
+const PENDING_STATUSES = ['filed', 'underReview'];
+
+// Decisions an appellate authority can make
+const OUTCOMES = ['allowed', 'dismissed'];
+
+// Most documents one appeal may carry
+const MAX_DOCUMENTS = 10;
+
+/**
+ * Generate an appeal number such as APL20250101A1B2C3
+ * @returns {String} Appeal number
+ */
+const generateAppealNumber = () => {
+  const datePart = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const randomPart = crypto.randomBytes(3).toString('hex');
+  return `APL${datePart}${randomPart}`.toUpperCase();
+};
+
+/**
+ * Appeal Schema
+ * A citizen's appeal against the rejection of an application, decided by
+ * an appellate authority other than the officer who rejected it
+ */
+const AppealSchema = new mongoose.Schema({
+  // Human readable reference shared with the citizen
+  appealNumber: {
+    type: String,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: [true, 'Application reference is required']
+  },
+
+  // Citizen who owns the application
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [true, 'Service reference is required']
+  },
+
+  // The rejection being appealed, copied from the application's status history
+  rejection: {
+    rejectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rejectedAt: {
+      type: Date,
+      required: true
+    },
+    reason: String
+  },
+
+  // Why the citizen disagrees with the rejection
+  grounds: {
+    type: String,
+    required: [true, 'Grounds for the appeal are required'],
+    trim: true,
+    maxlength: [2000, 'Grounds cannot exceed 2000 characters']
+  },
+
+  language: {
+    type: String,
+    enum: {
+      values: ['en', 'hi', 'mr', 'gu', 'pa', 'ta', 'te', 'kn', 'bn', 'ml', 'or', 'as'],
+      message: 'Please select a supported language'
+    },
+    default: 'en'
+  },
+
+  status: {
+    type: String,
+    enum: {
+      values: APPEAL_STATUSES,
+      message: 'Invalid appeal status'
+    },
+    default: 'filed'
+  },
+
+  // New documents supporting the appeal; copied onto the application if it is allowed
+  documents: [{
+    type: {
+      type: String,
+      required: true
+    },
+    file: String,
+    documentNumber: {
+      type: String,
+      set: (value) => (value ? normalizeNumber(value) : value)
+    },
+    issuedAt: Date,
+    expiresAt: Date,
+    storage: String,
+    storageKey: String,
+    mimeType: String,
+    sizeBytes: Number,
+    checksum: String,
+    inspection: {
+      width: Number,
+      height: Number,
+      signed: Boolean
+    },
+    scan: {
+      status: {
+        type: String,
+        enum: ['clean', 'infected', 'error', 'unscanned']
+      },
+      engines: [String],
+      scannedAt: Date
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Appellate authority handling the appeal
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  decision: {
+    outcome: {
+      type: String,
+      enum: OUTCOMES
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [800, 'Decision reason cannot exceed 800 characters']
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date
+  },
+
+  // Audit trail of every status change
+  statusHistory: [{
+    from: {
+      type: String,
+      enum: APPEAL_STATUSES
+    },
+    to: {
+      type: String,
+      enum: APPEAL_STATUSES,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedByRole: String,
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Reason cannot exceed 1000 characters']
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for citizen dashboards and the appellate queue
+AppealSchema.index({ user: 1, createdAt: -1 });
+AppealSchema.index({ application: 1, createdAt: -1 });
+AppealSchema.index({ status: 1, createdAt: 1 });
+AppealSchema.index({ assignedTo: 1, status: 1 });
+
+// Virtual to check whether the appeal still waits for a decision
+AppealSchema.virtual('isPending').get(function() {
+  return PENDING_STATUSES.includes(this.status);
+});
+
+// Generate appeal number for new appeals
+AppealSchema.pre('save', function(next) {
+  if (!this.appealNumber) {
+    this.appealNumber = generateAppealNumber();
+  }
+
+  next();
+});
+
+/**
+ * Check whether the given user filed this appeal
+ * @param {Object} user - User object (typically req.user)
+ * @returns {Boolean} True if the user owns the appeal
+ */
+AppealSchema.methods.isOwnedBy = function(user) {
+  if (!user) return false;
+  const ownerId = this.user && this.user._id ? this.user._id : this.user;
+  return ownerId.toString() === user.id.toString();
+};
+
+/**
+ * Check whether the given user rejected the application under appeal
+ * @param {Object} user - User object (typically req.user)
+ * @returns {Boolean} True for the original reviewer
+ */
+AppealSchema.methods.isRejectedBy = function(user) {
+  if (!user || !this.rejection || !this.rejection.rejectedBy) return false;
+  return this.rejection.rejectedBy.toString() === user.id.toString();
+};
+
+/**
+ * Move the appeal to a new status
+ * @param {String} newStatus - Target status
+ * @param {Object} options - Transition details
+ * @param {Object} [options.actor] - User making the change (typically req.user)
+ * @param {String} [options.reason] - Why the status was changed
+ * @returns {Object} The status history entry that was added
+ */
+AppealSchema.methods.transitionTo = function(newStatus, options = {}) {
+  const { actor, reason } = options;
+  const allowed = STATUS_TRANSITIONS[this.status] || [];
+
+  if (!allowed.includes(newStatus)) {
+    const error = new Error(`Cannot change appeal status from '${this.status}' to '${newStatus}'`);
+    error.name = 'InvalidTransitionError';
+    error.allowedTransitions = allowed;
+    throw error;
+  }
+
+  this.statusHistory.push({
+    from: this.status,
+    to: newStatus,
+    changedBy: actor ? actor.id : undefined,
+    changedByRole: actor ? actor.role : undefined,
+    reason,
+    changedAt: new Date()
+  });
+  this.status = newStatus;
+
+  return this.statusHistory[this.statusHistory.length - 1];
+};
+
+/**
+ * Store an uploaded file as a document supporting the appeal
+ * Files for one of the service's requirements are checked against it like
+ * application uploads; other document types are accepted as evidence. A new
+ * upload replaces any earlier appeal document of the same type.
+ *
+ * @param {Object} service - Service document the application belongs to
+ * @param {Object} details - { documentType, documentNumber, issuedAt, expiresAt }
+ * @param {Object} file - Uploaded file { filename, data, size }
+ * @returns {Promise<Object>} { accepted, reason, document }
+ */
+AppealSchema.methods.attachDocument = async function(service, details, file) {
+  const { documentType, documentNumber, issuedAt, expiresAt } = details;
+  const previous = this.documents.filter(doc => doc.type === documentType);
+
+  if (previous.length === 0 && this.documents.length >= MAX_DOCUMENTS) {
+    return { accepted: false, reason: `An appeal can carry at most ${MAX_DOCUMENTS} documents` };
+  }
+
+  const upload = await storeUpload(file, {
+    keyPrefix: `appeals/${this._id}/${documentType}`,
+    check: (detected) => {
+      const { requirement, problem } = service.checkDocument(documentType, {
+        ...detected,
+        documentNumber,
+        issuedAt,
+        expiresAt
+      });
+      return requirement ? problem : null;
+    }
+  });
+
+  if (!upload.accepted) {
+    return upload;
+  }
+
+  this.documents = this.documents.filter(doc => doc.type !== documentType);
+  this.documents.push({
+    type: documentType,
+    documentNumber,
+    issuedAt,
+    expiresAt,
+    ...upload.stored
+  });
+
+  await this.save();
+
+  await Promise.all(previous
+    .filter(doc => doc.storageKey !== upload.stored.storageKey)
+    .map(removeStoredFile));
+
+  return { accepted: true, document: this.documents[this.documents.length - 1] };
+};
+
+/**
+ * Record the appellate authority's decision
+ * @param {String} outcome - allowed or dismissed
+ * @param {Object} options
+ * @param {String} options.reason - Reasoned order shown to the citizen
+ * @param {Object} options.actor - Appellate authority deciding the appeal
+ * @returns {Object} The status history entry that was added
+ */
+AppealSchema.methods.decide = function(outcome, { reason, actor }) {
+  const entry = this.transitionTo(outcome, { actor, reason });
+
+  this.decision = {
+    outcome,
+    reason,
+    decidedBy: actor.id,
+    decidedAt: entry.changedAt
+  };
+
+  if (!this.assignedTo) {
+    this.assignedTo = actor.id;
+  }
+
+  return entry;
+};
+
+/**
+ * Get a citizen facing summary of the appeal
+ * @returns {Object} Summary
+ */
+AppealSchema.methods.getSummary = function() {
+  return {
+    id: this._id,
+    appealNumber: this.appealNumber,
+    application: this.application,
+    service: this.service,
+    status: this.status,
+    documentCount: this.documents.length,
+    decision: this.decision && this.decision.outcome ? {
+      outcome: this.decision.outcome,
+      reason: this.decision.reason,
+      decidedAt: this.decision.decidedAt
+    } : undefined,
+    createdAt: this.createdAt
+  };
+};
+
+// Expose constants for validators and other modules
+AppealSchema.statics.STATUSES = APPEAL_STATUSES;
+AppealSchema.statics.PENDING_STATUSES = PENDING_STATUSES;
+AppealSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+AppealSchema.statics.OUTCOMES = OUTCOMES;
+
+// Create the Appeal model
+const Appeal = mongoose.model('Appeal', AppealSchema);
+
+module.exports = Appeal;
@@ -0,0 +1,753 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { storeUpload, removeStoredFile } = require('../utils/documentUpload');
+const { normalizeNumber } = require('../utils/documentRules');
+
+/**
+ * Application statuses
+ * draft and withdrawn are citizen-side states, the rest mirror the
+ * status templates defined in Service.getStatusUpdateTemplate
+ */
+const APPLICATION_STATUSES = [
+  'draft', 'pending', 'reviewing', 'documentRequired', 'processing',
+  'approved', 'rejected', 'completed', 'hold', 'withdrawn'
+];
+
+/**
+ * Allowed status transitions
+ * Keys are the current status, values the statuses it may move to.
+ * rejected, completed and withdrawn are terminal. An application on hold
+ * may also return to the status it was held from (see getAllowedTransitions),
+ * so a hold never skips review or approval.
+ */
+const STATUS_TRANSITIONS = {
+  draft: ['pending', 'withdrawn'],
+  pending: ['reviewing', 'hold', 'rejected', 'withdrawn'],
+  reviewing: ['documentRequired', 'approved', 'rejected', 'hold', 'withdrawn'],
+  documentRequired: ['reviewing', 'rejected', 'hold', 'withdrawn'],
+  hold: ['reviewing', 'rejected', 'withdrawn'],
+  approved: ['processing', 'completed'],
+  processing: ['completed', 'hold'],
+  rejected: [],
+  completed: [],
+  withdrawn: []
+};
+
+// Transitions only an allowed appeal may make; rejection is otherwise terminal
+const APPEAL_TRANSITIONS = {
+  rejected: ['reviewing']
+};
+
+// Statuses that may only be entered through the citizen's own actions
+const CITIZEN_STATUSES = ['pending', 'withdrawn'];
+
+// Transitions into these statuses must record a reason for the citizen
+const REASON_REQUIRED_STATUSES = ['documentRequired', 'hold', 'rejected'];
+
+// Statuses in which the citizen may still withdraw the application
+const WITHDRAWABLE_STATUSES = Object.keys(STATUS_TRANSITIONS)
+  .filter(status => STATUS_TRANSITIONS[status].includes('withdrawn'));
+
+// Statuses that count as "in progress" for officers and service metrics
+const ACTIVE_STATUSES = ['pending', 'reviewing', 'documentRequired', 'processing', 'hold'];
+
+// Statuses in which the citizen can upload documents
+const UPLOAD_STATUSES = ['draft', 'documentRequired'];
+
+/**
+ * Build an application document that references a vault item
+ * @param {Object} vaultDocument - Item from the applicant's document vault
+ * @returns {Object} Application document
+ */
+const vaultDocumentEntry = (vaultDocument) => ({
+  type: vaultDocument.documentType,
+  file: vaultDocument.file,
+  sizeKB: Math.ceil(vaultDocument.sizeBytes / 1024),
+  documentNumber: vaultDocument.documentNumber,
+  issuedAt: vaultDocument.issuedAt,
+  expiresAt: vaultDocument.expiresAt,
+  storage: vaultDocument.storage,
+  storageKey: vaultDocument.storageKey,
+  mimeType: vaultDocument.mimeType,
+  sizeBytes: vaultDocument.sizeBytes,
+  checksum: vaultDocument.checksum,
+  inspection: vaultDocument.inspection,
+  scan: vaultDocument.scan,
+  vaultDocument: vaultDocument._id
+});
+
+/**
+ * Application Schema
+ * Tracks a single citizen application against a Service from draft to closure
+ */
+const ApplicationSchema = new mongoose.Schema({
+  // Human readable reference shared with the citizen
+  applicationNumber: {
+    type: String,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+
+  // Citizen who owns the application
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+
+  // Service being applied for
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [true, 'Service reference is required']
+  },
+
+  status: {
+    type: String,
+    enum: {
+      values: APPLICATION_STATUSES,
+      message: 'Invalid application status'
+    },
+    default: 'draft'
+  },
+
+  // Language the citizen is interacting in
+  language: {
+    type: String,
+    enum: {
+      values: ['en', 'hi', 'mr', 'gu', 'pa', 'ta', 'te', 'kn', 'bn', 'ml', 'or', 'as'],
+      message: 'Please select a supported language'
+    },
+    default: 'en'
+  },
+
+  // Profile data used for eligibility and fee calculation
+  // (dateOfBirth, income, gender, address, category, ...)
+  applicantData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Service specific form fields
+  formData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Documents attached to the application
+  documents: [{
+    type: {
+      type: String,
+      required: true
+    },
+    file: String,
+    sizeKB: Number,
+    // Details checked by the requirement's validation rule
+    documentNumber: {
+      type: String,
+      set: (value) => (value ? normalizeNumber(value) : value)
+    },
+    issuedAt: Date,
+    expiresAt: Date,
+    // Set for files uploaded to the server; type and size are measured, not declared
+    storage: String,
+    storageKey: String,
+    mimeType: String,
+    sizeBytes: Number,
+    checksum: String,
+    // Image dimensions or PDF signature presence, read from the file
+    inspection: {
+      width: Number,
+      height: Number,
+      signed: Boolean
+    },
+    scan: {
+      status: {
+        type: String,
+        enum: ['clean', 'infected', 'error', 'unscanned']
+      },
+      engines: [String],
+      scannedAt: Date
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Vault item the file was taken from, if any
+    vaultDocument: mongoose.Schema.Types.ObjectId,
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Results captured when the application was submitted
+  eligibilitySnapshot: mongoose.Schema.Types.Mixed,
+  feeSnapshot: mongoose.Schema.Types.Mixed,
+
+  // Audit trail of every status change
+  statusHistory: [{
+    from: {
+      type: String,
+      enum: APPLICATION_STATUSES
+    },
+    to: {
+      type: String,
+      enum: APPLICATION_STATUSES,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedByRole: String,
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Reason cannot exceed 1000 characters']
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Citizen facing message generated from the service status template
+    notification: {
+      title: String,
+      message: String,
+      nextSteps: String,
+      estimatedTime: String,
+      language: String
+    },
+    // Allowed appeal that made this change
+    appeal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appeal'
+    }
+  }],
+
+  // Officer handling the application
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Latest officer remarks visible to the citizen
+  remarks: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Remarks cannot exceed 1000 characters']
+  },
+
+  // Lifecycle timestamps
+  submittedAt: Date,
+  decidedAt: Date,
+  completedAt: Date,
+  withdrawnAt: Date,
+  // Set when an appeal against the rejection is dismissed; the rejection is then final
+  finalizedAt: Date,
+  finalizedByAppeal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appeal'
+  },
+  withdrawalReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Withdrawal reason cannot exceed 500 characters']
+  },
+
+  // Tracking information
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for citizen dashboards and officer queues
+ApplicationSchema.index({ user: 1, createdAt: -1 });
+ApplicationSchema.index({ service: 1, status: 1 });
+ApplicationSchema.index({ status: 1, submittedAt: 1 });
+ApplicationSchema.index({ assignedTo: 1, status: 1 });
+ApplicationSchema.index({ 'statusHistory.changedBy': 1 });
+
+// Virtual to check whether the citizen can still edit the application
+ApplicationSchema.virtual('isEditable').get(function() {
+  return this.status === 'draft';
+});
+
+// Virtual to check whether the citizen can upload documents
+ApplicationSchema.virtual('acceptsUploads').get(function() {
+  return UPLOAD_STATUSES.includes(this.status);
+});
+
+// Virtual to check whether the application is still being worked on
+ApplicationSchema.virtual('isActive').get(function() {
+  return ACTIVE_STATUSES.includes(this.status);
+});
+
+// Generate application number for new applications
+ApplicationSchema.pre('save', function(next) {
+  if (!this.applicationNumber) {
+    const datePart = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const randomPart = crypto.randomBytes(3).toString('hex');
+    this.applicationNumber = `SS${datePart}${randomPart}`.toUpperCase();
+  }
+
+  next();
+});
+
+/**
+ * Check whether the given user owns this application
+ * @param {Object} user - User object (typically req.user)
+ * @returns {Boolean} True if the user created the application
+ */
+ApplicationSchema.methods.isOwnedBy = function(user) {
+  if (!user) return false;
+  const ownerId = this.user && this.user._id ? this.user._id : this.user;
+  return ownerId.toString() === user.id.toString();
+};
+
+/**
+ * Check whether the application may move to the given status
+ * @param {String} newStatus - Target status
+ * @returns {Boolean} True if the transition is allowed
+ */
+ApplicationSchema.methods.canTransitionTo = function(newStatus) {
+  return this.getAllowedTransitions().includes(newStatus);
+};
+
+/**
+ * Get the status the application was put on hold from
+ * @returns {String|undefined} Previous status, or undefined when not on hold
+ */
+ApplicationSchema.methods.getHeldFromStatus = function() {
+  if (this.status !== 'hold') return undefined;
+
+  const entry = [...this.statusHistory].reverse().find(item => item.to === 'hold');
+  return entry ? entry.from : undefined;
+};
+
+/**
+ * Get the statuses the application may move to next
+ * @returns {Array} Allowed target statuses
+ */
+ApplicationSchema.methods.getAllowedTransitions = function() {
+  const allowed = STATUS_TRANSITIONS[this.status] || [];
+  const heldFrom = this.getHeldFromStatus();
+
+  // Citizen statuses are left out: an application held while pending resumes at reviewing
+  if (heldFrom && !CITIZEN_STATUSES.includes(heldFrom) && !allowed.includes(heldFrom)) {
+    return [...allowed, heldFrom];
+  }
+
+  return allowed;
+};
+
+/**
+ * Move the application to a new status
+ * Rejects transitions that are not part of the status graph and records
+ * who made the change, when and why, along with the citizen facing message.
+ *
+ * @param {String} newStatus - Target status
+ * @param {Object} options - Transition details
+ * @param {Object} [options.actor] - User making the change (typically req.user)
+ * @param {String} [options.reason] - Why the status was changed
+ * @param {Object} [options.service] - Service document used for the status template
+ * @param {Object} [options.appeal] - Allowed appeal making the change, see APPEAL_TRANSITIONS
+ * @returns {Object} The status history entry that was added
+ */
+ApplicationSchema.methods.transitionTo = function(newStatus, options = {}) {
+  const { actor, reason, service, appeal } = options;
+  const byAppeal = Boolean(appeal) && (APPEAL_TRANSITIONS[this.status] || []).includes(newStatus);
+
+  if (!byAppeal && !this.canTransitionTo(newStatus)) {
+    const error = new Error(`Cannot change application status from '${this.status}' to '${newStatus}'`);
+    error.name = 'InvalidTransitionError';
+    error.allowedTransitions = this.getAllowedTransitions();
+    throw error;
+  }
+
+  if (REASON_REQUIRED_STATUSES.includes(newStatus) && !reason) {
+    const error = new Error(`A reason is required when moving an application to '${newStatus}'`);
+    error.name = 'InvalidTransitionError';
+    error.allowedTransitions = this.getAllowedTransitions();
+    throw error;
+  }
+
+  // Build the citizen facing message for the new status
+  let notification;
+  if (service) {
+    const template = service.getStatusUpdateTemplate(newStatus, this.language);
+    if (template && template.valid) {
+      notification = {
+        title: template.title,
+        message: template.message,
+        nextSteps: template.nextSteps,
+        estimatedTime: template.estimatedTime,
+        language: this.language
+      };
+    }
+  }
+
+  const entry = {
+    from: this.status,
+    to: newStatus,
+    changedBy: actor ? actor.id : undefined,
+    changedByRole: actor ? actor.role : undefined,
+    reason,
+    changedAt: new Date(),
+    notification,
+    appeal: byAppeal ? appeal._id : undefined
+  };
+
+  this.statusHistory.push(entry);
+  this.status = newStatus;
+
+  // Officer reasons double as the latest remarks shown to the citizen
+  if (reason && !CITIZEN_STATUSES.includes(newStatus)) {
+    this.remarks = reason;
+  }
+
+  // Keep lifecycle timestamps in step with the status
+  if (newStatus === 'pending' && !this.submittedAt) {
+    this.submittedAt = entry.changedAt;
+  } else if (newStatus === 'approved' || newStatus === 'rejected') {
+    this.decidedAt = entry.changedAt;
+  } else if (newStatus === 'completed') {
+    this.completedAt = entry.changedAt;
+  } else if (newStatus === 'withdrawn') {
+    this.withdrawnAt = entry.changedAt;
+  }
+
+  return this.statusHistory[this.statusHistory.length - 1];
+};
+
+/**
+ * Submit a draft application for review
+ * Runs the service's eligibility, fee and document checks and stores the results.
+ * Required documents not attached are taken from the submitter's vault.
+ *
+ * @param {Object} service - Service document the application belongs to
+ * @param {Object} [actor] - User submitting the application
+ * @returns {Promise<Object>} Submission result with the checks that were run
+ */
+ApplicationSchema.methods.submit = async function(service, actor) {
+  if (this.status !== 'draft') {
+    return {
+      submitted: false,
+      message: `Application cannot be submitted while in '${this.status}' status`
+    };
+  }
+
+  const eligibility = service.checkEligibility(this.applicantData || {});
+  const documents = service.validateDocuments(this.documents.map(doc => ({
+    type: doc.type,
+    file: doc.file,
+    sizeKB: doc.sizeKB,
+    mimeType: doc.mimeType,
+    sizeBytes: doc.sizeBytes,
+    // Read by the requirements' validation rules
+    documentNumber: doc.documentNumber,
+    issuedAt: doc.issuedAt,
+    expiresAt: doc.expiresAt,
+    inspection: doc.inspection
+  })), {
+    // Requirements without an attached document can be met from the vault
+    vault: actor && actor.documentVault ? actor.documentVault : []
+  });
+
+  // Definite ineligibility or missing mandatory documents block submission;
+  // an 'unknown' eligibility result is left for the reviewing officer
+  if (eligibility.eligible === false || !documents.valid) {
+    return {
+      submitted: false,
+      message: eligibility.eligible === false ? eligibility.message : documents.message,
+      eligibility,
+      documents
+    };
+  }
+
+  // Officers review vault documents like any other attachment
+  (documents.fromVault || []).forEach(item => {
+    const vaultDocument = actor.documentVault.id(item.vaultDocumentId);
+    this.documents.push(vaultDocumentEntry(vaultDocument));
+  });
+
+  this.eligibilitySnapshot = eligibility;
+  this.recalculateFees(service, actor);
+  this.transitionTo('pending', { actor, service });
+
+  await this.save();
+
+  return {
+    submitted: true,
+    message: 'Application submitted successfully',
+    eligibility,
+    documents,
+    fees: this.feeSnapshot
+  };
+};
+
+/**
+ * Make a document the application's only document of its type
+ * Files owned by replaced documents are removed once the application no
+ * longer points to them; vault files belong to the citizen and are kept.
+ *
+ * @param {Object} entry - Document to add
+ * @returns {Promise<Object>} Added document
+ */
+ApplicationSchema.methods.replaceDocument = async function(entry) {
+  const previous = this.documents.filter(doc => doc.type === entry.type);
+  this.documents = this.documents.filter(doc => doc.type !== entry.type);
+  this.documents.push(entry);
+
+  await this.save();
+
+  await Promise.all(previous
+    .filter(doc => !doc.vaultDocument && doc.storageKey !== entry.storageKey)
+    .map(removeStoredFile));
+
+  return this.documents[this.documents.length - 1];
+};
+
+/**
+ * Store an uploaded file as the document for one of the service's requirements
+ * The file type is detected from its contents and checked, together with its
+ * real size and the declared details, against the requirement and its
+ * validation rule; the file is virus scanned before it is stored. A new upload
+ * replaces any earlier document of the same type.
+ *
+ * @param {Object} service - Service document the application belongs to
+ * @param {Object} details - { documentType, documentNumber, issuedAt, expiresAt }
+ * @param {Object} file - Uploaded file { filename, data, size }
+ * @param {Object} [actor] - User uploading the file
+ * @returns {Promise<Object>} { accepted, reason, document }
+ */
+ApplicationSchema.methods.attachDocument = async function(service, details, file, actor) {
+  const { documentType, documentNumber, issuedAt, expiresAt } = details;
+
+  const upload = await storeUpload(file, {
+    keyPrefix: `applications/${this._id}/${documentType}`,
+    check: (detected) => service.checkDocument(documentType, {
+      ...detected,
+      documentNumber,
+      issuedAt,
+      expiresAt
+    }).problem
+  });
+
+  if (!upload.accepted) {
+    return upload;
+  }
+
+  const document = await this.replaceDocument({
+    type: documentType,
+    documentNumber,
+    issuedAt,
+    expiresAt,
+    ...upload.stored,
+    sizeKB: Math.ceil(upload.stored.sizeBytes / 1024),
+    uploadedBy: actor ? actor.id : undefined
+  });
+
+  return { accepted: true, document };
+};
+
+/**
+ * Use a document from the applicant's vault for one of the service's requirements
+ * The vault file is referenced rather than copied
+ *
+ * @param {Object} service - Service document the application belongs to
+ * @param {Object} vaultDocument - Item from the applicant's document vault
+ * @returns {Promise<Object>} { accepted, reason, document }
+ */
+ApplicationSchema.methods.attachVaultDocument = async function(service, vaultDocument) {
+  const problem = service.checkVaultDocument(vaultDocument);
+
+  if (problem) {
+    return { accepted: false, reason: problem };
+  }
+
+  const document = await this.replaceDocument(vaultDocumentEntry(vaultDocument));
+
+  return { accepted: true, document };
+};
+
+/**
+ * Recompute the stored fees, e.g. after a waiver proof has been checked
+ * Waivers are checked against the applicant's saved profile, not the form
+ * data, and are only final for proofs verified against that profile
+ *
+ * @param {Object} service - Service document the application belongs to
+ * @param {Object} [applicant] - Applicant user document
+ * @returns {Object} New fee snapshot
+ */
+ApplicationSchema.methods.recalculateFees = function(service, applicant) {
+  const hasProfile = Boolean(applicant && applicant.getEligibilityProfile);
+
+  this.feeSnapshot = service.calculateFees(this.applicantData || {}, {
+    proofs: hasProfile ? applicant.getProofStatuses() : {},
+    waiverProfile: hasProfile ? applicant.getEligibilityProfile() : {}
+  });
+  this.markModified('feeSnapshot');
+
+  return this.feeSnapshot;
+};
+
+/**
+ * Withdraw the application on behalf of the citizen
+ * @param {String} [reason] - Optional reason for withdrawal
+ * @param {Object} [actor] - User withdrawing the application
+ * @returns {Promise<Application>} Updated application document
+ */
+ApplicationSchema.methods.withdraw = async function(reason, actor) {
+  if (!WITHDRAWABLE_STATUSES.includes(this.status)) {
+    throw new Error(`Application cannot be withdrawn while in '${this.status}' status`);
+  }
+
+  this.transitionTo('withdrawn', { actor, reason });
+
+  if (reason) {
+    this.withdrawalReason = reason;
+  }
+
+  return this.save();
+};
+
+/**
+ * Get the status history entry of the current rejection
+ * @returns {Object|null} Latest transition into rejected, or null if the application is not rejected
+ */
+ApplicationSchema.methods.getRejection = function() {
+  if (this.status !== 'rejected') return null;
+  return [...this.statusHistory].reverse().find(entry => entry.to === 'rejected') || null;
+};
+
+/**
+ * Reopen a rejected application after its appeal was allowed
+ * Rejection is otherwise terminal, so this is the only way out of it. The
+ * application goes back to reviewing with the appeal's documents replacing
+ * those of the same type, and is left unassigned for a fresh review.
+ *
+ * @param {Object} appeal - Allowed Appeal document
+ * @param {Object} [actor] - Appellate authority who decided the appeal
+ * @param {Object} [service] - Service document used for the status template
+ * @returns {Promise<Object>} The status history entry that was added
+ */
+ApplicationSchema.methods.reopenForAppeal = async function(appeal, actor, service) {
+  if (this.status !== 'rejected' || this.finalizedAt) {
+    const error = new Error(`Cannot reopen an application in '${this.status}' status on appeal`);
+    error.name = 'InvalidTransitionError';
+    error.allowedTransitions = [];
+    throw error;
+  }
+
+  const newTypes = appeal.documents.map(doc => doc.type);
+  const previous = this.documents.filter(doc => newTypes.includes(doc.type));
+
+  this.documents = this.documents.filter(doc => !newTypes.includes(doc.type));
+  appeal.documents.forEach(doc => {
+    this.documents.push({
+      type: doc.type,
+      file: doc.file,
+      sizeKB: Math.ceil(doc.sizeBytes / 1024),
+      documentNumber: doc.documentNumber,
+      issuedAt: doc.issuedAt,
+      expiresAt: doc.expiresAt,
+      storage: doc.storage,
+      storageKey: doc.storageKey,
+      mimeType: doc.mimeType,
+      sizeBytes: doc.sizeBytes,
+      checksum: doc.checksum,
+      inspection: doc.inspection,
+      scan: doc.scan,
+      uploadedBy: appeal.user,
+      uploadedAt: doc.uploadedAt
+    });
+  });
+
+  const entry = this.transitionTo('reviewing', {
+    actor,
+    reason: `Appeal ${appeal.appealNumber} allowed: ${appeal.decision.reason}`,
+    service,
+    appeal
+  });
+  this.assignedTo = undefined;
+
+  await this.save();
+
+  await Promise.all(previous
+    .filter(doc => !doc.vaultDocument)
+    .map(removeStoredFile));
+
+  return entry;
+};
+
+/**
+ * Make the rejection final after its appeal was dismissed
+ * @param {Object} appeal - Dismissed Appeal document
+ * @returns {Promise<Application>} Updated application document
+ */
+ApplicationSchema.methods.finalizeRejection = function(appeal) {
+  this.finalizedAt = new Date();
+  this.finalizedByAppeal = appeal._id;
+  this.remarks = `Appeal ${appeal.appealNumber} dismissed: ${appeal.decision.reason}`;
+  return this.save();
+};
+
+/**
+ * Get the outcome of an appeal already applied to the application
+ * The application is updated before the appeal records its decision, so a
+ * decision interrupted in between can be completed when it is retried.
+ *
+ * @param {Object} appeal - Appeal document
+ * @returns {Object|null} { outcome, entry } where entry is the reopening status change, or null if not applied
+ */
+ApplicationSchema.methods.getAppliedAppeal = function(appeal) {
+  const appealId = appeal._id.toString();
+
+  if (this.finalizedByAppeal && this.finalizedByAppeal.toString() === appealId) {
+    return { outcome: 'dismissed', entry: null };
+  }
+
+  const entry = this.statusHistory.find(item => item.appeal && item.appeal.toString() === appealId);
+  return entry ? { outcome: 'allowed', entry } : null;
+};
+
+/**
+ * Get a summary of the application for listings
+ * @returns {Object} Application summary
+ */
+ApplicationSchema.methods.getSummary = function() {
+  return {
+    id: this._id,
+    applicationNumber: this.applicationNumber,
+    service: this.service,
+    status: this.status,
+    language: this.language,
+    documentCount: this.documents.length,
+    remarks: this.remarks,
+    submittedAt: this.submittedAt,
+    finalizedAt: this.finalizedAt,
+    updatedAt: this.updatedAt,
+    createdAt: this.createdAt
+  };
+};
+
+ApplicationSchema.statics.STATUSES = APPLICATION_STATUSES;
+ApplicationSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+ApplicationSchema.statics.UPLOAD_STATUSES = UPLOAD_STATUSES;
+ApplicationSchema.statics.WITHDRAWABLE_STATUSES = WITHDRAWABLE_STATUSES;
+ApplicationSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+ApplicationSchema.statics.APPEAL_TRANSITIONS = APPEAL_TRANSITIONS;
+ApplicationSchema.statics.CITIZEN_STATUSES = CITIZEN_STATUSES;
+ApplicationSchema.statics.REASON_REQUIRED_STATUSES = REASON_REQUIRED_STATUSES;
+
+// Create the Application model
+const Application = mongoose.model('Application', ApplicationSchema);
+
+module.exports = Application;
@@ -0,0 +1,711 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * Grievance statuses
+ * open: filed, waiting for the department
+ * inProgress: an officer has responded
+ * resolved: an officer has resolved it, waiting for the citizen to confirm
+ * closed: confirmed by the citizen, or closed automatically after AUTO_CLOSE_DAYS
+ */
+const GRIEVANCE_STATUSES = ['open', 'inProgress', 'resolved', 'closed'];
+
+/**
+ * Allowed status transitions
+ * Keys are the current status, values the statuses it may move to.
+ * A resolved grievance goes back to open when the citizen reopens it.
+ */
+const STATUS_TRANSITIONS = {
+  open: ['inProgress', 'resolved'],
+  inProgress: ['resolved'],
+  resolved: ['closed', 'open'],
+  closed: []
+};
+
+// Statuses in which the SLA clock is running
+const PENDING_STATUSES = ['open', 'inProgress'];
+
+const CATEGORIES = [
+  'delay', 'staffConduct', 'corruption', 'rejection', 'documents',
+  'payment', 'information', 'process', 'other'
+];
+
+const PRIORITIES = ['normal', 'high'];
+
+// Categories that always start at high priority
+const HIGH_PRIORITY_CATEGORIES = ['corruption', 'staffConduct'];
+
+/**
+ * Escalation levels, lowest first
+ * Each level is handled by its role (or a higher one) and has its own SLA
+ * in hours by priority. Grievances still pending when the SLA runs out
+ * move up a level; the last level can only be marked as breached.
+ */
+const ESCALATION_LEVELS = [
+  { name: 'department', role: 'serviceProvider', slaHours: { normal: 168, high: 72 } },
+  { name: 'grievanceCell', role: 'admin', slaHours: { normal: 120, high: 48 } },
+  { name: 'appellate', role: 'superAdmin', slaHours: { normal: 168, high: 72 } }
+];
+
+// Resolved grievances the citizen does not confirm or reopen are closed after this many days
+const AUTO_CLOSE_DAYS = parseInt(process.env.GRIEVANCE_AUTO_CLOSE_DAYS, 10) || 7;
+
+// Grievance categories suggested by a critical review's weakest aspect rating
+const ASPECT_CATEGORIES = {
+  ease: 'process',
+  speed: 'delay',
+  staff: 'staffConduct',
+  clarity: 'information',
+  outcome: 'rejection'
+};
+
+/**
+ * Generate a grievance number such as GRV20250101A1B2C3
+ * @returns {String} Grievance number
+ */
+const generateGrievanceNumber = () => {
+  const datePart = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const randomPart = crypto.randomBytes(3).toString('hex');
+  return `GRV${datePart}${randomPart}`.toUpperCase();
+};
+
+/**
+ * Get the SLA due date for a level
+ * @param {Number} level - Escalation level
+ * @param {String} priority - Grievance priority
+ * @param {Date} from - When the clock starts
+ * @returns {Date} Due date
+ */
+const getDueDate = (level, priority, from) => {
+  const hours = ESCALATION_LEVELS[level].slaHours[priority] || ESCALATION_LEVELS[level].slaHours.normal;
+  return new Date(from.getTime() + hours * 60 * 60 * 1000);
+};
+
+/**
+ * Grievance Schema
+ * A citizen's complaint against a service or application, routed to the
+ * service's department and escalated when the department misses its SLA
+ */
+const GrievanceSchema = new mongoose.Schema({
+  // Human readable reference shared with the citizen
+  grievanceNumber: {
+    type: String,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+
+  // Citizen who raised the grievance
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [true, 'Service reference is required']
+  },
+
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application'
+  },
+
+  // Critical review the grievance was seeded from, if any
+  review: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Review'
+  },
+
+  source: {
+    type: String,
+    enum: ['citizen', 'review'],
+    default: 'citizen'
+  },
+
+  // Department the grievance is routed to, copied from the service when filed
+  department: {
+    code: {
+      type: String,
+      uppercase: true,
+      trim: true
+    },
+    name: String
+  },
+
+  category: {
+    type: String,
+    enum: {
+      values: CATEGORIES,
+      message: 'Invalid grievance category'
+    },
+    default: 'other'
+  },
+
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true,
+    maxlength: [150, 'Subject cannot exceed 150 characters']
+  },
+
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+
+  language: {
+    type: String,
+    enum: {
+      values: ['en', 'hi', 'mr', 'gu', 'pa', 'ta', 'te', 'kn', 'bn', 'ml', 'or', 'as'],
+      message: 'Please select a supported language'
+    },
+    default: 'en'
+  },
+
+  priority: {
+    type: String,
+    enum: PRIORITIES,
+    default: 'normal'
+  },
+
+  status: {
+    type: String,
+    enum: {
+      values: GRIEVANCE_STATUSES,
+      message: 'Invalid grievance status'
+    },
+    default: 'open'
+  },
+
+  // Index into ESCALATION_LEVELS
+  escalationLevel: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: ESCALATION_LEVELS.length - 1
+  },
+
+  // Deadline at the current level; breached is set once the last level misses it
+  sla: {
+    dueAt: Date,
+    breached: {
+      type: Boolean,
+      default: false
+    }
+  },
+
+  // Officer currently handling the grievance
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Officer responses, oldest first
+  responses: [{
+    responder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    responderRole: String,
+    level: Number,
+    message: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [2000, 'Response cannot exceed 2000 characters']
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  escalations: [{
+    fromLevel: Number,
+    toLevel: Number,
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Reason cannot exceed 1000 characters']
+    },
+    // Set by the SLA job rather than a person
+    automatic: {
+      type: Boolean,
+      default: false
+    },
+    escalatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    escalatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Audit trail of every status change
+  statusHistory: [{
+    from: {
+      type: String,
+      enum: GRIEVANCE_STATUSES
+    },
+    to: {
+      type: String,
+      enum: GRIEVANCE_STATUSES,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedByRole: String,
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Reason cannot exceed 1000 characters']
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  resolution: {
+    summary: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Resolution cannot exceed 2000 characters']
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  },
+
+  // Citizen feedback recorded when the grievance is closed
+  satisfaction: {
+    rating: {
+      type: Number,
+      min: [1, 'Satisfaction rating must be at least 1'],
+      max: [5, 'Satisfaction rating cannot be more than 5']
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Comment cannot exceed 1000 characters']
+    },
+    recordedAt: Date
+  },
+
+  reopenCount: {
+    type: Number,
+    default: 0
+  },
+
+  closedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for citizen dashboards, department queues and the SLA job
+GrievanceSchema.index({ user: 1, createdAt: -1 });
+GrievanceSchema.index({ 'department.code': 1, status: 1, 'sla.dueAt': 1 });
+GrievanceSchema.index({ status: 1, 'sla.dueAt': 1 });
+GrievanceSchema.index({ assignedTo: 1, status: 1 });
+GrievanceSchema.index({ application: 1 });
+// At most one grievance per seeded review
+GrievanceSchema.index({ review: 1 }, { unique: true, partialFilterExpression: { review: { $exists: true } } });
+
+// Virtual to check whether the SLA has run out at the current level
+GrievanceSchema.virtual('isOverdue').get(function() {
+  return PENDING_STATUSES.includes(this.status) && Boolean(this.sla && this.sla.dueAt) && this.sla.dueAt < new Date();
+});
+
+// Virtual for the name of the current escalation level
+GrievanceSchema.virtual('escalationLevelName').get(function() {
+  const level = ESCALATION_LEVELS[this.escalationLevel];
+  return level ? level.name : undefined;
+});
+
+// Generate the grievance number and start the SLA clock for new grievances
+GrievanceSchema.pre('save', function(next) {
+  if (!this.grievanceNumber) {
+    this.grievanceNumber = generateGrievanceNumber();
+  }
+
+  if (HIGH_PRIORITY_CATEGORIES.includes(this.category)) {
+    this.priority = 'high';
+  }
+
+  if (this.isNew && !this.sla.dueAt) {
+    this.sla.dueAt = getDueDate(this.escalationLevel, this.priority, this.createdAt || new Date());
+  }
+
+  next();
+});
+
+/**
+ * Check whether the given user raised this grievance
+ * @param {Object} user - User object (typically req.user)
+ * @returns {Boolean} True if the user owns the grievance
+ */
+GrievanceSchema.methods.isOwnedBy = function(user) {
+  if (!user) return false;
+  const ownerId = this.user && this.user._id ? this.user._id : this.user;
+  return ownerId.toString() === user.id.toString();
+};
+
+/**
+ * Get the role that handles the grievance at its current level
+ * @returns {String} Role name
+ */
+GrievanceSchema.methods.getHandlerRole = function() {
+  return ESCALATION_LEVELS[this.escalationLevel].role;
+};
+
+/**
+ * Move the grievance to a new status
+ * @param {String} newStatus - Target status
+ * @param {Object} options - Transition details
+ * @param {Object} [options.actor] - User making the change (typically req.user)
+ * @param {String} [options.reason] - Why the status was changed
+ * @returns {Object} The status history entry that was added
+ */
+GrievanceSchema.methods.transitionTo = function(newStatus, options = {}) {
+  const { actor, reason } = options;
+  const allowed = STATUS_TRANSITIONS[this.status] || [];
+
+  if (!allowed.includes(newStatus)) {
+    const error = new Error(`Cannot change grievance status from '${this.status}' to '${newStatus}'`);
+    error.name = 'InvalidTransitionError';
+    error.allowedTransitions = allowed;
+    throw error;
+  }
+
+  this.statusHistory.push({
+    from: this.status,
+    to: newStatus,
+    changedBy: actor ? actor.id : undefined,
+    changedByRole: actor ? actor.role : undefined,
+    reason,
+    changedAt: new Date()
+  });
+  this.status = newStatus;
+
+  return this.statusHistory[this.statusHistory.length - 1];
+};
+
+/**
+ * Route the grievance to the service's department
+ * Copies the department onto the grievance and assigns the least busy
+ * active officer of that department, if it has any registered.
+ * @param {Service} service - Service the grievance is about
+ * @returns {Promise<ObjectId|undefined>} Assigned officer
+ */
+GrievanceSchema.methods.routeToDepartment = async function(service) {
+  const department = service.department || {};
+  const name = department.name || {};
+
+  this.department = {
+    code: department.code,
+    name: name[this.language] || name.en
+  };
+
+  if (!this.department.code) return undefined;
+
+  const officers = await mongoose.model('User').find({
+    role: ESCALATION_LEVELS[0].role,
+    department: this.department.code,
+    status: 'active'
+  }).select('_id');
+
+  if (officers.length === 0) return undefined;
+
+  const loads = await Promise.all(officers.map(officer =>
+    this.constructor.countDocuments({ assignedTo: officer._id, status: { $in: PENDING_STATUSES } })
+  ));
+
+  this.assignedTo = officers[loads.indexOf(Math.min(...loads))]._id;
+  return this.assignedTo;
+};
+
+/**
+ * Record an officer's response, optionally resolving the grievance
+ * The first response moves an open grievance to inProgress.
+ *
+ * @param {Object} actor - Responding officer (typically req.user)
+ * @param {String} message - Response shown to the citizen
+ * @param {Object} [options]
+ * @param {Boolean} [options.resolve] - Resolve the grievance with this response
+ * @returns {Object} The response that was added
+ */
+GrievanceSchema.methods.respond = function(actor, message, { resolve = false } = {}) {
+  if (!PENDING_STATUSES.includes(this.status)) {
+    const error = new Error(`Cannot respond to a grievance that is ${this.status}`);
+    error.name = 'InvalidTransitionError';
+    error.allowedTransitions = STATUS_TRANSITIONS[this.status];
+    throw error;
+  }
+
+  this.responses.push({
+    responder: actor.id,
+    responderRole: actor.role,
+    level: this.escalationLevel,
+    message,
+    createdAt: new Date()
+  });
+
+  if (resolve) {
+    this.transitionTo('resolved', { actor });
+    this.resolution = { summary: message, resolvedBy: actor.id, resolvedAt: new Date() };
+  } else if (this.status === 'open') {
+    this.transitionTo('inProgress', { actor });
+  }
+
+  return this.responses[this.responses.length - 1];
+};
+
+/**
+ * Move the grievance up one escalation level and restart the SLA clock
+ * @param {Object} options - Escalation details
+ * @param {Object} [options.actor] - User escalating; omitted for automatic escalations
+ * @param {String} [options.reason] - Why it was escalated
+ * @param {Boolean} [options.automatic] - Escalated by the SLA job
+ * @returns {Object} The escalation entry that was added
+ */
+GrievanceSchema.methods.escalate = function({ actor, reason, automatic = false } = {}) {
+  if (this.escalationLevel >= ESCALATION_LEVELS.length - 1) {
+    const error = new Error('Grievance is already at the highest escalation level');
+    error.name = 'InvalidTransitionError';
+    error.allowedTransitions = [];
+    throw error;
+  }
+
+  const now = new Date();
+  const entry = {
+    fromLevel: this.escalationLevel,
+    toLevel: this.escalationLevel + 1,
+    reason,
+    automatic,
+    escalatedBy: actor ? actor.id : undefined,
+    escalatedAt: now
+  };
+
+  this.escalations.push(entry);
+  this.escalationLevel = entry.toLevel;
+  this.sla = { dueAt: getDueDate(this.escalationLevel, this.priority, now), breached: false };
+
+  // The next level picks the grievance up from its own queue
+  this.assignedTo = undefined;
+
+  return this.escalations[this.escalations.length - 1];
+};
+
+/**
+ * Close a resolved grievance, recording the citizen's satisfaction
+ * @param {Object} [options]
+ * @param {Number} [options.rating] - Satisfaction from 1 to 5; omitted for automatic closure
+ * @param {String} [options.comment] - Citizen's comment
+ * @param {Object} [options.actor] - Citizen closing the grievance
+ */
+GrievanceSchema.methods.close = function({ rating, comment, actor } = {}) {
+  const automatic = !actor;
+  this.transitionTo('closed', {
+    actor,
+    reason: automatic ? `Closed automatically after ${AUTO_CLOSE_DAYS} days without citizen response` : comment
+  });
+
+  const now = new Date();
+  this.closedAt = now;
+
+  if (rating) {
+    this.satisfaction = { rating, comment, recordedAt: now };
+  }
+};
+
+/**
+ * Reopen a resolved grievance the citizen is not satisfied with
+ * It goes back to open one escalation level higher, unless already at the top.
+ *
+ * @param {Object} actor - Citizen reopening the grievance
+ * @param {String} reason - Why the resolution was not acceptable
+ */
+GrievanceSchema.methods.reopen = function(actor, reason) {
+  this.transitionTo('open', { actor, reason });
+  this.reopenCount += 1;
+  this.resolution = undefined;
+
+  if (this.escalationLevel < ESCALATION_LEVELS.length - 1) {
+    this.escalate({ actor, reason: `Reopened by citizen: ${reason}` });
+  } else {
+    this.sla = { dueAt: getDueDate(this.escalationLevel, this.priority, new Date()), breached: false };
+  }
+};
+
+/**
+ * Get a citizen facing summary of the grievance
+ * @returns {Object} Summary
+ */
+GrievanceSchema.methods.getSummary = function() {
+  const latest = this.responses[this.responses.length - 1];
+
+  return {
+    id: this._id,
+    grievanceNumber: this.grievanceNumber,
+    subject: this.subject,
+    category: this.category,
+    status: this.status,
+    department: this.department,
+    escalationLevel: this.escalationLevelName,
+    dueAt: this.sla && this.sla.dueAt,
+    latestResponse: latest ? { message: latest.message, createdAt: latest.createdAt } : undefined,
+    satisfaction: this.satisfaction && this.satisfaction.rating,
+    createdAt: this.createdAt
+  };
+};
+
+/**
+ * Escalate pending grievances whose SLA has run out
+ * Grievances at the last level are marked as breached instead.
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Object>} { escalated, breached, failed }
+ */
+GrievanceSchema.statics.escalateOverdue = async function(now = new Date()) {
+  const stats = { escalated: 0, breached: 0, failed: 0 };
+  const cursor = this.find({
+    status: { $in: PENDING_STATUSES },
+    'sla.dueAt': { $lt: now },
+    'sla.breached': { $ne: true }
+  }).cursor();
+
+  for await (const grievance of cursor) {
+    try {
+      if (grievance.escalationLevel < ESCALATION_LEVELS.length - 1) {
+        const level = ESCALATION_LEVELS[grievance.escalationLevel];
+        grievance.escalate({ reason: `SLA at ${level.name} level ran out`, automatic: true });
+        stats.escalated += 1;
+      } else {
+        grievance.sla.breached = true;
+        stats.breached += 1;
+      }
+
+      await grievance.save();
+    } catch (error) {
+      console.error(`Error escalating grievance ${grievance.grievanceNumber}:`, error.message);
+      stats.failed += 1;
+    }
+  }
+
+  return stats;
+};
+
+/**
+ * Close resolved grievances the citizen has not responded to in AUTO_CLOSE_DAYS
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Object>} { closed, failed }
+ */
+GrievanceSchema.statics.closeUnconfirmed = async function(now = new Date()) {
+  const stats = { closed: 0, failed: 0 };
+  const cutoff = new Date(now.getTime() - AUTO_CLOSE_DAYS * 24 * 60 * 60 * 1000);
+  const cursor = this.find({ status: 'resolved', 'resolution.resolvedAt': { $lt: cutoff } }).cursor();
+
+  for await (const grievance of cursor) {
+    try {
+      grievance.close();
+      await grievance.save();
+      stats.closed += 1;
+    } catch (error) {
+      console.error(`Error closing grievance ${grievance.grievanceNumber}:`, error.message);
+      stats.failed += 1;
+    }
+  }
+
+  return stats;
+};
+
+/**
+ * File grievances for critical (1-2 star) reviews that do not have one yet
+ * The review author becomes the complainant; the category follows the
+ * review's weakest aspect rating and one star reviews get high priority.
+ *
+ * @param {Object} [options]
+ * @param {ObjectId} [options.service] - Only seed for this service; defaults to every reviewed service
+ * @param {Number} [options.limit=5] - Critical reviews considered per service
+ * @returns {Promise<Object>} { created, skipped, grievances }
+ */
+GrievanceSchema.statics.seedFromCriticalReviews = async function({ service, limit = 5 } = {}) {
+  const Review = mongoose.model('Review');
+  const Service = mongoose.model('Service');
+
+  const serviceIds = service
+    ? [service]
+    : await Review.distinct('service', { status: 'approved', rating: { $lte: 2 } });
+
+  const stats = { created: 0, skipped: 0, grievances: [] };
+
+  for (const serviceId of serviceIds) {
+    const serviceDoc = await Service.findById(serviceId);
+    if (!serviceDoc) continue;
+
+    const reviews = await Review.findCriticalReviews(serviceDoc._id, limit);
+    const seeded = await this.find({ review: { $in: reviews.map(review => review._id) } }).distinct('review');
+    const seededIds = seeded.map(id => id.toString());
+
+    for (const review of reviews) {
+      if (seededIds.includes(review._id.toString())) {
+        stats.skipped += 1;
+        continue;
+      }
+
+      const aspects = Object.entries(ASPECT_CATEGORIES)
+        .filter(([aspect]) => review.aspectRatings && review.aspectRatings[aspect])
+        .sort(([a], [b]) => review.aspectRatings[a] - review.aspectRatings[b]);
+      const comment = review.comment || {};
+      const text = comment[review.language] || comment.en ||
+        (review.voiceFeedback && review.voiceFeedback.transcript);
+
+      const grievance = new this({
+        user: review.user && review.user._id ? review.user._id : review.user,
+        service: serviceDoc._id,
+        application: review.application,
+        review: review._id,
+        source: 'review',
+        category: aspects.length > 0 ? aspects[0][1] : 'other',
+        subject: review.title || `${review.rating} star review`,
+        description: text || `Rated ${review.rating} out of 5`,
+        language: review.language,
+        priority: review.rating === 1 ? 'high' : 'normal'
+      });
+
+      await grievance.routeToDepartment(serviceDoc);
+      await grievance.save();
+
+      stats.created += 1;
+      stats.grievances.push(grievance.grievanceNumber);
+    }
+  }
+
+  return stats;
+};
+
+// Expose constants for validators and other modules
+GrievanceSchema.statics.STATUSES = GRIEVANCE_STATUSES;
+GrievanceSchema.statics.PENDING_STATUSES = PENDING_STATUSES;
+GrievanceSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+GrievanceSchema.statics.CATEGORIES = CATEGORIES;
+GrievanceSchema.statics.PRIORITIES = PRIORITIES;
+GrievanceSchema.statics.ESCALATION_LEVELS = ESCALATION_LEVELS;
+GrievanceSchema.statics.AUTO_CLOSE_DAYS = AUTO_CLOSE_DAYS;
+
+// Create the Grievance model
+const Grievance = mongoose.model('Grievance', GrievanceSchema);
+
+module.exports = Grievance;
@@ -0,0 +1,341 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { getGateway } = require('../utils/paymentGateway');
+
+/**
+ * Payment statuses
+ * created: order placed with the gateway, waiting for the citizen to pay
+ * refundPending: refund requested, waiting for the gateway to confirm
+ */
+const PAYMENT_STATUSES = ['created', 'paid', 'failed', 'refundPending', 'refunded', 'cancelled'];
+
+// Statuses in which an order can still be paid
+const PAYABLE_STATUSES = ['created', 'failed'];
+
+// Times a callback is re-read and applied when the payment changes underneath it
+const EVENT_ATTEMPTS = 3;
+
+/**
+ * Generate a reference such as ORD20250101A1B2C3
+ * @param {String} prefix - Reference prefix
+ * @returns {String} Reference
+ */
+const generateReference = (prefix) => {
+  const datePart = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const randomPart = crypto.randomBytes(3).toString('hex');
+  return `${prefix}${datePart}${randomPart}`.toUpperCase();
+};
+
+/**
+ * Payment Schema
+ * One order placed with a payment gateway for an application's fees
+ */
+const PaymentSchema = new mongoose.Schema({
+  // Reference shared with the gateway and the citizen
+  orderId: {
+    type: String,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: [true, 'Application reference is required']
+  },
+
+  // Citizen paying
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  },
+
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be positive']
+  },
+
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+
+  // Fee breakdown the order was created for
+  breakdown: [{
+    feeType: String,
+    name: String,
+    amount: Number,
+    _id: false
+  }],
+
+  status: {
+    type: String,
+    enum: {
+      values: PAYMENT_STATUSES,
+      message: 'Invalid payment status'
+    },
+    default: 'created'
+  },
+
+  // Gateway details
+  gateway: {
+    type: String,
+    required: [true, 'Gateway is required']
+  },
+  gatewayOrderId: String,
+  gatewayPaymentId: String,
+  failureReason: String,
+  paidAt: Date,
+
+  // Issued once the payment is captured
+  receipt: {
+    number: String,
+    issuedAt: Date
+  },
+
+  refund: {
+    amount: Number,
+    reason: String,
+    gatewayRefundId: String,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: Date,
+    refundedAt: Date
+  },
+
+  // Gateway callbacks already processed, for idempotency
+  events: [{
+    eventId: {
+      type: String,
+      required: true
+    },
+    type: { type: String },
+    receivedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // What the callback did to the payment
+    result: String,
+    _id: false
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for lookups by application, citizen and gateway references
+PaymentSchema.index({ application: 1, createdAt: -1 });
+PaymentSchema.index({ user: 1, createdAt: -1 });
+PaymentSchema.index({ gateway: 1, gatewayOrderId: 1 });
+PaymentSchema.index({ 'receipt.number': 1 }, { unique: true, sparse: true });
+
+// Virtual to check whether the order can still be paid
+PaymentSchema.virtual('isPayable').get(function() {
+  return PAYABLE_STATUSES.includes(this.status);
+});
+
+// Generate order ID for new payments
+PaymentSchema.pre('save', function(next) {
+  if (!this.orderId) {
+    this.orderId = generateReference('ORD');
+  }
+
+  next();
+});
+
+/**
+ * Apply a parsed gateway callback and record it in the event log
+ * Callers persist the change with Payment.processEvent so each callback
+ * is applied at most once.
+ *
+ * @param {Object} event - Result of the gateway adapter's parseCallback
+ * @returns {String} What the callback did: paid, failed, refunded or ignored
+ */
+PaymentSchema.methods.applyGatewayEvent = function(event) {
+  let result = 'ignored';
+
+  if (event.type === 'payment.captured') {
+    if (!this.isPayable) {
+      result = 'ignored';
+    } else if (Math.round(Number(event.amount) * 100) !== Math.round(this.amount * 100)) {
+      // Never mark an order paid for the wrong amount
+      this.status = 'failed';
+      this.failureReason = `Amount mismatch: expected ${this.amount}, received ${event.amount}`;
+      result = 'failed';
+    } else {
+      this.status = 'paid';
+      this.gatewayPaymentId = event.gatewayPaymentId;
+      this.paidAt = new Date();
+      this.failureReason = undefined;
+      this.receipt = {
+        number: generateReference('RCPT'),
+        issuedAt: this.paidAt
+      };
+      result = 'paid';
+    }
+  } else if (event.type === 'payment.failed') {
+    // A late failure must not undo a capture
+    if (this.status === 'created') {
+      this.status = 'failed';
+      this.failureReason = event.reason || 'Payment failed';
+      result = 'failed';
+    }
+  } else if (event.type === 'refund.processed') {
+    if (this.status === 'refundPending' || this.status === 'paid') {
+      this.status = 'refunded';
+      this.refund.gatewayRefundId = this.refund.gatewayRefundId || event.gatewayRefundId;
+      this.refund.refundedAt = new Date();
+      result = 'refunded';
+    }
+  }
+
+  this.events.push({ eventId: event.eventId, type: event.type, result });
+
+  return result;
+};
+
+/**
+ * Refund the payment through its gateway
+ * @param {Object} gateway - Gateway adapter the payment was made with
+ * @param {Object} options - Refund details
+ * @param {String} options.reason - Why the payment is refunded
+ * @param {Object} [options.actor] - User requesting the refund
+ * @returns {Promise<Payment>} Updated payment
+ */
+PaymentSchema.methods.refundPayment = async function(gateway, { reason, actor } = {}) {
+  if (this.status !== 'paid') {
+    const error = new Error(`Payment cannot be refunded while in '${this.status}' status`);
+    error.name = 'InvalidTransitionError';
+    throw error;
+  }
+
+  const refund = await gateway.refund({
+    gatewayPaymentId: this.gatewayPaymentId,
+    amount: this.amount,
+    reason
+  });
+
+  this.refund = {
+    amount: this.amount,
+    reason,
+    gatewayRefundId: refund.gatewayRefundId,
+    requestedBy: actor ? actor.id : undefined,
+    requestedAt: new Date(),
+    refundedAt: refund.status === 'processed' ? new Date() : undefined
+  };
+  this.status = refund.status === 'processed' ? 'refunded' : 'refundPending';
+
+  return this.save();
+};
+
+/**
+ * Build the receipt for a captured payment
+ * Expects application, service and user to be populated
+ * @returns {Object|null} Receipt, or null if the payment was never captured
+ */
+PaymentSchema.methods.getReceipt = function() {
+  if (!this.receipt || !this.receipt.number) return null;
+
+  const application = this.application || {};
+  const service = this.service || {};
+  const user = this.user || {};
+
+  return {
+    receiptNumber: this.receipt.number,
+    issuedAt: this.receipt.issuedAt,
+    orderId: this.orderId,
+    applicationNumber: application.applicationNumber,
+    service: service.name ? service.name.en : undefined,
+    paidBy: user.name,
+    amount: this.amount,
+    currency: this.currency,
+    breakdown: this.breakdown,
+    gateway: this.gateway,
+    gatewayPaymentId: this.gatewayPaymentId,
+    paidAt: this.paidAt,
+    status: this.status,
+    refund: this.status === 'refunded' || this.status === 'refundPending' ? {
+      amount: this.refund.amount,
+      reason: this.refund.reason,
+      refundedAt: this.refund.refundedAt
+    } : undefined
+  };
+};
+
+/**
+ * Apply a gateway callback once
+ * The status change and the event record are written in one update that
+ * only matches while the event is unseen and the status is the one the
+ * change was computed from, so concurrent deliveries cannot both be applied
+ * and a failed write leaves the event free to be retried
+ *
+ * @param {Object} filter - Query identifying the payment
+ * @param {Object} event - Parsed callback
+ * @returns {Promise<Object|null>} { payment, result, duplicate }, or null if no payment matches
+ */
+PaymentSchema.statics.processEvent = async function(filter, event) {
+  for (let attempt = 0; attempt < EVENT_ATTEMPTS; attempt++) {
+    const payment = await this.findOne(filter);
+
+    if (!payment) return null;
+
+    if (payment.events.some(item => item.eventId === event.eventId)) {
+      return { payment, duplicate: true };
+    }
+
+    const { status } = payment;
+    const result = payment.applyGatewayEvent(event);
+
+    const { modifiedCount } = await this.updateOne(
+      { _id: payment._id, status, 'events.eventId': { $ne: event.eventId } },
+      payment.getChanges()
+    );
+
+    if (modifiedCount > 0) {
+      return { payment, result, duplicate: false };
+    }
+  }
+
+  const error = new Error('Payment changed while the callback was being applied');
+  error.name = 'ConcurrencyError';
+  throw error;
+};
+
+/**
+ * Refund every captured payment of an application
+ * Used when an application is rejected after its fees were paid
+ *
+ * @param {ObjectId} applicationId - Application ID
+ * @param {Object} options - Refund details
+ * @param {String} options.reason - Why the payments are refunded
+ * @param {Object} [options.actor] - User rejecting the application
+ * @returns {Promise<Array>} Refunded payments
+ */
+PaymentSchema.statics.refundForApplication = async function(applicationId, { reason, actor } = {}) {
+  const payments = await this.find({ application: applicationId, status: 'paid' });
+
+  for (const payment of payments) {
+    await payment.refundPayment(getGateway(payment.gateway), { reason, actor });
+  }
+
+  return payments;
+};
+
+PaymentSchema.statics.STATUSES = PAYMENT_STATUSES;
+PaymentSchema.statics.PAYABLE_STATUSES = PAYABLE_STATUSES;
+
+// Create the Payment model
+const Payment = mongoose.model('Payment', PaymentSchema);
+
+module.exports = Payment;
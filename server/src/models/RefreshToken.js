@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Days a refresh token stays usable; each rotation starts a new period
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 7;
+
+// Days a login can be kept alive by rotation before the citizen must sign in again
+const FAMILY_MAX_DAYS = parseInt(process.env.REFRESH_FAMILY_MAX_DAYS, 10) || 30;
+
+// Why a token stopped being usable
+const REVOKE_REASONS = ['rotated', 'logout', 'reuse', 'passwordChange', 'deactivated', 'logoutAll'];
+
+/**
+ * Hash a refresh token for storage and lookup
+ * Only the hash is stored, so a database leak does not expose usable tokens
+ * @param {String} token - Refresh token as given to the client
+ * @returns {String} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Create a refresh token error
+ * @param {String} code - invalid, expired or reused
+ * @param {String} message - Error message
+ * @returns {Error} Error named RefreshTokenError
+ */
+const refreshTokenError = (code, message) => {
+  const error = new Error(message);
+  error.name = 'RefreshTokenError';
+  error.code = code;
+  return error;
+};
+
+/**
+ * RefreshToken Schema
+ * One opaque refresh token. Every login starts a family; each refresh
+ * rotates the presented token into a new one of the same family, so a
+ * rotated token presented again means it was copied, and the whole family
+ * is revoked.
+ */
+const RefreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Shared by every token rotated from the same login
+  family: {
+    type: String,
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Rotation never extends a family past this
+  familyExpiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: REVOKE_REASONS
+  },
+
+  // Token this one was rotated into
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken'
+  },
+
+  // Client the token was issued to, shown when listing sessions
+  createdByIp: String,
+  userAgent: {
+    type: String,
+    maxlength: 300
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for rotation, family revocation and sign-out everywhere
+RefreshTokenSchema.index({ family: 1, revokedAt: 1 });
+RefreshTokenSchema.index({ user: 1, revokedAt: 1 });
+// Expired tokens are removed by MongoDB; a rotated token is kept until then to catch reuse
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Issue a new refresh token
+ * @param {Object} user - User the token belongs to
+ * @param {Object} [options]
+ * @param {String} [options.family] - Family to continue; a new login starts a new one
+ * @param {Date} [options.familyExpiresAt] - Family deadline, required with family
+ * @param {String} [options.ip] - Client IP address
+ * @param {String} [options.userAgent] - Client user agent
+ * @returns {Promise<Object>} { token, refreshToken } where token is the only plain copy
+ */
+RefreshTokenSchema.statics.issue = async function(user, options = {}) {
+  const now = Date.now();
+  const familyExpiresAt = options.familyExpiresAt || new Date(now + FAMILY_MAX_DAYS * 24 * 60 * 60 * 1000);
+  const expiresAt = new Date(Math.min(now + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000, familyExpiresAt.getTime()));
+  const token = crypto.randomBytes(48).toString('base64url');
+
+  const refreshToken = await this.create({
+    user: user._id || user.id,
+    tokenHash: hashToken(token),
+    family: options.family || crypto.randomUUID(),
+    expiresAt,
+    familyExpiresAt,
+    createdByIp: options.ip,
+    userAgent: options.userAgent ? String(options.userAgent).slice(0, 300) : undefined
+  });
+
+  return { token, refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new one of the same family
+ * The presented token is revoked atomically, so of two concurrent uses only
+ * one succeeds. Presenting a token that was already rotated revokes its
+ * whole family: either the citizen or an attacker holds a copy.
+ *
+ * @param {String} token - Refresh token from the client
+ * @param {Object} [options] - Client details, see issue
+ * @returns {Promise<Object>} { token, refreshToken } for the replacement
+ * @throws {Error} RefreshTokenError with code invalid, expired or reused
+ */
+RefreshTokenSchema.statics.rotate = async function(token, options = {}) {
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  const current = await this.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now, revokedReason: 'rotated' } },
+    { new: true }
+  );
+
+  if (!current) {
+    const known = await this.findOne({ tokenHash });
+
+    if (known && known.revokedReason === 'rotated') {
+      await this.revokeFamily(known.family, 'reuse');
+      console.warn(`Refresh token reuse detected for user ${known.user}, family ${known.family} revoked`);
+      throw refreshTokenError('reused', 'Refresh token has already been used; this session has been signed out');
+    }
+
+    if (known && !known.revokedAt) {
+      throw refreshTokenError('expired', 'Refresh token has expired');
+    }
+
+    throw refreshTokenError('invalid', 'Invalid refresh token');
+  }
+
+  const replacement = await this.issue(current.user, {
+    family: current.family,
+    familyExpiresAt: current.familyExpiresAt,
+    ip: options.ip,
+    userAgent: options.userAgent
+  });
+
+  current.replacedBy = replacement.refreshToken._id;
+  await current.save();
+
+  return replacement;
+};
+
+/**
+ * Find the live token for a plain refresh token
+ * @param {String} token - Refresh token from the client
+ * @returns {Promise<RefreshToken|null>} Token document or null if unknown
+ */
+RefreshTokenSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+/**
+ * Revoke every live token of a family
+ * @param {String} family - Family ID
+ * @param {String} reason - One of REVOKE_REASONS
+ * @returns {Promise<Number>} Number of tokens revoked
+ */
+RefreshTokenSchema.statics.revokeFamily = async function(family, reason) {
+  const result = await this.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Revoke every live token of a user, signing them out on all devices
+ * @param {ObjectId} userId - User ID
+ * @param {String} reason - One of REVOKE_REASONS
+ * @returns {Promise<Number>} Number of tokens revoked
+ */
+RefreshTokenSchema.statics.revokeForUser = async function(userId, reason) {
+  const result = await this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+// Expose constants and helpers for other modules
+RefreshTokenSchema.statics.REFRESH_TOKEN_DAYS = REFRESH_TOKEN_DAYS;
+RefreshTokenSchema.statics.FAMILY_MAX_DAYS = FAMILY_MAX_DAYS;
+RefreshTokenSchema.statics.REVOKE_REASONS = REVOKE_REASONS;
+RefreshTokenSchema.statics.hashToken = hashToken;
+
+// Create the RefreshToken model
+const RefreshToken = mongoose.model('RefreshToken', RefreshTokenSchema);
+
+module.exports = RefreshToken;
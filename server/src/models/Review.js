@@ -1,4 +1,27 @@
 const mongoose = require('mongoose');
+const { screenTexts, redactPii, describeFlags } = require('../utils/reviewModeration');
+const { getAnalyzer, analyzerId } = require('../utils/sentimentAnalyzer');
+
+// Languages a review can be written in
+const LANGUAGES = ['en', 'hi', 'mr', 'gu', 'pa', 'ta', 'te', 'kn', 'bn', 'ml', 'or', 'as'];
+
+// Aspects of a service a citizen can rate separately
+const ASPECTS = ['ease', 'speed', 'staff', 'clarity', 'outcome'];
+
+// Moderation statuses of a review
+const STATUSES = ['pending', 'approved', 'rejected', 'flagged', 'removed'];
+
+// Voice transcripts recognised with less confidence than this are held for a
+// moderator to check against the recording
+const VOICE_MIN_CONFIDENCE = parseFloat(process.env.VOICE_REVIEW_MIN_CONFIDENCE) || 0.7;
+
+// Moderator actions and the status each one sets
+const MODERATION_ACTIONS = {
+  approve: 'approved',
+  reject: 'rejected',
+  flag: 'flagged',
+  remove: 'removed'
+};
 
 /**
  * Review Schema
@@ -66,7 +89,7 @@ const ReviewSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Review language is required'],
     enum: {
-      values: ['en', 'hi', 'mr', 'gu', 'pa', 'ta', 'te', 'kn', 'bn', 'ml', 'or', 'as'],
+      values: LANGUAGES,
       message: 'Please select a supported language'
     },
     default: 'en'
@@ -90,6 +113,16 @@ const ReviewSchema = new mongoose.Schema({
     // URL to voice recording if available
     recordingUrl: String,
     
+    // Stored audio clip (see utils/documentStorage)
+    recording: {
+      storage: String,
+      storageKey: String,
+      mimeType: String,
+      sizeBytes: Number,
+      checksum: String,
+      scanStatus: String
+    },
+    
     // Transcript of voice feedback
     transcript: String,
     
@@ -100,6 +133,15 @@ const ReviewSchema = new mongoose.Schema({
       max: 1
     },
     
+    // Speech recognition engine that produced the transcript
+    engine: String,
+    
+    // Whether a moderator corrected the transcript against the recording
+    transcriptCorrected: {
+      type: Boolean,
+      default: false
+    },
+    
     // Voice characteristics for verification
     voiceCharacteristics: {
       pitch: Number,
@@ -163,7 +205,7 @@ const ReviewSchema = new mongoose.Schema({
       // Key entities mentioned
       entities: [{
         name: String,
-        type: String,
+        type: { type: String },
         score: Number
       }],
       
@@ -177,6 +219,9 @@ const ReviewSchema = new mongoose.Schema({
       enum: ['en', 'hi', 'mr', 'gu', 'pa', 'ta', 'te', 'kn', 'bn', 'ml', 'or', 'as']
     },
     
+    // Analyzer and version that produced the result, e.g. "lexicon@1"
+    analyzer: String,
+    
     // When sentiment analysis was last updated
     lastUpdated: Date
   },
@@ -230,7 +275,7 @@ const ReviewSchema = new mongoose.Schema({
   status: {
     type: String,
     enum: {
-      values: ['pending', 'approved', 'rejected', 'flagged', 'removed'],
+      values: STATUSES,
       message: 'Invalid review status'
     },
     default: 'pending'
@@ -238,6 +283,35 @@ const ReviewSchema = new mongoose.Schema({
   
   // Reason if review was rejected or flagged
   moderationNotes: String,
+
+  // Result of the automatic content screening and the last moderator decision
+  moderation: {
+    flags: [{
+      type: {
+        type: String,
+        enum: ['profanity', 'pii', 'transcript']
+      },
+      // PII kind (phone, aadhaar, email, pan), the profanity lexicon's language,
+      // or low_confidence for a voice transcript
+      category: String,
+      count: Number,
+      _id: false
+    }],
+    autoFlagged: {
+      type: Boolean,
+      default: false
+    },
+    screenedAt: Date,
+    redacted: {
+      type: Boolean,
+      default: false
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    moderatedAt: Date
+  },
   
   // Whether the review was verified (user actually used the service)
   isVerified: {
@@ -290,6 +364,7 @@ ReviewSchema.index({ 'sentiment.category': 1 });
 ReviewSchema.index({ isVerified: 1 });
 ReviewSchema.index({ 'response.status': 1 });
 ReviewSchema.index({ service: 1, rating: 1 });
+ReviewSchema.index({ status: 1, createdAt: 1 });
 
 // Virtual for checking if review has response
 ReviewSchema.virtual('hasResponse').get(function() {
@@ -298,13 +373,15 @@ ReviewSchema.virtual('hasResponse').get(function() {
 
 /**
  * Calculate average rating for a service
+ * Only approved reviews are counted
  * @param {ObjectId} serviceId - ID of the service to calculate rating for
- * @returns {Promise<Object>} - Object containing average rating and count
+ * @returns {Promise<Object>} - Object containing average rating, count, distribution
+ *   and the average of each aspect rating (null for aspects nobody rated)
  */
 ReviewSchema.statics.calculateServiceRating = async function(serviceId) {
   try {
     const result = await this.aggregate([
-      { $match: { service: mongoose.Types.ObjectId(serviceId), status: 'approved' } },
+      { $match: { service: new mongoose.Types.ObjectId(String(serviceId)), status: 'approved' } },
       {
         $group: {
           _id: '$service',
@@ -313,7 +390,9 @@ ReviewSchema.statics.calculateServiceRating = async function(serviceId) {
           // Group ratings by stars (1-5)
           ratingBreakdown: {
             $push: '$rating'
-          }
+          },
+          // $avg skips reviews that did not rate an aspect
+          ...Object.fromEntries(ASPECTS.map(aspect => [aspect, { $avg: `$aspectRatings.${aspect}` }]))
         }
       }
     ]);
@@ -324,7 +403,8 @@ ReviewSchema.statics.calculateServiceRating = async function(serviceId) {
         totalRatings: 0,
         ratingDistribution: {
           1: 0, 2: 0, 3: 0, 4: 0, 5: 0
-        }
+        },
+        aspectRatings: Object.fromEntries(ASPECTS.map(aspect => [aspect, null]))
       };
     }
 
@@ -337,10 +417,17 @@ ReviewSchema.statics.calculateServiceRating = async function(serviceId) {
       ratingDistribution[rating]++;
     });
 
+    const aspectRatings = {};
+    ASPECTS.forEach(aspect => {
+      const average = result[0][aspect];
+      aspectRatings[aspect] = typeof average === 'number' ? Math.round(average * 10) / 10 : null;
+    });
+
     return {
       averageRating: Math.round(result[0].averageRating * 10) / 10, // Round to 1 decimal place
       totalRatings: result[0].totalRatings,
-      ratingDistribution
+      ratingDistribution,
+      aspectRatings
     };
   } catch (error) {
     console.error('Error calculating service rating:', error);
@@ -348,104 +435,206 @@ ReviewSchema.statics.calculateServiceRating = async function(serviceId) {
   }
 };
 
+/**
+ * Recompute a service's rating aggregates and store them on the Service
+ * @param {ObjectId} serviceId - ID of the service
+ * @returns {Promise<Object>} - The stored rating summary
+ */
+ReviewSchema.statics.syncServiceRating = async function(serviceId) {
+  const rating = await this.calculateServiceRating(serviceId);
+
+  await mongoose.model('Service').updateOne(
+    { _id: serviceId },
+    {
+      $set: {
+        averageRating: rating.averageRating,
+        totalRatings: rating.totalRatings,
+        ratingDistribution: rating.ratingDistribution,
+        aspectRatings: rating.aspectRatings,
+        ratingsUpdatedAt: new Date()
+      }
+    }
+  );
+
+  return rating;
+};
+
+// Rating recalculations in progress, by service ID
+const ratingSyncs = new Map();
+
+/**
+ * Queue a rating recalculation for a service
+ * Recalculations for one service run one at a time; changes arriving while one
+ * runs are folded into a single follow-up run, so a burst of moderation
+ * decisions costs at most two aggregations and the last one sees every change.
+ * Errors are logged rather than thrown, so a failed recalculation never fails
+ * the review change that triggered it.
+ *
+ * @param {ObjectId} serviceId - ID of the service
+ * @returns {Promise<void>} Resolves once the service's aggregates are current
+ */
+ReviewSchema.statics.queueRatingSync = function(serviceId) {
+  const key = String(serviceId);
+  const running = ratingSyncs.get(key);
+
+  if (running) {
+    running.rerun = true;
+    return running.promise;
+  }
+
+  const entry = { rerun: false };
+  ratingSyncs.set(key, entry);
+
+  entry.promise = (async () => {
+    try {
+      do {
+        entry.rerun = false;
+        await this.syncServiceRating(serviceId);
+      } while (entry.rerun);
+    } catch (error) {
+      console.error(`Error syncing rating for service ${key}:`, error);
+    } finally {
+      ratingSyncs.delete(key);
+    }
+  })();
+
+  return entry.promise;
+};
+
+/**
+ * Recompute the rating aggregates of every service with reviews
+ * Used to backfill aggregates and to repair them after bulk changes made
+ * outside the model (e.g. updateMany)
+ * @returns {Promise<Number>} Number of services updated
+ */
+ReviewSchema.statics.syncAllServiceRatings = async function() {
+  const serviceIds = await this.distinct('service');
+
+  for (const serviceId of serviceIds) {
+    await this.syncServiceRating(serviceId);
+  }
+
+  // Services whose reviews were all deleted keep no stale rating
+  await mongoose.model('Service').updateMany(
+    { _id: { $nin: serviceIds }, totalRatings: { $gt: 0 } },
+    {
+      $set: {
+        averageRating: 0,
+        totalRatings: 0,
+        ratingDistribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+        aspectRatings: {},
+        ratingsUpdatedAt: new Date()
+      }
+    }
+  );
+
+  return serviceIds.length;
+};
+
+// Note whether this save changes what the service's rating counts
+ReviewSchema.pre('save', function(next) {
+  this.$locals.ratingChanged = this.isNew
+    ? this.status === 'approved'
+    : this.isModified('status') || (this.status === 'approved' && this.isModified(['rating', 'aspectRatings']));
+  next();
+});
+
+// Keep the service's rating aggregates in step with its approved reviews
+ReviewSchema.post('save', async function() {
+  if (this.$locals.ratingChanged) {
+    this.$locals.ratingChanged = false;
+    await this.constructor.queueRatingSync(this.service);
+  }
+});
+
+ReviewSchema.post('deleteOne', { document: true, query: false }, async function() {
+  if (this.status === 'approved') {
+    await this.constructor.queueRatingSync(this.service);
+  }
+});
+
+ReviewSchema.post('findOneAndDelete', async function(review) {
+  if (review && review.status === 'approved') {
+    await this.model.queueRatingSync(review.service);
+  }
+});
+
+/**
+ * Pick the text to analyze for sentiment
+ * Uses the comment in the requested language, then English, then the voice
+ * transcript, with the title in front of whichever is found
+ * @param {Review} review - Review document
+ * @param {String} language - Preferred language
+ * @returns {Object|null} { text, language }, or null for rating-only reviews
+ */
+const getSentimentText = (review, language) => {
+  const comment = review.comment || {};
+  const transcript = review.voiceFeedback && review.voiceFeedback.transcript;
+  let source = null;
+
+  if (comment[language]) {
+    source = { text: comment[language], language };
+  } else if (comment.en) {
+    source = { text: comment.en, language: 'en' };
+  } else if (transcript) {
+    source = { text: transcript, language };
+  }
+
+  if (!source) return null;
+
+  return {
+    text: review.title ? `${review.title}. ${source.text}` : source.text,
+    language: source.language
+  };
+};
+
+/**
+ * Build the stored sentiment for a review with an analyzer
+ * @param {Review} review - Review document
+ * @param {Object} analyzer - Sentiment analyzer (see utils/sentimentAnalyzer)
+ * @param {String} [language] - Preferred language, defaults to the review language
+ * @returns {Promise<Object|null>} Sentiment, or null when the review has no text
+ */
+const buildSentiment = async (review, analyzer, language) => {
+  const source = getSentimentText(review, language || review.language || 'en');
+  if (!source) return null;
+
+  const result = await analyzer.analyze(source.text, { language: source.language });
+
+  return {
+    score: result.score,
+    category: result.category,
+    details: {
+      aspects: result.aspects || [],
+      entities: result.entities || [],
+      keyPhrases: result.keyPhrases || []
+    },
+    analysisLanguage: source.language,
+    analyzer: analyzerId(analyzer),
+    lastUpdated: new Date()
+  };
+};
+
 /**
  * Perform sentiment analysis on review text
- * This method would typically call an external API or use a library
- * for accurate sentiment analysis, but here we implement a simple placeholder
+ * Uses the configured analyzer (SENTIMENT_ANALYZER, default: the built-in
+ * lexicon analyzer) and saves the result
  * @param {String} language - Language of the text to analyze
  * @returns {Promise<Object>} - Sentiment analysis result
  */
 ReviewSchema.methods.analyzeSentiment = async function(language = null) {
   try {
-    // Use the review's language if not specified
-    const lang = language || this.language || 'en';
-    
-    // Get the text in the correct language
-    const text = this.comment[lang] || this.comment.en;
-    
-    if (!text) {
+    const sentiment = await buildSentiment(this, getAnalyzer(), language);
+
+    if (!sentiment) {
       throw new Error('No text available for sentiment analysis');
     }
-    
-    // In a real implementation, we would call an NLP service here
-    // For this example, we'll use a very simple algorithm
-    
-    // Define some positive and negative words (for demo purposes only)
-    const positiveWords = {
-      en: ['good', 'great', 'excellent', 'awesome', 'wonderful', 'fantastic', 'helpful', 'easy', 'convenient', 'satisfied'],
-      hi: ['अच्छा', 'बहुत अच्छा', 'उत्कृष्ट', 'बढ़िया', 'सहायक', 'आसान', 'संतुष्ट']
-    };
-    
-    const negativeWords = {
-      en: ['bad', 'poor', 'terrible', 'awful', 'horrible', 'difficult', 'complicated', 'unhelpful', 'dissatisfied', 'waste'],
-      hi: ['बुरा', 'ख़राब', 'भयानक', 'मुश्किल', 'जटिल', 'असंतुष्ट', 'बेकार']
-    };
-    
-    // Get word lists for the requested language, fallback to English
-    const posWords = positiveWords[lang] || positiveWords.en;
-    const negWords = negativeWords[lang] || negativeWords.en;
-    
-    // Simple word counting
-    const words = text.toLowerCase().split(/\s+/);
-    let positiveCount = 0;
-    let negativeCount = 0;
-    
-    words.forEach(word => {
-      if (posWords.some(posWord => word.includes(posWord))) {
-        positiveCount++;
-      }
-      if (negWords.some(negWord => word.includes(negWord))) {
-        negativeCount++;
-      }
-    });
-    
-    // Calculate a simple sentiment score between -1 and 1
-    const totalSentimentWords = positiveCount + negativeCount;
-    
-    let score = 0;
-    if (totalSentimentWords > 0) {
-      score = (positiveCount - negativeCount) / totalSentimentWords;
-    }
-    
-    // Determine sentiment category
-    let category;
-    if (score > 0.25) {
-      category = 'positive';
-    } else if (score < -0.25) {
-      category = 'negative';
-    } else {
-      category = 'neutral';
-    }
-    
-    // Extract some key phrases (very simplistic approach)
-    const keyPhrases = [];
-    for (let i = 0; i < words.length; i++) {
-      if (i + 2 < words.length) {
-        if ((posWords.includes(words[i]) || negWords.includes(words[i])) && 
-            words[i+1].length > 2 && words[i+2].length > 2) {
-          keyPhrases.push(`${words[i]} ${words[i+1]} ${words[i+2]}`);
-        }
-      }
-    }
-    
-    // Update the sentiment field in the document
-    this.sentiment = {
-      score,
-      category,
-      details: {
-        aspects: [
-          { name: 'service', score: score }
-        ],
-        entities: [],
-        keyPhrases: keyPhrases.slice(0, 5) // Keep only the first 5 phrases
-      },
-      analysisLanguage: lang,
-      lastUpdated: new Date()
-    };
-    
+
+    this.sentiment = sentiment;
+
     // Save the document with updated sentiment analysis
     await this.save();
-    
+
     return this.sentiment;
   } catch (error) {
     console.error('Error analyzing sentiment:', error);
@@ -453,6 +642,81 @@ ReviewSchema.methods.analyzeSentiment = async function(language = null) {
   }
 };
 
+/**
+ * Re-analyze the sentiment of existing reviews in batches
+ * Only approved reviews are analyzed, since only they count towards sentiment
+ * trends. Unless all is set, reviews already analyzed by the current analyzer
+ * version are skipped, so the job can be re-run after an interruption.
+ * Results are written directly, without the save hooks, so re-analysis never
+ * re-screens text or touches service ratings.
+ * @param {Object} [options] - Options
+ * @param {ObjectId} [options.service] - Only this service's reviews
+ * @param {String} [options.language] - Only reviews in this language
+ * @param {Date} [options.since] - Only reviews created since this date
+ * @param {Boolean} [options.all] - Also re-analyze up to date reviews
+ * @param {Number} [options.batchSize] - Reviews written per batch
+ * @param {String} [options.analyzer] - Analyzer name, defaults to the configured one
+ * @returns {Promise<Object>} { analyzer, processed, updated, skipped, failed }
+ */
+ReviewSchema.statics.reanalyzeSentiment = async function({
+  service,
+  language,
+  since,
+  all = false,
+  batchSize = 200,
+  analyzer: analyzerName
+} = {}) {
+  const analyzer = getAnalyzer(analyzerName);
+  const id = analyzerId(analyzer);
+  const query = { status: 'approved' };
+
+  if (service) query.service = service;
+  if (language) query.language = language;
+  if (since) query.createdAt = { $gte: since };
+  if (!all) query['sentiment.analyzer'] = { $ne: id };
+
+  const stats = { analyzer: id, processed: 0, updated: 0, skipped: 0, failed: 0 };
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await this.bulkWrite(operations, { ordered: false });
+    stats.updated += result.modifiedCount;
+    operations = [];
+  };
+
+  const cursor = this.find(query)
+    .select('title comment language voiceFeedback.transcript')
+    .sort({ _id: 1 })
+    .cursor();
+
+  for await (const review of cursor) {
+    stats.processed++;
+
+    try {
+      const sentiment = await buildSentiment(review, analyzer);
+
+      if (!sentiment) {
+        stats.skipped++;
+        continue;
+      }
+
+      operations.push({ updateOne: { filter: { _id: review._id }, update: { $set: { sentiment } } } });
+    } catch (error) {
+      stats.failed++;
+      console.error(`Error re-analyzing sentiment for review ${review._id}:`, error);
+    }
+
+    if (operations.length >= batchSize) {
+      await flush();
+    }
+  }
+
+  await flush();
+
+  return stats;
+};
+
 /**
  * Add or update response to a review
  * @param {Object} responseData - The response data
@@ -559,42 +823,173 @@ ReviewSchema.methods.removeVote = async function(userId) {
 };
 
 /**
- * Update the status of a review
- * @param {String} newStatus - New status for the review
- * @param {String} [notes] - Optional moderation notes for status change
- * @param {ObjectId} [moderator] - User ID of the moderator making the change
- * @returns {Promise<Review>} - Updated review document
+ * Change a review's status and add the change to its status history
+ * @param {Review} review - Review document
+ * @param {String} newStatus - New status
+ * @param {String} [notes] - Moderation notes
+ * @param {ObjectId} [moderator] - User making the change; none for automatic changes
  */
-ReviewSchema.methods.updateStatus = async function(newStatus, notes, moderator) {
-  // Validate the status
-  if (!['pending', 'approved', 'rejected', 'flagged', 'removed'].includes(newStatus)) {
-    throw new Error("Invalid status value");
-  }
-  
-  this.status = newStatus;
-  
+const recordStatusChange = (review, newStatus, notes, moderator) => {
+  const previousStatus = review.status;
+  review.status = newStatus;
+
   if (notes) {
-    this.moderationNotes = notes;
+    review.moderationNotes = notes;
   }
-  
+
   // Add metadata about the status change
-  if (!this.metadata) {
-    this.metadata = new Map();
+  if (!review.metadata) {
+    review.metadata = new Map();
   }
-  
-  this.metadata.set('statusHistory', [
-    ...(this.metadata.get('statusHistory') || []),
+
+  review.metadata.set('statusHistory', [
+    ...(review.metadata.get('statusHistory') || []),
     {
-      from: this.status,
+      from: previousStatus,
       to: newStatus,
       timestamp: new Date(),
       moderator: moderator || null,
       notes: notes || null
     }
   ]);
+};
+
+/**
+ * Get every citizen-written text of a review
+ * @param {Review} review - Review document
+ * @returns {Array} Title, comments in each language and the voice transcript
+ */
+const getReviewTexts = (review) => [
+  review.title,
+  ...LANGUAGES.map(language => review.comment && review.comment[language]),
+  review.voiceFeedback && review.voiceFeedback.transcript
+];
+
+/**
+ * Flag a voice transcript the speech recognizer was unsure of
+ * @param {Review} review - Review document
+ * @returns {Array} A low_confidence transcript flag, or nothing
+ */
+const getTranscriptFlags = (review) => {
+  const voice = review.voiceFeedback;
+
+  if (!voice || !voice.isVoiceSubmitted || !voice.transcript || voice.transcriptCorrected) {
+    return [];
+  }
+
+  // An unknown confidence is treated as low
+  const confident = typeof voice.confidence === 'number' && voice.confidence >= VOICE_MIN_CONFIDENCE;
+  return confident ? [] : [{ type: 'transcript', category: 'low_confidence', count: 1 }];
+};
+
+// Screen new and edited text; reviews with profanity, personal data or an
+// uncertain voice transcript are held as flagged until a moderator decides.
+// Text a moderator has just reviewed (e.g. redacted before approval) is not
+// screened again.
+ReviewSchema.pre('validate', function(next) {
+  const contentChanged = this.isNew ||
+    this.isModified(['title', 'comment', 'voiceFeedback.transcript', 'voiceFeedback.confidence']);
+
+  if (!contentChanged || this.$locals.moderated) {
+    return next();
+  }
+
+  const flags = [...screenTexts(getReviewTexts(this)), ...getTranscriptFlags(this)];
+
+  this.moderation = this.moderation || {};
+  this.moderation.flags = flags;
+  this.moderation.screenedAt = new Date();
+
+  if (flags.length > 0) {
+    if (['pending', 'approved'].includes(this.status)) {
+      this.moderation.autoFlagged = true;
+      recordStatusChange(this, 'flagged', `Automatically flagged: ${describeFlags(flags)}`);
+    }
+  } else if (this.moderation.autoFlagged) {
+    // The author edited the problem out; it goes back to the normal queue
+    this.moderation.autoFlagged = false;
+    if (this.status === 'flagged') {
+      recordStatusChange(this, 'pending', 'Edited after automatic flag');
+    }
+  }
+
+  next();
+});
+
+/**
+ * Apply a moderator's decision to a review
+ * @param {String} action - approve, reject, flag or remove
+ * @param {Object} [options] - Decision details
+ * @param {String} [options.notes] - Moderation notes
+ * @param {ObjectId} [options.moderator] - User ID of the moderator
+ * @param {Boolean} [options.redact] - Replace personal data in the text before saving
+ * @param {String} [options.transcript] - Voice transcript corrected against the recording
+ * @returns {Promise<Review>} - Updated review document
+ */
+ReviewSchema.methods.moderate = async function(action, { notes, moderator, redact = false, transcript } = {}) {
+  const newStatus = MODERATION_ACTIONS[action];
+
+  if (!newStatus) {
+    throw new Error(`Moderation action must be one of: ${Object.keys(MODERATION_ACTIONS).join(', ')}`);
+  }
+
+  this.moderation = this.moderation || {};
+
+  // The moderator has listened to the recording, so the transcript is no longer in doubt
+  if (transcript !== undefined) {
+    if (!this.voiceFeedback || !this.voiceFeedback.isVoiceSubmitted) {
+      throw new Error('Only voice reviews have a transcript to correct');
+    }
+    this.voiceFeedback.transcript = transcript;
+    this.voiceFeedback.transcriptCorrected = true;
+    this.moderation.flags = this.moderation.flags.filter(flag => flag.type !== 'transcript');
+    this.sentiment = undefined;
+  }
+
+  if (redact) {
+    this.title = redactPii(this.title);
+    LANGUAGES.forEach(language => {
+      if (this.comment && this.comment[language]) {
+        this.comment[language] = redactPii(this.comment[language]);
+      }
+    });
+    if (this.voiceFeedback && this.voiceFeedback.transcript) {
+      this.voiceFeedback.transcript = redactPii(this.voiceFeedback.transcript);
+    }
+    this.moderation.flags = this.moderation.flags.filter(flag => flag.type !== 'pii');
+    this.moderation.redacted = true;
+  }
+
+  this.moderation.moderatedBy = moderator;
+  this.moderation.moderatedAt = new Date();
+  this.$locals.moderated = true;
+
+  try {
+    return await this.updateStatus(newStatus, notes, moderator);
+  } finally {
+    this.$locals.moderated = false;
+  }
+};
+
+/**
+ * Update the status of a review
+ * @param {String} newStatus - New status for the review
+ * @param {String} [notes] - Optional moderation notes for status change
+ * @param {ObjectId} [moderator] - User ID of the moderator making the change
+ * @returns {Promise<Review>} - Updated review document
+ */
+ReviewSchema.methods.updateStatus = async function(newStatus, notes, moderator) {
+  // Validate the status
+  if (!STATUSES.includes(newStatus)) {
+    throw new Error("Invalid status value");
+  }
+  
+  recordStatusChange(this, newStatus, notes, moderator);
   
   // If the review is being approved, trigger sentiment analysis if not already done
-  if (newStatus === 'approved' && (!this.sentiment || !this.sentiment.score)) {
+  // (rating-only reviews have no text to analyze)
+  const analyzed = this.sentiment && this.sentiment.lastUpdated;
+  if (newStatus === 'approved' && !analyzed && getSentimentText(this, this.language)) {
     await this.analyzeSentiment();
   }
   
@@ -630,11 +1025,12 @@ ReviewSchema.statics.checkReviewEligibility = async function(userId, serviceId)
     
     // For this example, we'll assume the user has used the service if there's a matching
     // application entry (in a real app, you would also check application status)
-    const Application = mongoose.model('Application', {}); // Just for reference, not actually defined
     
     // Check if the Application model exists before trying to use it
+    let userApplication = null;
     if (mongoose.modelNames().includes('Application')) {
-      const userApplication = await Application.findOne({
+      const Application = mongoose.model('Application');
+      userApplication = await Application.findOne({
         user: userId,
         service: serviceId,
         status: 'completed'
@@ -652,7 +1048,8 @@ ReviewSchema.statics.checkReviewEligibility = async function(userId, serviceId)
     // All checks passed
     return {
       eligible: true,
-      message: 'You can review this service'
+      message: 'You can review this service',
+      application: userApplication ? userApplication._id : undefined
     };
   } catch (error) {
     console.error('Error checking review eligibility:', error);
@@ -683,7 +1080,9 @@ ReviewSchema.methods.getSummary = function(language = 'en') {
     id: this._id,
     rating: this.rating,
     title: this.title,
-    comment: getText(this.comment),
+    // Voice reviews are read from their transcript
+    comment: getText(this.comment) || (this.voiceFeedback && this.voiceFeedback.transcript) || null,
+    isVoiceSubmitted: Boolean(this.voiceFeedback && this.voiceFeedback.isVoiceSubmitted),
     user: this.user,
     service: this.service,
     createdAt: this.createdAt,
@@ -753,6 +1152,13 @@ ReviewSchema.statics.findCriticalReviews = async function(serviceId, limit = 5)
   .exec();
 };
 
+// Expose constants for validators and other modules
+ReviewSchema.statics.LANGUAGES = LANGUAGES;
+ReviewSchema.statics.ASPECTS = ASPECTS;
+ReviewSchema.statics.STATUSES = STATUSES;
+ReviewSchema.statics.MODERATION_ACTIONS = Object.keys(MODERATION_ACTIONS);
+ReviewSchema.statics.VOICE_MIN_CONFIDENCE = VOICE_MIN_CONFIDENCE;
+
 // Create the Review model
 const Review = mongoose.model('Review', ReviewSchema);
 
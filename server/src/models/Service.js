@@ -1,925 +1,36 @@
 const mongoose = require('mongoose');
+const ruleEngine = require('../utils/ruleEngine');
+const feeFormula = require('../utils/feeFormula');
+const fileInspector = require('../utils/fileInspector');
+const documentRules = require('../utils/documentRules');
 
-/**
- * Service Schema
- * Represents government services available through the SwarSeva platform
- */
-const ServiceSchema = new mongoose.Schema({
-  // Basic service information with multilingual support
-  name: {
-    en: {
-      type: String,
-      required: [true, 'Service name in English is required'],
-      trim: true,
-      maxlength: [100, 'Service name cannot be more than 100 characters']
-    },
-    hi: {
-      type: String,
-      trim: true,
-      maxlength: [100, 'Service name cannot be more than 100 characters']
-    },
-    mr: { type: String, trim: true },
-    gu: { type: String, trim: true },
-    pa: { type: String, trim: true },
-    ta: { type: String, trim: true },
-    te: { type: String, trim: true },
-    kn: { type: String, trim: true },
-    bn: { type: String, trim: true },
-    ml: { type: String, trim: true },
-    or: { type: String, trim: true },
-    as: { type: String, trim: true }
-  },
-  
-  description: {
-    en: {
-      type: String,
-      required: [true, 'Service description in English is required'],
-      trim: true
-    },
-    hi: { type: String, trim: true },
-    mr: { type: String, trim: true },
-    gu: { type: String, trim: true },
-    pa: { type: String, trim: true },
-    ta: { type: String, trim: true },
-    te: { type: String, trim: true },
-    kn: { type: String, trim: true },
-    bn: { type: String, trim: true },
-    ml: { type: String, trim: true },
-    or: { type: String, trim: true },
-    as: { type: String, trim: true }
-  },
-  
-  shortDescription: {
-    en: {
-      type: String,
-      required: [true, 'Short description in English is required'],
-      trim: true,
-      maxlength: [200, 'Short description cannot exceed 200 characters']
-    },
-    hi: { type: String, trim: true, maxlength: 200 },
-    mr: { type: String, trim: true, maxlength: 200 },
-    gu: { type: String, trim: true, maxlength: 200 },
-    pa: { type: String, trim: true, maxlength: 200 },
-    ta: { type: String, trim: true, maxlength: 200 },
-    te: { type: String, trim: true, maxlength: 200 },
-    kn: { type: String, trim: true, maxlength: 200 },
-    bn: { type: String, trim: true, maxlength: 200 },
-    ml: { type: String, trim: true, maxlength: 200 },
-    or: { type: String, trim: true, maxlength: 200 },
-    as: { type: String, trim: true, maxlength: 200 }
-  },
-  
-  // Service categorization and metadata
-  category: {
-    type: String,
-    required: [true, 'Service category is required'],
-    enum: {
-      values: [
-        'health', 'education', 'agriculture', 'finance', 'housing',
-        'legal', 'employment', 'certification', 'welfare', 'pension',
-        'utility', 'transportation', 'other'
-      ],
-      message: 'Please select a valid service category'
-    }
-  },
-  
-  subCategory: {
-    type: String,
-    trim: true
-  },
-  
-  department: {
-    type: String,
-    required: [true, 'Government department is required'],
-    trim: true
-  },
-  
-  serviceCode: {
-    type: String,
-    required: [true, 'Service code is required'],
-    unique: true,
-    trim: true,
-    uppercase: true
-  },
-  
-  // Service availability and status
-  status: {
-    type: String,
-    enum: {
-      values: ['active', 'inactive', 'draft', 'archived', 'seasonal'],
-      message: 'Please select a valid status'
-    },
-    default: 'draft'
-  },
-  
-  isPublished: {
-    type: Boolean,
-    default: false
-  },
-  
-  availableOnline: {
-    type: Boolean,
-    default: true
-  },
-  
-  availableOffline: {
-    type: Boolean,
-    default: true
-  },
-  
-  offlineLocations: [{
-    name: String,
-    address: String,
-    district: String,
-    state: String,
-    pincode: String,
-    coordinates: {
-      latitude: Number,
-      longitude: Number
-    },
-    contactDetails: {
-      phone: String,
-      email: String,
-      website: String
-    },
-    openingHours: String
-  }],
-  
-  // Eligibility criteria
-  eligibilityCriteria: {
-    en: {
-      type: String,
-      required: [true, 'Eligibility criteria in English is required']
-    },
-    hi: { type: String },
-    mr: { type: String },
-    gu: { type: String },
-    pa: { type: String },
-    ta: { type: String },
-    te: { type: String },
-    kn: { type: String },
-    bn: { type: String },
-    ml: { type: String },
-    or: { type: String },
-    as: { type: String }
-  },
-  
-  // Structured eligibility rules for programmatic evaluation
-  eligibilityRules: [{
-    criteriaType: {
-      type: String,
-      enum: {
-        values: [
-          'age', 'income', 'gender', 'residency', 'disability', 
-          'education', 'occupation', 'maritalStatus', 'children',
-          'minority', 'bpl', 'veteran', 'other'
-        ]
-      }
-    },
-    condition: {
-      operator: {
-        type: String,
-        enum: ['equals', 'notEquals', 'greaterThan', 'lessThan', 'between', 'includes', 'excludes']
-      },
-      value: mongoose.Schema.Types.Mixed,
-      minValue: mongoose.Schema.Types.Mixed,
-      maxValue: mongoose.Schema.Types.Mixed
-    },
-    description: {
-      en: { type: String },
-      hi: { type: String }
-    },
-    required: {
-      type: Boolean,
-      default: true
-    }
-  }],
-  
-  // Required documents
-  requiredDocuments: [{
-    name: {
-      en: { 
-        type: String,
-        required: true
-      },
-      hi: { type: String },
-      mr: { type: String },
-      gu: { type: String },
-      pa: { type: String },
-      ta: { type: String },
-      te: { type: String },
-      kn: { type: String },
-      bn: { type: String },
-      ml: { type: String },
-      or: { type: String },
-      as: { type: String }
-    },
-    description: {
-      en: { type: String },
-      hi: { type: String }
-    },
-    documentType: {
-      type: String,
-      enum: ['identity', 'address', 'income', 'education', 'age', 'other']
-    },
-    isRequired: {
-      type: Boolean,
-      default: true
-    },
-    acceptedFormats: [String], // pdf, jpg, png
-    maxFileSize: Number, // in KB
-    validationRules: {
-      minAge: Number,
-      maxAge: Number,
-      yearValidity: Number,
-      otherCriteria: String
-    }
-  }],
-  
-  // Application process
-  processingSteps: [{
-    stepNumber: Number,
-    title: {
-      en: { type: String, required: true },
-      hi: { type: String }
-    },
-    description: {
-      en: { type: String, required: true },
-      hi: { type: String }
-    },
-    estimatedTime: {
-      value: Number,
-      unit: {
-        type: String,
-        enum: ['minutes', 'hours', 'days', 'weeks', 'months']
-      }
-    },
-    responsibleDepartment: String,
-    status: {
-      type: String,
-      enum: ['notStarted', 'inProgress', 'completed', 'onHold', 'failed'],
-      default: 'notStarted'
-    }
-  }],
-  
-  processingTime: {
-    min: Number, // in days
-    max: Number, // in days
-    description: {
-      en: { type: String },
-      hi: { type: String }
-    }
-  },
-  
-  // Voice interface settings
-  voiceInterface: {
-    enabled: {
-      type: Boolean,
-      default: true
-    },
-    voicePrompts: {
-      welcome: {
-        en: { type: String },
-        hi: { type: String }
-      },
-      eligibility: {
-        en: { type: String },
-        hi: { type: String }
-      },
-      documents: {
-        en: { type: String },
-        hi: { type: String }
-      },
-      confirmation: {
-        en: { type: String },
-        hi: { type: String }
-      }
-    },
-    keyPhrases: [String],
-    voiceCommandMap: [{
-      command: String,
-      action: String,
-      response: {
-        en: { type: String },
-        hi: { type: String }
-      }
-    }]
-  },
-  
-  // Fees and payment
-  fees: {
-    amount: {
-      type: Number,
-      default: 0
-    },
-    currency: {
-      type: String,
-      default: 'INR'
-    },
-    variableFee: Boolean,
-    feeStructure: {
-      en: { type: String },
-      hi: { type: String }
-    },
-    feeCalculationRules: [{
-      criteriaType: {
-        type: String,
-        enum: ['income', 'age', 'category', 'location', 'urgency', 'other']
-      },
-      condition: {
-        operator: {
-          type: String,
-          enum: ['equals', 'notEquals', 'greaterThan', 'lessThan', 'between']
-        },
-        value: mongoose.Schema.Types.Mixed,
-        minValue: mongoose.Schema.Types.Mixed,
-        maxValue: mongoose.Schema.Types.Mixed
-      },
-      feeAmount: Number,
-      description: {
-        en: { type: String },
-        hi: { type: String }
-      }
-    }],
-    feeWaiverAvailable: Boolean,
-    feeWaiverCriteria: {
-      en: { type: String },
-      hi: { type: String }
-    },
-    paymentMethods: [{
-      type: String,
-      enum: ['online', 'challan', 'upi', 'netBanking', 'card', 'cash']
-    }]
-  },
-  
-  // Service provider information
-  serviceProviders: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
-  
-  // Reviews and ratings
-  reviews: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Review'
-  }],
-  
-  averageRating: {
-    type: Number,
-    min: [1, 'Rating must be at least 1'],
-    max: [5, 'Rating cannot be more than 5'],
-    default: 0
-  },
-  
-  totalRatings: {
-    type: Number,
-    default: 0
-  },
-  
-  // Service statistics
-  statistics: {
-    totalApplications: {
-      type: Number,
-      default: 0
-    },
-    successfulApplications: {
-      type: Number,
-      default: 0
-    },
-    averageProcessingTime: Number, // in days
-    viewCount: {
-      type: Number,
-      default: 0
-    },
-    applicationCount: {
-      type: Number,
-      default: 0
-    },
-    completionRate: {
-      type: Number,
-      default: 0
-    }
-  },
-  
-  // Additional service information
-  additionalInfo: {
-    en: { type: String },
-    hi: { type: String }
-  },
-  
-  // Contact information for queries
-  contactInfo: {
-    email: {
-      type: String,
-      match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email']
-    },
-    phone: String,
-    website: String,
-    helplineNumber: String
-  },
-  
-  // FAQs
-  faqs: [{
-    question: {
-      en: { type: String, required: true },
-      hi: { type: String }
-    },
-    answer: {
-      en: { type: String, required: true },
-      hi: { type: String }
-    }
-  }],
-  
-  // Tracking information
-  createdBy: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  },
-  updatedBy: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }
-}, {
-  timestamps: true,
-  toJSON: { virtuals: true },
-  toObject: { virtuals: true }
-});
-
-// Virtual for application URL
-ServiceSchema.virtual('applicationUrl').get(function() {
-  return `/services/${this.serviceCode}/apply`;
-});
-
-// Virtual for total number of documents required
-ServiceSchema.virtual('totalDocumentsRequired').get(function() {
-  return this.requiredDocuments.filter(doc => doc.isRequired).length;
-});
-
-// Index for faster searches
-ServiceSchema.index({ serviceCode: 1 }, { unique: true });
-ServiceSchema.index({ category: 1 });
-ServiceSchema.index({ status: 1 });
-ServiceSchema.index({ 'name.en': 'text', 'description.en': 'text' });
-ServiceSchema.index({ department: 1 });
-ServiceSchema.index({ isPublished: 1, status: 1 });
-
-/**
- * Get service details in specific language
- * Falls back to English if requested language not available
- * 
- * @param {String} language - Language code (en, hi, etc.)
- * @returns {Object} - Service details in requested language
- */
-ServiceSchema.methods.getDetailsInLanguage = function(language = 'en') {
-  // Default to English if requested language not available
-  const fallbackLang = 'en';
-  
-  return {
-    id: this._id,
-    serviceCode: this.serviceCode,
-    name: this.name[language] || this.name[fallbackLang],
-    description: this.description[language] || this.description[fallbackLang],
-    shortDescription: this.shortDescription[language] || this.shortDescription[fallbackLang],
-    eligibilityCriteria: this.eligibilityCriteria[language] || this.eligibilityCriteria[fall
-
-const mongoose = require('mongoose');
-
-/**
- * Service Schema
- * Represents government services available through the SwarSeva platform
- */
-const ServiceSchema = new mongoose.Schema({
-  // Basic service information
-  name: {
-    // Multilingual name fields
-    en: {
-      type: String,
-      required: [true, 'Service name in English is required'],
-      trim: true,
-      maxlength: [100, 'Service name cannot be more than 100 characters']
-    },
-    hi: {
-      type: String,
-      trim: true,
-      maxlength: [100, 'Service name cannot be more than 100 characters']
-    },
-    // Fields for other languages
-    mr: { type: String, trim: true },
-    gu: { type: String, trim: true },
-    pa: { type: String, trim: true },
-    ta: { type: String, trim: true },
-    te: { type: String, trim: true },
-    kn: { type: String, trim: true },
-    bn: { type: String, trim: true },
-    ml: { type: String, trim: true },
-    or: { type: String, trim: true },
-    as: { type: String, trim: true }
-  },
-  description: {
-    // Multilingual description fields
-    en: {
-      type: String,
-      required: [true, 'Service description in English is required'],
-      trim: true
-    },
-    hi: {
-      type: String,
-      trim: true
-    },
-    // Fields for other languages
-    mr: { type: String, trim: true },
-    gu: { type: String, trim: true },
-    pa: { type: String, trim: true },
-    ta: { type: String, trim: true },
-    te: { type: String, trim: true },
-    kn: { type: String, trim: true },
-    bn: { type: String, trim: true },
-    ml: { type: String, trim: true },
-    or: { type: String, trim: true },
-    as: { type: String, trim: true }
-  },
-  shortDescription: {
-    // Multilingual short description fields
-    en: {
-      type: String,
-      required: [true, 'Short description in English is required'],
-      trim: true,
-      maxlength: [200, 'Short description cannot exceed 200 characters']
-    },
-    hi: {
-      type: String,
-      trim: true,
-      maxlength: [200, 'Short description cannot exceed 200 characters']
-    },
-    // Fields for other languages
-    mr: { type: String, trim: true, maxlength: 200 },
-    gu: { type: String, trim: true, maxlength: 200 },
-    pa: { type: String, trim: true, maxlength: 200 },
-    te: { type: String, trim: true, maxlength: 200 },
-    ta: { type: String, trim: true, maxlength: 200 },
-    kn: { type: String, trim: true, maxlength: 200 },
-    bn: { type: String, trim: true, maxlength: 200 },
-    ml: { type: String, trim: true, maxlength: 200 },
-    or: { type: String, trim: true, maxlength: 200 },
-    as: { type: String, trim: true, maxlength: 200 }
-  },
-  
-  // Service category and classification
-  category: {
-    type: String,
-    required: [true, 'Service category is required'],
-    enum: {
-      values: [
-        'health', 'education', 'agriculture', 'finance', 
-        'housing', 'legal', 'employment', 'certification',
-        'welfare', 'pension', 'utility', 'transportation', 'other'
-      ],
-      message: 'Please select a valid service category'
-    }
-  },
-  subCategory: {
-    type: String,
-    trim: true
-  },
-  department: {
-    type: String,
-    required: [true, 'Government department is required'],
-    trim: true
-  },
-  serviceCode: {
-    type: String,
-    required: [true, 'Service code is required'],
-    unique: true,
-    trim: true
-  },
-  
-  // Service image and thumbnail
-  imageUrl: {
-    type: String,
-    default: 'default-service.png'
-  },
-  thumbnailUrl: {
-    type: String
-  },
-  
-  // Service status
-  status: {
-    type: String,
-    enum: {
-      values: ['active', 'inactive', 'draft', 'archived', 'seasonal'],
-      message: 'Please select a valid status'
-    },
-    default: 'draft'
-  },
-  isPublished: {
-    type: Boolean,
-    default: false
-  },
-  
-  // Service availability
-  availableOnline: {
-    type: Boolean,
-    default: true
-  },
-  availableOffline: {
-    type: Boolean,
-    default: true
-  },
-  offlineLocations: [{
-    name: String,
-    address: String,
-    district: String,
-    state: String,
-    pincode: String,
-    coordinates: {
-      latitude: Number,
-      longitude: Number
-    },
-    contactDetails: {
-      phone: String,
-      email: String,
-      website: String
-    },
-    openingHours: String
-  }],
-  
-  // Eligibility criteria
-  eligibilityCriteria: {
-    // Multilingual eligibility criteria
-    en: {
-      type: String,
-      required: [true, 'Eligibility criteria in English is required']
-    },
-    hi: { type: String },
-    // Fields for other languages
-    mr: { type: String },
-    gu: { type: String },
-    pa: { type: String },
-    ta: { type: String },
-    te: { type: String },
-    kn: { type: String },
-    bn: { type: String },
-    ml: { type: String },
-    or: { type: String },
-    as: { type: String }
-  },
-  eligibilityRules: [{
-    criteria: {
-      type: String,
-      enum: {
-        values: [
-          'age', 'income', 'gender', 'residency', 'disability', 
-          'education', 'occupation', 'maritalStatus', 'children',
-          'minority', 'bpl', 'veteran', 'other'
-        ]
-      }
-    },
-    condition: {
-      operator: {
-        type: String,
-        enum: ['equals', 'notEquals', 'greaterThan', 'lessThan', 'between', 'includes']
-      },
-      value: mongoose.Schema.Types.Mixed,
-      minValue: mongoose.Schema.Types.Mixed,
-      maxValue: mongoose.Schema.Types.Mixed
-    },
-    description: {
-      en: { type: String },
-      hi: { type: String }
-    }
-  }],
-  
-  // Required documents
-  requiredDocuments: [{
-    name: {
-      en: { 
-        type: String,
-        required: true
-      },
-      hi: { type: String },
-      // Other languages...
-      mr: { type: String },
-      gu: { type: String },
-      pa: { type: String }
-    },
-    description: {
-      en: { type: String },
-      hi: { type: String }
-    },
-    isRequired: {
-      type: Boolean,
-      default: true
-    },
-    acceptedFormats: [String], // pdf, jpg, png
-    maxFileSize: Number // in KB
-  }],
-  
-  // Application process
-  applicationProcess: {
-    en: { 
-      type: String,
-      required: [true, 'Application process in English is required']
-    },
-    hi: { type: String },
-    // Other languages...
-    mr: { type: String },
-    gu: { type: String },
-    pa: { type: String }
-  },
-  processingTime: {
-    min: Number, // in days
-    max: Number, // in days
-    description: {
-      en: { type: String },
-      hi: { type: String }
-    }
-  },
-  
-  // Fees and payment
-  fees: {
-    amount: {
-      type: Number,
-      default: 0
-    },
-    currency: {
-      type: String,
-      default: 'INR'
-    },
-    variableFee: Boolean,
-    feeStructure: {
-      en: { type: String },
-      hi: { type: String }
-    },
-    feeWaiverAvailable: Boolean,
-    feeWaiverCriteria: {
-      en: { type: String },
-      hi: { type: String }
-    },
-    paymentMethods: [{
-      type: String,
-      enum: ['online', 'challan', 'upi', 'netBanking', 'card', 'cash']
-    }]
-  },
-  
-  // Service provider information
-  serviceProviders: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
-  
-  // Reviews and ratings
-  reviews: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Review'
-  }],
-  averageRating: {
-    type: Number,
-    min: [1, 'Rating must be at least 1'],
-    max: [5, 'Rating cannot be more than 5'],
-    default: 0
-  },
-  totalRatings: {
-    type: Number,
-    default: 0
-  },
-  
-  // Service statistics
-  statistics: {
-    totalApplications: {
-      type: Number,
-      default: 0
-    },
-    successfulApplications: {
-      type: Number,
-      default: 0
-    },
-    averageProcessingTime: Number, // in days
-    popularityRank: Number,
-    viewCount: {
-      type: Number,
-      default: 0
-    },
-    applicationCount: {
-      type: Number,
-      default: 0
-    },
-    completionRate: {
-      type: Number,
-      default: 0
-    }
-  },
-  
-  // Related services
-  relatedServices: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Service'
-  }],
-  
-  // Additional information
-  additionalInfo: {
-    en: { type: String },
-    hi: { type: String },
-    // Other languages...
-    mr: { type: String },
-    gu: { type: String },
-    pa: { type: String }
-  },
-  
-  // Contact information for queries
-  contactInfo: {
-    email: {
-      type: String,
-      match: [
-        /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
-        'Please provide a valid email'
-      ]
-    },
-    phone: String,
-    website: String,
-    helplineNumber: String
-  },
-  
-  // FAQ section
-  faqs: [{
-    question: {
-      en: { 
-        type: String,
-        required: true
-      },
-      hi: { type: String },
-      // Other languages...
-      mr: { type: String },
-      gu: { type: String },
-      pa: { type: String }
-    },
-    answer: {
-      en: { 
-        type: String,
-        required: true
-      },
-      hi: { type: String },
-      // Other languages...
-      mr: { type: String },
-      gu: { type: String },
-      pa: { type: String }
-    }
-  }],
-  
-  // SEO metadata
-  seo: {
-    metaTitle: {
-      en: String,
-      hi: String
-    },
-    metaDescription: {
-      en: String,
-      hi: String
-    },
-    keywords: [String]
-  },
-  
-  // Tracking information
-  createdBy: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  },
-  updatedBy: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }
-}, {
-  timestamps: true,
-  toJSON: { virtuals: true },
-  toObject: { virtuals: true }
-});
-
-// Virtual for application URL
-ServiceSchema.virtual('applicationUrl').get(function() {
-  return `/services/${this.serviceCode}/apply`;
-});
+// Profile field read by each built-in criteria type
+const CRITERIA_FIELDS = {
+  age: 'age',
+  income: 'income',
+  residence: 'address.state',
+  education: 'education.level',
+  gender: 'gender',
+  marital: 'maritalStatus',
+  occupation: 'occupation',
+  category: 'category',
+  disability: 'hasDisability'
+};
 
-// Index for faster searches
-ServiceSchema.index({ serviceCode: 1 }, { unique: true });
-ServiceSchema.index({ category: 1 });
-ServiceSchema.index({ status: 1 });
-ServiceSchema.index({ 'name.en': 'text', 'description.en': 'text' });
+// Document types a requirement or waiver proof can ask for
+const DOCUMENT_TYPES = ['aadhar', 'pan', 'voter', 'driving', 'passport', 'income', 'residence', 'photo', 'birth', 'caste', 'education', 'medical', 'bank', 'other'];
 
-/**
- * Get service details in specific language
- * Falls back to English if translation not available
- * 
- * @param {String} language - Language code (en, hi, etc.)
- * @returns {Object} - Service details in requested language
- */
-ServiceSchema.methods.getDetailsInLanguage = function(language = 'en') {
-  // Default to English if requested language not available
-  const fallbackLang = 'en';
-  
-  return {
-    id: this._id,
-    name: this.name[language] || this.name[fallbackLang],
-    description: this.description[language] || this.description[fallbackLang],
-    shortDescription: this.shortDescription[language] || this.shortDescription[fallbackLang],
+// Built-in waiver categories: the profile condition and the proof that backs it
+const WAIVER_CATEGORIES = {
+  bpl: { condition: 'isBPL == true', proofDocumentType: 'income' },
+  senior: { condition: 'age >= 60', proofDocumentType: 'birth' },
+  student: { condition: 'isStudent == true', proofDocumentType: 'education' },
+  disability: { condition: 'hasDisability == true', proofDocumentType: 'medical' },
+  female: { condition: "gender == 'female'", proofDocumentType: 'aadhar' },
+  sc: { condition: "lower(category) == 'sc'", proofDocumentType: 'caste' },
+  st: { condition: "lower(category) == 'st'", proofDocumentType: 'caste' },
+  obc: { condition: "lower(category) == 'obc'", proofDocumentType: 'caste' }
+};
 
 /**
  * Multilingual text schema for fields that need to support multiple languages
@@ -974,7 +85,7 @@ const RequirementSchema = new mongoose.Schema({
   documentType: {
     type: String,
     required: true,
-    enum: ['aadhar', 'pan', 'voter', 'driving', 'passport', 'income', 'residence', 'photo', 'birth', 'caste', 'education', 'medical', 'bank', 'other']
+    enum: DOCUMENT_TYPES
   },
   name: {
     type: MultilingualTextSchema,
@@ -990,7 +101,20 @@ const RequirementSchema = new mongoose.Schema({
     enum: ['none', 'format', 'expiry', 'photo', 'digital']
   },
   allowedFileTypes: [String],
-  maxFileSizeKB: Number
+  maxFileSizeKB: Number,
+  // For the expiry rule: days a document stays valid after its issue date,
+  // e.g. 365 for an income certificate; documents with their own expiry date need none
+  validityDays: {
+    type: Number,
+    min: 1
+  },
+  // For the photo rule: overrides the passport photo defaults in utils/documentRules
+  photo: {
+    minWidth: { type: Number, min: 1 },
+    minHeight: { type: Number, min: 1 },
+    aspectRatio: { type: Number, min: 0.1, max: 10 },
+    aspectTolerance: { type: Number, min: 0, max: 1 }
+  }
 }, { _id: false });
 
 /**
@@ -1014,6 +138,113 @@ const EligibilityCriteriaSchema = new mongoose.Schema({
     type: String,
     enum: ['range', 'exact', 'minimum', 'maximum', 'list', 'boolean', 'custom'],
     default: 'range'
+  },
+  // Profile field to check, for 'other' criteria or derived fields
+  field: String,
+  // Rule expression used by the 'custom' validation method
+  expression: String,
+  // What the citizen can do when the criterion is not met
+  hint: MultilingualTextSchema
+}, { _id: false });
+
+/**
+ * Field computed from the profile before eligibility rules run
+ */
+const DerivedFieldSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    match: [/^[A-Za-z_][A-Za-z0-9_]*$/, 'Derived field name must be a valid identifier']
+  },
+  expression: {
+    type: String,
+    required: true
+  },
+  description: MultilingualTextSchema
+}, { _id: false });
+
+/**
+ * Fee slab: applies to values up to upTo (open ended when not set)
+ */
+const FeeSlabSchema = new mongoose.Schema({
+  upTo: Number,
+  amount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Percentage of the basis value
+  rate: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+/**
+ * Declarative fee formula
+ */
+const FeeFormulaSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: feeFormula.FORMULA_TYPES,
+    default: 'fixed'
+  },
+  // Expression for the value slabs and percentages apply to, e.g. "declaredValue"
+  basis: String,
+  slabs: [FeeSlabSchema],
+  slabMode: {
+    type: String,
+    enum: feeFormula.SLAB_MODES,
+    default: 'flat'
+  },
+  // Percentage of the basis value for percentage formulas
+  rate: {
+    type: Number,
+    min: 0
+  },
+  // Expression computing the fee; the fixed fee is available as `amount`
+  expression: String,
+  minAmount: {
+    type: Number,
+    min: 0
+  },
+  maxAmount: {
+    type: Number,
+    min: 0
+  },
+  lateFee: {
+    // Expression giving the due date, e.g. "addDays(licenceExpiry, 30)"
+    dueDate: String,
+    graceDays: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    flatAmount: Number,
+    perDay: Number,
+    perMonth: Number,
+    percentPerMonth: Number,
+    maxAmount: Number
+  },
+  // Taxes on the fee and late fee, e.g. CGST 9% and SGST 9%
+  taxes: [{
+    name: {
+      type: String,
+      required: true
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100
+    },
+    _id: false
+  }],
+  rounding: {
+    type: String,
+    enum: feeFormula.ROUNDING_MODES,
+    default: 'none'
   }
 }, { _id: false });
 
@@ -1039,12 +270,23 @@ const FeeSchema = new mongoose.Schema({
     type: String,
     default: 'INR'
   },
+  // Adjustments; calculation is an expression over the running fee as
+  // `amount`. A factor without a calculation only labels the fee
   variableFactors: [{
     factor: String,
     calculation: String
   }],
+  // How the fee is computed; without a formula the fixed amount applies
+  formula: FeeFormulaSchema,
+  // A waiver applies when its condition or any listed category matches the
+  // profile; it is only final once the proof document has been verified
   waiver: {
     eligibility: [String],
+    condition: String,
+    proofDocumentType: {
+      type: String,
+      enum: DOCUMENT_TYPES
+    },
     description: MultilingualTextSchema
   }
 }, { _id: false });
@@ -1099,6 +341,12 @@ const ServiceSchema = new mongoose.Schema({
   requirements: [RequirementSchema],
   processSteps: [ProcessStepSchema],
   eligibilityCriteria: [EligibilityCriteriaSchema],
+  // Composable rules evaluated together with eligibilityCriteria
+  eligibilityRules: {
+    derivedFields: [DerivedFieldSchema],
+    // Rule tree: { all: [...] }, { any: [...] }, { not: rule } or { expression, name, description }
+    conditions: mongoose.Schema.Types.Mixed
+  },
   fees: [FeeSchema],
   processingTime: {
     minDays: Number,
@@ -1106,6 +354,18 @@ const ServiceSchema = new mongoose.Schema({
     averageDays: Number,
     description: MultilingualTextSchema
   },
+  // Appeals against rejected applications, filed within windowDays of the rejection
+  appeal: {
+    allowed: {
+      type: Boolean,
+      default: true
+    },
+    windowDays: {
+      type: Number,
+      min: [1, 'Appeal window must be at least 1 day'],
+      default: 30
+    }
+  },
   status: {
     type: String,
     enum: ['draft', 'active', 'inactive', 'deprecated'],
@@ -1138,6 +398,19 @@ const ServiceSchema = new mongoose.Schema({
     answer: MultilingualTextSchema
   }],
   voiceCommands: [VoiceCommandSchema],
+  voiceInterface: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Prompts read out by the voice dialogue at each stage
+    voicePrompts: {
+      welcome: MultilingualTextSchema,
+      eligibility: MultilingualTextSchema,
+      documents: MultilingualTextSchema,
+      confirmation: MultilingualTextSchema
+    }
+  },
   accessLevel: {
     type: String,
     enum: ['public', 'authenticated', 'eligible', 'restricted'],
@@ -1149,6 +422,33 @@ const ServiceSchema = new mongoose.Schema({
     min: 1, 
     max: 10
   },
+  // Aggregated from approved reviews by the Review model; never set directly
+  averageRating: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 5
+  },
+  totalRatings: {
+    type: Number,
+    default: 0
+  },
+  ratingDistribution: {
+    1: { type: Number, default: 0 },
+    2: { type: Number, default: 0 },
+    3: { type: Number, default: 0 },
+    4: { type: Number, default: 0 },
+    5: { type: Number, default: 0 }
+  },
+  // Average of each aspect rating, null while no review rates that aspect
+  aspectRatings: {
+    ease: Number,
+    speed: Number,
+    staff: Number,
+    clarity: Number,
+    outcome: Number
+  },
+  ratingsUpdatedAt: Date,
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -1189,7 +489,8 @@ ServiceSchema.methods.getDetailsInLanguage = function(language = 'en') {
       isMandatory: req.isMandatory,
       validationRules: req.validationRules,
       allowedFileTypes: req.allowedFileTypes,
-      maxFileSizeKB: req.maxFileSizeKB
+      maxFileSizeKB: req.maxFileSizeKB,
+      validityDays: req.validityDays
     })),
     processSteps: this.processSteps.map(step => ({
       stepNumber: step.stepNumber,
@@ -1207,8 +508,19 @@ ServiceSchema.methods.getDetailsInLanguage = function(language = 'en') {
       minValue: criteria.minValue,
       maxValue: criteria.maxValue,
       allowedValues: criteria.allowedValues,
-      validationMethod: criteria.validationMethod
+      validationMethod: criteria.validationMethod,
+      field: criteria.field,
+      expression: criteria.expression,
+      hint: getFallbackText(criteria.hint)
     })),
+    eligibilityRules: this.eligibilityRules ? {
+      derivedFields: (this.eligibilityRules.derivedFields || []).map(field => ({
+        name: field.name,
+        expression: field.expression,
+        description: getFallbackText(field.description)
+      })),
+      conditions: this.eligibilityRules.conditions
+    } : null,
     fees: this.fees.map(fee => ({
       feeType: fee.feeType,
       name: getFallbackText(fee.name),
@@ -1218,6 +530,8 @@ ServiceSchema.methods.getDetailsInLanguage = function(language = 'en') {
       variableFactors: fee.variableFactors,
       waiver: fee.waiver ? {
         eligibility: fee.waiver.eligibility,
+        condition: fee.waiver.condition,
+        proofDocumentType: fee.waiver.proofDocumentType,
         description: getFallbackText(fee.waiver.description)
       } : null
     })),
@@ -1227,6 +541,10 @@ ServiceSchema.methods.getDetailsInLanguage = function(language = 'en') {
       averageDays: this.processingTime.averageDays,
       description: getFallbackText(this.processingTime.description)
     },
+    appeal: {
+      allowed: this.appeal.allowed,
+      windowDays: this.appeal.windowDays
+    },
     department: {
       name: getFallbackText(this.department.name),
       code: this.department.code,
@@ -1247,14 +565,81 @@ ServiceSchema.methods.getDetailsInLanguage = function(language = 'en') {
   };
 };
 
+/**
+ * Build the context eligibility rules are evaluated against
+ * Adds age from the date of birth and the service's derived fields
+ *
+ * @param {Object} userData - User profile data
+ * @returns {Object} Evaluation context
+ */
+ServiceSchema.methods.getEligibilityContext = function(userData = {}) {
+  const context = { ...userData };
+
+  if (userData.dateOfBirth) {
+    const { value } = ruleEngine.evaluate('age(dateOfBirth)', userData);
+    if (!ruleEngine.isUnknown(value)) {
+      context.age = value;
+    }
+  }
+
+  const derivedFields = this.eligibilityRules && this.eligibilityRules.derivedFields;
+  return ruleEngine.applyDerivedFields(context, derivedFields || []);
+};
+
+/**
+ * Get a printable name for a rule node
+ * @param {Object} rule - Rule node
+ * @returns {String} English name
+ */
+const getRuleName = (rule) => {
+  if (rule.name && rule.name.en) return rule.name.en;
+  if (rule.expression) return rule.expression;
+  if (rule.not && rule.not.expression) return `not (${rule.not.expression})`;
+  return 'Unnamed rule';
+};
+
+/**
+ * Collect the values of the fields an expression reads
+ * @param {String} expression - Rule expression
+ * @param {Object} context - Evaluation context
+ * @returns {Object} Field values keyed by path
+ */
+const getFieldValues = (expression, context) => ruleEngine.getFields(expression).reduce((values, field) => {
+  const { value } = ruleEngine.evaluate(field, context);
+  values[field] = ruleEngine.isUnknown(value) ? undefined : value;
+  return values;
+}, {});
+
+/**
+ * Replace missing derived fields with the profile fields they are computed from
+ * @param {String} field - Missing field path
+ * @param {Array} derivedFields - Service derived fields
+ * @param {Object} context - Evaluation context
+ * @param {Number} depth - Recursion guard
+ * @returns {Array} Profile field paths the caller needs to provide
+ */
+const expandMissingField = (field, derivedFields, context, depth = 0) => {
+  const derived = (derivedFields || []).find(item => item.name === field);
+  if (!derived || depth > 10) return [field];
+
+  const { missing } = ruleEngine.evaluate(derived.expression, context);
+  if (missing.length === 0) return [field];
+
+  return missing.flatMap(source => expandMissingField(source, derivedFields, context, depth + 1));
+};
+
 /**
  * Check if user is eligible for the service
+ * Built-in criteria and the eligibilityRules tree must both pass
+ *
  * @param {Object} userData - User profile data to check against eligibility criteria
  * @returns {Object} Eligibility result with status and reasons
  */
 ServiceSchema.methods.checkEligibility = function(userData) {
+  const conditions = this.eligibilityRules && this.eligibilityRules.conditions;
+
   // Skip if no eligibility criteria defined
-  if (!this.eligibilityCriteria || this.eligibilityCriteria.length === 0) {
+  if ((!this.eligibilityCriteria || this.eligibilityCriteria.length === 0) && !conditions) {
     return { 
       eligible: true, 
       message: 'No eligibility criteria specified'
@@ -1264,86 +649,76 @@ ServiceSchema.methods.checkEligibility = function(userData) {
   const results = {
     eligible: true,
     failedCriteria: [],
-    missingData: []
+    missingData: [],
+    unevaluatedCriteria: []
+  };
+
+  const context = this.getEligibilityContext(userData || {});
+  const derivedFields = this.eligibilityRules ? this.eligibilityRules.derivedFields : [];
+
+  // Record a missing field once per criterion, resolving derived fields to their sources
+  const addMissing = (field, criteria) => {
+    expandMissingField(field, derivedFields, context).forEach(source => {
+      if (!results.missingData.some(item => item.field === source && item.criteria === criteria)) {
+        results.missingData.push({ field: source, criteria });
+      }
+    });
   };
   
   // Check each criterion
   this.eligibilityCriteria.forEach(criteria => {
     const criteriaName = criteria.name.en || 'Unnamed criterion';
+
+    // Custom criteria are rule expressions
+    if (criteria.validationMethod === 'custom') {
+      if (!criteria.expression) {
+        results.unevaluatedCriteria.push({ type: criteria.criteriaType, name: criteriaName });
+        return;
+      }
+
+      const { value, missing } = ruleEngine.evaluate(criteria.expression, context);
+
+      if (ruleEngine.isUnknown(value)) {
+        missing.forEach(field => addMissing(field, criteriaName));
+        return;
+      }
+
+      if (!value) {
+        results.failedCriteria.push({
+          type: criteria.criteriaType,
+          name: criteriaName,
+          userValue: getFieldValues(criteria.expression, context),
+          required: criteria.description && criteria.description.en
+            ? criteria.description.en
+            : criteria.expression
+        });
+      }
+      return;
+    }
     
     // Get corresponding user data based on criteria type
-    let userValue;
-    
-    switch(criteria.criteriaType) {
-      case 'age':
-        if (!userData.dateOfBirth) {
-          results.missingData.push({ field: 'dateOfBirth', criteria: criteriaName });
-          return;
-        }
-        
-        // Calculate age
-        const today = new Date();
-        const birthDate = new Date(userData.dateOfBirth);
-        const age = today.getFullYear() - birthDate.getFullYear() - 
-          (today.getMonth() < birthDate.getMonth() || 
-            (today.getMonth() === birthDate.getMonth() && today.getDate() < birthDate.getDate()) ? 1 : 0);
-        
-        userValue = age;
-        break;
-        
-      case 'income':
-        userValue = userData.income;
-        break;
-        
-      case 'residence':
-        userValue = userData.address ? userData.address.state : undefined;
-        break;
-        
-      case 'education':
-        userValue = userData.education ? userData.education.level : undefined;
-        break;
-        
-      case 'gender':
-        userValue = userData.gender;
-        break;
-        
-      case 'marital':
-        userValue = userData.maritalStatus;
-        break;
-        
-      case 'occupation':
-        userValue = userData.occupation;
-        break;
-        
-      case 'category':
-        userValue = userData.category;
-        break;
-        
-      case 'disability':
-        userValue = userData.hasDisability;
-        break;
-        
-      case 'other':
-      default:
-        // For other criteria, check if user data has a custom field with the same name
-        const customFieldName = criteria.criteriaType.toLowerCase();
-        userValue = userData[customFieldName];
-        break;
-    }
+    const field = criteria.field || CRITERIA_FIELDS[criteria.criteriaType] || criteria.criteriaType.toLowerCase();
+    const { value } = ruleEngine.evaluate(field, context);
     
     // Check if required data is missing
-    if (userValue === undefined) {
-      results.missingData.push({ field: criteria.criteriaType, criteria: criteriaName });
+    if (ruleEngine.isUnknown(value)) {
+      let missingField = criteria.field || criteria.criteriaType;
+      if (!criteria.field && criteria.criteriaType === 'age') {
+        missingField = 'dateOfBirth';
+      }
+      addMissing(missingField, criteriaName);
       return;
     }
+
+    const userValue = value;
     
     // Evaluate based on validation method
     let criteriaResult = false;
     
     switch(criteria.validationMethod) {
       case 'range':
-        criteriaResult = (criteria.minValue === null || userValue >= criteria.minValue) && 
-                         (criteria.maxValue === null || userValue <= criteria.maxValue);
+        criteriaResult = (criteria.minValue === null || criteria.minValue === undefined || userValue >= criteria.minValue) && 
+                         (criteria.maxValue === null || criteria.maxValue === undefined || userValue <= criteria.maxValue);
         break;
         
       case 'exact':
@@ -1365,11 +740,6 @@ ServiceSchema.methods.checkEligibility = function(userData) {
       case 'boolean':
         criteriaResult = Boolean(userValue);
         break;
-        
-      case 'custom':
-        // Custom validation would require specific logic per service
-        criteriaResult = true; // Default to true for now
-        break;
     }
     
     // If this criterion fails, add to failed list
@@ -1382,31 +752,280 @@ ServiceSchema.methods.checkEligibility = function(userData) {
           `Between ${criteria.minValue} and ${criteria.maxValue}` : 
           criteria.validationMethod === 'list' ? 
             `One of: ${criteria.allowedValues.join(', ')}` : 
-            `${criteria.validationMethod}: ${criteria.minValue || criteria.maxValue || 'Custom validation'}`
+            `${criteria.validationMethod}: ${criteria.minValue || criteria.maxValue}`
       });
     }
   });
+
+  // Evaluate the composable rule tree
+  if (conditions) {
+    const ruleResult = ruleEngine.evaluateRule(conditions, context);
+
+    ruleResult.failed.forEach(rule => {
+      const expression = rule.expression || (rule.not && rule.not.expression);
+
+      results.failedCriteria.push({
+        type: 'rule',
+        name: getRuleName(rule),
+        expression,
+        userValue: expression ? getFieldValues(expression, context) : undefined,
+        required: rule.description && rule.description.en ? rule.description.en : getRuleName(rule)
+      });
+    });
+
+    ruleResult.missing.forEach(({ field, rule }) => addMissing(field, getRuleName(rule)));
+  }
   
   // If any criteria failed or data is missing, user is not eligible
   if (results.failedCriteria.length > 0) {
     results.eligible = false;
     results.message = 'User does not meet eligibility criteria';
-  } else if (results.missingData.length > 0) {
+  } else if (results.missingData.length > 0 || results.unevaluatedCriteria.length > 0) {
     results.eligible = 'unknown';
-    results.message = 'Missing required information to determine eligibility';
+    results.message = results.missingData.length > 0
+      ? 'Missing required information to determine eligibility'
+      : 'Some criteria could not be evaluated automatically';
   } else {
     results.message = 'User meets all eligibility criteria';
   }
+
+  if (results.unevaluatedCriteria.length === 0) {
+    delete results.unevaluatedCriteria;
+  }
   
   return results;
 };
 
+/**
+ * Recommend active services for a citizen profile
+ * Evaluates every active service's eligibility criteria and groups the
+ * services into eligible, possibly eligible (data missing) and ineligible,
+ * along with the missing fields that would settle the most services
+ * @param {Object} userData - User profile data to check eligibility against
+ * @param {Object} options - Recommendation options
+ * @param {string} options.category - Restrict recommendations to a category
+ * @param {string} options.language - Language for service names
+ * @param {number} options.topMissing - Number of missing fields to return
+ * @returns {Promise<Object>} Eligibility buckets and top missing fields
+ */
+ServiceSchema.statics.recommendFor = async function(userData = {}, options = {}) {
+  const { category, language = 'en', topMissing = 5 } = options;
+
+  const filter = { status: 'active' };
+  if (category) {
+    filter.category = category;
+  }
+
+  const services = await this.find(filter).sort({ priority: -1, 'name.en': 1 });
+  const state = userData.address && userData.address.state
+    ? String(userData.address.state).trim().toLowerCase()
+    : null;
+
+  const recommendations = {
+    eligible: [],
+    possiblyEligible: [],
+    ineligible: []
+  };
+  const missingFields = new Map();
+
+  services.forEach(service => {
+    const summary = {
+      id: service._id,
+      name: (service.name && (service.name[language] || service.name.en)) || service.shortName,
+      shortName: service.shortName,
+      category: service.category,
+      priority: service.priority
+    };
+
+    // State schemes are only open to residents of the applicable states
+    const restrictedToStates = service.stateSpecific && service.applicableStates.length > 0;
+    const inState = restrictedToStates && state
+      ? service.applicableStates.some(applicable => applicable.trim().toLowerCase() === state)
+      : true;
+
+    const result = service.checkEligibility(userData);
+    summary.message = result.message;
+
+    if (!inState) {
+      recommendations.ineligible.push({
+        ...summary,
+        message: 'Service is not available in your state',
+        failedCriteria: ['Applicable states']
+      });
+      return;
+    }
+
+    if (result.eligible === false) {
+      summary.failedCriteria = result.failedCriteria.map(criteria => criteria.name);
+      recommendations.ineligible.push(summary);
+      return;
+    }
+
+    const fields = [...new Set((result.missingData || []).map(item => item.field))];
+    if (restrictedToStates && !state) {
+      fields.push('address.state');
+    }
+
+    if (result.eligible === true && fields.length === 0) {
+      recommendations.eligible.push(summary);
+      return;
+    }
+
+    summary.missingFields = fields;
+    summary.message = fields.length > 0
+      ? 'Missing required information to determine eligibility'
+      : 'Some criteria could not be evaluated automatically';
+    if (result.unevaluatedCriteria) {
+      summary.unevaluatedCriteria = result.unevaluatedCriteria.map(criteria => criteria.name);
+    }
+    recommendations.possiblyEligible.push(summary);
+
+    fields.forEach(field => {
+      const entry = missingFields.get(field) || { field, serviceCount: 0, onlyMissingField: 0, services: [] };
+      entry.serviceCount += 1;
+      entry.services.push(service.shortName);
+      if (fields.length === 1 && !result.unevaluatedCriteria) {
+        entry.onlyMissingField += 1;
+      }
+      missingFields.set(field, entry);
+    });
+  });
+
+  // Fields blocking the most services first, then those that settle a service on their own
+  recommendations.topMissingFields = [...missingFields.values()]
+    .sort((a, b) => b.serviceCount - a.serviceCount ||
+      b.onlyMissingField - a.onlyMissingField ||
+      a.field.localeCompare(b.field))
+    .slice(0, topMissing);
+
+  recommendations.counts = {
+    total: services.length,
+    eligible: recommendations.eligible.length,
+    possiblyEligible: recommendations.possiblyEligible.length,
+    ineligible: recommendations.ineligible.length
+  };
+
+  return recommendations;
+};
+
+/**
+ * Check a fee waiver against a profile
+ * The waiver's own condition and each built-in category are tried in turn.
+ * A matching option whose proof is verified (or which needs no proof) grants
+ * the waiver; one whose proof is missing or awaiting verification makes it
+ * provisional; if every match has a rejected proof the waiver is denied.
+ *
+ * @param {Object} waiver - Fee waiver subdocument
+ * @param {Object} context - Evaluation context
+ * @param {Object} proofs - Proof verification status keyed by document type
+ * @returns {Object|null} { status, proofDocumentType, missing } or null if no option matched
+ */
+const evaluateWaiver = (waiver, context, proofs) => {
+  const options = [];
+
+  if (waiver.condition) {
+    options.push({ condition: waiver.condition, proofDocumentType: waiver.proofDocumentType });
+  }
+
+  (waiver.eligibility || []).forEach(category => {
+    const builtIn = WAIVER_CATEGORIES[category];
+    if (builtIn) {
+      options.push({
+        condition: builtIn.condition,
+        proofDocumentType: waiver.proofDocumentType || builtIn.proofDocumentType
+      });
+    }
+  });
+
+  const missing = [];
+  const matched = [];
+
+  options.forEach(option => {
+    const { value, missing: optionMissing } = ruleEngine.evaluate(option.condition, context);
+    if (ruleEngine.isUnknown(value)) {
+      missing.push(...optionMissing);
+    } else if (value) {
+      matched.push(option);
+    }
+  });
+
+  if (matched.length === 0) {
+    return missing.length > 0 ? { status: null, missing } : null;
+  }
+
+  const proofStatus = (option) => (option.proofDocumentType ? proofs[option.proofDocumentType] : 'verified');
+
+  const granted = matched.find(option => proofStatus(option) === 'verified');
+  if (granted) {
+    return { status: 'granted', proofDocumentType: granted.proofDocumentType, missing: [] };
+  }
+
+  const provisional = matched.find(option => proofStatus(option) !== 'rejected');
+  if (provisional) {
+    return { status: 'provisional', proofDocumentType: provisional.proofDocumentType, missing: [] };
+  }
+
+  return { status: 'denied', proofDocumentType: matched[0].proofDocumentType, missing: [] };
+};
+
+/**
+ * Check a document against a requirement's type and size limits and its validation rule
+ * @param {Object} requirement - Requirement subdocument
+ * @param {Object} document - { extension, sizeBytes } plus the documentNumber, issuedAt,
+ *   expiresAt, mimeType and inspection fields the validation rules read
+ * @returns {String|null} Why the document is not acceptable, or null if it is
+ */
+const checkDocument = (requirement, document) => {
+  if (!fileInspector.isAllowedType(document.extension, requirement.allowedFileTypes)) {
+    return `Invalid file type. Allowed: ${requirement.allowedFileTypes.join(', ')}`;
+  }
+
+  if (requirement.maxFileSizeKB && document.sizeBytes > requirement.maxFileSizeKB * 1024) {
+    return `File too large. Maximum size: ${requirement.maxFileSizeKB}KB`;
+  }
+
+  return documentRules.checkRules(requirement, document);
+};
+
+/**
+ * Check a document against the requirement for its type
+ * @param {String} documentType - Requirement document type
+ * @param {Object} document - { extension, sizeBytes, ... } as detected on the server, see checkDocument
+ * @returns {Object} { requirement, problem } where requirement is null if the service does not ask for this document
+ */
+ServiceSchema.methods.checkDocument = function(documentType, document) {
+  const requirement = this.requirements.find(item => item.documentType === documentType);
+
+  if (!requirement) {
+    return { requirement: null, problem: 'Document type not required for this service' };
+  }
+
+  return { requirement, problem: checkDocument(requirement, document) };
+};
+
+/**
+ * Get the last moment an appeal may be filed against a rejection
+ * @param {Date} rejectedAt - When the application was rejected
+ * @returns {Date|null} Deadline, or null if the service does not allow appeals
+ */
+ServiceSchema.methods.getAppealDeadline = function(rejectedAt) {
+  if (!this.appeal || !this.appeal.allowed || !rejectedAt) return null;
+  return new Date(new Date(rejectedAt).getTime() + this.appeal.windowDays * 24 * 60 * 60 * 1000);
+};
+
 /**
  * Calculate fees for the service based on user data
+ * Each fee's formula is evaluated by utils/feeFormula; fees without one keep
+ * their fixed amount. Waived fees are left out of the total, but a waiver
+ * whose proof has not been verified yet is reported as provisional.
  * @param {Object} userData - User profile data to calculate fees
+ * @param {Object} [options] - Calculation options
+ * @param {Object} [options.proofs] - Proof verification status keyed by document type
+ * @param {Object} [options.waiverProfile] - Saved profile the proofs were verified
+ *   against; when given, waivers are checked against it instead of userData
  * @returns {Object} Calculated fees with breakdown
  */
-ServiceSchema.methods.calculateFees = function(userData) {
+ServiceSchema.methods.calculateFees = function(userData, options = {}) {
   if (!this.fees || this.fees.length === 0) {
     return {
       totalAmount: 0,
@@ -1420,76 +1039,96 @@ ServiceSchema.methods.calculateFees = function(userData) {
     totalAmount: 0,
     currency: this.fees[0].currency || 'INR',
     breakdown: [],
-    waivers: []
+    waivers: [],
+    pendingProofs: [],
+    missingData: []
   };
   
   try {
+    const context = this.getEligibilityContext(userData || {});
+
+    // Typed-in data must not claim a waiver the verified profile does not back
+    const waiverContext = options.waiverProfile
+      ? this.getEligibilityContext(options.waiverProfile)
+      : context;
+
+    const proofs = options.proofs || {};
+
+    // Record a missing field once per fee, with age asked for as the date of birth
+    const addMissing = (missingField, feeType) => {
+      const field = missingField === 'age' ? 'dateOfBirth' : missingField;
+      if (!result.missingData.some(item => item.field === field && item.feeType === feeType)) {
+        result.missingData.push({ field, feeType });
+      }
+    };
+
     // Process each fee type
     this.fees.forEach(fee => {
-      let feeAmount = fee.amount;
-      let waived = false;
-      
-      // Check for fee waivers if applicable
-      if (fee.waiver && fee.waiver.eligibility && fee.waiver.eligibility.length > 0) {
-        // Simple waiver check - in a real app, this would be more sophisticated
-        const eligibleForWaiver = fee.waiver.eligibility.some(category => {
-          // Check user category or other waiver eligibility factors
-          if (category === 'bpl' && userData.isBPL) return true;
-          if (category === 'senior' && userData.age >= 60) return true;
-          if (category === 'student' && userData.isStudent) return true;
-          if (category === 'disability' && userData.hasDisability) return true;
-          if (category === 'female' && userData.gender === 'female') return true;
-          return false;
-        });
-        
-        if (eligibleForWaiver) {
-          waived = true;
-          result.waivers.push({
-            feeType: fee.feeType,
-            name: fee.name.en,
-            amount: feeAmount,
-            reason: fee.waiver.description.en || 'Eligible for fee waiver'
-          });
-        }
-      }
-      
-      // Apply variable factors (like income-based scaling) if any
-      if (!waived && fee.variableFactors && fee.variableFactors.length > 0) {
-        fee.variableFactors.forEach(factor => {
-          if (factor.factor === 'income' && userData.income) {
-            // Simple income-based scaling example
-            if (userData.income < 300000) { // Less than 3 lakhs
-              feeAmount *= 0.5; // 50% discount
-            } else if (userData.income > 1000000) { // More than 10 lakhs
-              feeAmount *= 1.5; // 50% premium
-            }
-          }
-          
-          if (factor.factor === 'age' && userData.age) {
-            // Age-based adjustments
-            if (userData.age < 18) {
-              feeAmount *= 0.5; // Child discount
-            } else if (userData.age >= 60) {
-              feeAmount *= 0.75; // Senior discount
-            }
-          }
-          
-          // Add other variable factors as needed
-        });
-      }
-      
-      // Add to breakdown only if not waived
-      if (!waived) {
-        result.breakdown.push({
+      const computed = feeFormula.computeFee(fee, context);
+      const feeAmount = computed.amount;
+
+      const waiver = fee.waiver ? evaluateWaiver(fee.waiver, waiverContext, proofs) : null;
+
+      if (waiver && (waiver.status === 'granted' || waiver.status === 'provisional')) {
+        const provisional = waiver.status === 'provisional';
+
+        result.waivers.push({
           feeType: fee.feeType,
           name: fee.name.en,
           amount: feeAmount,
-          description: fee.description ? fee.description.en : null
+          status: waiver.status,
+          proofDocumentType: waiver.proofDocumentType,
+          reason: fee.waiver.description && fee.waiver.description.en
+            ? fee.waiver.description.en
+            : 'Eligible for fee waiver',
+          message: provisional ? 'Provisional until proof verified' : undefined
         });
-        
-        result.totalAmount += feeAmount;
+
+        if (provisional) {
+          result.provisionalWaiverAmount = (result.provisionalWaiverAmount || 0) + feeAmount;
+          if (!result.pendingProofs.includes(waiver.proofDocumentType)) {
+            result.pendingProofs.push(waiver.proofDocumentType);
+          }
+        }
+        return;
+      }
+
+      // A waiver that could apply with more information is worth asking for
+      if (waiver && waiver.missing.length > 0) {
+        waiver.missing.forEach(field => addMissing(field, fee.feeType));
       }
+
+      computed.missing.forEach(field => addMissing(field, fee.feeType));
+
+      result.breakdown.push({
+        feeType: fee.feeType,
+        name: fee.name.en,
+        amount: feeAmount,
+        description: fee.description ? fee.description.en : null,
+        components: computed.components,
+        waiverDenied: waiver && waiver.status === 'denied' ? {
+          proofDocumentType: waiver.proofDocumentType,
+          reason: 'Proof document was rejected'
+        } : undefined
+      });
+      
+      result.totalAmount += feeAmount;
     });
+
+    result.totalAmount = Math.round(result.totalAmount * 100) / 100;
+
+    if (result.pendingProofs.length === 0) {
+      delete result.pendingProofs;
+    } else {
+      // Owed on top of the total if the pending proofs are rejected
+      result.provisionalWaiverAmount = Math.round(result.provisionalWaiverAmount * 100) / 100;
+    }
+
+    if (result.missingData.length === 0) {
+      delete result.missingData;
+    } else {
+      result.message = 'Some fees use their standard amount because information is missing';
+    }
     
     return result;
   } catch (error) {
@@ -1503,6 +1142,110 @@ ServiceSchema.methods.calculateFees = function(userData) {
   }
 };
 
+/**
+ * Apply a what-if variation to a profile
+ * Nested objects are merged, anything else replaces the base value and
+ * null removes the field
+ * @param {Object} base - Base profile
+ * @param {Object} changes - Fields to change
+ * @returns {Object} New profile
+ */
+const applyVariation = (base, changes) => {
+  const result = { ...base };
+
+  Object.keys(changes || {}).forEach(key => {
+    if (['__proto__', 'prototype', 'constructor'].includes(key)) return;
+
+    const value = changes[key];
+    if (value === null) {
+      delete result[key];
+    } else if (typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) &&
+               result[key] && typeof result[key] === 'object' && !Array.isArray(result[key])) {
+      result[key] = applyVariation(result[key], value);
+    } else {
+      result[key] = value;
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Reduce eligibility and fee results to the parts compared between variations
+ * @param {Object} eligibility - Result of checkEligibility
+ * @param {Object} fees - Result of calculateFees
+ * @returns {Object} Outcome summary
+ */
+const summarizeOutcome = (eligibility, fees) => ({
+  eligible: eligibility.eligible,
+  message: eligibility.message,
+  failedCriteria: (eligibility.failedCriteria || []).map(item => item.name),
+  missingFields: [...new Set((eligibility.missingData || []).map(item => item.field))],
+  totalFee: fees.totalAmount,
+  currency: fees.currency,
+  waivers: (fees.waivers || []).map(item => item.feeType)
+});
+
+/**
+ * Compare two outcome summaries
+ * @param {Object} base - Baseline outcome
+ * @param {Object} outcome - Variation outcome
+ * @returns {Object} Differences between the outcomes
+ */
+const diffOutcomes = (base, outcome) => {
+  const added = (from, to) => to.filter(item => !from.includes(item));
+
+  return {
+    eligibilityChanged: base.eligible !== outcome.eligible,
+    eligible: { from: base.eligible, to: outcome.eligible },
+    newlyFailedCriteria: added(base.failedCriteria, outcome.failedCriteria),
+    resolvedCriteria: added(outcome.failedCriteria, base.failedCriteria),
+    newlyMissingFields: added(base.missingFields, outcome.missingFields),
+    providedFields: added(outcome.missingFields, base.missingFields),
+    totalFee: {
+      from: base.totalFee,
+      to: outcome.totalFee,
+      difference: Math.round((outcome.totalFee - base.totalFee) * 100) / 100
+    },
+    waiversGained: added(base.waivers, outcome.waivers),
+    waiversLost: added(outcome.waivers, base.waivers)
+  };
+};
+
+/**
+ * Simulate eligibility and fees for variations of a profile
+ * Runs the same checkEligibility and calculateFees used by the real checks
+ * on the base profile and on each variation, and reports what changed
+ *
+ * @param {Object} baseProfile - Profile to start from
+ * @param {Array} variations - List of { label, changes }
+ * @param {Object} [options] - Waiver inputs passed on to calculateFees (proofs, waiverProfile)
+ * @returns {Object} Baseline outcome and an outcome with a diff per variation
+ */
+ServiceSchema.methods.simulateEligibility = function(baseProfile = {}, variations = [], options = {}) {
+  const evaluate = (profile) => summarizeOutcome(
+    this.checkEligibility(profile),
+    this.calculateFees(profile, options)
+  );
+
+  const baseline = evaluate(baseProfile);
+
+  return {
+    baseline,
+    variations: variations.map((variation, index) => {
+      const profile = applyVariation(baseProfile, variation.changes);
+      const outcome = evaluate(profile);
+
+      return {
+        label: variation.label || `Variation ${index + 1}`,
+        changes: variation.changes,
+        outcome,
+        diff: diffOutcomes(baseline, outcome)
+      };
+    })
+  };
+};
+
 /**
  * Get voice commands for a specific language
  * @param {string} language - Language code (en, hi, etc.)
@@ -1588,7 +1331,11 @@ ServiceSchema.methods.getServiceSummary = function(language = 'en') {
       feeEstimate: this.fees.reduce((sum, fee) => sum + fee.amount, 0),
       currency: this.fees.length > 0 ? this.fees[0].currency : 'INR',
       serviceUrl: this.serviceUrl,
-      voiceEnabled: this.voiceCommands.some(cmd => cmd.language === language || cmd.language === 'en')
+      voiceEnabled: this.voiceCommands.some(cmd => cmd.language === language || cmd.language === 'en'),
+      rating: {
+        average: this.averageRating,
+        total: this.totalRatings
+      }
     };
   } catch (error) {
     console.error('Error generating service summary:', error);
@@ -1600,12 +1347,44 @@ ServiceSchema.methods.getServiceSummary = function(language = 'en') {
   }
 };
 
+/**
+ * Check whether a vault document can meet this service's requirement for its type
+ * @param {Object} vaultDocument - Item from a citizen's document vault
+ * @returns {String|null} Why it cannot be used, or null if it can
+ */
+ServiceSchema.methods.checkVaultDocument = function(vaultDocument) {
+  const { problem } = this.checkDocument(vaultDocument.documentType, {
+    extension: fileInspector.normalizeType(vaultDocument.mimeType),
+    sizeBytes: vaultDocument.sizeBytes,
+    documentNumber: vaultDocument.documentNumber,
+    issuedAt: vaultDocument.issuedAt,
+    expiresAt: vaultDocument.expiresAt,
+    mimeType: vaultDocument.mimeType,
+    inspection: vaultDocument.inspection
+  });
+
+  if (problem) return problem;
+
+  if (vaultDocument.verification && vaultDocument.verification.status === 'rejected') {
+    return 'This document was rejected during verification';
+  }
+
+  return null;
+};
+
 /**
  * Validate documents against requirements
+ * Mandatory requirements without a submitted document can be met from the
+ * citizen's vault; verified vault items are preferred, and expired items are
+ * reported instead of used where the requirement has the expiry rule. Each
+ * document must also pass its requirement's validation rule (utils/documentRules).
+ *
  * @param {Array} documents - List of user submitted documents 
+ * @param {Object} [options] - Validation options
+ * @param {Array} [options.vault] - Items from the citizen's document vault
  * @returns {Object} Validation results
  */
-ServiceSchema.methods.validateDocuments = function(documents) {
+ServiceSchema.methods.validateDocuments = function(documents, options = {}) {
   if (!documents || !Array.isArray(documents)) {
     return {
       valid: false,
@@ -1619,14 +1398,55 @@ ServiceSchema.methods.validateDocuments = function(documents) {
       valid: true,
       validDocuments: [],
       invalidDocuments: [],
-      missingMandatory: []
+      missingMandatory: [],
+      fromVault: [],
+      expiredDocuments: []
     };
+    const vault = options.vault || [];
+
+    // Verified items first, then the most recently uploaded
+    const rankVaultDocument = (item) => (item.verification && item.verification.status === 'verified' ? 1 : 0);
     
     // Check for missing mandatory documents
     this.requirements.forEach(requirement => {
       if (requirement.isMandatory) {
         const found = documents.some(doc => doc.type === requirement.documentType);
         if (!found) {
+          const candidates = vault
+            .filter(item => item.documentType === requirement.documentType)
+            .sort((a, b) => rankVaultDocument(b) - rankVaultDocument(a) ||
+              new Date(b.uploadedAt) - new Date(a.uploadedAt));
+          const usable = candidates.find(item => !this.checkVaultDocument(item));
+
+          if (usable) {
+            result.fromVault.push({
+              type: requirement.documentType,
+              name: requirement.name.en,
+              vaultDocumentId: usable._id,
+              verification: usable.verification ? usable.verification.status : 'pending'
+            });
+            result.validDocuments.push({
+              type: requirement.documentType,
+              name: requirement.name.en,
+              source: 'vault'
+            });
+            return;
+          }
+
+          if (requirement.validationRules === 'expiry') {
+            candidates.forEach(item => {
+              const expiresAt = documentRules.getExpiryDate(requirement, item);
+              if (expiresAt && expiresAt < new Date()) {
+                result.expiredDocuments.push({
+                  type: requirement.documentType,
+                  vaultDocumentId: item._id,
+                  expiresAt,
+                  reason: 'Document has expired'
+                });
+              }
+            });
+          }
+
           result.missingMandatory.push({
             type: requirement.documentType,
             name: requirement.name.en
@@ -1649,24 +1469,21 @@ ServiceSchema.methods.validateDocuments = function(documents) {
         return;
       }
       
-      // Validate file type if specified
-      if (requirement.allowedFileTypes && requirement.allowedFileTypes.length > 0) {
-        const fileExtension = document.file.split('.').pop().toLowerCase();
-        if (!requirement.allowedFileTypes.includes(fileExtension)) {
-          result.invalidDocuments.push({
-            type: document.type,
-            reason: `Invalid file type. Allowed: ${requirement.allowedFileTypes.join(', ')}`
-          });
-          result.valid = false;
-          return;
-        }
-      }
-      
-      // Validate file size if specified
-      if (requirement.maxFileSizeKB && document.sizeKB > requirement.maxFileSizeKB) {
+      // Server-verified type and size are used for uploaded files
+      const problem = checkDocument(requirement, {
+        extension: document.mimeType ? fileInspector.normalizeType(document.mimeType) : String(document.file || '').split('.').pop(),
+        sizeBytes: document.sizeBytes !== undefined ? document.sizeBytes : document.sizeKB * 1024,
+        documentNumber: document.documentNumber,
+        issuedAt: document.issuedAt,
+        expiresAt: document.expiresAt,
+        mimeType: document.mimeType,
+        inspection: document.inspection
+      });
+
+      if (problem) {
         result.invalidDocuments.push({
           type: document.type,
-          reason: `File too large. Maximum size: ${requirement.maxFileSizeKB}KB`
+          reason: problem
         });
         result.valid = false;
         return;
@@ -1679,9 +1496,14 @@ ServiceSchema.methods.validateDocuments = function(documents) {
       });
     });
     
+    if (result.fromVault.length === 0) delete result.fromVault;
+    if (result.expiredDocuments.length === 0) delete result.expiredDocuments;
+
     // Set result message
     if (result.valid) {
       result.message = 'All required documents validated successfully';
+    } else if (result.expiredDocuments) {
+      result.message = 'Some documents in your vault have expired. Please upload a current copy';
     } else if (result.missingMandatory.length > 0) {
       result.message = 'Missing mandatory documents';
     } else {
@@ -1747,7 +1569,9 @@ ServiceSchema.methods.getStatusUpdateTemplate = function(status, language = 'en'
       rejected: {
         title: 'Application Rejected',
         message: `We regret to inform you that your application for ${getFallbackText(this.name)} has been rejected.`,
-        nextSteps: 'Please check your email for detailed information on the reason for rejection and the appeal process if applicable.',
+        nextSteps: this.appeal && this.appeal.allowed
+          ? `Please check the reason for rejection. If you disagree, you may file an appeal with new documents within ${this.appeal.windowDays} days of this decision.`
+          : 'Please check the reason for rejection. Decisions for this service cannot be appealed.',
         estimatedTime: 'You may reapply after addressing the issues mentioned in the rejection notice.'
       },
       completed: {
@@ -1871,19 +1695,82 @@ ServiceSchema.virtual('url').get(function() {
 
 // Virtual for user applications count
 ServiceSchema.virtual('applicationsCount', {
-  ref: 'User',
+  ref: 'Application',
   localField: '_id',
-  foreignField: 'serviceHistory.serviceId',
-  count: true
+  foreignField: 'service',
+  count: true,
+  match: { status: { $ne: 'draft' } }
 });
 
 // Virtual for active applications count
 ServiceSchema.virtual('activeApplicationsCount', {
-  ref: 'User',
+  ref: 'Application',
   localField: '_id',
-  foreignField: 'serviceHistory.serviceId',
+  foreignField: 'service',
   count: true,
-  match: { 'serviceHistory.status': { $in: ['pending', 'processing', 'reviewing'] } }
+  match: { status: { $in: ['pending', 'reviewing', 'documentRequired', 'processing', 'hold'] } }
+});
+
+// Reject rule expressions, fee formulas and waiver rules that do not parse
+ServiceSchema.pre('validate', function(next) {
+  (this.fees || []).forEach((fee, index) => {
+    try {
+      feeFormula.validateFormula(fee);
+    } catch (error) {
+      this.invalidate(`fees.${index}.formula`, error.message);
+    }
+
+    if (!fee.waiver) return;
+
+    const unknownCategories = (fee.waiver.eligibility || []).filter(category => !WAIVER_CATEGORIES[category]);
+    if (unknownCategories.length > 0) {
+      this.invalidate(`fees.${index}.waiver.eligibility`,
+        `Unknown waiver categories: ${unknownCategories.join(', ')}. Use a condition instead`);
+    }
+
+    if (fee.waiver.condition) {
+      try {
+        ruleEngine.compile(fee.waiver.condition);
+      } catch (error) {
+        this.invalidate(`fees.${index}.waiver.condition`, error.message);
+      }
+    }
+  });
+
+  (this.eligibilityCriteria || []).forEach((criteria, index) => {
+    if (criteria.validationMethod === 'custom' && !criteria.expression) {
+      this.invalidate(`eligibilityCriteria.${index}.expression`, 'Custom criteria require an expression');
+      return;
+    }
+
+    [criteria.field, criteria.expression].filter(Boolean).forEach(expression => {
+      try {
+        ruleEngine.compile(expression);
+      } catch (error) {
+        this.invalidate(`eligibilityCriteria.${index}.expression`, error.message);
+      }
+    });
+  });
+
+  if (this.eligibilityRules) {
+    (this.eligibilityRules.derivedFields || []).forEach((field, index) => {
+      try {
+        ruleEngine.compile(field.expression);
+      } catch (error) {
+        this.invalidate(`eligibilityRules.derivedFields.${index}.expression`, error.message);
+      }
+    });
+
+    if (this.eligibilityRules.conditions) {
+      try {
+        ruleEngine.validateRule(this.eligibilityRules.conditions);
+      } catch (error) {
+        this.invalidate('eligibilityRules.conditions', error.message);
+      }
+    }
+  }
+
+  next();
 });
 
 // Pre-save hook to ensure proper formatting and defaults
@@ -1934,12 +1821,15 @@ ServiceSchema.index({
 
 // Other useful indexes for frequent queries
 ServiceSchema.index({ category: 1, status: 1 });
+ServiceSchema.index({ status: 1, averageRating: -1, totalRatings: -1 });
 ServiceSchema.index({ 'department.name.en': 1 });
 ServiceSchema.index({ 'requirements.documentType': 1 });
-ServiceSchema.index({ shortName: 1 }, { unique: true });
 ServiceSchema.index({ status: 1 });
 ServiceSchema.index({ provider: 1, stateSpecific: 1, applicableStates: 1 });
 ServiceSchema.index({ createdAt: -1 });
 ServiceSchema.index({ priority: -1, category: 1 });
 
+ServiceSchema.statics.DOCUMENT_TYPES = DOCUMENT_TYPES;
+ServiceSchema.statics.WAIVER_CATEGORIES = WAIVER_CATEGORIES;
+
 module.exports = mongoose.model('Service', ServiceSchema);
@@ -2,6 +2,26 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const VoiceInteraction = require('./VoiceInteraction');
+const { cosineSimilarity, EMBEDDING_VERSION } = require('../utils/voicePrint');
+const { normalizeNumber } = require('../utils/documentRules');
+
+// User roles, lowest privilege first (see middleware/role.js for the hierarchy)
+const ROLES = ['user', 'serviceProvider', 'appellateAuthority', 'moderator', 'admin', 'superAdmin'];
+
+// Profile fields each proof document attests. A verified proof only counts
+// while these fields still hold the values it was verified against.
+const PROOF_FIELDS = {
+  caste: ['category'],
+  birth: ['dateOfBirth'],
+  aadhar: ['gender'],
+  income: ['income', 'isBPL'],
+  education: ['isStudent'],
+  medical: ['hasDisability']
+};
+
+// Minimum similarity between a voice sample and the enrolled voice print
+const VOICE_AUTH_THRESHOLD = parseFloat(process.env.VOICE_AUTH_THRESHOLD) || 0.95;
 
 /**
  * User Schema
@@ -38,11 +58,17 @@ const UserSchema = new mongoose.Schema({
   role: {
     type: String,
     enum: {
-      values: ['user', 'serviceProvider', 'admin', 'superAdmin'],
-      message: 'Role must be one of: user, serviceProvider, admin, superAdmin'
+      values: ROLES,
+      message: `Role must be one of: ${ROLES.join(', ')}`
     },
     default: 'user'
   },
+  // Department code (Service.department.code) an officer works for; grievances are routed by it
+  department: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
   status: {
     type: String,
     enum: {
@@ -110,27 +136,18 @@ const UserSchema = new mongoose.Schema({
       default: false
     },
     voicePrint: {
-      type: String,
+      type: new mongoose.Schema({
+        embedding: [Number],
+        sampleCount: Number,
+        consistency: Number,
+        version: Number,
+        enrolledAt: Date
+      }, { _id: false }),
       select: false // Don't return voice print in queries for security
     }
   },
-  voiceInteractions: [{
-    timestamp: {
-      type: Date,
-      default: Date.now
-    },
-    query: String,
-    intent: String,
-    service: String,
-    successful: Boolean,
-    language: {
-      type: String,
-      enum: {
-        values: ['en', 'hi', 'mr', 'gu', 'pa', 'ta', 'te', 'kn', 'bn', 'ml', 'or', 'as'],
-        message: 'Please select a supported language'
-      },
-      default: 'en'
-    },
+  // Address (voice interactions are stored in the VoiceInteraction collection)
+  address: {
     city: String,
     state: String,
     zipCode: String,
@@ -140,6 +157,117 @@ const UserSchema = new mongoose.Schema({
       type: String,
       default: 'India'
     }
+  },
+  
+  // Saved citizen profile used for eligibility checks and recommendations
+  profile: {
+    dateOfBirth: Date,
+    gender: {
+      type: String,
+      enum: ['male', 'female', 'other']
+    },
+    maritalStatus: String,
+    category: String,
+    occupation: String,
+    income: {
+      type: Number,
+      min: [0, 'Income cannot be negative']
+    },
+    familySize: {
+      type: Number,
+      min: [1, 'Family size must be at least 1']
+    },
+    education: {
+      level: String
+    },
+    hasDisability: Boolean,
+    isBPL: Boolean,
+    isStudent: Boolean
+  },
+
+  // Personal document vault: each document is stored once and reused
+  // across applications
+  documentVault: [{
+    documentType: {
+      type: String,
+      required: [true, 'Document type is required']
+    },
+    label: {
+      type: String,
+      maxlength: [100, 'Label cannot be more than 100 characters']
+    },
+    // Checked against its type's format when given
+    documentNumber: {
+      type: String,
+      set: (value) => (value ? normalizeNumber(value) : value)
+    },
+    issuedAt: Date,
+    expiresAt: Date,
+    file: String,
+    storage: String,
+    storageKey: String,
+    mimeType: String,
+    sizeBytes: Number,
+    checksum: String,
+    inspection: {
+      width: Number,
+      height: Number,
+      signed: Boolean
+    },
+    scan: {
+      status: {
+        type: String,
+        enum: ['clean', 'infected', 'error', 'unscanned']
+      },
+      engines: [String],
+      scannedAt: Date
+    },
+    verification: {
+      status: {
+        type: String,
+        enum: ['pending', 'verified', 'rejected'],
+        default: 'pending'
+      },
+      verifiedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      verifiedAt: Date,
+      note: String,
+      // Profile values the document was verified against, see PROOF_FIELDS
+      provenValues: mongoose.Schema.Types.Mixed
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Proof documents backing profile claims, checked by officers
+  proofs: [{
+    documentType: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'verified', 'rejected'],
+      default: 'pending'
+    },
+    // Application the proof was checked on
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Application'
+    },
+    note: String,
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    verifiedAt: Date,
+    // Profile values the proof was verified against, see PROOF_FIELDS
+    provenValues: mongoose.Schema.Types.Mixed,
+    _id: false
   }],
   
   // Additional information for service providers
@@ -241,6 +369,17 @@ UserSchema.index({ role: 1, status: 1 });
 // Compound index for search optimization
 UserSchema.index({ 'address.city': 1, 'address.state': 1 });
 
+// Vault documents cannot expire before they were issued
+UserSchema.pre('validate', function(next) {
+  (this.documentVault || []).forEach((item, index) => {
+    if (item.issuedAt && item.expiresAt && item.expiresAt <= item.issuedAt) {
+      this.invalidate(`documentVault.${index}.expiresAt`, 'Expiry date must be after the issue date');
+    }
+  });
+
+  next();
+});
+
 // Hash password before saving
 UserSchema.pre('save', async function(next) {
   // Only hash password if it has been modified (or is new)
@@ -270,7 +409,7 @@ UserSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Generate and return a JWT
+// Generate and return a short-lived access JWT; sessions are kept alive with refresh tokens
 UserSchema.methods.getSignedJwtToken = function() {
   return jwt.sign(
     { 
@@ -281,7 +420,7 @@ UserSchema.methods.getSignedJwtToken = function() {
     }, 
     process.env.JWT_SECRET, 
     {
-      expiresIn: process.env.JWT_EXPIRE || '30d'
+      expiresIn: process.env.JWT_EXPIRE || '15m'
     }
   );
 };
@@ -397,50 +536,217 @@ UserSchema.methods.isAdmin = function() {
 };
 
 /**
- * Method to add voice interaction to history
- * Tracks user voice interactions for analysis and improvement
+ * Method to log a voice interaction for this user
+ * Interactions are stored in the VoiceInteraction collection for analysis
  * 
  * @param {Object} interaction - Voice interaction details
  * @param {String} interaction.query - The voice query text
  * @param {String} interaction.intent - Identified intent of the query
- * @param {String} interaction.service - Service requested or used
+ * @param {ObjectId} interaction.service - Service requested or used
  * @param {Boolean} interaction.successful - Whether interaction was successful
  * @param {String} interaction.language - Language used in the interaction
- * @returns {Promise} - Promise resolving to the saved user document
+ * @param {String} interaction.outcome - Outcome, overrides successful when given
+ * @returns {Promise} - Promise resolving to the saved interaction document
  */
 UserSchema.methods.addVoiceInteraction = async function(interaction) {
-  this.voiceInteractions.push({
-    query: interaction.query,
+  return VoiceInteraction.create({
+    user: this._id,
+    transcript: interaction.query,
     intent: interaction.intent,
     service: interaction.service,
-    successful: interaction.successful,
+    confidence: interaction.confidence,
+    latencyMs: interaction.latencyMs,
+    source: interaction.source,
+    outcome: interaction.outcome || (interaction.successful === false ? 'failed' : 'success'),
     language: interaction.language || this.language
   });
-  
-  // Keep only the last 50 interactions to prevent document growth
-  if (this.voiceInteractions.length > 50) {
-    this.voiceInteractions = this.voiceInteractions.slice(-50);
+};
+
+/**
+ * Method to store an enrolled voice print
+ * 
+ * @param {Object} voicePrint - Voice print from utils/voicePrint.createVoicePrint
+ */
+UserSchema.methods.setVoicePrint = function(voicePrint) {
+  this.voicePreferences.voicePrint = {
+    ...voicePrint,
+    enrolledAt: Date.now()
+  };
+};
+
+/**
+ * Method to verify a voice sample against the stored voice print
+ * The user must be loaded with +voicePreferences.voicePrint
+ * 
+ * @param {Array} embedding - Embedding of the submitted voice sample
+ * @returns {Object} - Whether the voice matches, the similarity score and threshold used
+ */
+UserSchema.methods.verifyVoicePrint = function(embedding) {
+  const voicePrint = this.voicePreferences && this.voicePreferences.voicePrint;
+
+  if (!voicePrint || !voicePrint.embedding || voicePrint.embedding.length === 0 ||
+      voicePrint.version !== EMBEDDING_VERSION) {
+    return { matched: false, score: 0, threshold: VOICE_AUTH_THRESHOLD };
   }
-  
-  return this.save({ validateBeforeSave: false });
+
+  const score = Math.round(cosineSimilarity(voicePrint.embedding, embedding) * 1000) / 1000;
+
+  return {
+    matched: score >= VOICE_AUTH_THRESHOLD,
+    score,
+    threshold: VOICE_AUTH_THRESHOLD
+  };
 };
 
 /**
- * Method to verify voice print for voice authentication
+ * Get the saved profile in the shape expected by Service.checkEligibility
+ * Fields that were never filled in are left out so they count as missing
  * 
- * @param {String} submittedVoicePrint - Voice print to verify against stored voice print
- * @returns {Boolean} True if voice print matches, false otherwise
+ * @returns {Object} - Eligibility profile including the address
  */
-UserSchema.methods.verifyVoicePrint = function(submittedVoicePrint) {
-  // This would integrate with a voice authentication service
-  // For now, we'll just return a placeholder implementation
-  if (!this.voicePreferences || !this.voicePreferences.voicePrint) {
-    return false;
+UserSchema.methods.getEligibilityProfile = function() {
+  const { profile = {}, address = {} } = this.toObject({ virtuals: false });
+
+  if (profile.education && !profile.education.level) {
+    delete profile.education;
   }
-  
-  // In a real implementation, we would compare voice prints using 
-  // specialized voice biometric algorithms or services
-  return submittedVoicePrint === this.voicePreferences.voicePrint;
+
+  return {
+    ...profile,
+    address
+  };
+};
+
+/**
+ * Compare a profile value with the value a proof was verified against
+ * @param {*} current - Value in the profile now
+ * @param {*} proven - Value recorded when the proof was verified
+ * @returns {Boolean} True if they are the same
+ */
+const sameProfileValue = (current, proven) => {
+  const a = current === undefined ? null : current;
+  const b = proven === undefined ? null : proven;
+
+  if (a instanceof Date || b instanceof Date) {
+    return a !== null && b !== null && new Date(a).getTime() === new Date(b).getTime();
+  }
+  if (typeof a === 'string' && typeof b === 'string') {
+    return a.trim().toLowerCase() === b.trim().toLowerCase();
+  }
+  return a === b;
+};
+
+/**
+ * Get the profile values a proof document attests
+ * @param {String} documentType - Proof document type
+ * @returns {Object|undefined} - Values keyed by profile field, or undefined if the type attests none
+ */
+UserSchema.methods.getProvenValues = function(documentType) {
+  const fields = PROOF_FIELDS[documentType];
+  if (!fields) return undefined;
+
+  const profile = this.profile || {};
+  return fields.reduce((values, field) => {
+    values[field] = profile[field] === undefined ? null : profile[field];
+    return values;
+  }, {});
+};
+
+/**
+ * Check a verified proof still covers the profile
+ * A proof stops counting once a field it attests is changed, e.g. a caste
+ * certificate verified for OBC does not prove a category later typed as SC.
+ *
+ * @param {String} documentType - Proof document type
+ * @param {Object} [provenValues] - Values recorded when the proof was verified
+ * @returns {Boolean} - True if the proof still matches the profile
+ */
+UserSchema.methods.provesProfile = function(documentType, provenValues) {
+  const current = this.getProvenValues(documentType);
+  if (!current) return true;
+  if (!provenValues) return false;
+
+  return Object.keys(current).every(field => sameProfileValue(current[field], provenValues[field]));
+};
+
+/**
+ * Get the verification status of each proof document
+ * A verified, unexpired vault document counts as a verified proof; an
+ * officer's decision on an application takes precedence. A verified proof
+ * whose attested profile values have since changed counts as pending.
+ *
+ * @returns {Object} - Status (pending, verified or rejected) keyed by document type
+ */
+UserSchema.methods.getProofStatuses = function() {
+  const now = new Date();
+  const statuses = {};
+
+  (this.documentVault || []).forEach(item => {
+    const expired = item.expiresAt && item.expiresAt < now;
+    const verification = item.verification || {};
+
+    if (verification.status === 'verified' && !expired &&
+        this.provesProfile(item.documentType, verification.provenValues)) {
+      statuses[item.documentType] = 'verified';
+    } else if (verification.status !== 'rejected' && !statuses[item.documentType]) {
+      statuses[item.documentType] = 'pending';
+    }
+  });
+
+  (this.proofs || []).forEach(proof => {
+    statuses[proof.documentType] = proof.status === 'verified' &&
+      !this.provesProfile(proof.documentType, proof.provenValues)
+      ? 'pending'
+      : proof.status;
+  });
+
+  return statuses;
+};
+
+/**
+ * Record the outcome of checking a proof document
+ * 
+ * @param {String} documentType - Document type, e.g. caste or income
+ * @param {String} status - pending, verified or rejected
+ * @param {Object} [options] - Who checked it, on which application and why
+ * @returns {Object} - Updated proof entry
+ */
+UserSchema.methods.setProofStatus = function(documentType, status, { actor, application, note } = {}) {
+  let proof = this.proofs.find(item => item.documentType === documentType);
+
+  if (!proof) {
+    this.proofs.push({ documentType });
+    proof = this.proofs[this.proofs.length - 1];
+  }
+
+  proof.status = status;
+  proof.application = application;
+  proof.note = note;
+  proof.verifiedBy = status === 'pending' ? undefined : actor && actor.id;
+  proof.verifiedAt = status === 'pending' ? undefined : Date.now();
+  proof.provenValues = status === 'verified' ? this.getProvenValues(documentType) : undefined;
+
+  return proof;
+};
+
+/**
+ * Record the outcome of checking a vault document
+ * 
+ * @param {Object} item - Vault document
+ * @param {String} status - pending, verified or rejected
+ * @param {Object} [options] - Who checked it and why
+ * @returns {Object} - Updated vault document
+ */
+UserSchema.methods.setVaultVerification = function(item, status, { actor, note } = {}) {
+  item.verification = {
+    status,
+    note,
+    verifiedBy: status === 'pending' ? undefined : actor && actor.id,
+    verifiedAt: status === 'pending' ? undefined : Date.now(),
+    provenValues: status === 'verified' ? this.getProvenValues(item.documentType) : undefined
+  };
+
+  return item;
 };
 
 /**
@@ -467,6 +773,10 @@ UserSchema.methods.getPublicProfile = function() {
   return userObject;
 };
 
+// Expose constants for validators and other modules
+UserSchema.statics.ROLES = ROLES;
+UserSchema.statics.PROOF_FIELDS = PROOF_FIELDS;
+
 // Create User model from schema
 const User = mongoose.model('User', UserSchema);
 
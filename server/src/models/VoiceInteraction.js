@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+
+// Possible results of a voice interaction
+const INTERACTION_OUTCOMES = ['success', 'noMatch', 'clarification', 'failed', 'abandoned'];
+
+// Outcomes counted as a failure to understand the caller
+const FAILED_OUTCOMES = ['noMatch', 'failed', 'abandoned'];
+
+/**
+ * Voice Interaction Schema
+ * One record per utterance, used to tune voice triggers per language
+ */
+const VoiceInteractionSchema = new mongoose.Schema({
+  // Caller, if they are logged in
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Voice dialogue the utterance belongs to, if any
+  sessionId: String,
+
+  // Where the interaction was recorded
+  source: {
+    type: String,
+    enum: ['resolve', 'dialogue', 'client'],
+    default: 'client'
+  },
+
+  // What the caller said
+  transcript: {
+    type: String,
+    required: [true, 'Transcript is required'],
+    trim: true,
+    maxlength: [500, 'Transcript cannot exceed 500 characters']
+  },
+
+  language: {
+    type: String,
+    enum: {
+      values: ['en', 'hi', 'mr', 'gu', 'pa', 'ta', 'te', 'kn', 'bn', 'ml', 'or', 'as'],
+      message: 'Please select a supported language'
+    },
+    default: 'en'
+  },
+
+  // Resolved intent (service shortName or dialogue field)
+  intent: String,
+
+  // Service the utterance was resolved to
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  },
+
+  // Recognition or matching confidence (0-1)
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+
+  outcome: {
+    type: String,
+    enum: {
+      values: INTERACTION_OUTCOMES,
+      message: `Outcome must be one of: ${INTERACTION_OUTCOMES.join(', ')}`
+    },
+    required: [true, 'Outcome is required']
+  },
+
+  // Time taken to handle the utterance in milliseconds
+  latencyMs: {
+    type: Number,
+    min: 0
+  },
+
+  // Client supplied details (speech engine, device)
+  client: {
+    engine: String,
+    device: String,
+    userAgent: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for reporting
+VoiceInteractionSchema.index({ language: 1, outcome: 1, createdAt: -1 });
+VoiceInteractionSchema.index({ user: 1, createdAt: -1 });
+VoiceInteractionSchema.index({ service: 1, createdAt: -1 });
+
+// Virtual to check whether the caller was understood
+VoiceInteractionSchema.virtual('isFailure').get(function() {
+  return FAILED_OUTCOMES.includes(this.outcome);
+});
+
+/**
+ * Report failed intents per language
+ * Groups interactions by language and lists the transcripts that most often
+ * fail, so triggers can be added for them
+ *
+ * @param {Object} options - Report options
+ * @param {Date} options.from - Start of the reporting period
+ * @param {Date} options.to - End of the reporting period
+ * @param {String} options.language - Restrict the report to one language
+ * @param {Number} options.topTranscripts - Number of failing transcripts to list per language
+ * @returns {Promise<Array>} Per-language statistics sorted by failure rate
+ */
+VoiceInteractionSchema.statics.getFailedIntentReport = async function(options = {}) {
+  const { from, to, language, topTranscripts = 10 } = options;
+
+  const match = {};
+
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = new Date(from);
+    if (to) match.createdAt.$lte = new Date(to);
+  }
+
+  if (language) {
+    match.language = language;
+  }
+
+  const [totals, failures] = await Promise.all([
+    this.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$language',
+          total: { $sum: 1 },
+          failed: { $sum: { $cond: [{ $in: ['$outcome', FAILED_OUTCOMES] }, 1, 0] } },
+          clarifications: { $sum: { $cond: [{ $eq: ['$outcome', 'clarification'] }, 1, 0] } },
+          averageConfidence: { $avg: '$confidence' },
+          averageLatencyMs: { $avg: '$latencyMs' }
+        }
+      }
+    ]),
+    this.aggregate([
+      { $match: { ...match, outcome: { $in: FAILED_OUTCOMES } } },
+      {
+        $group: {
+          _id: { language: '$language', transcript: { $toLower: '$transcript' } },
+          count: { $sum: 1 },
+          lastSeen: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { count: -1, lastSeen: -1 } },
+      {
+        $group: {
+          _id: '$_id.language',
+          transcripts: {
+            $push: { transcript: '$_id.transcript', count: '$count', lastSeen: '$lastSeen' }
+          }
+        }
+      }
+    ])
+  ]);
+
+  const transcriptsByLanguage = {};
+  failures.forEach(entry => {
+    transcriptsByLanguage[entry._id] = entry.transcripts.slice(0, topTranscripts);
+  });
+
+  return totals
+    .map(entry => ({
+      language: entry._id,
+      total: entry.total,
+      failed: entry.failed,
+      clarifications: entry.clarifications,
+      failureRate: entry.total > 0 ? Math.round((entry.failed / entry.total) * 1000) / 1000 : 0,
+      averageConfidence: entry.averageConfidence !== null
+        ? Math.round(entry.averageConfidence * 1000) / 1000
+        : null,
+      averageLatencyMs: entry.averageLatencyMs !== null ? Math.round(entry.averageLatencyMs) : null,
+      topFailedTranscripts: transcriptsByLanguage[entry._id] || []
+    }))
+    .sort((a, b) => b.failureRate - a.failureRate);
+};
+
+VoiceInteractionSchema.statics.OUTCOMES = INTERACTION_OUTCOMES;
+VoiceInteractionSchema.statics.FAILED_OUTCOMES = FAILED_OUTCOMES;
+
+// Create the VoiceInteraction model
+const VoiceInteraction = mongoose.model('VoiceInteraction', VoiceInteractionSchema);
+
+module.exports = VoiceInteraction;
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Idle sessions are discarded after 30 minutes
+const SESSION_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Voice Session Schema
+ * Keeps the state of a multi-turn voice dialogue between turns
+ */
+const VoiceSessionSchema = new mongoose.Schema({
+  // Opaque identifier handed to the voice client
+  sessionId: {
+    type: String,
+    unique: true,
+    default: () => crypto.randomUUID()
+  },
+
+  // Caller, if they are logged in
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Service the dialogue walks through
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: [true, 'Service reference is required']
+  },
+
+  language: {
+    type: String,
+    enum: {
+      values: ['en', 'hi', 'mr', 'gu', 'pa', 'ta', 'te', 'kn', 'bn', 'ml', 'or', 'as'],
+      message: 'Please select a supported language'
+    },
+    default: 'en'
+  },
+
+  // Current dialogue stage
+  stage: {
+    type: String,
+    enum: ['welcome', 'eligibility', 'confirmation', 'completed', 'ineligible', 'cancelled'],
+    default: 'welcome'
+  },
+
+  // Field the dialogue is currently asking for
+  pendingField: {
+    field: String,
+    criteria: String,
+    retries: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  // Fields the caller could not answer
+  skippedFields: [String],
+
+  // Profile collected from the caller's answers
+  profile: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Latest eligibility and fee results
+  eligibility: mongoose.Schema.Types.Mixed,
+  fees: mongoose.Schema.Types.Mixed,
+
+  // Last prompt spoken, for "repeat" requests
+  lastPrompt: String,
+
+  // Conversation transcript
+  turns: [{
+    speaker: {
+      type: String,
+      enum: ['system', 'caller']
+    },
+    text: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Draft application created when the caller confirms
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application'
+  },
+
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + SESSION_TTL_MS)
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB remove expired sessions
+VoiceSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual to check whether the dialogue has finished
+VoiceSessionSchema.virtual('isFinished').get(function() {
+  return ['completed', 'ineligible', 'cancelled'].includes(this.stage);
+});
+
+/**
+ * Push the idle expiry forward after activity
+ */
+VoiceSessionSchema.methods.touch = function() {
+  this.expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+};
+
+/**
+ * Get the dialogue state as a plain object for the dialogue engine
+ * @returns {Object} Dialogue state
+ */
+VoiceSessionSchema.methods.getState = function() {
+  return {
+    stage: this.stage,
+    language: this.language,
+    pendingField: this.pendingField && this.pendingField.field ? {
+      field: this.pendingField.field,
+      criteria: this.pendingField.criteria,
+      retries: this.pendingField.retries || 0
+    } : null,
+    skippedFields: [...(this.skippedFields || [])],
+    profile: { ...(this.profile || {}) },
+    eligibility: this.eligibility,
+    fees: this.fees,
+    lastPrompt: this.lastPrompt
+  };
+};
+
+/**
+ * Store the state returned by the dialogue engine
+ * @param {Object} state - Dialogue state
+ */
+VoiceSessionSchema.methods.applyState = function(state) {
+  this.stage = state.stage;
+  this.pendingField = state.pendingField || { field: undefined, criteria: undefined, retries: 0 };
+  this.skippedFields = state.skippedFields;
+  this.profile = state.profile;
+  this.eligibility = state.eligibility;
+  this.fees = state.fees;
+  this.lastPrompt = state.lastPrompt;
+  this.markModified('profile');
+};
+
+// Create the VoiceSession model
+const VoiceSession = mongoose.model('VoiceSession', VoiceSessionSchema);
+
+module.exports = VoiceSession;
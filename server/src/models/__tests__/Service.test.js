@@ -0,0 +1,61 @@
+const Service = require('../Service');
+
+const buildService = (fees) => new Service({
+  name: { en: 'Test service' },
+  shortName: 'TEST',
+  fees
+});
+
+describe('Service', () => {
+  describe('calculateFees', () => {
+    it('totals the same amounts the breakdown reports', () => {
+      const service = buildService([{
+        feeType: 'application',
+        name: { en: 'Application fee' },
+        amount: 100,
+        variableFactors: [{ factor: 'income' }],
+        formula: { type: 'fixed', maxAmount: 100, taxes: [{ name: 'GST', rate: 18 }] }
+      }]);
+
+      const fees = service.calculateFees({ income: 2000000 });
+
+      expect(fees.breakdown).toHaveLength(1);
+      expect(fees.breakdown[0].amount).toBe(118);
+      expect(fees.totalAmount).toBe(118);
+    });
+  });
+
+  describe('simulateEligibility', () => {
+    const service = buildService([{
+      feeType: 'application',
+      name: { en: 'Application fee' },
+      amount: 200,
+      waiver: { eligibility: ['sc'] }
+    }]);
+
+    const options = {
+      proofs: { caste: 'verified' },
+      waiverProfile: { category: 'OBC' }
+    };
+
+    it('reports the same waivers and total as calculateFees with the same options', () => {
+      const profile = { category: 'OBC' };
+      const simulation = service.simulateEligibility(profile, [{ changes: { category: 'SC' } }], options);
+
+      [profile, { category: 'SC' }].forEach((checked, index) => {
+        const fees = service.calculateFees(checked, options);
+        const outcome = index === 0 ? simulation.baseline : simulation.variations[0].outcome;
+
+        expect(outcome.totalFee).toBe(fees.totalAmount);
+        expect(outcome.waivers).toEqual(fees.waivers.map(item => item.feeType));
+      });
+    });
+
+    it('does not grant a waiver the verified profile does not back', () => {
+      const simulation = service.simulateEligibility({ category: 'OBC' }, [{ changes: { category: 'SC' } }], options);
+
+      expect(simulation.variations[0].outcome.totalFee).toBe(200);
+      expect(simulation.variations[0].diff.waiversGained).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+
+// Import controllers
+const appealsController = require('../controllers/appeals');
+const Appeal = require('../models/Appeal');
+const Service = require('../models/Service');
+
+// Import middleware
+const { protect, authorize } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+const { multipartUpload } = require('../middleware/upload');
+
+// Appellate authorities and admins hear appeals; the role is checked exactly
+const appellateOnly = authorize('appellateAuthority', 'admin', 'superAdmin');
+
+// Validation for routes addressing one appeal
+const validateAppealParam = [
+  param('id', 'Appeal ID or number is required').notEmpty()
+];
+
+// All appeal routes require authentication
+router.use(protect);
+
+// ===============================================================
+// Citizen Routes
+// ===============================================================
+
+// @route   POST /api/v1/appeals
+// @desc    Appeal against the rejection of an application
+// @access  Private (Owner)
+router.post(
+  '/',
+  [
+    body('applicationId', 'Application ID or number is required').notEmpty().isString(),
+    body('grounds', 'Grounds are required and must be at most 2000 characters').trim().notEmpty().isLength({ max: 2000 }),
+    body('language', 'Language must be a valid ISO code').optional().isIn(['en', 'hi', 'mr', 'gu', 'pa', 'ta', 'te', 'kn', 'bn', 'ml', 'or', 'as'])
+  ],
+  validateRequest,
+  appealsController.createAppeal
+);
+
+// @route   GET /api/v1/appeals/me
+// @desc    Get the citizen's own appeals
+// @access  Private
+router.get(
+  '/me',
+  [
+    query('status', 'Status must be valid').optional().isIn(Appeal.STATUSES),
+    query('page', 'Page must be a positive number').optional().isInt({ min: 1 }),
+    query('limit', 'Limit must be between 1 and 50').optional().isInt({ min: 1, max: 50 })
+  ],
+  validateRequest,
+  appealsController.getMyAppeals
+);
+
+// ===============================================================
+// Appellate Routes (Appellate Authority/Admin)
+// ===============================================================
+
+// @route   GET /api/v1/appeals/queue
+// @desc    Get pending appeals, oldest first, leaving out the officer's own rejections
+// @access  Private (Appellate Authority/Admin)
+router.get(
+  '/queue',
+  appellateOnly,
+  [
+    query('status', 'Status must be valid').optional().isIn(Appeal.STATUSES),
+    query('assignedTo', 'AssignedTo must be me').optional().isIn(['me']),
+    query('page', 'Page must be a positive number').optional().isInt({ min: 1 }),
+    query('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 })
+  ],
+  validateRequest,
+  appealsController.getAppealQueue
+);
+
+// @route   POST /api/v1/appeals/:id/review
+// @desc    Take up an appeal for review
+// @access  Private (Appellate Authority/Admin)
+router.post(
+  '/:id/review',
+  appellateOnly,
+  validateAppealParam,
+  validateRequest,
+  appealsController.reviewAppeal
+);
+
+// @route   POST /api/v1/appeals/:id/decide
+// @desc    Allow an appeal (reopens the application) or dismiss it (rejection becomes final)
+// @access  Private (Appellate Authority/Admin)
+router.post(
+  '/:id/decide',
+  appellateOnly,
+  [
+    ...validateAppealParam,
+    body('outcome', 'Outcome must be allowed or dismissed').isIn(Appeal.OUTCOMES),
+    body('reason', 'A reasoned order of at most 800 characters is required').trim().notEmpty().isLength({ max: 800 })
+  ],
+  validateRequest,
+  appealsController.decideAppeal
+);
+
+// ===============================================================
+// Single Appeal Routes
+// ===============================================================
+
+// @route   GET /api/v1/appeals/:id
+// @desc    Get single appeal
+// @access  Private (Owner/Appellate Authority/Admin)
+router.get(
+  '/:id',
+  validateAppealParam,
+  validateRequest,
+  appealsController.getAppeal
+);
+
+// @route   POST /api/v1/appeals/:id/documents
+// @desc    Upload a supporting document (multipart: documentType, file, documentNumber, issuedAt, expiresAt)
+// @access  Private (Owner)
+router.post(
+  '/:id/documents',
+  multipartUpload(),
+  [
+    ...validateAppealParam,
+    body('documentType', 'Valid document type is required').isIn(Service.DOCUMENT_TYPES),
+    body('documentNumber', 'Document number must be a string').optional().isString().isLength({ max: 50 }),
+    body('issuedAt', 'Issue date must be a valid date').optional().isISO8601(),
+    body('expiresAt', 'Expiry date must be a valid date').optional().isISO8601()
+  ],
+  validateRequest,
+  appealsController.uploadAppealDocument
+);
+
+// @route   GET /api/v1/appeals/:id/documents/:documentId/file
+// @desc    Download a document uploaded with an appeal
+// @access  Private (Owner/Appellate Authority/Admin)
+router.get(
+  '/:id/documents/:documentId/file',
+  [
+    ...validateAppealParam,
+    param('documentId', 'Document ID must be valid').isMongoId()
+  ],
+  validateRequest,
+  appealsController.getAppealDocumentFile
+);
+
+// @route   POST /api/v1/appeals/:id/withdraw
+// @desc    Withdraw a pending appeal
+// @access  Private (Owner)
+router.post(
+  '/:id/withdraw',
+  [
+    ...validateAppealParam,
+    body('reason', 'Reason must be a string of at most 500 characters').optional().isString().isLength({ max: 500 })
+  ],
+  validateRequest,
+  appealsController.withdrawAppeal
+);
+
+module.exports = router;
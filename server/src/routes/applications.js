@@ -0,0 +1,252 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+
+// Import controllers
+const applicationsController = require('../controllers/applications');
+const Service = require('../models/Service');
+
+// Import middleware
+const { protect } = require('../middleware/auth');
+const { hasAnyRole } = require('../middleware/role');
+const { validateRequest } = require('../middleware/validate');
+const { multipartUpload } = require('../middleware/upload');
+
+// Statuses an officer can move an application into
+const OFFICER_STATUSES = [
+  'reviewing', 'documentRequired', 'processing',
+  'approved', 'rejected', 'completed', 'hold'
+];
+
+// Language validation
+const validateLanguage = [
+  body('language', 'Language must be a valid ISO code').optional()
+    .isIn(['en', 'hi', 'bn', 'ta', 'te', 'mr', 'gu', 'kn', 'ml', 'pa', 'or', 'as'])
+];
+
+// Validation for citizen editable application fields
+const validateApplicationData = [
+  body('applicantData', 'Applicant data must be an object').optional().isObject(),
+  body('applicantData.dateOfBirth', 'Date of birth must be a valid date').optional().isISO8601(),
+  body('applicantData.income', 'Income must be a number').optional().isNumeric(),
+  body('formData', 'Form data must be an object').optional().isObject(),
+  body('documents', 'Documents must be an array').optional().isArray(),
+  body('documents.*.type', 'Document type is required').optional().isString(),
+  body('documents.*.file', 'File name must be a string').optional().isString(),
+  body('documents.*.sizeKB', 'File size must be a number').optional().isNumeric(),
+  body('documents.*.documentNumber', 'Document number must be a string').optional().isString().isLength({ max: 50 }),
+  body('documents.*.issuedAt', 'Issue date must be a valid date').optional().isISO8601(),
+  body('documents.*.expiresAt', 'Expiry date must be a valid date').optional().isISO8601(),
+  ...validateLanguage
+];
+
+// All application routes require authentication
+router.use(protect);
+
+// ===============================================================
+// Citizen Routes
+// ===============================================================
+
+// @route   POST /api/v1/applications
+// @desc    Start a new application as draft
+// @access  Private
+router.post(
+  '/',
+  [
+    body('serviceId', 'Service ID or shortName is required').notEmpty().isString(),
+    ...validateApplicationData
+  ],
+  validateRequest,
+  applicationsController.createApplication
+);
+
+// @route   GET /api/v1/applications
+// @desc    Get applications of the logged in user
+// @access  Private
+router.get(
+  '/',
+  [
+    query('status', 'Status must be valid').optional().isIn([...OFFICER_STATUSES, 'draft', 'pending', 'withdrawn']),
+    query('page', 'Page must be a number').optional().isInt({ min: 1 }),
+    query('limit', 'Limit must be a number').optional().isInt({ min: 1, max: 50 })
+  ],
+  validateRequest,
+  applicationsController.getMyApplications
+);
+
+// ===============================================================
+// Officer Routes (Service Provider/Admin)
+// ===============================================================
+
+// @route   GET /api/v1/applications/queue
+// @desc    Get applications awaiting processing
+// @access  Private (Service Provider/Admin)
+router.get(
+  '/queue',
+  hasAnyRole(['serviceProvider']),
+  [
+    query('status', 'Status must be valid').optional().isIn([...OFFICER_STATUSES, 'pending']),
+    query('service', 'Service must be an ID or shortName').optional().isString(),
+    query('assignedTo', 'assignedTo only supports "me"').optional().equals('me'),
+    query('page', 'Page must be a number').optional().isInt({ min: 1 }),
+    query('limit', 'Limit must be a number').optional().isInt({ min: 1, max: 100 })
+  ],
+  validateRequest,
+  applicationsController.getApplicationQueue
+);
+
+// @route   PATCH /api/v1/applications/:id/status
+// @desc    Move an application to a new status
+// @access  Private (Service Provider/Admin)
+router.patch(
+  '/:id/status',
+  hasAnyRole(['serviceProvider']),
+  [
+    param('id', 'Application ID or number is required').notEmpty(),
+    body('status', 'Status must be valid').isIn(OFFICER_STATUSES),
+    body('reason', 'Reason must be a string').optional().isString().isLength({ max: 1000 }),
+    body('assignedTo', 'assignedTo must be a valid user ID').optional().isMongoId()
+  ],
+  validateRequest,
+  applicationsController.updateApplicationStatus
+);
+
+// @route   PATCH /api/v1/applications/:id/proofs
+// @desc    Verify or reject the applicant's proof document for a fee waiver
+// @access  Private (Service Provider/Admin)
+router.patch(
+  '/:id/proofs',
+  hasAnyRole(['serviceProvider']),
+  [
+    param('id', 'Application ID or number is required').notEmpty(),
+    body('documentType', 'Valid document type is required').isIn(Service.DOCUMENT_TYPES),
+    body('status', 'Status must be pending, verified or rejected').isIn(['pending', 'verified', 'rejected']),
+    body('note', 'Note must be a string').optional().isString().isLength({ max: 1000 })
+  ],
+  validateRequest,
+  applicationsController.verifyProof
+);
+
+// ===============================================================
+// Single Application Routes
+// ===============================================================
+
+// @route   GET /api/v1/applications/:id
+// @desc    Get single application
+// @access  Private (Owner/Service Provider/Admin)
+router.get(
+  '/:id',
+  [
+    param('id', 'Application ID or number is required').notEmpty()
+  ],
+  validateRequest,
+  applicationsController.getApplication
+);
+
+// @route   GET /api/v1/applications/:id/history
+// @desc    Get status history of an application
+// @access  Private (Owner/Service Provider/Admin)
+router.get(
+  '/:id/history',
+  [
+    param('id', 'Application ID or number is required').notEmpty()
+  ],
+  validateRequest,
+  applicationsController.getApplicationHistory
+);
+
+// @route   PUT /api/v1/applications/:id
+// @desc    Save changes to a draft application
+// @access  Private (Owner)
+router.put(
+  '/:id',
+  [
+    param('id', 'Application ID or number is required').notEmpty(),
+    ...validateApplicationData
+  ],
+  validateRequest,
+  applicationsController.updateDraft
+);
+
+// @route   POST /api/v1/applications/:id/submit
+// @desc    Submit a draft application
+// @access  Private (Owner)
+router.post(
+  '/:id/submit',
+  [
+    param('id', 'Application ID or number is required').notEmpty()
+  ],
+  validateRequest,
+  applicationsController.submitApplication
+);
+
+// @route   POST /api/v1/applications/:id/withdraw
+// @desc    Withdraw an application
+// @access  Private (Owner)
+router.post(
+  '/:id/withdraw',
+  [
+    param('id', 'Application ID or number is required').notEmpty(),
+    body('reason', 'Reason must be a string').optional().isString().isLength({ max: 500 })
+  ],
+  validateRequest,
+  applicationsController.withdrawApplication
+);
+
+// @route   POST /api/v1/applications/:id/documents
+// @desc    Upload a document (multipart: documentType, file, documentNumber, issuedAt, expiresAt)
+// @access  Private (Owner)
+router.post(
+  '/:id/documents',
+  multipartUpload(),
+  [
+    param('id', 'Application ID or number is required').notEmpty(),
+    body('documentType', 'Valid document type is required').isIn(Service.DOCUMENT_TYPES),
+    body('documentNumber', 'Document number must be a string').optional().isString().isLength({ max: 50 }),
+    body('issuedAt', 'Issue date must be a valid date').optional().isISO8601(),
+    body('expiresAt', 'Expiry date must be a valid date').optional().isISO8601()
+  ],
+  validateRequest,
+  applicationsController.uploadDocument
+);
+
+// @route   POST /api/v1/applications/:id/documents/from-vault
+// @desc    Attach a document from the citizen's vault
+// @access  Private (Owner)
+router.post(
+  '/:id/documents/from-vault',
+  [
+    param('id', 'Application ID or number is required').notEmpty(),
+    body('vaultDocumentId', 'Vault document ID must be valid').isMongoId()
+  ],
+  validateRequest,
+  applicationsController.attachVaultDocument
+);
+
+// @route   GET /api/v1/applications/:id/documents/:documentId/file
+// @desc    Download an uploaded document
+// @access  Private (Owner/Service Provider/Admin)
+router.get(
+  '/:id/documents/:documentId/file',
+  [
+    param('id', 'Application ID or number is required').notEmpty(),
+    param('documentId', 'Document ID must be valid').isMongoId()
+  ],
+  validateRequest,
+  applicationsController.getDocumentFile
+);
+
+// @route   DELETE /api/v1/applications/:id/documents/:documentId
+// @desc    Remove a document from an application
+// @access  Private (Owner)
+router.delete(
+  '/:id/documents/:documentId',
+  [
+    param('id', 'Application ID or number is required').notEmpty(),
+    param('documentId', 'Document ID must be valid').isMongoId()
+  ],
+  validateRequest,
+  applicationsController.deleteDocument
+);
+
+module.exports = router;
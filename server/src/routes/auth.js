@@ -6,13 +6,21 @@ const {
   register,
   login,
   logout,
+  logoutAll,
+  refreshSession,
   getCurrentUser,
   forgotPassword,
   resetPassword,
   updatePassword,
   updateDetails,
   verifyEmail,
-  deactivateAccount
+  deactivateAccount,
+  enrollVoicePrint,
+  getVoicePrintStatus,
+  verifyVoiceSample,
+  deleteVoicePrint,
+  voiceLogin,
+  updateUserRole
 } = require('../controllers/auth');
 
 // Import middleware
@@ -21,19 +29,29 @@ const { protect, authorize, authRateLimiter, registerRateLimiter, passwordResetL
 // Public routes
 router.post('/register', registerRateLimiter, register);
 router.post('/login', authRateLimiter, login);
+router.post('/voicelogin', authRateLimiter, voiceLogin);
 router.post('/forgotpassword', passwordResetLimiter, forgotPassword);
 router.put('/resetpassword/:resettoken', passwordResetLimiter, resetPassword);
 router.get('/verifyemail/:token', verifyEmail);
 
+// Session routes authenticated by the refresh token, so they work after the access token expires
+router.post('/refresh', authRateLimiter, refreshSession);
+router.post('/logout', logout);
+
 // Protected routes (require authentication)
 router.use(protect); // Apply protection middleware to all routes below
 router.get('/logout', logout);
+router.post('/logout/all', logoutAll);
 router.get('/me', getCurrentUser);
 router.put('/updatedetails', updateDetails);
 router.put('/updatepassword', updatePassword);
 router.put('/deactivate', deactivateAccount);
+router.get('/voiceprint', getVoicePrintStatus);
+router.post('/voiceprint', enrollVoicePrint);
+router.post('/voiceprint/verify', verifyVoiceSample);
+router.delete('/voiceprint', deleteVoicePrint);
 
-// Admin only routes can be added here if needed
-// Example: router.get('/admin/users', authorize('admin'), getAllUsers);
+// Admin only routes
+router.put('/admin/users/:id/role', authorize('admin', 'superAdmin'), updateUserRole);
 
 module.exports = router;
@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+
+// Import controllers
+const documentsController = require('../controllers/documents');
+const Service = require('../models/Service');
+
+// Import middleware
+const { protect } = require('../middleware/auth');
+const { hasAnyRole } = require('../middleware/role');
+const { validateRequest } = require('../middleware/validate');
+const { multipartUpload } = require('../middleware/upload');
+
+// Validation for vault document details
+const validateVaultDetails = [
+  body('label', 'Label must be a string of at most 100 characters').optional().isString().isLength({ max: 100 }),
+  body('documentNumber', 'Document number must be a string').optional().isString().isLength({ max: 50 }),
+  body('issuedAt', 'Issue date must be a valid date').optional().isISO8601(),
+  body('expiresAt', 'Expiry date must be a valid date').optional().isISO8601()
+];
+
+// All document vault routes require authentication
+router.use(protect);
+
+// ===============================================================
+// Citizen Routes
+// ===============================================================
+
+// @route   GET /api/v1/documents
+// @desc    Get the documents in the citizen's vault
+// @access  Private
+router.get(
+  '/',
+  [
+    query('documentType', 'Valid document type is required').optional().isIn(Service.DOCUMENT_TYPES)
+  ],
+  validateRequest,
+  documentsController.getVault
+);
+
+// @route   POST /api/v1/documents
+// @desc    Upload a document to the vault (multipart: documentType, file, label, documentNumber, issuedAt, expiresAt)
+// @access  Private
+router.post(
+  '/',
+  multipartUpload(),
+  [
+    body('documentType', 'Valid document type is required').isIn(Service.DOCUMENT_TYPES),
+    ...validateVaultDetails
+  ],
+  validateRequest,
+  documentsController.uploadToVault
+);
+
+// @route   PATCH /api/v1/documents/:documentId
+// @desc    Update the label, number or dates of a vault document
+// @access  Private
+router.patch(
+  '/:documentId',
+  [
+    param('documentId', 'Document ID must be valid').isMongoId(),
+    ...validateVaultDetails
+  ],
+  validateRequest,
+  documentsController.updateVaultDocument
+);
+
+// @route   GET /api/v1/documents/:documentId/file
+// @desc    Download a vault document
+// @access  Private
+router.get(
+  '/:documentId/file',
+  [
+    param('documentId', 'Document ID must be valid').isMongoId()
+  ],
+  validateRequest,
+  documentsController.getVaultFile
+);
+
+// @route   DELETE /api/v1/documents/:documentId
+// @desc    Remove a document from the vault
+// @access  Private
+router.delete(
+  '/:documentId',
+  [
+    param('documentId', 'Document ID must be valid').isMongoId()
+  ],
+  validateRequest,
+  documentsController.deleteVaultDocument
+);
+
+// ===============================================================
+// Officer Routes (Service Provider/Admin)
+// ===============================================================
+
+// @route   PATCH /api/v1/documents/:documentId/verification
+// @desc    Verify or reject a citizen's vault document
+// @access  Private (Service Provider/Admin)
+router.patch(
+  '/:documentId/verification',
+  hasAnyRole(['serviceProvider']),
+  [
+    param('documentId', 'Document ID must be valid').isMongoId(),
+    body('status', 'Status must be pending, verified or rejected').isIn(['pending', 'verified', 'rejected']),
+    body('note', 'Note must be a string').optional().isString().isLength({ max: 1000 })
+  ],
+  validateRequest,
+  documentsController.verifyVaultDocument
+);
+
+module.exports = router;
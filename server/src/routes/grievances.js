@@ -0,0 +1,193 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+
+// Import controllers
+const grievancesController = require('../controllers/grievances');
+const Grievance = require('../models/Grievance');
+
+// Import middleware
+const { protect } = require('../middleware/auth');
+const { hasAnyRole, adminOnly } = require('../middleware/role');
+const { validateRequest } = require('../middleware/validate');
+
+// Validation for routes addressing one grievance
+const validateGrievanceParam = [
+  param('id', 'Grievance ID or number is required').notEmpty()
+];
+
+// Every grievance route requires authentication
+router.use(protect);
+
+// ===============================================================
+// Citizen Routes
+// ===============================================================
+
+// @route   POST /api/v1/grievances
+// @desc    File a grievance about a service or one of the citizen's applications
+// @access  Private
+router.post(
+  '/',
+  [
+    body('serviceId', 'Service ID or shortName must be a string').optional().isString(),
+    body('applicationId', 'Application ID or number must be a string').optional().isString(),
+    body('serviceId').custom((serviceId, { req }) => Boolean(serviceId || req.body.applicationId))
+      .withMessage('A service or application is required'),
+    body('category', 'Category must be valid').optional().isIn(Grievance.CATEGORIES),
+    body('subject', 'Subject is required and must be at most 150 characters').trim().notEmpty().isLength({ max: 150 }),
+    body('description', 'Description is required and must be at most 2000 characters').trim().notEmpty().isLength({ max: 2000 }),
+    body('language', 'Language must be a valid ISO code').optional().isIn(['en', 'hi', 'mr', 'gu', 'pa', 'ta', 'te', 'kn', 'bn', 'ml', 'or', 'as'])
+  ],
+  validateRequest,
+  grievancesController.createGrievance
+);
+
+// @route   GET /api/v1/grievances/me
+// @desc    Get the citizen's own grievances
+// @access  Private
+router.get(
+  '/me',
+  [
+    query('status', 'Status must be valid').optional().isIn(Grievance.STATUSES),
+    query('page', 'Page must be a positive number').optional().isInt({ min: 1 }),
+    query('limit', 'Limit must be between 1 and 50').optional().isInt({ min: 1, max: 50 })
+  ],
+  validateRequest,
+  grievancesController.getMyGrievances
+);
+
+// ===============================================================
+// Officer Routes (Service Provider/Admin)
+// ===============================================================
+
+// @route   GET /api/v1/grievances/queue
+// @desc    Get pending grievances at the officer's escalation levels, nearest deadline first
+// @access  Private (Service Provider/Admin)
+router.get(
+  '/queue',
+  hasAnyRole(['serviceProvider']),
+  [
+    query('status', 'Status must be valid').optional().isIn(Grievance.STATUSES),
+    query('level', 'Level must be a valid escalation level').optional().isInt({ min: 0, max: Grievance.ESCALATION_LEVELS.length - 1 }),
+    query('department', 'Department must be a string').optional().isString(),
+    query('assignedTo', 'AssignedTo must be me').optional().isIn(['me']),
+    query('overdue', 'Overdue must be true or false').optional().isBoolean(),
+    query('page', 'Page must be a positive number').optional().isInt({ min: 1 }),
+    query('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 })
+  ],
+  validateRequest,
+  grievancesController.getGrievanceQueue
+);
+
+// ===============================================================
+// Admin Routes
+// ===============================================================
+
+// @route   POST /api/v1/grievances/escalations/run
+// @desc    Escalate overdue grievances and close unconfirmed resolutions
+// @access  Private (Admin)
+router.post(
+  '/escalations/run',
+  adminOnly,
+  grievancesController.runEscalations
+);
+
+// @route   POST /api/v1/grievances/seed/reviews
+// @desc    File grievances for critical (1-2 star) reviews
+// @access  Private (Admin)
+router.post(
+  '/seed/reviews',
+  adminOnly,
+  [
+    body('serviceId', 'Service ID or shortName must be a string').optional().isString(),
+    body('limit', 'Limit must be between 1 and 50').optional().isInt({ min: 1, max: 50 })
+  ],
+  validateRequest,
+  grievancesController.seedFromReviews
+);
+
+// ===============================================================
+// Single Grievance Routes
+// ===============================================================
+
+// @route   GET /api/v1/grievances/:id
+// @desc    Get single grievance
+// @access  Private (Owner/Department Officer/Admin)
+router.get(
+  '/:id',
+  validateGrievanceParam,
+  validateRequest,
+  grievancesController.getGrievance
+);
+
+// @route   POST /api/v1/grievances/:id/close
+// @desc    Close a resolved grievance with a satisfaction rating
+// @access  Private (Owner)
+router.post(
+  '/:id/close',
+  [
+    ...validateGrievanceParam,
+    body('rating', 'Rating must be a whole number from 1 to 5').isInt({ min: 1, max: 5 }),
+    body('comment', 'Comment must be a string of at most 1000 characters').optional().isString().isLength({ max: 1000 })
+  ],
+  validateRequest,
+  grievancesController.closeGrievance
+);
+
+// @route   POST /api/v1/grievances/:id/reopen
+// @desc    Reopen a resolved grievance at the next escalation level
+// @access  Private (Owner)
+router.post(
+  '/:id/reopen',
+  [
+    ...validateGrievanceParam,
+    body('reason', 'Reason is required and must be at most 500 characters').trim().notEmpty().isLength({ max: 500 })
+  ],
+  validateRequest,
+  grievancesController.reopenGrievance
+);
+
+// @route   POST /api/v1/grievances/:id/responses
+// @desc    Respond to a grievance, optionally resolving it
+// @access  Private (Officer of the current escalation level)
+router.post(
+  '/:id/responses',
+  hasAnyRole(['serviceProvider']),
+  [
+    ...validateGrievanceParam,
+    body('message', 'Message is required and must be at most 2000 characters').trim().notEmpty().isLength({ max: 2000 }),
+    body('resolve', 'Resolve must be boolean').optional().isBoolean()
+  ],
+  validateRequest,
+  grievancesController.respondToGrievance
+);
+
+// @route   PUT /api/v1/grievances/:id/assign
+// @desc    Assign a grievance to an officer
+// @access  Private (Officer of the current escalation level)
+router.put(
+  '/:id/assign',
+  hasAnyRole(['serviceProvider']),
+  [
+    ...validateGrievanceParam,
+    body('officerId', 'Officer ID must be valid').isMongoId()
+  ],
+  validateRequest,
+  grievancesController.assignGrievance
+);
+
+// @route   POST /api/v1/grievances/:id/escalate
+// @desc    Escalate a grievance to the next level
+// @access  Private (Officer of the current escalation level)
+router.post(
+  '/:id/escalate',
+  hasAnyRole(['serviceProvider']),
+  [
+    ...validateGrievanceParam,
+    body('reason', 'Reason is required and must be at most 1000 characters').trim().notEmpty().isLength({ max: 1000 })
+  ],
+  validateRequest,
+  grievancesController.escalateGrievance
+);
+
+module.exports = router;
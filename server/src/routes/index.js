@@ -0,0 +1,36 @@
+/**
+ * API Routes Index
+ * Mounts the versioned API routers. Used by both the server entry point
+ * (src/index.js) and the app module (src/app.js), so each serves the same
+ * /api/v1 routers; their body size limits and unversioned routes differ.
+ */
+
+const API_PREFIX = '/api/v1';
+
+// Router for each resource, keyed by its path under the API prefix
+const routers = {
+  auth: require('./auth'),
+  services: require('./services'),
+  applications: require('./applications'),
+  payments: require('./payments'),
+  documents: require('./documents'),
+  reviews: require('./reviews'),
+  grievances: require('./grievances'),
+  appeals: require('./appeals')
+};
+
+/**
+ * Mount every versioned API router on an Express app
+ * @param {Object} app - Express app
+ * @param {String} [prefix] - Path prefix for the routers
+ */
+const mountApiRoutes = (app, prefix = API_PREFIX) => {
+  Object.entries(routers).forEach(([name, router]) => {
+    app.use(`${prefix}/${name}`, router);
+  });
+};
+
+module.exports = {
+  API_PREFIX,
+  mountApiRoutes
+};
@@ -0,0 +1,122 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+
+// Import controllers
+const paymentsController = require('../controllers/payments');
+
+// Import middleware
+const { protect } = require('../middleware/auth');
+const { adminOnly } = require('../middleware/role');
+const { validateRequest } = require('../middleware/validate');
+const { GATEWAY_NAMES } = require('../utils/paymentGateway');
+
+// ===============================================================
+// Gateway Routes
+// ===============================================================
+
+// @route   POST /api/v1/payments/callback/:gateway
+// @desc    Receive a signed payment gateway callback
+// @access  Public (signature verified)
+router.post(
+  '/callback/:gateway',
+  [
+    param('gateway', 'Unknown payment gateway').isIn(GATEWAY_NAMES)
+  ],
+  validateRequest,
+  paymentsController.handleCallback
+);
+
+// All other payment routes require authentication
+router.use(protect);
+
+// ===============================================================
+// Citizen Routes
+// ===============================================================
+
+// @route   POST /api/v1/payments/orders
+// @desc    Create a payment order for an application's fees
+// @access  Private (Owner)
+router.post(
+  '/orders',
+  [
+    body('applicationId', 'Application ID or number is required').notEmpty().isString(),
+    body('gateway', 'Unknown payment gateway').optional().isIn(GATEWAY_NAMES)
+  ],
+  validateRequest,
+  paymentsController.createOrder
+);
+
+// @route   GET /api/v1/payments/application/:applicationId
+// @desc    Get payments for an application
+// @access  Private (Owner/Service Provider/Admin)
+router.get(
+  '/application/:applicationId',
+  [
+    param('applicationId', 'Application ID or number is required').notEmpty()
+  ],
+  validateRequest,
+  paymentsController.getApplicationPayments
+);
+
+// ===============================================================
+// Single Payment Routes
+// ===============================================================
+
+// @route   GET /api/v1/payments/:id
+// @desc    Get single payment
+// @access  Private (Owner/Service Provider/Admin)
+router.get(
+  '/:id',
+  [
+    param('id', 'Payment ID or order ID is required').notEmpty()
+  ],
+  validateRequest,
+  paymentsController.getPayment
+);
+
+// @route   GET /api/v1/payments/:id/receipt
+// @desc    Get the receipt for a captured payment
+// @access  Private (Owner/Service Provider/Admin)
+router.get(
+  '/:id/receipt',
+  [
+    param('id', 'Payment ID or order ID is required').notEmpty()
+  ],
+  validateRequest,
+  paymentsController.getReceipt
+);
+
+// @route   POST /api/v1/payments/:id/simulate
+// @desc    Complete a payment with the mock gateway (not in production)
+// @access  Private (Owner)
+router.post(
+  '/:id/simulate',
+  [
+    param('id', 'Payment ID or order ID is required').notEmpty(),
+    body('outcome', 'Outcome must be success or failure').optional().isIn(['success', 'failure']),
+    body('amount', 'Amount must be a positive number').optional().isFloat({ gt: 0 })
+  ],
+  validateRequest,
+  paymentsController.simulatePayment
+);
+
+// ===============================================================
+// Admin Routes
+// ===============================================================
+
+// @route   POST /api/v1/payments/:id/refund
+// @desc    Refund the fees paid for a rejected application
+// @access  Private (Admin)
+router.post(
+  '/:id/refund',
+  adminOnly,
+  [
+    param('id', 'Payment ID or order ID is required').notEmpty(),
+    body('reason', 'Reason must be a string').optional().isString().isLength({ max: 500 })
+  ],
+  validateRequest,
+  paymentsController.refundPayment
+);
+
+module.exports = router;
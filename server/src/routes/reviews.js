@@ -0,0 +1,363 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+
+// Import controllers
+const reviewsController = require('../controllers/reviews');
+const Review = require('../models/Review');
+
+// Import middleware
+const { protect, optionalAuth, authorize } = require('../middleware/auth');
+const { hasAnyRole, adminOnly } = require('../middleware/role');
+const { validateRequest } = require('../middleware/validate');
+const { multipartUpload } = require('../middleware/upload');
+
+// Moderators and admins moderate reviews; the role is checked exactly
+const moderatorOnly = authorize('moderator', 'admin', 'superAdmin');
+
+// Validation for citizen editable review fields
+const validateReviewContent = [
+  body('title', 'Title must be a string of at most 100 characters').optional().isString().isLength({ max: 100 }),
+  body('comment', 'Comment must be a string of at most 1000 characters').optional().isString().isLength({ max: 1000 }),
+  body('language', 'Language must be a valid ISO code').optional().isIn(Review.LANGUAGES),
+  body('aspectRatings', 'Aspect ratings must be an object').optional().isObject(),
+  ...Review.ASPECTS.map(aspect =>
+    body(`aspectRatings.${aspect}`, `${aspect} rating must be a whole number from 1 to 5`).optional().isInt({ min: 1, max: 5 })
+  ),
+  body('tags', 'Tags must be an array of strings').optional().isArray({ max: 10 }),
+  body('tags.*', 'Tags must be strings of at most 30 characters').optional().isString().isLength({ max: 30 })
+];
+
+// Validation for moderation decisions
+const validateModeration = [
+  body('action', 'Action must be approve, reject, flag or remove').isIn(Review.MODERATION_ACTIONS),
+  body('notes', 'Notes must be a string').optional().isString().isLength({ max: 1000 }),
+  body('redact', 'Redact must be boolean').optional().isBoolean()
+];
+
+// Validation for the service in listing routes
+const validateServiceParam = [
+  param('serviceId', 'Service ID or shortName is required').notEmpty()
+];
+
+// Validation for short review listings
+const validateHighlights = [
+  ...validateServiceParam,
+  query('limit', 'Limit must be between 1 and 20').optional().isInt({ min: 1, max: 20 })
+];
+
+// ===============================================================
+// Public Routes
+// ===============================================================
+
+// @route   GET /api/v1/reviews/service/:serviceId
+// @desc    Get reviews for a service with its rating summary
+// @access  Public (officers may filter by status)
+router.get(
+  '/service/:serviceId',
+  optionalAuth,
+  [
+    ...validateServiceParam,
+    query('page', 'Page must be a positive number').optional().isInt({ min: 1 }),
+    query('limit', 'Limit must be between 1 and 50').optional().isInt({ min: 1, max: 50 }),
+    query('rating', 'Rating must be a whole number from 1 to 5').optional().isInt({ min: 1, max: 5 }),
+    query('sort', 'Sort must be recent, helpful, highest or lowest').optional().isIn(['recent', 'helpful', 'highest', 'lowest']),
+    query('status', 'Status must be valid').optional().isIn(Review.STATUSES),
+    query('reviewLanguage', 'Review language must be a valid ISO code').optional().isIn(Review.LANGUAGES)
+  ],
+  validateRequest,
+  reviewsController.getServiceReviews
+);
+
+// @route   GET /api/v1/reviews/service/:serviceId/helpful
+// @desc    Get the most helpful reviews for a service
+// @access  Public
+router.get(
+  '/service/:serviceId/helpful',
+  validateHighlights,
+  validateRequest,
+  reviewsController.getHelpfulReviews
+);
+
+// @route   GET /api/v1/reviews/service/:serviceId/recent
+// @desc    Get the most recent reviews for a service
+// @access  Public
+router.get(
+  '/service/:serviceId/recent',
+  validateHighlights,
+  validateRequest,
+  reviewsController.getRecentReviews
+);
+
+// @route   GET /api/v1/reviews/service/:serviceId/critical
+// @desc    Get critical (1-2 star) reviews for a service
+// @access  Public
+router.get(
+  '/service/:serviceId/critical',
+  validateHighlights,
+  validateRequest,
+  reviewsController.getCriticalReviews
+);
+
+// ===============================================================
+// Citizen Routes
+// ===============================================================
+
+// @route   GET /api/v1/reviews/service/:serviceId/eligibility
+// @desc    Check whether the citizen can review a service
+// @access  Private
+router.get(
+  '/service/:serviceId/eligibility',
+  protect,
+  validateServiceParam,
+  validateRequest,
+  reviewsController.checkEligibility
+);
+
+// @route   GET /api/v1/reviews/me
+// @desc    Get the citizen's own reviews
+// @access  Private
+router.get(
+  '/me',
+  protect,
+  [
+    query('page', 'Page must be a positive number').optional().isInt({ min: 1 }),
+    query('limit', 'Limit must be between 1 and 50').optional().isInt({ min: 1, max: 50 })
+  ],
+  validateRequest,
+  reviewsController.getMyReviews
+);
+
+// @route   POST /api/v1/reviews
+// @desc    Review a service the citizen has used
+// @access  Private
+router.post(
+  '/',
+  protect,
+  [
+    body('serviceId', 'Service ID or shortName is required').notEmpty().isString(),
+    body('rating', 'Rating must be a whole number from 1 to 5').isInt({ min: 1, max: 5 }),
+    ...validateReviewContent
+  ],
+  validateRequest,
+  reviewsController.createReview
+);
+
+// @route   POST /api/v1/reviews/voice
+// @desc    Review a service by voice (multipart: audio, transcript, confidence, serviceId, rating, language, title, engine)
+// @access  Private
+router.post(
+  '/voice',
+  protect,
+  multipartUpload(),
+  [
+    body('serviceId', 'Service ID or shortName is required').notEmpty().isString(),
+    body('rating', 'Rating must be a whole number from 1 to 5').isInt({ min: 1, max: 5 }),
+    body('transcript', 'Transcript is required and must be at most 1000 characters').trim().notEmpty().isLength({ max: 1000 }),
+    body('confidence', 'Confidence must be between 0 and 1').isFloat({ min: 0, max: 1 }),
+    body('language', 'Language must be a valid ISO code').optional().isIn(Review.LANGUAGES),
+    body('title', 'Title must be a string of at most 100 characters').optional().isString().isLength({ max: 100 }),
+    body('engine', 'Engine must be a string of at most 50 characters').optional().isString().isLength({ max: 50 })
+  ],
+  validateRequest,
+  reviewsController.createVoiceReview
+);
+
+// ===============================================================
+// Single Review Routes
+// ===============================================================
+
+// @route   GET /api/v1/reviews/:id
+// @desc    Get single review
+// @access  Public (unpublished reviews: Author/Service Provider/Admin)
+router.get(
+  '/:id',
+  optionalAuth,
+  [
+    param('id', 'Review ID must be valid').isMongoId()
+  ],
+  validateRequest,
+  reviewsController.getReview
+);
+
+// @route   GET /api/v1/reviews/:id/recording
+// @desc    Download the recording of a voice review
+// @access  Private (Author/Service Provider/Moderator/Admin)
+router.get(
+  '/:id/recording',
+  protect,
+  [
+    param('id', 'Review ID must be valid').isMongoId()
+  ],
+  validateRequest,
+  reviewsController.getRecording
+);
+
+// @route   PUT /api/v1/reviews/:id
+// @desc    Edit a review
+// @access  Private (Author)
+router.put(
+  '/:id',
+  protect,
+  [
+    param('id', 'Review ID must be valid').isMongoId(),
+    body('rating', 'Rating must be a whole number from 1 to 5').optional().isInt({ min: 1, max: 5 }),
+    ...validateReviewContent
+  ],
+  validateRequest,
+  reviewsController.updateReview
+);
+
+// @route   DELETE /api/v1/reviews/:id
+// @desc    Delete a review
+// @access  Private (Author/Admin)
+router.delete(
+  '/:id',
+  protect,
+  [
+    param('id', 'Review ID must be valid').isMongoId()
+  ],
+  validateRequest,
+  reviewsController.deleteReview
+);
+
+// @route   POST /api/v1/reviews/:id/vote
+// @desc    Vote a review helpful (up) or unhelpful (down)
+// @access  Private
+router.post(
+  '/:id/vote',
+  protect,
+  [
+    param('id', 'Review ID must be valid').isMongoId(),
+    body('vote', 'Vote must be up or down').isIn(['up', 'down'])
+  ],
+  validateRequest,
+  reviewsController.voteReview
+);
+
+// @route   DELETE /api/v1/reviews/:id/vote
+// @desc    Remove the citizen's vote from a review
+// @access  Private
+router.delete(
+  '/:id/vote',
+  protect,
+  [
+    param('id', 'Review ID must be valid').isMongoId()
+  ],
+  validateRequest,
+  reviewsController.removeVote
+);
+
+// ===============================================================
+// Officer Routes (Service Provider/Admin)
+// ===============================================================
+
+// @route   POST /api/v1/reviews/:id/response
+// @desc    Post the department's official response to a review
+// @access  Private (Service Provider/Admin)
+router.post(
+  '/:id/response',
+  protect,
+  hasAnyRole(['serviceProvider']),
+  [
+    param('id', 'Review ID must be valid').isMongoId(),
+    body('text', 'Response text is required').isObject(),
+    body('text.en', 'English response must be a string').optional().isString().isLength({ max: 2000 }),
+    body('text.hi', 'Hindi response must be a string').optional().isString().isLength({ max: 2000 }),
+    body('text').custom(text => Boolean(text && (text.en || text.hi))).withMessage('Response text in English or Hindi is required'),
+    body('status', 'Status must be responded, escalated or resolved').optional().isIn(['responded', 'escalated', 'resolved'])
+  ],
+  validateRequest,
+  reviewsController.respondToReview
+);
+
+// ===============================================================
+// Moderator Routes (Moderator/Admin)
+// ===============================================================
+
+// @route   GET /api/v1/reviews/moderation/queue
+// @desc    Get reviews waiting for moderation, automatically flagged first
+// @access  Private (Moderator/Admin)
+router.get(
+  '/moderation/queue',
+  protect,
+  moderatorOnly,
+  [
+    query('status', 'Status must be flagged or pending').optional().isIn(['flagged', 'pending']),
+    query('flag', 'Flag must be pii, profanity or transcript').optional().isIn(['pii', 'profanity', 'transcript']),
+    query('service', 'Service must be a string').optional().isString(),
+    query('page', 'Page must be a positive number').optional().isInt({ min: 1 }),
+    query('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 })
+  ],
+  validateRequest,
+  reviewsController.getModerationQueue
+);
+
+// @route   POST /api/v1/reviews/moderation/bulk
+// @desc    Apply one moderation decision to many reviews
+// @access  Private (Moderator/Admin)
+router.post(
+  '/moderation/bulk',
+  protect,
+  moderatorOnly,
+  [
+    body('reviewIds', 'Review IDs must be a non-empty array').isArray({ min: 1 }),
+    body('reviewIds.*', 'Review IDs must be valid').isMongoId(),
+    ...validateModeration
+  ],
+  validateRequest,
+  reviewsController.bulkModerate
+);
+
+// @route   POST /api/v1/reviews/:id/moderate
+// @desc    Approve, reject, flag or remove a review, optionally correcting a voice transcript
+// @access  Private (Moderator/Admin)
+router.post(
+  '/:id/moderate',
+  protect,
+  moderatorOnly,
+  [
+    param('id', 'Review ID must be valid').isMongoId(),
+    ...validateModeration,
+    body('transcript', 'Transcript must be a non-empty string of at most 1000 characters').optional().isString().trim().notEmpty().isLength({ max: 1000 })
+  ],
+  validateRequest,
+  reviewsController.moderateReview
+);
+
+// ===============================================================
+// Admin Routes
+// ===============================================================
+
+// @route   POST /api/v1/reviews/ratings/sync
+// @desc    Recompute stored service ratings from approved reviews
+// @access  Private (Admin)
+router.post(
+  '/ratings/sync',
+  protect,
+  adminOnly,
+  [
+    body('serviceId', 'Service ID or shortName must be a string').optional().isString()
+  ],
+  validateRequest,
+  reviewsController.syncRatings
+);
+
+// @route   POST /api/v1/reviews/sentiment/reanalyze
+// @desc    Re-analyze the sentiment of approved reviews with the current analyzer
+// @access  Private (Admin)
+router.post(
+  '/sentiment/reanalyze',
+  protect,
+  adminOnly,
+  [
+    body('serviceId', 'Service ID or shortName must be a string').optional().isString(),
+    body('language', 'Language must be a valid ISO code').optional().isIn(Review.LANGUAGES),
+    body('since', 'Since must be a valid date').optional().isISO8601(),
+    body('all', 'All must be boolean').optional().isBoolean({ strict: true })
+  ],
+  validateRequest,
+  reviewsController.reanalyzeSentiment
+);
+
+module.exports = router;
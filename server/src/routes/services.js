@@ -7,9 +7,11 @@ const rateLimit = require('express-rate-limit');
 const servicesController = require('../controllers/services');
 
 // Import middleware
-const { protect } = require('../middleware/auth');
-const { adminOnly } = require('../middleware/role');
+const { protect, optionalAuth } = require('../middleware/auth');
+const { adminOnly, hasAnyRole } = require('../middleware/role');
 const { validateRequest } = require('../middleware/validate');
+const { compile, validateRule } = require('../utils/ruleEngine');
+const { validateFormula } = require('../utils/feeFormula');
 
 // Rate limiter for public routes
 const publicLimiter = rateLimit({
@@ -29,6 +31,36 @@ const searchLimiter = rateLimit({
   legacyHeaders: false
 });
 
+// Validation for eligibility rule and fee formula expressions (updates bypass model hooks)
+const validateRules = [
+  body('eligibilityCriteria.*.expression').optional().custom(expression => {
+    compile(expression);
+    return true;
+  }),
+  body('eligibilityRules.derivedFields.*.expression').optional().custom(expression => {
+    compile(expression);
+    return true;
+  }),
+  body('eligibilityRules.conditions').optional().custom(conditions => {
+    validateRule(conditions);
+    return true;
+  }),
+  body('fees.*').optional().custom(fee => {
+    validateFormula(fee);
+    return true;
+  }),
+  body('fees.*.waiver.condition').optional().custom(expression => {
+    compile(expression);
+    return true;
+  })
+];
+
+// Validation for appeal settings
+const validateAppeal = [
+  body('appeal.allowed', 'Appeal allowed must be boolean').optional().isBoolean(),
+  body('appeal.windowDays', 'Appeal window must be a positive whole number of days').optional().isInt({ min: 1 })
+];
+
 // Validation for service creation
 const validateServiceCreate = [
   body('name.en', 'English name is required').notEmpty().isString(),
@@ -45,9 +77,14 @@ const validateServiceCreate = [
   body('requirements.*.documentType', 'Valid document type is required').optional().isString(),
   body('requirements.*.name.en', 'Document name in English is required').optional().isString(),
   body('requirements.*.isMandatory', 'isMandatory must be boolean').optional().isBoolean(),
+  body('requirements.*.validationRules', 'Validation rule must be none, format, expiry, photo or digital')
+    .optional().isIn(['none', 'format', 'expiry', 'photo', 'digital']),
+  body('requirements.*.validityDays', 'Validity must be a positive whole number of days').optional().isInt({ min: 1 }),
   body('fees.*.amount', 'Fee amount must be a number').optional().isNumeric(),
   body('fees.*.feeType', 'Fee type is required').optional().isString(),
-  body('fees.*.name.en', 'Fee name in English is required').optional().isString()
+  body('fees.*.name.en', 'Fee name in English is required').optional().isString(),
+  ...validateAppeal,
+  ...validateRules
 ];
 
 // Validation for service update
@@ -60,7 +97,9 @@ const validateServiceUpdate = [
     'business', 'certificates', 'pension', 'taxes', 'other'
   ]),
   body('status', 'Status must be valid').optional().isIn(['draft', 'active', 'inactive', 'deprecated']),
-  body('department.name.en', 'Department name must be a string').optional().isString()
+  body('department.name.en', 'Department name must be a string').optional().isString(),
+  ...validateAppeal,
+  ...validateRules
 ];
 
 // Language param validation
@@ -69,6 +108,11 @@ const validateLanguage = [
     .isIn(['en', 'hi', 'bn', 'ta', 'te', 'mr', 'gu', 'kn', 'ml', 'pa', 'or', 'as'])
 ];
 
+// Response format validation (ssml renders spoken text)
+const validateFormat = [
+  query('format', 'Format must be json or ssml').optional().isIn(['json', 'ssml'])
+];
+
 // ===============================================================
 // Public Routes
 // ===============================================================
@@ -121,15 +165,44 @@ router.get(
   servicesController.getServicesByCategory
 );
 
+// @route   POST /api/services/recommend
+// @desc    Recommend services for a citizen profile
+// @access  Public (uses the saved profile when logged in)
+router.post(
+  '/recommend',
+  searchLimiter,
+  optionalAuth,
+  [
+    body('dateOfBirth', 'Date of birth must be a valid date').optional().isISO8601(),
+    body('income', 'Income must be a number').optional().isNumeric(),
+    body('familySize', 'Family size must be a positive number').optional().isInt({ min: 1 }),
+    body('gender', 'Gender must be valid').optional().isIn(['male', 'female', 'other']),
+    body('maritalStatus', 'Marital status must be valid').optional().isString(),
+    body('category', 'Category must be valid').optional().isString(),
+    body('address.state', 'State must be a string').optional().isString(),
+    query('category', 'Category must be valid').optional().isIn([
+      'health', 'education', 'employment', 'finance', 'welfare', 
+      'agriculture', 'housing', 'legal', 'transport', 'utilities', 
+      'business', 'certificates', 'pension', 'taxes', 'other'
+    ]),
+    query('topMissing', 'topMissing must be between 1 and 20').optional().isInt({ min: 1, max: 20 }),
+    ...validateLanguage
+  ],
+  validateRequest,
+  servicesController.recommendServices
+);
+
 // @route   GET /api/services/:id
 // @desc    Get single service
 // @access  Public
 router.get(
   '/:id', 
   publicLimiter,
+  optionalAuth,
   [
     param('id', 'Service ID or shortName is required').notEmpty(),
-    ...validateLanguage
+    ...validateLanguage,
+    ...validateFormat
   ],
   validateRequest,
   servicesController.getService
@@ -166,12 +239,36 @@ router.post(
     body('gender', 'Gender must be valid').optional().isIn(['male', 'female', 'other']),
     body('maritalStatus', 'Marital status must be valid').optional().isString(),
     body('category', 'Category must be valid').optional().isString(),
-    body('address.state', 'State must be a string').optional().isString()
+    body('address.state', 'State must be a string').optional().isString(),
+    ...validateLanguage,
+    ...validateFormat
   ],
   validateRequest,
   servicesController.checkEligibility
 );
 
+// @route   POST /api/services/:id/simulate
+// @desc    Compare eligibility and fees across variations of a profile
+// @access  Private (Service Provider/Admin)
+router.post(
+  '/:id/simulate',
+  protect,
+  hasAnyRole(['serviceProvider']),
+  [
+    param('id', 'Service ID or shortName is required').notEmpty(),
+    body('applicantId', 'Applicant ID must be valid').optional().isMongoId(),
+    body('baseProfile', 'Base profile must be an object').optional().isObject(),
+    body('baseProfile.dateOfBirth', 'Date of birth must be a valid date').optional().isISO8601(),
+    body('baseProfile.income', 'Income must be a number').optional().isNumeric(),
+    body('variations', 'Variations must be a list of 1 to 20 entries').isArray({ min: 1, max: 20 }),
+    body('variations.*.label', 'Variation label must be a string').optional().isString().isLength({ max: 100 }),
+    body('variations.*.changes', 'Variation changes must be an object').isObject(),
+    body('variations.*.changes.income', 'Income must be a number').optional({ values: 'null' }).isNumeric()
+  ],
+  validateRequest,
+  servicesController.simulateEligibility
+);
+
 // @route   POST /api/services/:id/calculate-fees
 // @desc    Calculate fees for a service
 // @access  Private
@@ -185,7 +282,9 @@ router.post(
     body('hasDisability', 'hasDisability must be a boolean').optional().isBoolean(),
     body('isStudent', 'isStudent must be a boolean').optional().isBoolean(),
     body('isBPL', 'isBPL must be a boolean').optional().isBoolean(),
-    body('gender', 'Gender must be valid').optional().isIn(['male', 'female', 'other'])
+    body('gender', 'Gender must be valid').optional().isIn(['male', 'female', 'other']),
+    ...validateLanguage,
+    ...validateFormat
   ],
   validateRequest,
   servicesController.calculateFees
@@ -217,7 +316,8 @@ router.get(
   [
     param('id', 'Service ID or shortName is required').notEmpty(),
     param('statusCode', 'Status code is required').isString(),
-    ...validateLanguage
+    ...validateLanguage,
+    ...validateFormat
   ],
   validateRequest,
   servicesController.getServiceStatus
@@ -0,0 +1,159 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+
+// Import controllers
+const voiceController = require('../controllers/voice');
+
+// Import middleware
+const { protect, optionalAuth } = require('../middleware/auth');
+const { adminOnly } = require('../middleware/role');
+const { validateRequest } = require('../middleware/validate');
+
+// Intent resolution runs on every utterance, so allow a higher rate
+const voiceLimiter = rateLimit({
+  windowMs: 5 * 60 * 1000, // 5 minutes
+  max: 60, // Limit each IP to 60 requests per windowMs
+  message: 'Too many voice requests from this IP, please try again after 5 minutes',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Language validation
+const validateLanguage = [
+  body('language', 'Language must be a valid ISO code').optional()
+    .isIn(['en', 'hi', 'bn', 'ta', 'te', 'mr', 'gu', 'kn', 'ml', 'pa', 'or', 'as'])
+];
+
+// @route   POST /api/voice/resolve
+// @desc    Resolve a spoken utterance to ranked service intents
+// @access  Public
+router.post(
+  '/resolve',
+  voiceLimiter,
+  optionalAuth,
+  [
+    body('transcript', 'Transcript is required').notEmpty().isString()
+      .isLength({ max: 500 }).withMessage('Transcript cannot exceed 500 characters'),
+    body('limit', 'Limit must be a number between 1 and 10').optional().isInt({ min: 1, max: 10 }),
+    body('minConfidence', 'minConfidence must be between 0 and 1').optional().isFloat({ min: 0, max: 1 }),
+    ...validateLanguage
+  ],
+  validateRequest,
+  voiceController.resolveIntent
+);
+
+// @route   POST /api/voice/sessions
+// @desc    Start a voice dialogue for a service
+// @access  Public
+router.post(
+  '/sessions',
+  voiceLimiter,
+  optionalAuth,
+  [
+    body('serviceId', 'Service ID or shortName is required').notEmpty().isString(),
+    body('profile', 'Profile must be an object').optional().isObject(),
+    ...validateLanguage
+  ],
+  validateRequest,
+  voiceController.startSession
+);
+
+// @route   GET /api/voice/sessions/:sessionId
+// @desc    Get the state of a voice dialogue
+// @access  Public
+router.get(
+  '/sessions/:sessionId',
+  optionalAuth,
+  [
+    param('sessionId', 'Session ID must be valid').isUUID()
+  ],
+  validateRequest,
+  voiceController.getSession
+);
+
+// @route   POST /api/voice/sessions/:sessionId/turns
+// @desc    Send the caller's next utterance
+// @access  Public
+router.post(
+  '/sessions/:sessionId/turns',
+  voiceLimiter,
+  optionalAuth,
+  [
+    param('sessionId', 'Session ID must be valid').isUUID(),
+    body('transcript', 'Transcript is required').notEmpty().isString()
+      .isLength({ max: 500 }).withMessage('Transcript cannot exceed 500 characters')
+  ],
+  validateRequest,
+  voiceController.handleSessionTurn
+);
+
+// @route   DELETE /api/voice/sessions/:sessionId
+// @desc    End a voice dialogue
+// @access  Public
+router.delete(
+  '/sessions/:sessionId',
+  optionalAuth,
+  [
+    param('sessionId', 'Session ID must be valid').isUUID()
+  ],
+  validateRequest,
+  voiceController.endSession
+);
+
+// @route   POST /api/voice/interactions
+// @desc    Log a voice interaction handled on the client
+// @access  Public
+router.post(
+  '/interactions',
+  voiceLimiter,
+  optionalAuth,
+  [
+    body('transcript', 'Transcript is required').notEmpty().isString()
+      .isLength({ max: 500 }).withMessage('Transcript cannot exceed 500 characters'),
+    body('outcome', 'Outcome is invalid').isIn(['success', 'noMatch', 'clarification', 'failed', 'abandoned']),
+    body('confidence', 'Confidence must be between 0 and 1').optional().isFloat({ min: 0, max: 1 }),
+    body('latencyMs', 'Latency must be a positive number').optional().isInt({ min: 0 }),
+    body('serviceId', 'Service ID must be a string').optional().isString(),
+    ...validateLanguage
+  ],
+  validateRequest,
+  voiceController.logInteraction
+);
+
+// @route   GET /api/voice/interactions/report/failed
+// @desc    Report failed intents per language
+// @access  Private (Admin)
+router.get(
+  '/interactions/report/failed',
+  protect,
+  adminOnly,
+  [
+    query('from', 'From must be a valid date').optional().isISO8601(),
+    query('to', 'To must be a valid date').optional().isISO8601(),
+    query('top', 'Top must be a number between 1 and 50').optional().isInt({ min: 1, max: 50 })
+  ],
+  validateRequest,
+  voiceController.getFailedIntentReport
+);
+
+// @route   GET /api/voice/interactions
+// @desc    Query voice interactions
+// @access  Private
+router.get(
+  '/interactions',
+  protect,
+  [
+    query('from', 'From must be a valid date').optional().isISO8601(),
+    query('to', 'To must be a valid date').optional().isISO8601(),
+    query('service', 'Service must be a valid ID').optional().isMongoId(),
+    query('user', 'User must be a valid ID').optional().isMongoId(),
+    query('maxConfidence', 'maxConfidence must be between 0 and 1').optional().isFloat({ min: 0, max: 1 }),
+    query('limit', 'Limit must be a number between 1 and 100').optional().isInt({ min: 1, max: 100 })
+  ],
+  validateRequest,
+  voiceController.getInteractions
+);
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const {
+  checkRules,
+  checkFormat,
+  checkExpiry,
+  getExpiryDate,
+  isValidAadhaar,
+  normalizeNumber,
+  maskNumber
+} = require('../documentRules');
+
+const NOW = new Date('2024-06-15T00:00:00Z');
+
+describe('documentRules', () => {
+  describe('isValidAadhaar', () => {
+    it('accepts numbers with a valid Verhoeff check digit', () => {
+      expect(isValidAadhaar('234123412346')).toBe(true);
+      expect(isValidAadhaar('2341 2341 2346')).toBe(true);
+      expect(isValidAadhaar('4991-1866-5246')).toBe(true);
+    });
+
+    it('catches every single digit error', () => {
+      const valid = '234123412346';
+      for (let i = 0; i < valid.length; i++) {
+        for (let digit = 0; digit <= 9; digit++) {
+          if (String(digit) === valid[i]) continue;
+          const changed = `${valid.slice(0, i)}${digit}${valid.slice(i + 1)}`;
+          expect(isValidAadhaar(changed)).toBe(false);
+        }
+      }
+    });
+
+    it('catches swapped adjacent digits', () => {
+      expect(isValidAadhaar('243123412346')).toBe(false);
+      expect(isValidAadhaar('234123412364')).toBe(false);
+    });
+
+    it('rejects numbers of the wrong length or starting with 0 or 1', () => {
+      expect(isValidAadhaar('23412341234')).toBe(false);
+      expect(isValidAadhaar('2341234123460')).toBe(false);
+      expect(isValidAadhaar('134123412346')).toBe(false);
+      expect(isValidAadhaar('23412341234A')).toBe(false);
+    });
+  });
+
+  describe('checkFormat', () => {
+    it('accepts valid numbers of each known type', () => {
+      expect(checkFormat('aadhar', '2341 2341 2346')).toBeNull();
+      expect(checkFormat('pan', 'abcpe1234f')).toBeNull();
+      expect(checkFormat('voter', 'ABC1234567')).toBeNull();
+      expect(checkFormat('passport', 'J8369854')).toBeNull();
+      expect(checkFormat('driving', 'MH-14 2011 0062821')).toBeNull();
+    });
+
+    it('explains what a valid number looks like', () => {
+      expect(checkFormat('aadhar', '234123412347')).toMatch('valid checksum');
+      expect(checkFormat('pan', 'ABCDE1234F')).toMatch('ABCPE1234F');
+      expect(checkFormat('voter', 'AB12345678')).toMatch('3 letters');
+      expect(checkFormat('passport', 'J0369854')).toMatch('letter followed by 7 digits');
+      expect(checkFormat('driving', 'MH1418110062821')).toMatch('MH1420110062821');
+    });
+
+    it('requires a number but accepts any for types without a format', () => {
+      expect(checkFormat('pan', '')).toBe('Document number is required');
+      expect(checkFormat('income', 'any-thing 1')).toBeNull();
+    });
+  });
+
+  describe('expiry', () => {
+    it('uses the earlier of the stated expiry and the validity period', () => {
+      const requirement = { validityDays: 30 };
+      expect(getExpiryDate(requirement, { issuedAt: '2024-06-01', expiresAt: '2025-01-01' }))
+        .toEqual(new Date('2024-07-01T00:00:00Z'));
+      expect(getExpiryDate({}, { issuedAt: '2024-06-01' })).toBeNull();
+    });
+
+    it('accepts a document still within its validity', () => {
+      expect(checkExpiry({ validityDays: 180 }, { issuedAt: '2024-03-01' }, NOW)).toBeNull();
+      expect(checkExpiry({}, { expiresAt: '2030-01-01' }, NOW)).toBeNull();
+    });
+
+    it('rejects an expired document with its expiry date', () => {
+      expect(checkExpiry({ validityDays: 30 }, { issuedAt: '2024-01-01' }, NOW)).toBe('Document expired on 2024-01-31');
+      expect(checkExpiry({}, { expiresAt: '2024-06-01' }, NOW)).toBe('Document expired on 2024-06-01');
+    });
+
+    it('requires the dates it needs', () => {
+      expect(checkExpiry({}, {}, NOW)).toBe('Issue or expiry date is required');
+      expect(checkExpiry({ validityDays: 30 }, { expiresAt: '2030-01-01' }, NOW)).toBe('Issue date is required');
+      expect(checkExpiry({}, { issuedAt: '2024-07-01' }, NOW)).toBe('Issue date cannot be in the future');
+    });
+  });
+
+  describe('checkRules', () => {
+    it('applies no check when the requirement has no rule', () => {
+      expect(checkRules({ documentType: 'pan' }, {})).toBeNull();
+    });
+
+    it('checks the number for the format rule', () => {
+      const requirement = { documentType: 'pan', validationRules: 'format' };
+      expect(checkRules(requirement, { documentNumber: 'ABCPE1234F' })).toBeNull();
+      expect(checkRules(requirement, {})).toBe('Document number is required');
+    });
+
+    it('checks dates for the expiry rule', () => {
+      const requirement = { documentType: 'income', validationRules: 'expiry', validityDays: 365 };
+      expect(checkRules(requirement, { issuedAt: '2024-01-01' }, NOW)).toBeNull();
+    });
+
+    describe('photo rule', () => {
+      const requirement = { documentType: 'photo', validationRules: 'photo' };
+
+      it('accepts a passport size photo', () => {
+        expect(checkRules(requirement, { inspection: { width: 700, height: 900 } })).toBeNull();
+      });
+
+      it('needs image dimensions', () => {
+        expect(checkRules(requirement, { inspection: {} })).toMatch('as an image');
+      });
+
+      it('rejects small or wrongly shaped photos', () => {
+        expect(checkRules(requirement, { inspection: { width: 300, height: 400 } })).toMatch('at least 350x450');
+        expect(checkRules(requirement, { inspection: { width: 900, height: 900 } })).toMatch('wrong shape');
+      });
+
+      it('uses the requirement limits over the defaults', () => {
+        const square = { ...requirement, photo: { minWidth: 200, minHeight: 200, aspectRatio: 1 } };
+        expect(checkRules(square, { inspection: { width: 300, height: 300 } })).toBeNull();
+      });
+    });
+
+    describe('digital rule', () => {
+      const requirement = { documentType: 'income', validationRules: 'digital' };
+
+      it('accepts a signed PDF', () => {
+        expect(checkRules(requirement, { mimeType: 'application/pdf', inspection: { signed: true } })).toBeNull();
+      });
+
+      it('rejects unsigned PDFs and other files', () => {
+        expect(checkRules(requirement, { mimeType: 'application/pdf', inspection: { signed: false } })).toBe('PDF is not digitally signed');
+        expect(checkRules(requirement, { mimeType: 'image/jpeg', inspection: { width: 10, height: 10 } })).toMatch('digitally signed PDF');
+      });
+    });
+  });
+
+  describe('number helpers', () => {
+    it('normalizes case, spaces and dashes', () => {
+      expect(normalizeNumber(' abc-pe 1234f ')).toBe('ABCPE1234F');
+    });
+
+    it('masks all but the last four characters', () => {
+      expect(maskNumber('234123412346')).toBe('XXXXXXXX2346');
+      expect(maskNumber('1234')).toBe('1234');
+      expect(maskNumber('')).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,157 @@
+const { computeFee, lookupSlab, validateFormula } = require('../feeFormula');
+
+describe('feeFormula', () => {
+  describe('lookupSlab', () => {
+    const slabs = [
+      { upTo: null, amount: 500 },
+      { upTo: 100000, amount: 0 },
+      { upTo: 300000, amount: 100, rate: 1 }
+    ];
+
+    it('uses the slab the value falls in, whatever the table order', () => {
+      expect(lookupSlab(slabs, 50000)).toEqual({ amount: 0, slab: 0 });
+      expect(lookupSlab(slabs, 200000)).toEqual({ amount: 2100, slab: 1 });
+      expect(lookupSlab(slabs, 900000)).toEqual({ amount: 500, slab: 2 });
+    });
+
+    it('falls back to the highest slab above the last closed one', () => {
+      expect(lookupSlab([{ upTo: 10, amount: 5 }], 50)).toEqual({ amount: 5, slab: 0 });
+    });
+
+    it('applies each rate only to its own band in marginal mode', () => {
+      const bands = [
+        { upTo: 1000, rate: 0 },
+        { upTo: 5000, rate: 10 },
+        { upTo: null, rate: 20, amount: 50 }
+      ];
+      expect(lookupSlab(bands, 800, 'marginal')).toEqual({ amount: 0, slab: 0 });
+      expect(lookupSlab(bands, 7000, 'marginal')).toEqual({ amount: 400 + 50 + 400, slab: 2 });
+    });
+  });
+
+  describe('computeFee', () => {
+    it('keeps the fixed amount when there is no formula', () => {
+      expect(computeFee({ amount: 30 }, {})).toMatchObject({ amount: 30, missing: [] });
+    });
+
+    it('computes a slab fee from the basis expression', () => {
+      const fee = {
+        amount: 0,
+        formula: { type: 'slab', basis: 'annualIncome', slabs: [{ upTo: 100000, amount: 10 }, { upTo: null, amount: 50 }] }
+      };
+      const result = computeFee(fee, { annualIncome: 250000 });
+      expect(result.amount).toBe(50);
+      expect(result.components).toMatchObject({ basis: 250000, slab: 1 });
+    });
+
+    it('computes a percentage of the basis and applies caps', () => {
+      const fee = {
+        amount: 0,
+        formula: { type: 'percentage', basis: 'propertyValue', rate: 1, minAmount: 100, maxAmount: 5000 }
+      };
+      expect(computeFee(fee, { propertyValue: 2000 }).amount).toBe(100);
+      expect(computeFee(fee, { propertyValue: 250000 }).amount).toBe(2500);
+      const capped = computeFee(fee, { propertyValue: 10000000 });
+      expect(capped.amount).toBe(5000);
+      expect(capped.components.cappedAt).toBe('maximum');
+    });
+
+    it('keeps the fixed amount and reports fields a formula needs', () => {
+      const fee = { amount: 40, formula: { type: 'percentage', basis: 'propertyValue', rate: 1 } };
+      expect(computeFee(fee, {})).toMatchObject({ amount: 40, missing: ['propertyValue'] });
+    });
+
+    it('lets expressions and adjustments see the running amount', () => {
+      const fee = {
+        amount: 100,
+        formula: { type: 'expression', expression: 'amount * copies' },
+        variableFactors: [{ calculation: 'if(urgent, amount + 50, amount)' }]
+      };
+      expect(computeFee(fee, { copies: 3, urgent: true }).amount).toBe(350);
+    });
+
+    it('never goes below zero', () => {
+      const fee = { amount: 10, variableFactors: [{ calculation: 'amount - 25' }] };
+      expect(computeFee(fee, {}).amount).toBe(0);
+    });
+
+    it('adds taxes on the base amount and rounds the total', () => {
+      const fee = {
+        amount: 99,
+        formula: { taxes: [{ name: 'CGST', rate: 9 }, { name: 'SGST', rate: 9 }], rounding: 'rupee' }
+      };
+      const result = computeFee(fee, {});
+      expect(result.components.taxes).toEqual([
+        { name: 'CGST', rate: 9, amount: 8.91 },
+        { name: 'SGST', rate: 9, amount: 8.91 }
+      ]);
+      expect(result.amount).toBe(117);
+    });
+
+    it('rounds to the nearest ten', () => {
+      expect(computeFee({ amount: 114, formula: { rounding: 'ten' } }, {}).amount).toBe(110);
+    });
+
+    it('throws when an expression does not produce a number', () => {
+      const fee = { amount: 0, formula: { type: 'expression', expression: '"free"' } };
+      expect(() => computeFee(fee, {})).toThrow('did not produce a number');
+    });
+
+    describe('late fee', () => {
+      beforeEach(() => {
+        jest.useFakeTimers({ now: new Date(2024, 2, 15, 12) });
+      });
+
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      const lateFee = (rules) => ({ amount: 100, formula: { lateFee: { dueDate: 'dueDate', ...rules } } });
+
+      it('charges per day after the grace period, up to the maximum', () => {
+        const fee = lateFee({ graceDays: 5, perDay: 2, maxAmount: 30 });
+
+        const result = computeFee(fee, { dueDate: new Date(2024, 2, 1) });
+        expect(result.components).toMatchObject({ lateFee: 18, daysLate: 9 });
+        expect(result.amount).toBe(118);
+
+        expect(computeFee(fee, { dueDate: new Date(2024, 0, 1) }).amount).toBe(130);
+      });
+
+      it('charges a percentage per started month', () => {
+        const fee = lateFee({ percentPerMonth: 2 });
+        expect(computeFee(fee, { dueDate: new Date(2024, 1, 1) }).components.lateFee).toBe(4);
+      });
+
+      it('charges nothing before the due date', () => {
+        const result = computeFee(lateFee({ perDay: 2 }), { dueDate: new Date(2024, 3, 1) });
+        expect(result.amount).toBe(100);
+        expect(result.components.lateFee).toBeUndefined();
+      });
+
+      it('reports a missing due date', () => {
+        expect(computeFee(lateFee({ perDay: 2 }), {}).missing).toEqual(['dueDate']);
+      });
+    });
+  });
+
+  describe('validateFormula', () => {
+    it('accepts a complete formula', () => {
+      expect(() => validateFormula({
+        formula: { type: 'slab', basis: 'income', slabs: [{ upTo: null, amount: 10 }] },
+        variableFactors: [{ calculation: 'amount * 2' }]
+      })).not.toThrow();
+    });
+
+    it('rejects incomplete formulas', () => {
+      expect(() => validateFormula({ formula: { type: 'tiered' } })).toThrow('Formula type must be one of');
+      expect(() => validateFormula({ formula: { type: 'slab', basis: 'income' } })).toThrow('at least one slab');
+      expect(() => validateFormula({ formula: { type: 'percentage', basis: 'value' } })).toThrow('needs a rate');
+      expect(() => validateFormula({ formula: { type: 'expression' } })).toThrow('needs an expression');
+    });
+
+    it('rejects expressions that do not parse', () => {
+      expect(() => validateFormula({ variableFactors: [{ calculation: 'amount *' }] })).toThrow('Unexpected token');
+    });
+  });
+});
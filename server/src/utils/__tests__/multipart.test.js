@@ -0,0 +1,121 @@
+const { parseMultipart } = require('../multipart');
+
+const BOUNDARY = '----swarsevaBoundary';
+const CONTENT_TYPE = `multipart/form-data; boundary=${BOUNDARY}`;
+
+/**
+ * Build a multipart body from parts
+ * @param {Array} parts - [{ headers: [String], data: String|Buffer }]
+ * @returns {Buffer} Body
+ */
+const buildBody = (parts) => Buffer.concat([
+  ...parts.flatMap(part => [
+    Buffer.from(`--${BOUNDARY}\r\n${part.headers.join('\r\n')}\r\n\r\n`),
+    Buffer.isBuffer(part.data) ? part.data : Buffer.from(part.data),
+    Buffer.from('\r\n')
+  ]),
+  Buffer.from(`--${BOUNDARY}--\r\n`)
+]);
+
+const field = (name, value) => ({ headers: [`Content-Disposition: form-data; name="${name}"`], data: value });
+
+const file = (name, filename, data, type = 'application/pdf') => ({
+  headers: [`Content-Disposition: form-data; name="${name}"; filename="${filename}"`, `Content-Type: ${type}`],
+  data
+});
+
+describe('parseMultipart', () => {
+  it('parses fields and a file', () => {
+    const pdf = Buffer.from('%PDF-1.4\r\n--not-a-boundary\r\n\x00\xff');
+    const body = buildBody([field('documentType', 'income'), file('document', 'certificate.pdf', pdf)]);
+
+    const { fields, files } = parseMultipart(body, CONTENT_TYPE);
+
+    expect(fields).toEqual({ documentType: 'income' });
+    expect(files).toHaveLength(1);
+    expect(files[0]).toMatchObject({
+      fieldName: 'document',
+      filename: 'certificate.pdf',
+      declaredType: 'application/pdf',
+      size: pdf.length
+    });
+    expect(files[0].data.equals(pdf)).toBe(true);
+  });
+
+  it('accepts a quoted boundary', () => {
+    const body = buildBody([field('label', 'Ration card')]);
+    expect(parseMultipart(body, `multipart/form-data; boundary="${BOUNDARY}"`).fields).toEqual({ label: 'Ration card' });
+  });
+
+  it('keeps UTF-8 field values intact', () => {
+    const body = buildBody([field('label', 'आय प्रमाण पत्र')]);
+    expect(parseMultipart(body, CONTENT_TYPE).fields.label).toBe('आय प्रमाण पत्र');
+  });
+
+  it('keeps only the base name of a client path', () => {
+    const body = buildBody([file('document', 'C:\\Users\\asha\\scan.jpg', 'x', 'image/jpeg')]);
+    expect(parseMultipart(body, CONTENT_TYPE).files[0].filename).toBe('scan.jpg');
+  });
+
+  it('ignores prototype field names', () => {
+    const body = buildBody([field('__proto__', 'polluted'), field('constructor', 'x'), field('note', 'ok')]);
+    const { fields } = parseMultipart(body, CONTENT_TYPE);
+
+    expect(fields).toEqual({ note: 'ok' });
+    expect({}.polluted).toBeUndefined();
+  });
+
+  describe('rejects', () => {
+    const expectMultipartError = (fn, message) => {
+      expect(fn).toThrow(message);
+      try {
+        fn();
+      } catch (error) {
+        expect(error.name).toBe('MultipartError');
+      }
+    };
+
+    it('an empty body or a missing boundary', () => {
+      expectMultipartError(() => parseMultipart(Buffer.alloc(0), CONTENT_TYPE), 'empty');
+      expectMultipartError(() => parseMultipart(Buffer.from('x'), 'multipart/form-data'), 'boundary is missing');
+      expectMultipartError(() => parseMultipart(Buffer.from('no delimiter'), CONTENT_TYPE), 'boundary not found');
+    });
+
+    it('more files than allowed', () => {
+      const body = buildBody([file('a', 'a.pdf', 'a'), file('b', 'b.pdf', 'b')]);
+      expectMultipartError(() => parseMultipart(body, CONTENT_TYPE), 'No more than 1 file(s)');
+      expect(parseMultipart(body, CONTENT_TYPE, { maxFiles: 2 }).files).toHaveLength(2);
+    });
+
+    it('a truncated body', () => {
+      const body = buildBody([file('document', 'a.pdf', 'data')]);
+      expectMultipartError(() => parseMultipart(body.slice(0, body.length - 30), CONTENT_TYPE), 'ended unexpectedly');
+    });
+
+    it('parts without a form-data disposition or a name', () => {
+      const noDisposition = buildBody([{ headers: ['Content-Type: text/plain'], data: 'x' }]);
+      expectMultipartError(() => parseMultipart(noDisposition, CONTENT_TYPE), 'Content-Disposition');
+
+      const noName = buildBody([{ headers: ['Content-Disposition: form-data; name=""'], data: 'x' }]);
+      expectMultipartError(() => parseMultipart(noName, CONTENT_TYPE), 'field name');
+    });
+
+    it('oversized headers and fields', () => {
+      const longHeader = buildBody([{ headers: ['Content-Disposition: form-data; name="a"', `X-Pad: ${'a'.repeat(3000)}`], data: 'x' }]);
+      expectMultipartError(() => parseMultipart(longHeader, CONTENT_TYPE), 'Malformed part headers');
+
+      const longField = buildBody([field('note', 'a'.repeat(10 * 1024 + 1))]);
+      expectMultipartError(() => parseMultipart(longField, CONTENT_TYPE), "Field 'note' is too long");
+    });
+
+    it('too many fields', () => {
+      const parts = Array.from({ length: 51 }, (_, i) => field(`field${i}`, 'x'));
+      expectMultipartError(() => parseMultipart(buildBody(parts), CONTENT_TYPE), 'Too many form fields');
+    });
+
+    it('a delimiter not followed by CRLF', () => {
+      const body = Buffer.from(`--${BOUNDARY}XX\r\n`);
+      expectMultipartError(() => parseMultipart(body, CONTENT_TYPE), 'Malformed multipart delimiter');
+    });
+  });
+});
@@ -0,0 +1,187 @@
+const {
+  UNKNOWN,
+  compile,
+  evaluate,
+  getFields,
+  isUnknown,
+  applyDerivedFields,
+  evaluateRule,
+  validateRule
+} = require('../ruleEngine');
+
+const value = (expression, context) => evaluate(expression, context).value;
+
+describe('ruleEngine', () => {
+  describe('evaluate', () => {
+    it('respects arithmetic precedence and parentheses', () => {
+      expect(value('1 + 2 * 3')).toBe(7);
+      expect(value('(1 + 2) * 3')).toBe(9);
+      expect(value('10 % 4 - -2')).toBe(4);
+    });
+
+    it('treats division by zero as unknown', () => {
+      expect(isUnknown(value('income / 0', { income: 10 }))).toBe(true);
+    });
+
+    it('reads dotted field paths', () => {
+      expect(value('address.state == "KA"', { address: { state: 'KA' } })).toBe(true);
+    });
+
+    it('compares numeric strings as numbers', () => {
+      expect(value('income < 250000', { income: '120000' })).toBe(true);
+    });
+
+    it('matches list membership case-insensitively for strings', () => {
+      expect(value('category in ["sc", "st"]', { category: 'SC' })).toBe(true);
+      expect(value('category not in ["sc", "st"]', { category: 'obc' })).toBe(true);
+    });
+
+    it('supports keyword logical operators', () => {
+      expect(value('age >= 60 and not disabled', { age: 65, disabled: false })).toBe(true);
+      expect(value('age < 18 or age >= 60', { age: 30 })).toBe(false);
+    });
+
+    it('calls built-in functions', () => {
+      expect(value('max(1, 5, 3)')).toBe(5);
+      expect(value('round(2.345, 2)')).toBe(2.35);
+      expect(value('len(name)', { name: 'Asha' })).toBe(4);
+      expect(value('if(age >= 18, "adult", "minor")', { age: 12 })).toBe('minor');
+      expect(value('coalesce(nickname, name)', { name: 'Asha' })).toBe('Asha');
+    });
+
+    it('adds days to dates', () => {
+      const result = value('addDays(date("2024-01-01"), 10)');
+      expect(result.toISOString().slice(0, 10)).toBe('2024-01-11');
+    });
+  });
+
+  describe('unknown values', () => {
+    it('reports missing fields as unknown', () => {
+      const result = evaluate('income < 250000', {});
+      expect(result.value).toBe(UNKNOWN);
+      expect(result.missing).toEqual(['income']);
+    });
+
+    it('uses three-valued logic for and/or/not', () => {
+      expect(value('income < 100 and age > 200', { age: 30 })).toBe(false);
+      expect(value('income < 100 or age > 18', { age: 30 })).toBe(true);
+      expect(value('income < 100 and age > 18', { age: 30 })).toBe(UNKNOWN);
+      expect(value('not (income < 100)', {})).toBe(UNKNOWN);
+    });
+
+    it('reports every missing field even when one side decides the result', () => {
+      expect(evaluate('income < 100 and age > 200', { age: 30 }).missing).toEqual(['income']);
+    });
+
+    it('does not count fields checked with exists as missing', () => {
+      const result = evaluate('exists(income)', {});
+      expect(result.value).toBe(false);
+      expect(result.missing).toEqual([]);
+    });
+
+    it('ignores inherited properties', () => {
+      expect(value('toString == 1', {})).toBe(UNKNOWN);
+    });
+  });
+
+  describe('compile', () => {
+    const expectExpressionError = (fn, message) => {
+      expect(fn).toThrow(message);
+      try {
+        fn();
+      } catch (error) {
+        expect(error.name).toBe('ExpressionError');
+      }
+    };
+
+    it('rejects empty and overlong expressions', () => {
+      expectExpressionError(() => compile('  '), 'non-empty');
+      expectExpressionError(() => compile('1 + '.repeat(300) + '1'), 'cannot exceed');
+    });
+
+    it('rejects prototype paths', () => {
+      expectExpressionError(() => compile('__proto__.polluted'), 'not allowed');
+      expectExpressionError(() => compile('user.constructor'), 'not allowed');
+    });
+
+    it('rejects deep nesting', () => {
+      expectExpressionError(() => compile('('.repeat(40) + '1' + ')'.repeat(40)), 'nested too deeply');
+    });
+
+    it('rejects unknown functions, bad characters and unterminated strings', () => {
+      expectExpressionError(() => compile('eval("1")'), "Unknown function 'eval'");
+      expectExpressionError(() => compile('valueOf() == 1'), "Unknown function 'valueOf'");
+      expectExpressionError(() => compile('toString()'), "Unknown function 'toString'");
+      expectExpressionError(() => compile('constructor(1)'), "Unknown function 'constructor'");
+      expectExpressionError(() => compile('a ; b'), 'Unexpected character');
+      expectExpressionError(() => compile('name == "Asha'), 'Unterminated');
+    });
+
+    it('rejects trailing tokens', () => {
+      expectExpressionError(() => compile('1 2'), 'Unexpected token');
+    });
+  });
+
+  describe('getFields', () => {
+    it('lists each field once, including those inside calls and lists', () => {
+      expect(getFields('age(dob) >= 60 and category in [defaultCategory, "sc"] and dob != null').sort())
+        .toEqual(['category', 'defaultCategory', 'dob']);
+    });
+  });
+
+  describe('applyDerivedFields', () => {
+    it('lets later fields use earlier ones and leaves unknown results out', () => {
+      const result = applyDerivedFields({ income: 100 }, [
+        { name: 'annual', expression: 'income * 12' },
+        { name: 'low', expression: 'annual < 2000' },
+        { name: 'spouse', expression: 'spouseIncome * 12' }
+      ]);
+      expect(result).toEqual({ income: 100, annual: 1200, low: true });
+    });
+  });
+
+  describe('evaluateRule', () => {
+    const rule = {
+      all: [
+        { name: 'Adult', expression: 'age >= 18' },
+        { any: [{ expression: 'income < 250000' }, { expression: 'category in ["sc", "st"]' }] }
+      ]
+    };
+
+    it('passes when every branch holds', () => {
+      expect(evaluateRule(rule, { age: 30, income: 900000, category: 'sc' }).result).toBe(true);
+    });
+
+    it('returns the failing leaves', () => {
+      const result = evaluateRule(rule, { age: 16, income: 1000 });
+      expect(result.result).toBe(false);
+      expect(result.failed).toEqual([rule.all[0]]);
+    });
+
+    it('is unknown with the leaves that needed each missing field', () => {
+      const result = evaluateRule(rule, { age: 30, category: 'obc' });
+      expect(result.result).toBe('unknown');
+      expect(result.missing).toEqual([{ field: 'income', rule: rule.all[1].any[0] }]);
+    });
+
+    it('negates with not', () => {
+      expect(evaluateRule({ not: { expression: 'age < 18' } }, { age: 20 }).result).toBe(true);
+    });
+  });
+
+  describe('validateRule', () => {
+    it('accepts a well formed tree', () => {
+      expect(() => validateRule({ all: [{ expression: 'age > 1' }, { not: { expression: 'x' } }] })).not.toThrow();
+    });
+
+    it('rejects nodes with no kind or several kinds', () => {
+      expect(() => validateRule({})).toThrow('exactly one');
+      expect(() => validateRule({ expression: 'a', all: [] })).toThrow('exactly one');
+    });
+
+    it('rejects empty groups and bad expressions', () => {
+      expect(() => validateRule({ any: [] })).toThrow('non-empty list');
+      expect(() => validateRule({ all: [{ expression: 'a ==' }] })).toThrow('Unexpected token');
+    });
+  });
+});
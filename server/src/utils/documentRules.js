@@ -0,0 +1,256 @@
+/**
+ * Document validation rules for SwarSeva
+ * Implements the validationRules a service requirement can ask for:
+ *
+ *   format  - the document number matches its issuing format (Aadhaar
+ *             Verhoeff checksum, PAN, voter ID (EPIC), passport, driving licence)
+ *   expiry  - the document has not expired, by its own expiry date or by the
+ *             requirement's validity period counted from the issue date
+ *   photo   - the uploaded image is large enough and has the expected shape
+ *   digital - the uploaded PDF carries a digital signature
+ *
+ * Every check returns a reason the document is not acceptable, or null.
+ */
+
+// Verhoeff multiplication table
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+
+// Verhoeff permutation table
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+/**
+ * Check a number string with the Verhoeff algorithm
+ * @param {String} digits - Digits including the check digit
+ * @returns {Boolean} True if the check digit is correct
+ */
+const verhoeffValid = (digits) => {
+  let check = 0;
+  const reversed = digits.split('').reverse();
+
+  for (let i = 0; i < reversed.length; i++) {
+    check = VERHOEFF_D[check][VERHOEFF_P[i % 8][Number(reversed[i])]];
+  }
+
+  return check === 0;
+};
+
+/**
+ * Validate an Aadhaar number: 12 digits, not starting with 0 or 1, with a
+ * valid Verhoeff check digit
+ * @param {String} number - Aadhaar number, spaces allowed
+ * @returns {Boolean} True if valid
+ */
+const isValidAadhaar = (number) => {
+  const digits = String(number).replace(/[\s-]/g, '');
+  return /^[2-9]\d{11}$/.test(digits) && verhoeffValid(digits);
+};
+
+// Number formats by document type; the message says what a valid number looks like
+const FORMATS = {
+  aadhar: { test: isValidAadhaar, message: 'Aadhaar number must be 12 digits with a valid checksum' },
+  pan: {
+    test: (number) => /^[A-Z]{3}[ABCFGHLJPT][A-Z]\d{4}[A-Z]$/.test(number),
+    message: 'PAN must look like ABCPE1234F'
+  },
+  voter: {
+    test: (number) => /^[A-Z]{3}\d{7}$/.test(number),
+    message: 'Voter ID (EPIC) number must be 3 letters followed by 7 digits'
+  },
+  passport: {
+    test: (number) => /^[A-Z][1-9]\d{5}[1-9]$/.test(number),
+    message: 'Passport number must be a letter followed by 7 digits'
+  },
+  driving: {
+    test: (number) => /^[A-Z]{2}\d{2}(19|20)\d{2}\d{7}$/.test(number),
+    message: 'Driving licence number must look like MH1420110062821'
+  }
+};
+
+// Defaults for the photo rule: a passport size photo (35 x 45 mm)
+const DEFAULT_PHOTO = {
+  minWidth: 350,
+  minHeight: 450,
+  aspectRatio: 35 / 45,
+  aspectTolerance: 0.1
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize a document number for comparison: upper case without spaces or dashes
+ * @param {String} number - Document number
+ * @returns {String} Normalized number
+ */
+const normalizeNumber = (number) => String(number || '').toUpperCase().replace(/[\s-]/g, '');
+
+/**
+ * Mask a document number, keeping only its last four characters
+ * @param {String} number - Document number
+ * @returns {String|undefined} Masked number
+ */
+const maskNumber = (number) => {
+  if (!number) return undefined;
+  const value = String(number);
+  return value.length <= 4 ? value : `${'X'.repeat(value.length - 4)}${value.slice(-4)}`;
+};
+
+/**
+ * Check a document number against the format for its type
+ * Types without a known format accept any number
+ * @param {String} documentType - Document type
+ * @param {String} number - Document number
+ * @returns {String|null} Problem, or null if valid
+ */
+const checkFormat = (documentType, number) => {
+  const format = FORMATS[documentType];
+
+  if (!number) return 'Document number is required';
+  if (!format) return null;
+
+  return format.test(normalizeNumber(number)) ? null : format.message;
+};
+
+/**
+ * Work out when a document stops being valid
+ * @param {Object} requirement - Requirement subdocument (validityDays)
+ * @param {Object} document - Document with issuedAt and/or expiresAt
+ * @returns {Date|null} Earliest of the stated expiry and issue date plus validity
+ */
+const getExpiryDate = (requirement, document) => {
+  const dates = [];
+
+  if (document.expiresAt) {
+    dates.push(new Date(document.expiresAt));
+  }
+  if (document.issuedAt && requirement.validityDays) {
+    dates.push(new Date(new Date(document.issuedAt).getTime() + requirement.validityDays * MS_PER_DAY));
+  }
+
+  return dates.length > 0 ? new Date(Math.min(...dates)) : null;
+};
+
+/**
+ * Check a document has not expired
+ * @param {Object} requirement - Requirement subdocument
+ * @param {Object} document - Document with issuedAt and/or expiresAt
+ * @param {Date} [now] - Date to check against
+ * @returns {String|null} Problem, or null if still valid
+ */
+const checkExpiry = (requirement, document, now = new Date()) => {
+  if (!document.issuedAt && !document.expiresAt) {
+    return requirement.validityDays ? 'Issue date is required' : 'Issue or expiry date is required';
+  }
+
+  if (document.issuedAt && new Date(document.issuedAt) > now) {
+    return 'Issue date cannot be in the future';
+  }
+
+  // Documents that only expire after a validity period need their issue date
+  if (requirement.validityDays && !document.issuedAt) {
+    return 'Issue date is required';
+  }
+
+  const expiresAt = getExpiryDate(requirement, document);
+  if (expiresAt && expiresAt < now) {
+    return `Document expired on ${expiresAt.toISOString().slice(0, 10)}`;
+  }
+
+  return null;
+};
+
+/**
+ * Check an uploaded photo's size and shape
+ * @param {Object} requirement - Requirement subdocument (photo limits)
+ * @param {Object} document - Document with inspection.width and inspection.height
+ * @returns {String|null} Problem, or null if acceptable
+ */
+const checkPhoto = (requirement, document) => {
+  const inspection = document.inspection || {};
+
+  if (!inspection.width || !inspection.height) {
+    return 'Upload the photo as an image so its size can be checked';
+  }
+
+  const limits = { ...DEFAULT_PHOTO };
+  Object.keys(DEFAULT_PHOTO).forEach(key => {
+    if (requirement.photo && requirement.photo[key] !== undefined && requirement.photo[key] !== null) {
+      limits[key] = requirement.photo[key];
+    }
+  });
+
+  if (inspection.width < limits.minWidth || inspection.height < limits.minHeight) {
+    return `Photo must be at least ${limits.minWidth}x${limits.minHeight} pixels (received ${inspection.width}x${inspection.height})`;
+  }
+
+  const ratio = inspection.width / inspection.height;
+  if (Math.abs(ratio - limits.aspectRatio) > limits.aspectRatio * limits.aspectTolerance) {
+    return `Photo has the wrong shape: width to height should be about ${limits.aspectRatio.toFixed(2)} (received ${ratio.toFixed(2)})`;
+  }
+
+  return null;
+};
+
+/**
+ * Check an uploaded PDF carries a digital signature
+ * @param {Object} document - Document with mimeType and inspection.signed
+ * @returns {String|null} Problem, or null if signed
+ */
+const checkDigitalSignature = (document) => {
+  if (document.mimeType !== 'application/pdf' || !document.inspection) {
+    return 'Upload the digitally signed PDF issued for this document';
+  }
+
+  return document.inspection.signed ? null : 'PDF is not digitally signed';
+};
+
+/**
+ * Apply a requirement's validation rule to a document
+ * @param {Object} requirement - Requirement subdocument
+ * @param {Object} document - { documentNumber, issuedAt, expiresAt, mimeType, inspection }
+ * @param {Date} [now] - Date expiry is checked against
+ * @returns {String|null} Problem, or null if the document passes
+ */
+const checkRules = (requirement, document, now = new Date()) => {
+  switch (requirement.validationRules) {
+  case 'format':
+    return checkFormat(requirement.documentType, document.documentNumber);
+  case 'expiry':
+    return checkExpiry(requirement, document, now);
+  case 'photo':
+    return checkPhoto(requirement, document);
+  case 'digital':
+    return checkDigitalSignature(document);
+  default:
+    return null;
+  }
+};
+
+module.exports = {
+  checkRules,
+  checkFormat,
+  checkExpiry,
+  getExpiryDate,
+  isValidAadhaar,
+  normalizeNumber,
+  maskNumber
+};
@@ -0,0 +1,128 @@
+/**
+ * Document storage adapters for SwarSeva
+ * Uploaded documents are stored through an adapter so the storage backend
+ * can change without touching the upload flow. Every adapter implements:
+ *
+ *   put(key, data, { mimeType }) -> Promise<{ key, size }>
+ *   get(key) -> Promise<Buffer>
+ *   remove(key) -> Promise<void>
+ *
+ * Keys are relative paths such as "applications/<id>/income-<hash>.pdf".
+ * The local adapter writes under UPLOAD_DIR (default: server/uploads).
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Keys may only contain safe path segments
+const KEY_PATTERN = /^[A-Za-z0-9_-]+(\/[A-Za-z0-9_.-]+)*$/;
+
+/**
+ * Create an error for storage failures
+ * @param {String} message - Error message
+ * @returns {Error} Error named StorageError
+ */
+const storageError = (message) => {
+  const error = new Error(message);
+  error.name = 'StorageError';
+  return error;
+};
+
+/**
+ * Create a storage adapter backed by the local filesystem
+ * @param {String} rootDir - Directory documents are written under
+ * @returns {Object} Storage adapter
+ */
+const createLocalStorage = (rootDir) => {
+  const root = path.resolve(rootDir);
+
+  // Resolve a key to a path, refusing anything that escapes the root
+  const resolveKey = (key) => {
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key) || key.split('/').includes('..')) {
+      throw storageError(`Invalid storage key '${key}'`);
+    }
+
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw storageError(`Invalid storage key '${key}'`);
+    }
+
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    put: async (key, data) => {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      // Write then rename so a half-written file is never served
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, data, { mode: 0o600 });
+      await fs.rename(tempPath, filePath);
+      return { key, size: data.length };
+    },
+
+    get: async (key) => {
+      try {
+        return await fs.readFile(resolveKey(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw storageError(`Stored document '${key}' not found`);
+        }
+        throw error;
+      }
+    },
+
+    remove: async (key) => {
+      try {
+        await fs.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+// Registered adapters by name
+const adapters = {};
+
+/**
+ * Register a storage adapter
+ * @param {Object} adapter - Adapter implementing the interface above
+ */
+const registerStorage = (adapter) => {
+  ['name', 'put', 'get', 'remove'].forEach(key => {
+    if (!adapter || !adapter[key]) {
+      throw storageError(`Storage adapter is missing '${key}'`);
+    }
+  });
+  adapters[adapter.name] = adapter;
+};
+
+/**
+ * Get a storage adapter
+ * @param {String} [name] - Adapter name, defaults to DOCUMENT_STORAGE or local
+ * @returns {Object} Storage adapter
+ */
+const getStorage = (name) => {
+  const storageName = name || process.env.DOCUMENT_STORAGE || 'local';
+
+  // The local adapter is created lazily so UPLOAD_DIR can be set at startup
+  if (storageName === 'local' && !adapters.local) {
+    registerStorage(createLocalStorage(process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads')));
+  }
+
+  const adapter = adapters[storageName];
+  if (!adapter) {
+    throw storageError(`Unknown document storage '${storageName}'`);
+  }
+
+  return adapter;
+};
+
+module.exports = {
+  createLocalStorage,
+  getStorage,
+  registerStorage
+};
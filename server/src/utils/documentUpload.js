@@ -0,0 +1,95 @@
+/**
+ * Upload pipeline for SwarSeva documents
+ * Shared by application uploads, the citizen document vault and voice review
+ * recordings: detects the file type from its contents, reads the properties
+ * document rules check (image dimensions, PDF signatures), lets the caller
+ * check it, virus scans it and writes it through the configured storage adapter.
+ */
+
+const fileInspector = require('./fileInspector');
+const { getStorage } = require('./documentStorage');
+const { scanFile } = require('./virusScan');
+
+// What each kind of upload accepts
+const UPLOAD_KINDS = {
+  document: {
+    sniff: fileInspector.sniffType,
+    unrecognised: 'Unrecognised file type. Upload a PDF or an image'
+  },
+  audio: {
+    sniff: fileInspector.sniffAudioType,
+    unrecognised: 'Unrecognised audio format. Upload WAV, MP3, OGG, WebM, M4A or AMR audio'
+  }
+};
+
+/**
+ * Inspect, scan and store an uploaded file
+ * @param {Object} file - Uploaded file { filename, data, size }
+ * @param {Object} options - Storage options
+ * @param {String} options.keyPrefix - Storage key prefix, e.g. "applications/<id>/income"
+ * @param {String} [options.kind=document] - document (PDF or image) or audio
+ * @param {Function} [options.check] - Called with { extension, mimeType, sizeBytes, inspection };
+ *   returns a reason to refuse the file, or null to accept it
+ * @returns {Promise<Object>} { accepted, reason, stored } where stored holds the
+ *   storage, storageKey, mimeType, sizeBytes, checksum, inspection and scan fields to save
+ */
+const storeUpload = async (file, { keyPrefix, kind = 'document', check } = {}) => {
+  const detected = UPLOAD_KINDS[kind].sniff(file.data);
+
+  if (!detected) {
+    return { accepted: false, reason: UPLOAD_KINDS[kind].unrecognised };
+  }
+
+  const inspection = fileInspector.inspect(file.data, detected.extension);
+
+  const problem = check ? check({ ...detected, sizeBytes: file.size, inspection }) : null;
+  if (problem) {
+    return { accepted: false, reason: problem };
+  }
+
+  const scan = await scanFile(file.data, { filename: file.filename, mimeType: detected.mimeType });
+
+  if (scan.status === 'infected') {
+    return { accepted: false, reason: `File rejected by virus scan: ${scan.threat}` };
+  }
+
+  const checksum = fileInspector.checksum(file.data);
+  const storage = getStorage();
+  const storageKey = `${keyPrefix}-${checksum.slice(0, 16)}.${detected.extension}`;
+
+  await storage.put(storageKey, file.data, { mimeType: detected.mimeType });
+
+  return {
+    accepted: true,
+    stored: {
+      file: file.filename,
+      storage: storage.name,
+      storageKey,
+      mimeType: detected.mimeType,
+      sizeBytes: file.size,
+      checksum,
+      inspection,
+      scan: {
+        status: scan.status,
+        engines: scan.engines,
+        scannedAt: scan.scannedAt
+      }
+    }
+  };
+};
+
+/**
+ * Remove a stored file
+ * @param {Object} document - Document with storage and storageKey
+ * @returns {Promise<void>}
+ */
+const removeStoredFile = async (document) => {
+  if (document && document.storageKey) {
+    await getStorage(document.storage).remove(document.storageKey);
+  }
+};
+
+module.exports = {
+  storeUpload,
+  removeStoredFile
+};
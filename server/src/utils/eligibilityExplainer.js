@@ -0,0 +1,585 @@
+/**
+ * Eligibility explanations for SwarSeva
+ * Turns the failed criteria and missing data from Service.checkEligibility
+ * into a plain-language reason and a "what you can do" hint per criterion,
+ * in the citizen's language, with a spoken (SSML) version of each
+ */
+
+const { escapeXml, speakAmount } = require('./ssml');
+
+// Reason templates, keyed by how the criterion failed
+const REASONS = {
+  en: {
+    belowMinimum: 'Your {criterion} is {value}, but it must be at least {min}.',
+    aboveMaximum: 'Your {criterion} is {value}, but it must not be more than {max}.',
+    outOfRange: 'Your {criterion} is {value}, but it must be between {min} and {max}.',
+    notEqual: 'Your {criterion} is {value}, but it must be {expected}.',
+    notInList: 'Your {criterion} is {value}, but it must be one of: {allowed}.',
+    notMet: 'You do not meet this condition: {criterion}.',
+    missing: 'We need your {field} to check {criterion}.',
+    unevaluated: '{criterion} will be checked by an officer.'
+  },
+  hi: {
+    belowMinimum: '{criterion}: आपका मान {value} है, जबकि कम से कम {min} होना चाहिए।',
+    aboveMaximum: '{criterion}: आपका मान {value} है, जबकि यह {max} से अधिक नहीं होना चाहिए।',
+    outOfRange: '{criterion}: आपका मान {value} है, जबकि यह {min} और {max} के बीच होना चाहिए।',
+    notEqual: '{criterion}: आपका मान {value} है, जबकि यह {expected} होना चाहिए।',
+    notInList: '{criterion}: आपका मान {value} है, जबकि यह इनमें से एक होना चाहिए: {allowed}।',
+    notMet: 'यह शर्त पूरी नहीं हुई: {criterion}।',
+    missing: '{criterion} जाँचने के लिए हमें आपकी {field} की जानकारी चाहिए।',
+    unevaluated: '{criterion} की जाँच अधिकारी द्वारा की जाएगी।'
+  },
+  bn: {
+    belowMinimum: '{criterion}: আপনার মান {value}, কিন্তু কমপক্ষে {min} হতে হবে।',
+    aboveMaximum: '{criterion}: আপনার মান {value}, কিন্তু এটি {max}-এর বেশি হওয়া চলবে না।',
+    outOfRange: '{criterion}: আপনার মান {value}, কিন্তু এটি {min} থেকে {max}-এর মধ্যে হতে হবে।',
+    notEqual: '{criterion}: আপনার মান {value}, কিন্তু এটি {expected} হতে হবে।',
+    notInList: '{criterion}: আপনার মান {value}, কিন্তু এটি এগুলির একটি হতে হবে: {allowed}।',
+    notMet: 'এই শর্ত পূরণ হয়নি: {criterion}।',
+    missing: '{criterion} যাচাই করতে আমাদের আপনার {field} জানা দরকার।',
+    unevaluated: '{criterion} একজন আধিকারিক যাচাই করবেন।'
+  },
+  ta: {
+    belowMinimum: '{criterion}: உங்கள் மதிப்பு {value}, ஆனால் குறைந்தது {min} இருக்க வேண்டும்.',
+    aboveMaximum: '{criterion}: உங்கள் மதிப்பு {value}, ஆனால் இது {max}-க்கு மேல் இருக்கக்கூடாது.',
+    outOfRange: '{criterion}: உங்கள் மதிப்பு {value}, ஆனால் இது {min} முதல் {max} வரை இருக்க வேண்டும்.',
+    notEqual: '{criterion}: உங்கள் மதிப்பு {value}, ஆனால் இது {expected} ஆக இருக்க வேண்டும்.',
+    notInList: '{criterion}: உங்கள் மதிப்பு {value}, ஆனால் இது இவற்றில் ஒன்றாக இருக்க வேண்டும்: {allowed}.',
+    notMet: 'இந்த நிபந்தனை பூர்த்தியாகவில்லை: {criterion}.',
+    missing: '{criterion} சரிபார்க்க உங்கள் {field} தேவை.',
+    unevaluated: '{criterion} ஒரு அலுவலரால் சரிபார்க்கப்படும்.'
+  },
+  te: {
+    belowMinimum: '{criterion}: మీ విలువ {value}, కానీ కనీసం {min} ఉండాలి.',
+    aboveMaximum: '{criterion}: మీ విలువ {value}, కానీ ఇది {max} కంటే ఎక్కువ ఉండకూడదు.',
+    outOfRange: '{criterion}: మీ విలువ {value}, కానీ ఇది {min} మరియు {max} మధ్య ఉండాలి.',
+    notEqual: '{criterion}: మీ విలువ {value}, కానీ ఇది {expected} అయి ఉండాలి.',
+    notInList: '{criterion}: మీ విలువ {value}, కానీ ఇది వీటిలో ఒకటి అయి ఉండాలి: {allowed}.',
+    notMet: 'ఈ షరతు నెరవేరలేదు: {criterion}.',
+    missing: '{criterion} తనిఖీ చేయడానికి మీ {field} అవసరం.',
+    unevaluated: '{criterion}ను ఒక అధికారి తనిఖీ చేస్తారు.'
+  },
+  mr: {
+    belowMinimum: '{criterion}: तुमचे मूल्य {value} आहे, पण किमान {min} असणे आवश्यक आहे.',
+    aboveMaximum: '{criterion}: तुमचे मूल्य {value} आहे, पण ते {max} पेक्षा जास्त नसावे.',
+    outOfRange: '{criterion}: तुमचे मूल्य {value} आहे, पण ते {min} ते {max} दरम्यान असावे.',
+    notEqual: '{criterion}: तुमचे मूल्य {value} आहे, पण ते {expected} असावे.',
+    notInList: '{criterion}: तुमचे मूल्य {value} आहे, पण ते यापैकी एक असावे: {allowed}.',
+    notMet: 'ही अट पूर्ण होत नाही: {criterion}.',
+    missing: '{criterion} तपासण्यासाठी आम्हाला तुमची {field} माहिती हवी आहे.',
+    unevaluated: '{criterion} ची तपासणी अधिकारी करतील.'
+  },
+  gu: {
+    belowMinimum: '{criterion}: તમારું મૂલ્ય {value} છે, પરંતુ ઓછામાં ઓછું {min} હોવું જોઈએ.',
+    aboveMaximum: '{criterion}: તમારું મૂલ્ય {value} છે, પરંતુ તે {max} થી વધુ ન હોવું જોઈએ.',
+    outOfRange: '{criterion}: તમારું મૂલ્ય {value} છે, પરંતુ તે {min} અને {max} ની વચ્ચે હોવું જોઈએ.',
+    notEqual: '{criterion}: તમારું મૂલ્ય {value} છે, પરંતુ તે {expected} હોવું જોઈએ.',
+    notInList: '{criterion}: તમારું મૂલ્ય {value} છે, પરંતુ તે આમાંથી એક હોવું જોઈએ: {allowed}.',
+    notMet: 'આ શરત પૂરી થતી નથી: {criterion}.',
+    missing: '{criterion} તપાસવા માટે અમને તમારી {field} ની જરૂર છે.',
+    unevaluated: '{criterion} ની તપાસ અધિકારી કરશે.'
+  },
+  kn: {
+    belowMinimum: '{criterion}: ನಿಮ್ಮ ಮೌಲ್ಯ {value}, ಆದರೆ ಕನಿಷ್ಠ {min} ಇರಬೇಕು.',
+    aboveMaximum: '{criterion}: ನಿಮ್ಮ ಮೌಲ್ಯ {value}, ಆದರೆ ಇದು {max} ಕ್ಕಿಂತ ಹೆಚ್ಚಿರಬಾರದು.',
+    outOfRange: '{criterion}: ನಿಮ್ಮ ಮೌಲ್ಯ {value}, ಆದರೆ ಇದು {min} ಮತ್ತು {max} ನಡುವೆ ಇರಬೇಕು.',
+    notEqual: '{criterion}: ನಿಮ್ಮ ಮೌಲ್ಯ {value}, ಆದರೆ ಇದು {expected} ಆಗಿರಬೇಕು.',
+    notInList: '{criterion}: ನಿಮ್ಮ ಮೌಲ್ಯ {value}, ಆದರೆ ಇದು ಇವುಗಳಲ್ಲಿ ಒಂದಾಗಿರಬೇಕು: {allowed}.',
+    notMet: 'ಈ ಷರತ್ತು ಪೂರೈಸಿಲ್ಲ: {criterion}.',
+    missing: '{criterion} ಪರಿಶೀಲಿಸಲು ನಿಮ್ಮ {field} ಅಗತ್ಯವಿದೆ.',
+    unevaluated: '{criterion} ಅನ್ನು ಅಧಿಕಾರಿಯೊಬ್ಬರು ಪರಿಶೀಲಿಸುತ್ತಾರೆ.'
+  },
+  ml: {
+    belowMinimum: '{criterion}: നിങ്ങളുടെ മൂല്യം {value} ആണ്, എന്നാൽ കുറഞ്ഞത് {min} വേണം.',
+    aboveMaximum: '{criterion}: നിങ്ങളുടെ മൂല്യം {value} ആണ്, എന്നാൽ ഇത് {max}-ൽ കൂടരുത്.',
+    outOfRange: '{criterion}: നിങ്ങളുടെ മൂല്യം {value} ആണ്, എന്നാൽ ഇത് {min}-നും {max}-നും ഇടയിൽ ആയിരിക്കണം.',
+    notEqual: '{criterion}: നിങ്ങളുടെ മൂല്യം {value} ആണ്, എന്നാൽ ഇത് {expected} ആയിരിക്കണം.',
+    notInList: '{criterion}: നിങ്ങളുടെ മൂല്യം {value} ആണ്, എന്നാൽ ഇത് ഇവയിൽ ഒന്നായിരിക്കണം: {allowed}.',
+    notMet: 'ഈ വ്യവസ്ഥ പാലിക്കപ്പെട്ടിട്ടില്ല: {criterion}.',
+    missing: '{criterion} പരിശോധിക്കാൻ നിങ്ങളുടെ {field} ആവശ്യമാണ്.',
+    unevaluated: '{criterion} ഒരു ഉദ്യോഗസ്ഥൻ പരിശോധിക്കും.'
+  },
+  pa: {
+    belowMinimum: '{criterion}: ਤੁਹਾਡਾ ਮੁੱਲ {value} ਹੈ, ਪਰ ਘੱਟੋ-ਘੱਟ {min} ਹੋਣਾ ਚਾਹੀਦਾ ਹੈ।',
+    aboveMaximum: '{criterion}: ਤੁਹਾਡਾ ਮੁੱਲ {value} ਹੈ, ਪਰ ਇਹ {max} ਤੋਂ ਵੱਧ ਨਹੀਂ ਹੋਣਾ ਚਾਹੀਦਾ।',
+    outOfRange: '{criterion}: ਤੁਹਾਡਾ ਮੁੱਲ {value} ਹੈ, ਪਰ ਇਹ {min} ਅਤੇ {max} ਦੇ ਵਿਚਕਾਰ ਹੋਣਾ ਚਾਹੀਦਾ ਹੈ।',
+    notEqual: '{criterion}: ਤੁਹਾਡਾ ਮੁੱਲ {value} ਹੈ, ਪਰ ਇਹ {expected} ਹੋਣਾ ਚਾਹੀਦਾ ਹੈ।',
+    notInList: '{criterion}: ਤੁਹਾਡਾ ਮੁੱਲ {value} ਹੈ, ਪਰ ਇਹ ਇਹਨਾਂ ਵਿੱਚੋਂ ਇੱਕ ਹੋਣਾ ਚਾਹੀਦਾ ਹੈ: {allowed}।',
+    notMet: 'ਇਹ ਸ਼ਰਤ ਪੂਰੀ ਨਹੀਂ ਹੁੰਦੀ: {criterion}।',
+    missing: '{criterion} ਦੀ ਜਾਂਚ ਲਈ ਸਾਨੂੰ ਤੁਹਾਡੀ {field} ਦੀ ਲੋੜ ਹੈ।',
+    unevaluated: '{criterion} ਦੀ ਜਾਂਚ ਅਧਿਕਾਰੀ ਕਰਨਗੇ।'
+  },
+  or: {
+    belowMinimum: '{criterion}: ଆପଣଙ୍କ ମୂଲ୍ୟ {value}, କିନ୍ତୁ ଅତି କମରେ {min} ହେବା ଆବଶ୍ୟକ।',
+    aboveMaximum: '{criterion}: ଆପଣଙ୍କ ମୂଲ୍ୟ {value}, କିନ୍ତୁ ଏହା {max}ରୁ ଅଧିକ ହେବା ଉଚିତ ନୁହେଁ।',
+    outOfRange: '{criterion}: ଆପଣଙ୍କ ମୂଲ୍ୟ {value}, କିନ୍ତୁ ଏହା {min} ଓ {max} ମଧ୍ୟରେ ହେବା ଆବଶ୍ୟକ।',
+    notEqual: '{criterion}: ଆପଣଙ୍କ ମୂଲ୍ୟ {value}, କିନ୍ତୁ ଏହା {expected} ହେବା ଆବଶ୍ୟକ।',
+    notInList: '{criterion}: ଆପଣଙ୍କ ମୂଲ୍ୟ {value}, କିନ୍ତୁ ଏହା ଏଗୁଡ଼ିକ ମଧ୍ୟରୁ ଗୋଟିଏ ହେବା ଆବଶ୍ୟକ: {allowed}।',
+    notMet: 'ଏହି ସର୍ତ୍ତ ପୂରଣ ହେଉନାହିଁ: {criterion}।',
+    missing: '{criterion} ଯାଞ୍ଚ କରିବାକୁ ଆମକୁ ଆପଣଙ୍କ {field} ଦରକାର।',
+    unevaluated: '{criterion} ଜଣେ ଅଧିକାରୀ ଯାଞ୍ଚ କରିବେ।'
+  },
+  as: {
+    belowMinimum: '{criterion}: আপোনাৰ মান {value}, কিন্তু কমেও {min} হ’ব লাগিব।',
+    aboveMaximum: '{criterion}: আপোনাৰ মান {value}, কিন্তু ই {max}তকৈ বেছি হ’ব নালাগে।',
+    outOfRange: '{criterion}: আপোনাৰ মান {value}, কিন্তু ই {min} আৰু {max}ৰ মাজত হ’ব লাগিব।',
+    notEqual: '{criterion}: আপোনাৰ মান {value}, কিন্তু ই {expected} হ’ব লাগিব।',
+    notInList: '{criterion}: আপোনাৰ মান {value}, কিন্তু ই ইয়াৰে এটা হ’ব লাগিব: {allowed}।',
+    notMet: 'এই চৰ্ত পূৰণ হোৱা নাই: {criterion}।',
+    missing: '{criterion} পৰীক্ষা কৰিবলৈ আমাক আপোনাৰ {field} লাগিব।',
+    unevaluated: '{criterion} এজন বিষয়াই পৰীক্ষা কৰিব।'
+  }
+};
+
+// "What you can do" hints, keyed by criterion type
+const HINTS = {
+  en: {
+    age: 'This scheme is for a different age group. Ask about schemes for your age.',
+    income: 'If your income has gone down, get a new income certificate and check again.',
+    residence: 'This scheme is for residents of certain areas. Look for a similar scheme in your state.',
+    education: 'If you have a newer qualification, add it to your profile and check again.',
+    disability: 'If you have a disability certificate, add it to your profile and check again.',
+    profile: 'If your details are wrong, correct them in your profile and check again.',
+    contact: 'If you think this is a mistake, contact the department.',
+    provide: 'Add your {field} to your profile, or give it when you check again.',
+    review: 'You can still apply; an officer will check this condition.'
+  },
+  hi: {
+    age: 'यह योजना किसी दूसरे आयु वर्ग के लिए है। अपनी आयु के लिए योजनाओं के बारे में पूछें।',
+    income: 'यदि आपकी आय कम हुई है, तो नया आय प्रमाण पत्र बनवाकर फिर से जाँचें।',
+    residence: 'यह योजना कुछ क्षेत्रों के निवासियों के लिए है। अपने राज्य में ऐसी ही योजना देखें।',
+    education: 'यदि आपके पास नई योग्यता है, तो उसे अपनी प्रोफ़ाइल में जोड़कर फिर से जाँचें।',
+    disability: 'यदि आपके पास दिव्यांगता प्रमाण पत्र है, तो उसे प्रोफ़ाइल में जोड़कर फिर से जाँचें।',
+    profile: 'यदि आपकी जानकारी गलत है, तो प्रोफ़ाइल में सुधार करके फिर से जाँचें।',
+    contact: 'यदि आपको लगता है कि यह गलती है, तो विभाग से संपर्क करें।',
+    provide: 'अपनी {field} प्रोफ़ाइल में जोड़ें या अगली बार जाँचते समय बताएं।',
+    review: 'आप फिर भी आवेदन कर सकते हैं; इस शर्त की जाँच अधिकारी करेंगे।'
+  },
+  bn: {
+    age: 'এই প্রকল্পটি অন্য বয়সের জন্য। আপনার বয়সের জন্য প্রকল্পগুলি সম্পর্কে জিজ্ঞাসা করুন।',
+    income: 'আপনার আয় কমে গেলে নতুন আয়ের শংসাপত্র নিয়ে আবার যাচাই করুন।',
+    residence: 'এই প্রকল্পটি নির্দিষ্ট এলাকার বাসিন্দাদের জন্য। আপনার রাজ্যে একই রকম প্রকল্প খুঁজুন।',
+    education: 'আপনার নতুন যোগ্যতা থাকলে সেটি প্রোফাইলে যোগ করে আবার যাচাই করুন।',
+    disability: 'আপনার প্রতিবন্ধী শংসাপত্র থাকলে সেটি প্রোফাইলে যোগ করে আবার যাচাই করুন।',
+    profile: 'আপনার তথ্য ভুল হলে প্রোফাইলে সংশোধন করে আবার যাচাই করুন।',
+    contact: 'এটি ভুল মনে হলে বিভাগের সঙ্গে যোগাযোগ করুন।',
+    provide: 'আপনার {field} প্রোফাইলে যোগ করুন অথবা আবার যাচাই করার সময় জানান।',
+    review: 'আপনি তবুও আবেদন করতে পারেন; এই শর্তটি একজন আধিকারিক যাচাই করবেন।'
+  },
+  ta: {
+    age: 'இந்தத் திட்டம் வேறு வயதினருக்கானது. உங்கள் வயதுக்கான திட்டங்களைப் பற்றிக் கேளுங்கள்.',
+    income: 'உங்கள் வருமானம் குறைந்திருந்தால், புதிய வருமானச் சான்றிதழ் பெற்று மீண்டும் சரிபார்க்கவும்.',
+    residence: 'இந்தத் திட்டம் சில பகுதிகளில் வசிப்பவர்களுக்கானது. உங்கள் மாநிலத்தில் இதுபோன்ற திட்டத்தைத் தேடுங்கள்.',
+    education: 'புதிய கல்வித் தகுதி இருந்தால், அதை சுயவிவரத்தில் சேர்த்து மீண்டும் சரிபார்க்கவும்.',
+    disability: 'மாற்றுத்திறனாளி சான்றிதழ் இருந்தால், அதை சுயவிவரத்தில் சேர்த்து மீண்டும் சரிபார்க்கவும்.',
+    profile: 'உங்கள் விவரங்கள் தவறாக இருந்தால், சுயவிவரத்தில் திருத்தி மீண்டும் சரிபார்க்கவும்.',
+    contact: 'இது தவறு என்று நினைத்தால், துறையைத் தொடர்பு கொள்ளுங்கள்.',
+    provide: 'உங்கள் {field} விவரத்தை சுயவிவரத்தில் சேர்க்கவும் அல்லது மீண்டும் சரிபார்க்கும்போது தெரிவிக்கவும்.',
+    review: 'நீங்கள் இன்னும் விண்ணப்பிக்கலாம்; இந்த நிபந்தனையை ஒரு அலுவலர் சரிபார்ப்பார்.'
+  },
+  te: {
+    age: 'ఈ పథకం వేరే వయస్సు వారికి. మీ వయస్సుకు తగిన పథకాల గురించి అడగండి.',
+    income: 'మీ ఆదాయం తగ్గితే, కొత్త ఆదాయ ధృవీకరణ పత్రం తీసుకుని మళ్లీ తనిఖీ చేయండి.',
+    residence: 'ఈ పథకం కొన్ని ప్రాంతాల నివాసితులకు. మీ రాష్ట్రంలో ఇలాంటి పథకం కోసం చూడండి.',
+    education: 'మీకు కొత్త అర్హత ఉంటే, దాన్ని ప్రొఫైల్‌లో చేర్చి మళ్లీ తనిఖీ చేయండి.',
+    disability: 'మీకు వైకల్య ధృవీకరణ పత్రం ఉంటే, దాన్ని ప్రొఫైల్‌లో చేర్చి మళ్లీ తనిఖీ చేయండి.',
+    profile: 'మీ వివరాలు తప్పుగా ఉంటే, ప్రొఫైల్‌లో సరిచేసి మళ్లీ తనిఖీ చేయండి.',
+    contact: 'ఇది పొరపాటు అని మీరు భావిస్తే, శాఖను సంప్రదించండి.',
+    provide: 'మీ {field}ను ప్రొఫైల్‌లో చేర్చండి లేదా మళ్లీ తనిఖీ చేసేటప్పుడు తెలియజేయండి.',
+    review: 'మీరు ఇప్పటికీ దరఖాస్తు చేయవచ్చు; ఈ షరతును ఒక అధికారి తనిఖీ చేస్తారు.'
+  },
+  mr: {
+    age: 'ही योजना वेगळ्या वयोगटासाठी आहे. तुमच्या वयासाठीच्या योजनांबद्दल विचारा.',
+    income: 'तुमचे उत्पन्न कमी झाले असल्यास, नवीन उत्पन्न प्रमाणपत्र घेऊन पुन्हा तपासा.',
+    residence: 'ही योजना काही भागांतील रहिवाशांसाठी आहे. तुमच्या राज्यातील अशीच योजना शोधा.',
+    education: 'तुमच्याकडे नवीन शैक्षणिक पात्रता असल्यास, ती प्रोफाइलमध्ये जोडून पुन्हा तपासा.',
+    disability: 'तुमच्याकडे दिव्यांगत्व प्रमाणपत्र असल्यास, ते प्रोफाइलमध्ये जोडून पुन्हा तपासा.',
+    profile: 'तुमची माहिती चुकीची असल्यास, प्रोफाइलमध्ये दुरुस्ती करून पुन्हा तपासा.',
+    contact: 'ही चूक आहे असे वाटत असल्यास, विभागाशी संपर्क साधा.',
+    provide: 'तुमची {field} प्रोफाइलमध्ये जोडा किंवा पुन्हा तपासताना सांगा.',
+    review: 'तुम्ही तरीही अर्ज करू शकता; ही अट अधिकारी तपासतील.'
+  },
+  gu: {
+    age: 'આ યોજના અલગ વય જૂથ માટે છે. તમારી ઉંમર માટેની યોજનાઓ વિશે પૂછો.',
+    income: 'જો તમારી આવક ઘટી હોય, તો નવું આવકનું પ્રમાણપત્ર મેળવીને ફરી તપાસો.',
+    residence: 'આ યોજના અમુક વિસ્તારોના રહેવાસીઓ માટે છે. તમારા રાજ્યમાં આવી યોજના શોધો.',
+    education: 'જો તમારી પાસે નવી લાયકાત હોય, તો તેને પ્રોફાઇલમાં ઉમેરીને ફરી તપાસો.',
+    disability: 'જો તમારી પાસે દિવ્યાંગતાનું પ્રમાણપત્ર હોય, તો તેને પ્રોફાઇલમાં ઉમેરીને ફરી તપાસો.',
+    profile: 'જો તમારી વિગતો ખોટી હોય, તો પ્રોફાઇલમાં સુધારો કરીને ફરી તપાસો.',
+    contact: 'જો તમને લાગે કે આ ભૂલ છે, તો વિભાગનો સંપર્ક કરો.',
+    provide: 'તમારી {field} પ્રોફાઇલમાં ઉમેરો અથવા ફરી તપાસતી વખતે જણાવો.',
+    review: 'તમે છતાં અરજી કરી શકો છો; આ શરત અધિકારી તપાસશે.'
+  },
+  kn: {
+    age: 'ಈ ಯೋಜನೆ ಬೇರೆ ವಯೋಮಾನದವರಿಗೆ. ನಿಮ್ಮ ವಯಸ್ಸಿಗೆ ಸೂಕ್ತವಾದ ಯೋಜನೆಗಳ ಬಗ್ಗೆ ಕೇಳಿ.',
+    income: 'ನಿಮ್ಮ ಆದಾಯ ಕಡಿಮೆಯಾಗಿದ್ದರೆ, ಹೊಸ ಆದಾಯ ಪ್ರಮಾಣಪತ್ರ ಪಡೆದು ಮತ್ತೆ ಪರಿಶೀಲಿಸಿ.',
+    residence: 'ಈ ಯೋಜನೆ ಕೆಲವು ಪ್ರದೇಶಗಳ ನಿವಾಸಿಗಳಿಗೆ. ನಿಮ್ಮ ರಾಜ್ಯದಲ್ಲಿ ಇಂತಹ ಯೋಜನೆಯನ್ನು ಹುಡುಕಿ.',
+    education: 'ನಿಮಗೆ ಹೊಸ ಅರ್ಹತೆ ಇದ್ದರೆ, ಅದನ್ನು ಪ್ರೊಫೈಲ್‌ಗೆ ಸೇರಿಸಿ ಮತ್ತೆ ಪರಿಶೀಲಿಸಿ.',
+    disability: 'ನಿಮ್ಮ ಬಳಿ ಅಂಗವೈಕಲ್ಯ ಪ್ರಮಾಣಪತ್ರ ಇದ್ದರೆ, ಅದನ್ನು ಪ್ರೊಫೈಲ್‌ಗೆ ಸೇರಿಸಿ ಮತ್ತೆ ಪರಿಶೀಲಿಸಿ.',
+    profile: 'ನಿಮ್ಮ ವಿವರಗಳು ತಪ್ಪಾಗಿದ್ದರೆ, ಪ್ರೊಫೈಲ್‌ನಲ್ಲಿ ಸರಿಪಡಿಸಿ ಮತ್ತೆ ಪರಿಶೀಲಿಸಿ.',
+    contact: 'ಇದು ತಪ್ಪು ಎಂದು ನಿಮಗೆ ಅನಿಸಿದರೆ, ಇಲಾಖೆಯನ್ನು ಸಂಪರ್ಕಿಸಿ.',
+    provide: 'ನಿಮ್ಮ {field} ಅನ್ನು ಪ್ರೊಫೈಲ್‌ಗೆ ಸೇರಿಸಿ ಅಥವಾ ಮತ್ತೆ ಪರಿಶೀಲಿಸುವಾಗ ತಿಳಿಸಿ.',
+    review: 'ನೀವು ಈಗಲೂ ಅರ್ಜಿ ಸಲ್ಲಿಸಬಹುದು; ಈ ಷರತ್ತನ್ನು ಅಧಿಕಾರಿಯೊಬ್ಬರು ಪರಿಶೀಲಿಸುತ್ತಾರೆ.'
+  },
+  ml: {
+    age: 'ഈ പദ്ധതി മറ്റൊരു പ്രായവിഭാഗത്തിനുള്ളതാണ്. നിങ്ങളുടെ പ്രായത്തിനുള്ള പദ്ധതികളെക്കുറിച്ച് ചോദിക്കുക.',
+    income: 'നിങ്ങളുടെ വരുമാനം കുറഞ്ഞിട്ടുണ്ടെങ്കിൽ, പുതിയ വരുമാന സർട്ടിഫിക്കറ്റ് എടുത്ത് വീണ്ടും പരിശോധിക്കുക.',
+    residence: 'ഈ പദ്ധതി ചില പ്രദേശങ്ങളിലെ താമസക്കാർക്കുള്ളതാണ്. നിങ്ങളുടെ സംസ്ഥാനത്തെ സമാന പദ്ധതി തിരയുക.',
+    education: 'പുതിയ യോഗ്യതയുണ്ടെങ്കിൽ, അത് പ്രൊഫൈലിൽ ചേർത്ത് വീണ്ടും പരിശോധിക്കുക.',
+    disability: 'ഭിന്നശേഷി സർട്ടിഫിക്കറ്റ് ഉണ്ടെങ്കിൽ, അത് പ്രൊഫൈലിൽ ചേർത്ത് വീണ്ടും പരിശോധിക്കുക.',
+    profile: 'നിങ്ങളുടെ വിവരങ്ങൾ തെറ്റാണെങ്കിൽ, പ്രൊഫൈലിൽ തിരുത്തി വീണ്ടും പരിശോധിക്കുക.',
+    contact: 'ഇത് തെറ്റാണെന്ന് തോന്നുന്നുവെങ്കിൽ, വകുപ്പുമായി ബന്ധപ്പെടുക.',
+    provide: 'നിങ്ങളുടെ {field} പ്രൊഫൈലിൽ ചേർക്കുക അല്ലെങ്കിൽ വീണ്ടും പരിശോധിക്കുമ്പോൾ അറിയിക്കുക.',
+    review: 'നിങ്ങൾക്ക് ഇപ്പോഴും അപേക്ഷിക്കാം; ഈ വ്യവസ്ഥ ഒരു ഉദ്യോഗസ്ഥൻ പരിശോധിക്കും.'
+  },
+  pa: {
+    age: 'ਇਹ ਯੋਜਨਾ ਕਿਸੇ ਹੋਰ ਉਮਰ ਵਰਗ ਲਈ ਹੈ। ਆਪਣੀ ਉਮਰ ਲਈ ਯੋਜਨਾਵਾਂ ਬਾਰੇ ਪੁੱਛੋ।',
+    income: 'ਜੇ ਤੁਹਾਡੀ ਆਮਦਨ ਘਟੀ ਹੈ, ਤਾਂ ਨਵਾਂ ਆਮਦਨ ਸਰਟੀਫਿਕੇਟ ਬਣਵਾ ਕੇ ਮੁੜ ਜਾਂਚ ਕਰੋ।',
+    residence: 'ਇਹ ਯੋਜਨਾ ਕੁਝ ਖੇਤਰਾਂ ਦੇ ਵਸਨੀਕਾਂ ਲਈ ਹੈ। ਆਪਣੇ ਰਾਜ ਵਿੱਚ ਅਜਿਹੀ ਯੋਜਨਾ ਲੱਭੋ।',
+    education: 'ਜੇ ਤੁਹਾਡੇ ਕੋਲ ਨਵੀਂ ਯੋਗਤਾ ਹੈ, ਤਾਂ ਉਸਨੂੰ ਪ੍ਰੋਫਾਈਲ ਵਿੱਚ ਜੋੜ ਕੇ ਮੁੜ ਜਾਂਚ ਕਰੋ।',
+    disability: 'ਜੇ ਤੁਹਾਡੇ ਕੋਲ ਅਪੰਗਤਾ ਸਰਟੀਫਿਕੇਟ ਹੈ, ਤਾਂ ਉਸਨੂੰ ਪ੍ਰੋਫਾਈਲ ਵਿੱਚ ਜੋੜ ਕੇ ਮੁੜ ਜਾਂਚ ਕਰੋ।',
+    profile: 'ਜੇ ਤੁਹਾਡੀ ਜਾਣਕਾਰੀ ਗਲਤ ਹੈ, ਤਾਂ ਪ੍ਰੋਫਾਈਲ ਵਿੱਚ ਸੁਧਾਰ ਕਰਕੇ ਮੁੜ ਜਾਂਚ ਕਰੋ।',
+    contact: 'ਜੇ ਤੁਹਾਨੂੰ ਲੱਗਦਾ ਹੈ ਕਿ ਇਹ ਗਲਤੀ ਹੈ, ਤਾਂ ਵਿਭਾਗ ਨਾਲ ਸੰਪਰਕ ਕਰੋ।',
+    provide: 'ਆਪਣੀ {field} ਪ੍ਰੋਫਾਈਲ ਵਿੱਚ ਜੋੜੋ ਜਾਂ ਮੁੜ ਜਾਂਚ ਕਰਦੇ ਸਮੇਂ ਦੱਸੋ।',
+    review: 'ਤੁਸੀਂ ਫਿਰ ਵੀ ਅਰਜ਼ੀ ਦੇ ਸਕਦੇ ਹੋ; ਇਸ ਸ਼ਰਤ ਦੀ ਜਾਂਚ ਅਧਿਕਾਰੀ ਕਰਨਗੇ।'
+  },
+  or: {
+    age: 'ଏହି ଯୋଜନା ଅନ୍ୟ ଏକ ବୟସ ବର୍ଗ ପାଇଁ। ଆପଣଙ୍କ ବୟସ ପାଇଁ ଯୋଜନା ବିଷୟରେ ପଚାରନ୍ତୁ।',
+    income: 'ଆପଣଙ୍କ ଆୟ କମିଥିଲେ, ନୂଆ ଆୟ ପ୍ରମାଣପତ୍ର ନେଇ ପୁଣି ଯାଞ୍ଚ କରନ୍ତୁ।',
+    residence: 'ଏହି ଯୋଜନା କିଛି ଅଞ୍ଚଳର ବାସିନ୍ଦାଙ୍କ ପାଇଁ। ଆପଣଙ୍କ ରାଜ୍ୟରେ ଏହିପରି ଯୋଜନା ଖୋଜନ୍ତୁ।',
+    education: 'ଆପଣଙ୍କର ନୂଆ ଯୋଗ୍ୟତା ଥିଲେ, ତାହା ପ୍ରୋଫାଇଲରେ ଯୋଡ଼ି ପୁଣି ଯାଞ୍ଚ କରନ୍ତୁ।',
+    disability: 'ଆପଣଙ୍କ ପାଖରେ ଭିନ୍ନକ୍ଷମତା ପ୍ରମାଣପତ୍ର ଥିଲେ, ତାହା ପ୍ରୋଫାଇଲରେ ଯୋଡ଼ି ପୁଣି ଯାଞ୍ଚ କରନ୍ତୁ।',
+    profile: 'ଆପଣଙ୍କ ତଥ୍ୟ ଭୁଲ ଥିଲେ, ପ୍ରୋଫାଇଲରେ ସଂଶୋଧନ କରି ପୁଣି ଯାଞ୍ଚ କରନ୍ତୁ।',
+    contact: 'ଏହା ଭୁଲ ବୋଲି ମନେହେଲେ ବିଭାଗ ସହ ଯୋଗାଯୋଗ କରନ୍ତୁ।',
+    provide: 'ଆପଣଙ୍କ {field} ପ୍ରୋଫାଇଲରେ ଯୋଡ଼ନ୍ତୁ କିମ୍ବା ପୁଣି ଯାଞ୍ଚ କରିବା ସମୟରେ ଜଣାନ୍ତୁ।',
+    review: 'ଆପଣ ତଥାପି ଆବେଦନ କରିପାରିବେ; ଏହି ସର୍ତ୍ତ ଜଣେ ଅଧିକାରୀ ଯାଞ୍ଚ କରିବେ।'
+  },
+  as: {
+    age: 'এই আঁচনিখন বেলেগ বয়সৰ লোকৰ বাবে। আপোনাৰ বয়সৰ বাবে থকা আঁচনিৰ বিষয়ে সোধক।',
+    income: 'আপোনাৰ আয় কমিছে যদি নতুন আয়ৰ প্ৰমাণপত্ৰ লৈ পুনৰ পৰীক্ষা কৰক।',
+    residence: 'এই আঁচনিখন কিছুমান অঞ্চলৰ বাসিন্দাৰ বাবে। আপোনাৰ ৰাজ্যত একে ধৰণৰ আঁচনি বিচাৰক।',
+    education: 'আপোনাৰ নতুন শৈক্ষিক অৰ্হতা থাকিলে প্ৰফাইলত যোগ কৰি পুনৰ পৰীক্ষা কৰক।',
+    disability: 'আপোনাৰ দিব্যাংগতাৰ প্ৰমাণপত্ৰ থাকিলে প্ৰফাইলত যোগ কৰি পুনৰ পৰীক্ষা কৰক।',
+    profile: 'আপোনাৰ তথ্য ভুল হ’লে প্ৰফাইলত শুধৰাই পুনৰ পৰীক্ষা কৰক।',
+    contact: 'এইটো ভুল বুলি ভাবিলে বিভাগৰ সৈতে যোগাযোগ কৰক।',
+    provide: 'আপোনাৰ {field} প্ৰফাইলত যোগ কৰক বা পুনৰ পৰীক্ষা কৰোঁতে জনাওক।',
+    review: 'আপুনি তথাপিও আবেদন কৰিব পাৰে; এই চৰ্তটো এজন বিষয়াই পৰীক্ষা কৰিব।'
+  }
+};
+
+// Names of the profile fields checkEligibility reports as missing
+const FIELD_LABELS = {
+  en: {
+    dateOfBirth: 'date of birth', income: 'annual income', familySize: 'family size', gender: 'gender',
+    maritalStatus: 'marital status', category: 'social category', occupation: 'occupation',
+    'education.level': 'education', hasDisability: 'disability status', 'address.state': 'state'
+  },
+  hi: {
+    dateOfBirth: 'जन्म तिथि', income: 'वार्षिक आय', familySize: 'परिवार के सदस्यों की संख्या', gender: 'लिंग',
+    maritalStatus: 'वैवाहिक स्थिति', category: 'सामाजिक वर्ग', occupation: 'व्यवसाय',
+    'education.level': 'शिक्षा', hasDisability: 'दिव्यांगता की स्थिति', 'address.state': 'राज्य'
+  },
+  bn: {
+    dateOfBirth: 'জন্ম তারিখ', income: 'বার্ষিক আয়', familySize: 'পরিবারের সদস্য সংখ্যা', gender: 'লিঙ্গ',
+    maritalStatus: 'বৈবাহিক অবস্থা', category: 'সামাজিক শ্রেণি', occupation: 'পেশা',
+    'education.level': 'শিক্ষা', hasDisability: 'প্রতিবন্ধিতার অবস্থা', 'address.state': 'রাজ্য'
+  },
+  ta: {
+    dateOfBirth: 'பிறந்த தேதி', income: 'ஆண்டு வருமானம்', familySize: 'குடும்ப உறுப்பினர்கள் எண்ணிக்கை', gender: 'பாலினம்',
+    maritalStatus: 'திருமண நிலை', category: 'சமூகப் பிரிவு', occupation: 'தொழில்',
+    'education.level': 'கல்வி', hasDisability: 'மாற்றுத்திறன் நிலை', 'address.state': 'மாநிலம்'
+  },
+  te: {
+    dateOfBirth: 'పుట్టిన తేదీ', income: 'వార్షిక ఆదాయం', familySize: 'కుటుంబ సభ్యుల సంఖ్య', gender: 'లింగం',
+    maritalStatus: 'వైవాహిక స్థితి', category: 'సామాజిక వర్గం', occupation: 'వృత్తి',
+    'education.level': 'విద్య', hasDisability: 'వైకల్య స్థితి', 'address.state': 'రాష్ట్రం'
+  },
+  mr: {
+    dateOfBirth: 'जन्मतारीख', income: 'वार्षिक उत्पन्न', familySize: 'कुटुंबातील सदस्यांची संख्या', gender: 'लिंग',
+    maritalStatus: 'वैवाहिक स्थिती', category: 'सामाजिक प्रवर्ग', occupation: 'व्यवसाय',
+    'education.level': 'शिक्षण', hasDisability: 'दिव्यांगत्वाची स्थिती', 'address.state': 'राज्य'
+  },
+  gu: {
+    dateOfBirth: 'જન્મ તારીખ', income: 'વાર્ષિક આવક', familySize: 'પરિવારના સભ્યોની સંખ્યા', gender: 'લિંગ',
+    maritalStatus: 'વૈવાહિક સ્થિતિ', category: 'સામાજિક વર્ગ', occupation: 'વ્યવસાય',
+    'education.level': 'શિક્ષણ', hasDisability: 'દિવ્યાંગતાની સ્થિતિ', 'address.state': 'રાજ્ય'
+  },
+  kn: {
+    dateOfBirth: 'ಜನ್ಮ ದಿನಾಂಕ', income: 'ವಾರ್ಷಿಕ ಆದಾಯ', familySize: 'ಕುಟುಂಬ ಸದಸ್ಯರ ಸಂಖ್ಯೆ', gender: 'ಲಿಂಗ',
+    maritalStatus: 'ವೈವಾಹಿಕ ಸ್ಥಿತಿ', category: 'ಸಾಮಾಜಿಕ ವರ್ಗ', occupation: 'ಉದ್ಯೋಗ',
+    'education.level': 'ಶಿಕ್ಷಣ', hasDisability: 'ಅಂಗವೈಕಲ್ಯ ಸ್ಥಿತಿ', 'address.state': 'ರಾಜ್ಯ'
+  },
+  ml: {
+    dateOfBirth: 'ജനനത്തീയതി', income: 'വാർഷിക വരുമാനം', familySize: 'കുടുംബാംഗങ്ങളുടെ എണ്ണം', gender: 'ലിംഗം',
+    maritalStatus: 'വൈവാഹിക നില', category: 'സാമൂഹിക വിഭാഗം', occupation: 'തൊഴിൽ',
+    'education.level': 'വിദ്യാഭ്യാസം', hasDisability: 'ഭിന്നശേഷി നില', 'address.state': 'സംസ്ഥാനം'
+  },
+  pa: {
+    dateOfBirth: 'ਜਨਮ ਮਿਤੀ', income: 'ਸਾਲਾਨਾ ਆਮਦਨ', familySize: 'ਪਰਿਵਾਰ ਦੇ ਮੈਂਬਰਾਂ ਦੀ ਗਿਣਤੀ', gender: 'ਲਿੰਗ',
+    maritalStatus: 'ਵਿਆਹੁਤਾ ਸਥਿਤੀ', category: 'ਸਮਾਜਿਕ ਵਰਗ', occupation: 'ਕਿੱਤਾ',
+    'education.level': 'ਸਿੱਖਿਆ', hasDisability: 'ਅਪੰਗਤਾ ਦੀ ਸਥਿਤੀ', 'address.state': 'ਰਾਜ'
+  },
+  or: {
+    dateOfBirth: 'ଜନ୍ମ ତାରିଖ', income: 'ବାର୍ଷିକ ଆୟ', familySize: 'ପରିବାର ସଦସ୍ୟ ସଂଖ୍ୟା', gender: 'ଲିଙ୍ଗ',
+    maritalStatus: 'ବୈବାହିକ ସ୍ଥିତି', category: 'ସାମାଜିକ ବର୍ଗ', occupation: 'ବୃତ୍ତି',
+    'education.level': 'ଶିକ୍ଷା', hasDisability: 'ଭିନ୍ନକ୍ଷମତା ସ୍ଥିତି', 'address.state': 'ରାଜ୍ୟ'
+  },
+  as: {
+    dateOfBirth: 'জন্মৰ তাৰিখ', income: 'বাৰ্ষিক আয়', familySize: 'পৰিয়ালৰ সদস্য সংখ্যা', gender: 'লিংগ',
+    maritalStatus: 'বৈবাহিক স্থিতি', category: 'সামাজিক শ্ৰেণী', occupation: 'বৃত্তি',
+    'education.level': 'শিক্ষা', hasDisability: 'দিব্যাংগতাৰ স্থিতি', 'address.state': 'ৰাজ্য'
+  }
+};
+
+// Hint shown for each built-in criterion type
+const TYPE_HINTS = {
+  age: 'age',
+  income: 'income',
+  residence: 'residence',
+  education: 'education',
+  disability: 'disability',
+  gender: 'profile',
+  marital: 'profile',
+  occupation: 'profile',
+  category: 'profile'
+};
+
+// Missing fields reported under another name in the profile
+const FIELD_ALIASES = {
+  residence: 'address.state',
+  education: 'education.level',
+  marital: 'maritalStatus',
+  disability: 'hasDisability'
+};
+
+/**
+ * Get localized text with English fallback
+ * @param {Object} field - Multilingual text object
+ * @param {String} language - Language code
+ * @returns {String} Localized text
+ */
+const getText = (field, language) => {
+  if (!field) return '';
+  return field[language] || field.en || '';
+};
+
+/**
+ * Fill a template twice: once as plain text and once as an SSML sentence
+ * @param {String} template - Template with {name} placeholders
+ * @param {Object} params - Values as { text, speech } pairs
+ * @returns {Object} { text, speech }
+ */
+const fill = (template, params) => ({
+  text: template.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined ? params[name].text : match
+  ),
+  speech: `<s>${escapeXml(template).replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined ? params[name].speech : match
+  )}</s>`
+});
+
+/**
+ * Format a criterion value for display and speech
+ * Income values are read as amounts
+ *
+ * @param {*} value - Value to format
+ * @param {String} criteriaType - Criterion type
+ * @param {String} language - Language code
+ * @returns {Object} { text, speech }
+ */
+const formatValue = (value, criteriaType, language) => {
+  if (value instanceof Date) {
+    const text = value.toISOString().slice(0, 10);
+    return { text, speech: `<say-as interpret-as="date" format="ymd">${text}</say-as>` };
+  }
+
+  if (Array.isArray(value)) {
+    const text = value.join(', ');
+    return { text, speech: escapeXml(text) };
+  }
+
+  if (criteriaType === 'income' && typeof value === 'number') {
+    return {
+      text: `₹${value.toLocaleString('en-IN')}`,
+      speech: speakAmount(value, 'INR', language)
+    };
+  }
+
+  const text = String(value);
+  return { text, speech: escapeXml(text) };
+};
+
+/**
+ * Wrap already localized text as a template parameter
+ * @param {String} text - Text
+ * @returns {Object} { text, speech }
+ */
+const asParam = (text) => ({ text, speech: escapeXml(text) });
+
+/**
+ * Find a named node in an eligibility rule tree
+ * Names match those checkEligibility reports for rule failures
+ *
+ * @param {Object} rule - Rule node
+ * @param {String} name - English rule name
+ * @returns {Object|null} Matching rule node
+ */
+const findRule = (rule, name) => {
+  if (!rule || typeof rule !== 'object') return null;
+
+  if ((rule.name && rule.name.en === name) ||
+      rule.expression === name ||
+      (rule.not && rule.not.expression && `not (${rule.not.expression})` === name)) {
+    return rule;
+  }
+
+  const children = rule.all || rule.any || (rule.not ? [rule.not] : []);
+  for (const child of children) {
+    const found = findRule(child, name);
+    if (found) return found;
+  }
+
+  return null;
+};
+
+/**
+ * Find the criterion or rule a checkEligibility entry refers to
+ * @param {Object} service - Service document
+ * @param {String} name - English criterion or rule name
+ * @returns {Object|null} Eligibility criterion or rule node
+ */
+const findCriterion = (service, name) => {
+  const criterion = (service.eligibilityCriteria || []).find(item =>
+    item.name && (item.name.en === name || item.criteriaType === name)
+  );
+  if (criterion) return criterion;
+
+  return findRule(service.eligibilityRules && service.eligibilityRules.conditions, name);
+};
+
+/**
+ * Choose the reason template and parameters for a failed built-in criterion
+ * @param {Object} criterion - Eligibility criterion
+ * @param {Object} failure - failedCriteria entry
+ * @param {String} language - Language code
+ * @returns {Object} { key, params }
+ */
+const describeFailure = (criterion, failure, language) => {
+  const format = value => formatValue(value, criterion.criteriaType, language);
+  const hasMin = criterion.minValue !== undefined && criterion.minValue !== null;
+  const hasMax = criterion.maxValue !== undefined && criterion.maxValue !== null;
+  const params = { value: format(failure.userValue) };
+
+  switch (criterion.validationMethod) {
+    case 'range':
+      if (hasMin && hasMax) {
+        return { key: 'outOfRange', params: { ...params, min: format(criterion.minValue), max: format(criterion.maxValue) } };
+      }
+      return hasMin
+        ? { key: 'belowMinimum', params: { ...params, min: format(criterion.minValue) } }
+        : { key: 'aboveMaximum', params: { ...params, max: format(criterion.maxValue) } };
+    case 'minimum':
+      return { key: 'belowMinimum', params: { ...params, min: format(criterion.minValue) } };
+    case 'maximum':
+      return { key: 'aboveMaximum', params: { ...params, max: format(criterion.maxValue) } };
+    case 'exact':
+      return { key: 'notEqual', params: { ...params, expected: format(criterion.minValue) } };
+    case 'list':
+      return { key: 'notInList', params: { ...params, allowed: format(criterion.allowedValues || []) } };
+    default:
+      return { key: 'notMet', params };
+  }
+};
+
+/**
+ * Get the localized label of a profile field
+ * @param {String} field - Field path
+ * @param {String} language - Language code
+ * @returns {String} Field label
+ */
+const getFieldLabel = (field, language) => {
+  const path = FIELD_ALIASES[field] || field;
+  const labels = FIELD_LABELS[language] || FIELD_LABELS.en;
+  return labels[path] || FIELD_LABELS.en[path] || path;
+};
+
+/**
+ * Explain an eligibility result in the citizen's language
+ * Each failed criterion, missing field and criterion left for an officer
+ * gets a reason and a hint, as plain text and as SSML sentences.
+ * Service authors can override the hint with a criterion's or rule's
+ * multilingual `hint`.
+ *
+ * @param {Object} service - Service document
+ * @param {Object} result - Result of service.checkEligibility
+ * @param {String} language - Language code
+ * @returns {Object} { language, items: [{ status, type, criterion, field, reason, hint, speech }] }
+ */
+const explainEligibility = (service, result, language = 'en') => {
+  const reasons = REASONS[language] || REASONS.en;
+  const hints = HINTS[language] || HINTS.en;
+  const items = [];
+
+  const buildItem = (status, type, criterionName, reason, hintKey, hintParams, source, field) => {
+    const customHint = source && getText(source.hint, language);
+    const hint = customHint ? fill(customHint, {}) : fill(hints[hintKey] || HINTS.en[hintKey], hintParams);
+
+    const item = {
+      status,
+      type,
+      criterion: criterionName,
+      reason: reason.text,
+      hint: hint.text,
+      speech: reason.speech + hint.speech
+    };
+    if (field) item.field = field;
+    return item;
+  };
+
+  (result.failedCriteria || []).forEach(failure => {
+    const source = findCriterion(service, failure.name);
+    const name = (source && getText(source.name, language)) || failure.name;
+    const criterion = asParam(name);
+    const type = source && source.criteriaType ? source.criteriaType : failure.type;
+
+    let reason;
+    if (source && source.criteriaType && source.validationMethod !== 'custom') {
+      const { key, params } = describeFailure(source, failure, language);
+      reason = fill(reasons[key], { ...params, criterion });
+    } else {
+      reason = fill(reasons.notMet, { criterion });
+      const description = source && getText(source.description, language);
+      if (description) {
+        const detail = fill(description, {});
+        reason = { text: `${reason.text} ${detail.text}`, speech: reason.speech + detail.speech };
+      }
+    }
+
+    items.push(buildItem('failed', type, name, reason, TYPE_HINTS[type] || 'contact', {}, source));
+  });
+
+  (result.missingData || []).forEach(missing => {
+    const source = findCriterion(service, missing.criteria);
+    const name = (source && getText(source.name, language)) || missing.criteria;
+    const field = asParam(getFieldLabel(missing.field, language));
+    const reason = fill(reasons.missing, { field, criterion: asParam(name) });
+    const type = source && source.criteriaType ? source.criteriaType : 'rule';
+
+    items.push(buildItem('missing', type, name, reason, 'provide', { field }, null, missing.field));
+  });
+
+  (result.unevaluatedCriteria || []).forEach(unevaluated => {
+    const source = findCriterion(service, unevaluated.name);
+    const name = (source && getText(source.name, language)) || unevaluated.name;
+    const reason = fill(reasons.unevaluated, { criterion: asParam(name) });
+
+    items.push(buildItem('unevaluated', unevaluated.type, name, reason, 'review', {}, source));
+  });
+
+  return { language: REASONS[language] ? language : 'en', items };
+};
+
+module.exports = {
+  explainEligibility,
+  getFieldLabel
+};
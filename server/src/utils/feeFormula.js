@@ -0,0 +1,274 @@
+/**
+ * Fee formula engine for SwarSeva
+ * Computes a service fee from the declarative formula stored on it: a fixed
+ * amount, a slab table, a percentage of a declared value or a rule
+ * expression, followed by adjustments, minimum/maximum caps, a late fee and
+ * GST-style taxes. All expressions go through the rule engine.
+ */
+
+const ruleEngine = require('./ruleEngine');
+
+const FORMULA_TYPES = ['fixed', 'slab', 'percentage', 'expression'];
+const SLAB_MODES = ['flat', 'marginal'];
+const ROUNDING_MODES = ['none', 'rupee', 'ten'];
+
+/**
+ * Round to paise
+ * @param {Number} value - Amount
+ * @returns {Number} Amount with at most two decimals
+ */
+const toPaise = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Apply a rounding mode to a final amount
+ * @param {Number} value - Amount
+ * @param {String} mode - none, rupee or ten
+ * @returns {Number} Rounded amount
+ */
+const roundAmount = (value, mode) => {
+  if (mode === 'rupee') return Math.round(value);
+  if (mode === 'ten') return Math.round(value / 10) * 10;
+  return toPaise(value);
+};
+
+/**
+ * Evaluate a numeric expression
+ * @param {String} expression - Rule expression
+ * @param {Object} context - Evaluation context
+ * @returns {Object} { value: Number|null, missing: [fields] }
+ */
+const evaluateNumber = (expression, context) => {
+  const { value, missing } = ruleEngine.evaluate(expression, context);
+
+  if (ruleEngine.isUnknown(value)) {
+    return { value: null, missing };
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    const error = new Error(`Fee expression "${expression}" did not produce a number`);
+    error.name = 'ExpressionError';
+    throw error;
+  }
+
+  return { value: number, missing: [] };
+};
+
+/**
+ * Look up the fee for a value in a slab table
+ * Slabs are sorted by their upper bound; a slab without upTo is open ended.
+ * In flat mode the slab the value falls in sets the fee (its amount plus its
+ * rate applied to the whole value). In marginal mode every slab the value
+ * reaches adds its amount, and its rate applies only to the part of the
+ * value inside that slab, like income tax.
+ *
+ * @param {Array} slabs - Slab table [{ upTo, amount, rate }]
+ * @param {Number} value - Basis value
+ * @param {String} mode - flat or marginal
+ * @returns {Object} { amount, slab } where slab is the index of the matching slab
+ */
+const lookupSlab = (slabs, value, mode = 'flat') => {
+  const sorted = [...slabs].sort((a, b) => {
+    const upperA = a.upTo === null || a.upTo === undefined ? Infinity : a.upTo;
+    const upperB = b.upTo === null || b.upTo === undefined ? Infinity : b.upTo;
+    return upperA - upperB;
+  });
+
+  if (mode === 'marginal') {
+    let amount = 0;
+    let lower = 0;
+    let slabIndex = -1;
+
+    for (let i = 0; i < sorted.length && value > lower; i++) {
+      const upper = sorted[i].upTo === null || sorted[i].upTo === undefined ? Infinity : sorted[i].upTo;
+      const portion = Math.min(value, upper) - lower;
+      amount += (sorted[i].amount || 0) + (portion * (sorted[i].rate || 0)) / 100;
+      slabIndex = i;
+      lower = upper;
+    }
+
+    return { amount, slab: slabIndex };
+  }
+
+  const index = sorted.findIndex(slab => slab.upTo === null || slab.upTo === undefined || value <= slab.upTo);
+  if (index === -1) {
+    // Above the last closed slab: use the highest one
+    const last = sorted[sorted.length - 1];
+    return { amount: (last.amount || 0) + (value * (last.rate || 0)) / 100, slab: sorted.length - 1 };
+  }
+
+  const slab = sorted[index];
+  return { amount: (slab.amount || 0) + (value * (slab.rate || 0)) / 100, slab: index };
+};
+
+/**
+ * Compute the late fee for an overdue payment
+ * @param {Object} lateFee - Late fee rules
+ * @param {Number} amount - Fee amount before the late fee
+ * @param {Object} context - Evaluation context
+ * @returns {Object} { amount, daysLate, missing }
+ */
+const computeLateFee = (lateFee, amount, context) => {
+  const { value: dueDate, missing } = ruleEngine.evaluate(`date(${lateFee.dueDate})`, context);
+
+  if (ruleEngine.isUnknown(dueDate)) {
+    return { amount: 0, daysLate: 0, missing };
+  }
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const daysLate = Math.floor((today.getTime() - dueDate.getTime()) / (24 * 60 * 60 * 1000)) - (lateFee.graceDays || 0);
+
+  if (daysLate <= 0) {
+    return { amount: 0, daysLate: 0, missing: [] };
+  }
+
+  const monthsLate = Math.ceil(daysLate / 30);
+  let late = (lateFee.flatAmount || 0) +
+    (lateFee.perDay || 0) * daysLate +
+    (lateFee.perMonth || 0) * monthsLate +
+    (amount * (lateFee.percentPerMonth || 0) * monthsLate) / 100;
+
+  if (lateFee.maxAmount !== null && lateFee.maxAmount !== undefined) {
+    late = Math.min(late, lateFee.maxAmount);
+  }
+
+  return { amount: toPaise(late), daysLate, missing: [] };
+};
+
+/**
+ * Compute one fee for a profile
+ * Fees without a formula keep their fixed amount. Adjustments
+ * (variableFactors with a calculation) see the running fee as `amount`.
+ *
+ * @param {Object} fee - Fee subdocument
+ * @param {Object} context - Evaluation context (profile with derived fields)
+ * @returns {Object} { amount, components, missing: [fields] }
+ */
+const computeFee = (fee, context) => {
+  const formula = fee.formula || {};
+  const type = formula.type || 'fixed';
+  const missing = [];
+  const components = {};
+
+  let amount = fee.amount;
+
+  if (type === 'slab' || type === 'percentage') {
+    const basis = evaluateNumber(formula.basis, context);
+
+    if (basis.value === null) {
+      missing.push(...basis.missing);
+    } else if (type === 'slab') {
+      const { amount: slabAmount, slab } = lookupSlab(formula.slabs || [], basis.value, formula.slabMode);
+      amount = slabAmount;
+      components.basis = basis.value;
+      components.slab = slab;
+    } else {
+      amount = (basis.value * (formula.rate || 0)) / 100;
+      components.basis = basis.value;
+    }
+  } else if (type === 'expression') {
+    const result = evaluateNumber(formula.expression, { ...context, amount: fee.amount });
+    if (result.value === null) {
+      missing.push(...result.missing);
+    } else {
+      amount = result.value;
+    }
+  }
+
+  // Adjustments written as expressions over the running amount
+  (fee.variableFactors || []).forEach(factor => {
+    if (!factor.calculation) return;
+
+    const result = evaluateNumber(factor.calculation, { ...context, amount });
+    if (result.value === null) {
+      missing.push(...result.missing);
+    } else {
+      amount = result.value;
+    }
+  });
+
+  // Caps
+  if (formula.minAmount !== null && formula.minAmount !== undefined && amount < formula.minAmount) {
+    amount = formula.minAmount;
+    components.cappedAt = 'minimum';
+  }
+  if (formula.maxAmount !== null && formula.maxAmount !== undefined && amount > formula.maxAmount) {
+    amount = formula.maxAmount;
+    components.cappedAt = 'maximum';
+  }
+
+  amount = Math.max(0, toPaise(amount));
+  components.base = amount;
+
+  let total = amount;
+
+  if (formula.lateFee && formula.lateFee.dueDate) {
+    const late = computeLateFee(formula.lateFee, amount, context);
+    missing.push(...late.missing);
+    if (late.amount > 0) {
+      components.lateFee = late.amount;
+      components.daysLate = late.daysLate;
+      total += late.amount;
+    }
+  }
+
+  if (formula.taxes && formula.taxes.length > 0) {
+    components.taxes = formula.taxes.map(tax => ({
+      name: tax.name,
+      rate: tax.rate,
+      amount: toPaise((total * tax.rate) / 100)
+    }));
+    total += components.taxes.reduce((sum, tax) => sum + tax.amount, 0);
+  }
+
+  return {
+    amount: roundAmount(total, formula.rounding || 'none'),
+    components,
+    missing: [...new Set(missing)]
+  };
+};
+
+/**
+ * Check a fee's formula is well formed and its expressions parse
+ * @param {Object} fee - Fee subdocument
+ * @throws {Error} ExpressionError describing the first problem found
+ */
+const validateFormula = (fee) => {
+  const formula = fee.formula || {};
+  const fail = (message) => {
+    const error = new Error(message);
+    error.name = 'ExpressionError';
+    throw error;
+  };
+
+  if (formula.type && !FORMULA_TYPES.includes(formula.type)) {
+    fail(`Formula type must be one of: ${FORMULA_TYPES.join(', ')}`);
+  }
+  if ((formula.type === 'slab' || formula.type === 'percentage') && !formula.basis) {
+    fail(`A ${formula.type} formula needs a basis expression`);
+  }
+  if (formula.type === 'slab' && (!formula.slabs || formula.slabs.length === 0)) {
+    fail('A slab formula needs at least one slab');
+  }
+  if (formula.type === 'percentage' && (formula.rate === null || formula.rate === undefined)) {
+    fail('A percentage formula needs a rate');
+  }
+  if (formula.type === 'expression' && !formula.expression) {
+    fail('An expression formula needs an expression');
+  }
+
+  [formula.basis, formula.expression, formula.lateFee && formula.lateFee.dueDate]
+    .concat((fee.variableFactors || []).map(factor => factor.calculation))
+    .filter(Boolean)
+    .forEach(expression => ruleEngine.compile(expression));
+};
+
+module.exports = {
+  FORMULA_TYPES,
+  SLAB_MODES,
+  ROUNDING_MODES,
+  computeFee,
+  lookupSlab,
+  validateFormula
+};
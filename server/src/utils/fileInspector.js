@@ -0,0 +1,234 @@
+/**
+ * File inspection for SwarSeva uploads
+ * Identifies an uploaded file from its leading bytes rather than trusting the
+ * file name or the Content-Type sent by the client (documents, and the audio
+ * of voice reviews), reads the properties the
+ * document rules check (image dimensions, PDF signatures) and computes checksums.
+ */
+
+const crypto = require('crypto');
+
+// Magic numbers of the file types citizens upload
+const SIGNATURES = [
+  { extension: 'pdf', mimeType: 'application/pdf', matches: (data) => data.slice(0, 5).toString('latin1') === '%PDF-' },
+  { extension: 'jpg', mimeType: 'image/jpeg', matches: (data) => data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff },
+  {
+    extension: 'png',
+    mimeType: 'image/png',
+    matches: (data) => data.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  { extension: 'gif', mimeType: 'image/gif', matches: (data) => ['GIF87a', 'GIF89a'].includes(data.slice(0, 6).toString('latin1')) },
+  {
+    extension: 'webp',
+    mimeType: 'image/webp',
+    matches: (data) => data.slice(0, 4).toString('latin1') === 'RIFF' && data.slice(8, 12).toString('latin1') === 'WEBP'
+  },
+  {
+    extension: 'tiff',
+    mimeType: 'image/tiff',
+    matches: (data) => ['49492a00', '4d4d002a'].includes(data.slice(0, 4).toString('hex'))
+  }
+];
+
+// Magic numbers of the audio formats voice reviews are recorded in
+const AUDIO_SIGNATURES = [
+  {
+    extension: 'wav',
+    mimeType: 'audio/wav',
+    matches: (data) => data.slice(0, 4).toString('latin1') === 'RIFF' && data.slice(8, 12).toString('latin1') === 'WAVE'
+  },
+  { extension: 'ogg', mimeType: 'audio/ogg', matches: (data) => data.slice(0, 4).toString('latin1') === 'OggS' },
+  { extension: 'webm', mimeType: 'audio/webm', matches: (data) => data.slice(0, 4).toString('hex') === '1a45dfa3' },
+  {
+    extension: 'mp3',
+    mimeType: 'audio/mpeg',
+    // ID3 tag, or an MPEG audio frame sync
+    matches: (data) => data.slice(0, 3).toString('latin1') === 'ID3' || (data[0] === 0xff && (data[1] & 0xe0) === 0xe0)
+  },
+  { extension: 'm4a', mimeType: 'audio/mp4', matches: (data) => data.length >= 12 && data.slice(4, 8).toString('latin1') === 'ftyp' },
+  { extension: 'amr', mimeType: 'audio/amr', matches: (data) => data.slice(0, 5).toString('latin1') === '#!AMR' }
+];
+
+// Alternative spellings accepted in a requirement's allowedFileTypes
+const EXTENSION_ALIASES = {
+  jpeg: 'jpg',
+  tif: 'tiff'
+};
+
+/**
+ * Normalize a file extension or allowed type
+ * @param {String} value - e.g. ".JPEG", "jpeg" or "image/jpeg"
+ * @returns {String} Canonical extension, e.g. "jpg"
+ */
+const normalizeType = (value) => {
+  const type = String(value || '').trim().toLowerCase().replace(/^\./, '');
+  const byMime = SIGNATURES.find(signature => signature.mimeType === type);
+  if (byMime) return byMime.extension;
+  return EXTENSION_ALIASES[type] || type;
+};
+
+/**
+ * Identify a file from its contents
+ * @param {Buffer} data - File contents
+ * @returns {Object|null} { extension, mimeType } or null if the type is not recognised
+ */
+const sniffType = (data) => {
+  if (!Buffer.isBuffer(data) || data.length < 4) return null;
+
+  const signature = SIGNATURES.find(item => item.matches(data));
+  return signature ? { extension: signature.extension, mimeType: signature.mimeType } : null;
+};
+
+/**
+ * Identify an audio recording from its contents
+ * @param {Buffer} data - File contents
+ * @returns {Object|null} { extension, mimeType } or null if the format is not recognised
+ */
+const sniffAudioType = (data) => {
+  if (!Buffer.isBuffer(data) || data.length < 4) return null;
+
+  const signature = AUDIO_SIGNATURES.find(item => item.matches(data));
+  return signature ? { extension: signature.extension, mimeType: signature.mimeType } : null;
+};
+
+/**
+ * Check a detected type against a requirement's allowed types
+ * @param {String} extension - Detected extension
+ * @param {Array} allowedFileTypes - Allowed extensions or MIME types; empty allows any
+ * @returns {Boolean} True if allowed
+ */
+const isAllowedType = (extension, allowedFileTypes) => {
+  if (!allowedFileTypes || allowedFileTypes.length === 0) return true;
+  return allowedFileTypes.map(normalizeType).includes(normalizeType(extension));
+};
+
+// JPEG start-of-frame markers, which carry the image dimensions
+const JPEG_SOF_MARKERS = [0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf];
+
+/**
+ * Read the dimensions of a JPEG from its start-of-frame segment
+ * @param {Buffer} data - File contents
+ * @returns {Object|null} { width, height }
+ */
+const jpegDimensions = (data) => {
+  let offset = 2;
+
+  while (offset + 9 < data.length) {
+    if (data[offset] !== 0xff) return null;
+
+    const marker = data[offset + 1];
+
+    // Fill bytes and markers without a length field
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+      offset += 2;
+      continue;
+    }
+
+    if (JPEG_SOF_MARKERS.includes(marker)) {
+      return { width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+    }
+
+    offset += 2 + data.readUInt16BE(offset + 2);
+  }
+
+  return null;
+};
+
+/**
+ * Read the dimensions of a WebP from its first chunk
+ * @param {Buffer} data - File contents
+ * @returns {Object|null} { width, height }
+ */
+const webpDimensions = (data) => {
+  if (data.length < 30) return null;
+
+  switch (data.slice(12, 16).toString('latin1')) {
+  case 'VP8 ':
+    return { width: data.readUInt16LE(26) & 0x3fff, height: data.readUInt16LE(28) & 0x3fff };
+  case 'VP8L': {
+    const bits = data.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  case 'VP8X':
+    return { width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 };
+  default:
+    return null;
+  }
+};
+
+// Dimension readers by detected extension
+const DIMENSION_READERS = {
+  png: (data) => (data.length >= 24 ? { width: data.readUInt32BE(16), height: data.readUInt32BE(20) } : null),
+  gif: (data) => (data.length >= 10 ? { width: data.readUInt16LE(6), height: data.readUInt16LE(8) } : null),
+  jpg: jpegDimensions,
+  webp: webpDimensions
+};
+
+/**
+ * Read the pixel dimensions of an image
+ * @param {Buffer} data - File contents
+ * @param {String} extension - Detected extension
+ * @returns {Object|null} { width, height } or null if they cannot be read
+ */
+const imageDimensions = (data, extension) => {
+  const reader = DIMENSION_READERS[extension];
+  if (!reader) return null;
+
+  try {
+    const dimensions = reader(data);
+    return dimensions && dimensions.width > 0 && dimensions.height > 0 ? dimensions : null;
+  } catch (error) {
+    // Truncated or malformed header
+    return null;
+  }
+};
+
+/**
+ * Check whether a PDF contains a digital signature
+ * Looks for a signature dictionary with the byte range it signs. This shows a
+ * signature is present; validating it against the signer's certificate is left
+ * to the reviewing officer's tools.
+ *
+ * @param {Buffer} data - File contents
+ * @returns {Boolean} True if a signature is present
+ */
+const hasPdfSignature = (data) => {
+  const text = data.toString('latin1');
+  return /\/ByteRange\s*\[/.test(text) && /\/(Type|FT)\s*\/Sig\b/.test(text);
+};
+
+/**
+ * Read the properties the document rules check
+ * @param {Buffer} data - File contents
+ * @param {String} extension - Detected extension
+ * @returns {Object} { width, height } for images, { signed } for PDFs
+ */
+const inspect = (data, extension) => {
+  if (extension === 'pdf') {
+    return { signed: hasPdfSignature(data) };
+  }
+
+  return imageDimensions(data, extension) || {};
+};
+
+/**
+ * Compute the SHA-256 checksum of a file
+ * @param {Buffer} data - File contents
+ * @returns {String} Hex digest
+ */
+const checksum = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+module.exports = {
+  sniffType,
+  sniffAudioType,
+  isAllowedType,
+  normalizeType,
+  imageDimensions,
+  hasPdfSignature,
+  inspect,
+  checksum
+};
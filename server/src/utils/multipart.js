@@ -0,0 +1,157 @@
+/**
+ * Multipart form-data parser for SwarSeva
+ * Parses a fully buffered multipart/form-data body into fields and files.
+ * Uploads are small scanned documents, so the body is read into memory (with
+ * a size limit enforced by the upload middleware) rather than streamed.
+ */
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+// Limits that keep a malformed or hostile body cheap to reject
+const MAX_HEADER_BYTES = 2048;
+const MAX_FIELD_BYTES = 10 * 1024;
+const MAX_FIELDS = 50;
+
+// Keys that must never be set from form field names
+const FORBIDDEN_KEYS = ['__proto__', 'prototype', 'constructor'];
+
+/**
+ * Create an error for a malformed multipart body
+ * @param {String} message - Error message
+ * @returns {Error} Error named MultipartError
+ */
+const multipartError = (message) => {
+  const error = new Error(message);
+  error.name = 'MultipartError';
+  return error;
+};
+
+/**
+ * Read the boundary from a Content-Type header
+ * @param {String} contentType - Content-Type header value
+ * @returns {String} Boundary
+ */
+const getBoundary = (contentType = '') => {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+
+  if (!match) {
+    throw multipartError('Multipart boundary is missing');
+  }
+
+  return (match[1] || match[2]).trim();
+};
+
+/**
+ * Parse the headers of one part
+ * @param {String} text - Raw header block
+ * @returns {Object} { name, filename, contentType }
+ */
+const parsePartHeaders = (text) => {
+  const headers = {};
+
+  text.split('\r\n').forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+  });
+
+  const disposition = headers['content-disposition'] || '';
+  if (!/^form-data/i.test(disposition)) {
+    throw multipartError('Each part needs a form-data Content-Disposition header');
+  }
+
+  const name = /\bname="([^"]*)"/i.exec(disposition);
+  const filename = /\bfilename="([^"]*)"/i.exec(disposition);
+
+  if (!name || !name[1]) {
+    throw multipartError('Each part needs a field name');
+  }
+
+  return {
+    name: name[1],
+    // Browsers may send a full client path; only the base name is kept
+    filename: filename ? filename[1].split(/[\\/]/).pop() : undefined,
+    contentType: headers['content-type']
+  };
+};
+
+/**
+ * Parse a buffered multipart/form-data body
+ * @param {Buffer} body - Request body
+ * @param {String} contentType - Content-Type header value
+ * @param {Object} [options] - Parsing limits
+ * @param {Number} [options.maxFiles=1] - Maximum number of file parts
+ * @returns {Object} { fields, files: [{ fieldName, filename, declaredType, data, size }] }
+ */
+const parseMultipart = (body, contentType, { maxFiles = 1 } = {}) => {
+  if (!Buffer.isBuffer(body) || body.length === 0) {
+    throw multipartError('Upload body is empty');
+  }
+
+  const delimiter = Buffer.from(`--${getBoundary(contentType)}`);
+  const fields = {};
+  const files = [];
+
+  let position = body.indexOf(delimiter);
+  if (position === -1) {
+    throw multipartError('Multipart boundary not found in body');
+  }
+
+  while (true) {
+    position += delimiter.length;
+
+    // "--" after a delimiter closes the body
+    if (body.slice(position, position + 2).toString() === '--') break;
+
+    if (!body.slice(position, position + 2).equals(CRLF)) {
+      throw multipartError('Malformed multipart delimiter');
+    }
+    position += CRLF.length;
+
+    const headerEnd = body.indexOf(HEADER_END, position);
+    if (headerEnd === -1 || headerEnd - position > MAX_HEADER_BYTES) {
+      throw multipartError('Malformed part headers');
+    }
+
+    const part = parsePartHeaders(body.slice(position, headerEnd).toString('utf8'));
+    const dataStart = headerEnd + HEADER_END.length;
+    const dataEnd = body.indexOf(Buffer.concat([CRLF, delimiter]), dataStart);
+
+    if (dataEnd === -1) {
+      throw multipartError('Multipart body ended unexpectedly');
+    }
+
+    const data = body.slice(dataStart, dataEnd);
+
+    if (part.filename !== undefined) {
+      if (files.length >= maxFiles) {
+        throw multipartError(`No more than ${maxFiles} file(s) can be uploaded at once`);
+      }
+      files.push({
+        fieldName: part.name,
+        filename: part.filename,
+        declaredType: part.contentType,
+        data,
+        size: data.length
+      });
+    } else if (!FORBIDDEN_KEYS.includes(part.name)) {
+      if (data.length > MAX_FIELD_BYTES) {
+        throw multipartError(`Field '${part.name}' is too long`);
+      }
+      if (Object.keys(fields).length >= MAX_FIELDS) {
+        throw multipartError('Too many form fields');
+      }
+      fields[part.name] = data.toString('utf8');
+    }
+
+    position = dataEnd + CRLF.length;
+  }
+
+  return { fields, files };
+};
+
+module.exports = {
+  parseMultipart
+};
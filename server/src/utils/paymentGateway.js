@@ -0,0 +1,205 @@
+/**
+ * Payment gateway adapters for SwarSeva
+ * Every gateway is wrapped in an adapter with the same interface so the
+ * payment flow does not depend on a particular provider:
+ *
+ *   createOrder({ orderId, amount, currency, notes })
+ *     -> Promise<{ gatewayOrderId, checkout }>
+ *   verifyCallback(payload, signature) -> Boolean
+ *   parseCallback(payload)
+ *     -> { eventId, type, gatewayOrderId, gatewayPaymentId, gatewayRefundId, amount, currency, reason }
+ *   refund({ gatewayPaymentId, amount, reason })
+ *     -> Promise<{ gatewayRefundId, status: 'processed' | 'pending' }>
+ *
+ * Callback event types are payment.captured, payment.failed and
+ * refund.processed. Amounts are in rupees.
+ *
+ * The mock adapter runs entirely offline. It signs callbacks with an HMAC so
+ * the real verification path is exercised, and can simulate a payment. It is
+ * refused in production, and needs MOCK_GATEWAY_SECRET to be set.
+ */
+
+const crypto = require('crypto');
+
+// Callback event types understood by the payment flow
+const EVENT_TYPES = ['payment.captured', 'payment.failed', 'refund.processed'];
+
+/**
+ * Create an error for gateway failures
+ * @param {String} message - Error message
+ * @returns {Error} Error named PaymentGatewayError
+ */
+const gatewayError = (message) => {
+  const error = new Error(message);
+  error.name = 'PaymentGatewayError';
+  return error;
+};
+
+/**
+ * Sign a callback payload
+ * @param {Object} payload - Callback payload
+ * @param {String} secret - Shared secret
+ * @returns {String} Hex HMAC-SHA256 signature
+ */
+const signPayload = (payload, secret) => crypto
+  .createHmac('sha256', secret)
+  .update(JSON.stringify(payload))
+  .digest('hex');
+
+/**
+ * Compare two hex signatures in constant time
+ * @param {String} expected - Expected signature
+ * @param {String} received - Received signature
+ * @returns {Boolean} True if they match
+ */
+const signaturesMatch = (expected, received) => {
+  if (typeof received !== 'string' || received.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+/**
+ * Secret used by the mock gateway to sign callbacks
+ * @returns {String} Secret
+ * @throws {Error} PaymentGatewayError if MOCK_GATEWAY_SECRET is not set
+ */
+const getMockSecret = () => {
+  if (!process.env.MOCK_GATEWAY_SECRET) {
+    throw gatewayError('MOCK_GATEWAY_SECRET is not configured');
+  }
+  return process.env.MOCK_GATEWAY_SECRET;
+};
+
+/**
+ * Check whether the mock gateway may be used
+ * Anyone holding the mock secret could mark orders as paid, so it never runs in production
+ * @returns {Boolean} True outside production
+ */
+const isMockAllowed = () => process.env.NODE_ENV !== 'production';
+
+/**
+ * Local mock gateway
+ * Orders and refunds succeed immediately; payments are completed with
+ * simulatePayment, which returns a signed callback to feed into the
+ * callback handler exactly as a real gateway webhook would be
+ */
+const mockGateway = {
+  name: 'mock',
+
+  createOrder: async ({ orderId, amount, currency }) => ({
+    gatewayOrderId: `mock_order_${crypto.randomBytes(8).toString('hex')}`,
+    checkout: {
+      gateway: 'mock',
+      orderId,
+      amount,
+      currency,
+      // Nothing to redirect to offline; the client calls the simulate endpoint instead
+      instructions: 'Use the simulate endpoint to complete this payment'
+    }
+  }),
+
+  verifyCallback: (payload, signature) => signaturesMatch(signPayload(payload, getMockSecret()), signature),
+
+  parseCallback: (payload) => ({
+    eventId: payload.id,
+    type: payload.event,
+    gatewayOrderId: payload.data && payload.data.orderId,
+    gatewayPaymentId: payload.data && payload.data.paymentId,
+    gatewayRefundId: payload.data && payload.data.refundId,
+    amount: payload.data && payload.data.amount,
+    currency: payload.data && payload.data.currency,
+    reason: payload.data && payload.data.reason
+  }),
+
+  refund: async ({ gatewayPaymentId }) => {
+    if (!gatewayPaymentId) {
+      throw gatewayError('Cannot refund a payment that was never captured');
+    }
+    return {
+      gatewayRefundId: `mock_refund_${crypto.randomBytes(8).toString('hex')}`,
+      status: 'processed'
+    };
+  },
+
+  /**
+   * Build a signed callback for an order
+   * @param {Object} options - Simulation options
+   * @param {String} options.gatewayOrderId - Gateway order to pay
+   * @param {Number} options.amount - Amount paid
+   * @param {String} options.currency - Currency
+   * @param {String} options.outcome - success or failure
+   * @returns {Object} { payload, signature }
+   */
+  simulatePayment: ({ gatewayOrderId, amount, currency = 'INR', outcome = 'success' }) => {
+    const success = outcome === 'success';
+    const payload = {
+      id: `mock_evt_${crypto.randomBytes(8).toString('hex')}`,
+      event: success ? 'payment.captured' : 'payment.failed',
+      createdAt: new Date().toISOString(),
+      data: {
+        orderId: gatewayOrderId,
+        paymentId: `mock_pay_${crypto.randomBytes(8).toString('hex')}`,
+        amount,
+        currency,
+        reason: success ? undefined : 'Payment declined by mock gateway'
+      }
+    };
+
+    // Drop undefined fields so the signed JSON matches what the callback receives
+    const normalized = JSON.parse(JSON.stringify(payload));
+
+    return { payload: normalized, signature: signPayload(normalized, getMockSecret()) };
+  }
+};
+
+// Registered adapters by name
+const gateways = {
+  mock: mockGateway
+};
+
+// Names of the registered adapters; the same array is kept up to date so
+// validators built from it see adapters registered later
+const GATEWAY_NAMES = Object.keys(gateways);
+
+/**
+ * Register a gateway adapter
+ * @param {Object} adapter - Adapter implementing the interface above
+ */
+const registerGateway = (adapter) => {
+  ['name', 'createOrder', 'verifyCallback', 'parseCallback', 'refund'].forEach(key => {
+    if (!adapter || !adapter[key]) {
+      throw gatewayError(`Payment gateway adapter is missing '${key}'`);
+    }
+  });
+  gateways[adapter.name] = adapter;
+  if (!GATEWAY_NAMES.includes(adapter.name)) {
+    GATEWAY_NAMES.push(adapter.name);
+  }
+};
+
+/**
+ * Get a gateway adapter
+ * @param {String} [name] - Gateway name, defaults to PAYMENT_GATEWAY or mock
+ * @returns {Object} Gateway adapter
+ * @throws {Error} PaymentGatewayError if the gateway is unknown, or is the mock in production
+ */
+const getGateway = (name) => {
+  const gatewayName = name || process.env.PAYMENT_GATEWAY || 'mock';
+  const gateway = Object.prototype.hasOwnProperty.call(gateways, gatewayName)
+    ? gateways[gatewayName]
+    : null;
+
+  if (!gateway || (gateway === mockGateway && !isMockAllowed())) {
+    throw gatewayError(`Unknown payment gateway '${gatewayName}'`);
+  }
+
+  return gateway;
+};
+
+module.exports = {
+  EVENT_TYPES,
+  GATEWAY_NAMES,
+  getGateway,
+  isMockAllowed,
+  registerGateway,
+  signPayload
+};
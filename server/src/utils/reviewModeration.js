@@ -0,0 +1,200 @@
+/**
+ * Review moderation screening for SwarSeva
+ * Finds profanity and personal data (PII) in citizen feedback so it can be
+ * held for a moderator instead of being published. Every lexicon is checked
+ * against every review, because citizens often mix languages and scripts.
+ * Digits in Indic scripts are read as ASCII digits, so "९८७६५४३२१०" is
+ * caught as a phone number like "9876543210".
+ */
+
+const { isValidAadhaar } = require('./documentRules');
+
+// Abusive words by language; romanized forms are listed under the language they come from.
+// Romanized words only match exactly, so their inflections are listed too.
+const PROFANITY = {
+  en: [
+    'fuck', 'fucks', 'fucked', 'fucker', 'fuckers', 'fucking', 'motherfucker', 'motherfuckers',
+    'shit', 'shits', 'shitty', 'bullshit', 'bastard', 'bastards', 'bitch', 'bitches', 'asshole', 'assholes'
+  ],
+  hi: [
+    'चूतिया', 'मादरचोद', 'बहनचोद', 'भोसड़ी', 'गांडू', 'हरामी', 'रंडी', 'कमीना',
+    'chutiya', 'chutiye', 'madarchod', 'behenchod', 'bhenchod', 'bhosdike', 'bhosdi', 'gandu',
+    'harami', 'haramiyon', 'randi', 'randiyon', 'kamina', 'kamine', 'kaminey'
+  ],
+  mr: ['भडवा', 'झवाड्या', 'चुत्या', 'हरामखोर', 'bhadwa', 'bhadwe', 'zavadya', 'haramkhor'],
+  gu: ['ચુતિયા', 'ભોસડીના', 'હરામી', 'રાંડ', 'bhosdina'],
+  pa: ['ਭੈਣਚੋਦ', 'ਮਾਦਰਚੋਦ', 'ਹਰਾਮੀ', 'ਕੰਜਰ', 'kanjar'],
+  ta: ['தேவடியா', 'புண்டை', 'ஓத்த', 'பொறம்போக்கு', 'thevidiya', 'punda', 'otha'],
+  te: ['దెంగు', 'లంజ', 'లంజకొడుకు', 'dengu', 'lanja'],
+  kn: ['ಸೂಳೆ', 'ಬೋಳಿಮಗ', 'ಹಲ್ಕಟ್', 'soole', 'bolimaga'],
+  bn: ['খানকি', 'মাগি', 'চোদা', 'হারামি', 'শুয়োরের বাচ্চা', 'khanki', 'magi'],
+  ml: ['പൂറ്', 'മൈര്', 'തായോളി', 'പുലയാടി', 'myre', 'thayoli', 'pulayadi'],
+  or: ['ମାଗି', 'ବେଶ୍ୟା', 'ଗାଣ୍ଡୁ', 'ହାରାମି'],
+  as: ['বেশ্যা', 'হাৰামী', 'চুতীয়া', 'মাগী']
+};
+
+// Native-script words at least this long also match longer forms (inflections such as
+// "मादरचोदों"). Romanized words never do: short ones are the start of ordinary words,
+// e.g. "magi" of "magistrate" or "bitch" of "bitcoin".
+const MIN_PREFIX_LENGTH = 4;
+
+// Words written in the Latin alphabet, matched exactly
+const ROMANIZED = /^[a-z]+$/;
+
+// First code point of each Indic script's digits zero to nine
+const INDIC_DIGIT_ZEROS = [0x0966, 0x09e6, 0x0a66, 0x0ae6, 0x0b66, 0x0be6, 0x0c66, 0x0ce6, 0x0d66];
+
+// Personal data patterns; check() confirms a match where the pattern alone is too loose
+const PII_PATTERNS = [
+  {
+    category: 'aadhaar',
+    pattern: /(?<!\d)[2-9]\d{3}[\s-]?\d{4}[\s-]?\d{4}(?!\d)/g,
+    check: isValidAadhaar
+  },
+  {
+    category: 'phone',
+    pattern: /(?<![\d+])(?:(?:\+|00)?91[\s-]?|0)?[6-9]\d{4}[\s-]?\d{5}(?!\d)/g
+  },
+  {
+    category: 'email',
+    pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g
+  },
+  {
+    category: 'pan',
+    pattern: /(?<![A-Za-z0-9])[A-Za-z]{3}[ABCFGHLJPTabcfghljpt][A-Za-z]\d{4}[A-Za-z](?![A-Za-z0-9])/g
+  }
+];
+
+/**
+ * Replace Indic script digits with ASCII digits
+ * @param {String} text - Text to normalize
+ * @returns {String} Text with ASCII digits
+ */
+const normalizeDigits = (text) => text.replace(/[०-९০-৯੦-੯૦-૯୦-୯௦-௯౦-౯೦-೯൦-൯]/g, (digit) => {
+  const code = digit.codePointAt(0);
+  const zero = INDIC_DIGIT_ZEROS.find(start => code >= start && code <= start + 9);
+  return String(code - zero);
+});
+
+/**
+ * Split text into lower case words in any script
+ * @param {String} text - Text to split
+ * @returns {Array} Words
+ */
+const toWords = (text) => text.normalize('NFC').toLowerCase().split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean);
+
+/**
+ * Find the personal data in a text
+ * @param {String} text - Text to search
+ * @returns {Array} Matches as { category, start, end } in the digit-normalized text
+ */
+const findPii = (text) => {
+  const normalized = normalizeDigits(text);
+  const matches = [];
+
+  PII_PATTERNS.forEach(({ category, pattern, check }) => {
+    for (const match of normalized.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      const overlaps = matches.some(found => start < found.end && end > found.start);
+
+      if (!overlaps && (!check || check(match[0]))) {
+        matches.push({ category, start, end });
+      }
+    }
+  });
+
+  return matches;
+};
+
+/**
+ * Find the profanity in a text
+ * @param {String} text - Text to search
+ * @returns {Array} Languages whose lexicon matched, with a count each
+ */
+const findProfanity = (text) => {
+  const words = toWords(text);
+  const joined = ` ${words.join(' ')} `;
+  const found = [];
+
+  Object.entries(PROFANITY).forEach(([language, lexicon]) => {
+    const terms = lexicon.map(toWords);
+    const phrases = terms.filter(termWords => termWords.length > 1).map(termWords => ` ${termWords.join(' ')} `);
+    const singles = terms.filter(termWords => termWords.length === 1).map(([termWord]) => termWord);
+
+    // Each word counts once, however many terms it matches
+    let count = words.filter(word => singles.some(termWord =>
+      word === termWord ||
+      (!ROMANIZED.test(termWord) && [...termWord].length >= MIN_PREFIX_LENGTH && word.startsWith(termWord))
+    )).length;
+
+    phrases.forEach(phrase => {
+      count += joined.split(phrase).length - 1;
+    });
+
+    if (count > 0) {
+      found.push({ language, count });
+    }
+  });
+
+  return found;
+};
+
+/**
+ * Screen texts for profanity and personal data
+ * Flags record what was found, never the matched text itself
+ * @param {Array} texts - Texts to screen; empty values are skipped
+ * @returns {Array} Flags as { type: 'profanity'|'pii', category, count }
+ */
+const screenTexts = (texts) => {
+  const counts = new Map();
+  const add = (type, category, count) => {
+    const key = `${type}:${category}`;
+    counts.set(key, { type, category, count: ((counts.get(key) || {}).count || 0) + count });
+  };
+
+  texts.filter(Boolean).forEach(text => {
+    findPii(String(text)).forEach(match => add('pii', match.category, 1));
+    findProfanity(String(text)).forEach(match => add('profanity', match.language, match.count));
+  });
+
+  return [...counts.values()];
+};
+
+/**
+ * Replace the personal data in a text with a placeholder
+ * Indic digits outside the personal data are kept as written
+ * @param {String} text - Text to redact
+ * @returns {String} Redacted text
+ */
+const redactPii = (text) => {
+  if (!text) return text;
+
+  // Digit normalization keeps every character in place, so offsets carry over
+  return findPii(text)
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, match) => `${result.slice(0, match.start)}[${match.category} removed]${result.slice(match.end)}`, text);
+};
+
+/**
+ * Describe flags for moderation notes
+ * @param {Array} flags - Flags from screenTexts, plus any voice transcript flag
+ * @returns {String} e.g. "personal data (phone), profanity (hi)"
+ */
+const describeFlags = (flags) => {
+  const describe = (type, label) => {
+    const categories = flags.filter(flag => flag.type === type).map(flag => flag.category);
+    return categories.length > 0 ? `${label} (${categories.join(', ')})` : null;
+  };
+
+  const transcript = flags.some(flag => flag.type === 'transcript') ? 'low-confidence voice transcript' : null;
+
+  return [describe('pii', 'personal data'), describe('profanity', 'profanity'), transcript].filter(Boolean).join(', ');
+};
+
+module.exports = {
+  screenTexts,
+  redactPii,
+  describeFlags,
+  normalizeDigits
+};
@@ -0,0 +1,796 @@
+/**
+ * Rule expression engine for SwarSeva
+ * Parses and evaluates the small expression language used in service rules,
+ * e.g. "income / familySize < 50000 and address.state in ['MH', 'GA']".
+ * Expressions are parsed into a syntax tree and interpreted; nothing is ever
+ * passed to eval or the Function constructor.
+ *
+ * Missing profile fields evaluate to UNKNOWN, which propagates through
+ * arithmetic and uses three-valued logic in and/or/not, so a rule can report
+ * "not enough information" instead of failing.
+ */
+
+// Value of an expression that depends on missing data
+const UNKNOWN = Symbol('unknown');
+
+// Limits that keep stored expressions cheap to evaluate
+const MAX_EXPRESSION_LENGTH = 1000;
+const MAX_DEPTH = 32;
+
+// Parsed expressions are cached since the same rules run on every check
+const MAX_CACHE_SIZE = 500;
+const cache = new Map();
+
+// Property names that could reach object prototypes
+const FORBIDDEN_KEYS = ['__proto__', 'prototype', 'constructor'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Create an error for an invalid expression
+ * @param {String} message - Error message
+ * @param {Number} position - Character position in the expression
+ * @returns {Error} Error named ExpressionError
+ */
+const expressionError = (message, position) => {
+  const error = new Error(position !== undefined ? `${message} at position ${position}` : message);
+  error.name = 'ExpressionError';
+  return error;
+};
+
+/**
+ * Split an expression into tokens
+ * @param {String} source - Expression text
+ * @returns {Array} Tokens
+ */
+const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    // Numbers, with optional decimals
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1]))) {
+      const match = source.slice(i).match(/^[0-9]*\.?[0-9]+(?:[eE][-+]?[0-9]+)?/);
+      tokens.push({ type: 'number', value: Number(match[0]), position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    // Quoted strings
+    if (char === '"' || char === "'") {
+      let value = '';
+      let j = i + 1;
+      while (j < source.length && source[j] !== char) {
+        if (source[j] === '\\' && j + 1 < source.length) {
+          j++;
+        }
+        value += source[j];
+        j++;
+      }
+      if (j >= source.length) {
+        throw expressionError('Unterminated string', i);
+      }
+      tokens.push({ type: 'string', value, position: i });
+      i = j + 1;
+      continue;
+    }
+
+    // Identifiers, keywords and dotted field paths
+    if (/[A-Za-z_]/.test(char)) {
+      const match = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)*/);
+      tokens.push({ type: 'identifier', value: match[0], position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    const twoChars = source.slice(i, i + 2);
+    if (['<=', '>=', '==', '!=', '&&', '||'].includes(twoChars)) {
+      tokens.push({ type: 'operator', value: twoChars, position: i });
+      i += 2;
+      continue;
+    }
+
+    if ('+-*/%<>!(),[]'.includes(char)) {
+      tokens.push({ type: 'operator', value: char, position: i });
+      i++;
+      continue;
+    }
+
+    throw expressionError(`Unexpected character '${char}'`, i);
+  }
+
+  tokens.push({ type: 'end', position: source.length });
+  return tokens;
+};
+
+// Keyword forms of the logical operators
+const KEYWORD_OPERATORS = { and: '&&', or: '||', not: '!' };
+
+/**
+ * Recursive descent parser producing a syntax tree
+ * @param {String} source - Expression text
+ * @returns {Object} Syntax tree
+ */
+const parse = (source) => {
+  const tokens = tokenize(source);
+  let index = 0;
+  let depth = 0;
+
+  const peek = () => tokens[index];
+
+  const operatorOf = (token) => {
+    if (token.type === 'operator') return token.value;
+    if (token.type === 'identifier' && KEYWORD_OPERATORS[token.value]) return KEYWORD_OPERATORS[token.value];
+    if (token.type === 'identifier' && token.value === 'in') return 'in';
+    return null;
+  };
+
+  const expect = (value) => {
+    const token = tokens[index];
+    if (operatorOf(token) !== value) {
+      throw expressionError(`Expected '${value}'`, token.position);
+    }
+    index++;
+    return token;
+  };
+
+  const enter = () => {
+    depth++;
+    if (depth > MAX_DEPTH) {
+      throw expressionError('Expression is nested too deeply');
+    }
+  };
+
+  let parseOr;
+
+  const parsePrimary = () => {
+    const token = peek();
+
+    if (token.type === 'number' || token.type === 'string') {
+      index++;
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'identifier') {
+      index++;
+
+      if (token.value === 'true' || token.value === 'false') {
+        return { type: 'literal', value: token.value === 'true' };
+      }
+      if (token.value === 'null') {
+        return { type: 'literal', value: null };
+      }
+
+      // Function call
+      if (operatorOf(peek()) === '(') {
+        index++;
+        const args = [];
+        if (operatorOf(peek()) !== ')') {
+          args.push(parseOr());
+          while (operatorOf(peek()) === ',') {
+            index++;
+            args.push(parseOr());
+          }
+        }
+        expect(')');
+
+        if (!isFunction(token.value) && !SPECIAL_FORMS.includes(token.value)) {
+          throw expressionError(`Unknown function '${token.value}'`, token.position);
+        }
+
+        return { type: 'call', name: token.value, args };
+      }
+
+      const path = token.value.split('.');
+      if (path.some(key => FORBIDDEN_KEYS.includes(key))) {
+        throw expressionError(`Field '${token.value}' is not allowed`, token.position);
+      }
+
+      return { type: 'field', path };
+    }
+
+    if (operatorOf(token) === '(') {
+      index++;
+      enter();
+      const node = parseOr();
+      depth--;
+      expect(')');
+      return node;
+    }
+
+    if (operatorOf(token) === '[') {
+      index++;
+      const items = [];
+      if (operatorOf(peek()) !== ']') {
+        items.push(parseOr());
+        while (operatorOf(peek()) === ',') {
+          index++;
+          items.push(parseOr());
+        }
+      }
+      expect(']');
+      return { type: 'list', items };
+    }
+
+    throw expressionError('Unexpected token', token.position);
+  };
+
+  const parseUnary = () => {
+    if (operatorOf(peek()) === '-') {
+      index++;
+      enter();
+      const node = { type: 'negate', argument: parseUnary() };
+      depth--;
+      return node;
+    }
+    return parsePrimary();
+  };
+
+  const parseMultiplicative = () => {
+    let node = parseUnary();
+    while (['*', '/', '%'].includes(operatorOf(peek()))) {
+      const operator = operatorOf(peek());
+      index++;
+      node = { type: 'arithmetic', operator, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseAdditive = () => {
+    let node = parseMultiplicative();
+    while (['+', '-'].includes(operatorOf(peek()))) {
+      const operator = operatorOf(peek());
+      index++;
+      node = { type: 'arithmetic', operator, left: node, right: parseMultiplicative() };
+    }
+    return node;
+  };
+
+  const parseComparison = () => {
+    const left = parseAdditive();
+    const operator = operatorOf(peek());
+
+    if (['<', '<=', '>', '>=', '==', '!='].includes(operator) || operator === 'in') {
+      index++;
+      return { type: 'compare', operator, left, right: parseAdditive() };
+    }
+
+    // "x not in [...]"
+    if (operator === '!' && operatorOf(tokens[index + 1] || {}) === 'in') {
+      index += 2;
+      return { type: 'not', argument: { type: 'compare', operator: 'in', left, right: parseAdditive() } };
+    }
+
+    return left;
+  };
+
+  const parseNot = () => {
+    if (operatorOf(peek()) === '!') {
+      index++;
+      enter();
+      const node = { type: 'not', argument: parseNot() };
+      depth--;
+      return node;
+    }
+    return parseComparison();
+  };
+
+  const parseAnd = () => {
+    let node = parseNot();
+    while (operatorOf(peek()) === '&&') {
+      index++;
+      node = { type: 'logical', operator: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  };
+
+  parseOr = () => {
+    let node = parseAnd();
+    while (operatorOf(peek()) === '||') {
+      index++;
+      node = { type: 'logical', operator: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const tree = parseOr();
+
+  if (peek().type !== 'end') {
+    throw expressionError('Unexpected token', peek().position);
+  }
+
+  return tree;
+};
+
+/**
+ * Convert a value to a Date, or null if it is not a valid date
+ * @param {*} value - Date, timestamp or date string
+ * @returns {Date|null} Date
+ */
+const toDate = (value) => {
+  if (value === UNKNOWN || value === null || value === undefined || typeof value === 'boolean') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Whole months between two dates
+ * @param {Date} from - Start date
+ * @param {Date} to - End date
+ * @returns {Number} Completed months
+ */
+const monthsBetween = (from, to) => {
+  let months = (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth());
+  if (to.getDate() < from.getDate()) months--;
+  return months;
+};
+
+/**
+ * Add calendar months to a date
+ * @param {Date} date - Date
+ * @param {Number} months - Months to add
+ * @returns {Date} New date
+ */
+const addMonths = (date, months) => {
+  const result = new Date(date.getTime());
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+/**
+ * Wrap a function so any unknown or invalid date argument makes the result unknown
+ * @param {Function} fn - Implementation receiving Dates for the date arguments
+ * @param {Array} dateArgs - Indexes of arguments that must be dates
+ * @returns {Function} Wrapped function
+ */
+const withDates = (fn, dateArgs) => (...args) => {
+  const converted = [...args];
+  for (const i of dateArgs) {
+    converted[i] = toDate(args[i]);
+    if (!converted[i]) return UNKNOWN;
+  }
+  return fn(...converted);
+};
+
+/**
+ * Wrap a numeric function so any unknown or non-numeric argument makes the result unknown
+ * @param {Function} fn - Implementation
+ * @returns {Function} Wrapped function
+ */
+const numeric = (fn) => (...args) => {
+  if (args.some(arg => arg === UNKNOWN || arg === null || Number.isNaN(Number(arg)))) return UNKNOWN;
+  return fn(...args.map(Number));
+};
+
+// Functions callable from expressions
+const FUNCTIONS = {
+  today: () => {
+    const date = new Date();
+    date.setHours(0, 0, 0, 0);
+    return date;
+  },
+  now: () => new Date(),
+  date: withDates(date => date, [0]),
+  age: withDates(date => Math.floor(monthsBetween(date, new Date()) / 12), [0]),
+  yearsSince: withDates(date => Math.floor(monthsBetween(date, new Date()) / 12), [0]),
+  monthsSince: withDates(date => monthsBetween(date, new Date()), [0]),
+  daysSince: withDates(date => Math.floor((Date.now() - date.getTime()) / MS_PER_DAY), [0]),
+  daysBetween: withDates((from, to) => Math.floor((to.getTime() - from.getTime()) / MS_PER_DAY), [0, 1]),
+  addDays: withDates((date, days) => new Date(date.getTime() + Number(days) * MS_PER_DAY), [0]),
+  addMonths: withDates((date, months) => addMonths(date, Number(months)), [0]),
+  addYears: withDates((date, years) => addMonths(date, Number(years) * 12), [0]),
+  min: numeric((...values) => Math.min(...values)),
+  max: numeric((...values) => Math.max(...values)),
+  abs: numeric(Math.abs),
+  floor: numeric(Math.floor),
+  ceil: numeric(Math.ceil),
+  round: numeric((value, digits = 0) => {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+  }),
+  lower: (value) => (value === UNKNOWN ? UNKNOWN : String(value).toLowerCase()),
+  upper: (value) => (value === UNKNOWN ? UNKNOWN : String(value).toUpperCase()),
+  len: (value) => {
+    if (value === UNKNOWN) return UNKNOWN;
+    return Array.isArray(value) || typeof value === 'string' ? value.length : UNKNOWN;
+  }
+};
+
+// Functions that control how their own arguments are evaluated
+const SPECIAL_FORMS = ['exists', 'if', 'coalesce'];
+
+/**
+ * Check a name is one of the built-in functions
+ * Only own properties count, so names like toString or constructor are not callable
+ * @param {String} name - Function name
+ * @returns {Boolean} True if FUNCTIONS defines it
+ */
+const isFunction = (name) => Object.prototype.hasOwnProperty.call(FUNCTIONS, name);
+
+/**
+ * Look up a dotted field path in the evaluation context
+ * Only own properties of plain data are visible
+ *
+ * @param {Object} context - Evaluation context
+ * @param {Array} path - Field path segments
+ * @returns {*} Field value or UNKNOWN
+ */
+const lookup = (context, path) => {
+  let value = context;
+
+  for (const key of path) {
+    if (value === null || value === undefined || typeof value !== 'object' ||
+        !Object.prototype.hasOwnProperty.call(value, key)) {
+      return UNKNOWN;
+    }
+    value = value[key];
+  }
+
+  return value === null || value === undefined ? UNKNOWN : value;
+};
+
+/**
+ * Normalise a value for comparison (dates compare by time)
+ * @param {*} value - Value
+ * @returns {*} Comparable value
+ */
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+/**
+ * Compare two values
+ * @param {String} operator - Comparison operator
+ * @param {*} left - Left value
+ * @param {*} right - Right value
+ * @returns {Boolean|Symbol} Result or UNKNOWN
+ */
+const compare = (operator, left, right) => {
+  if (left === UNKNOWN || right === UNKNOWN) return UNKNOWN;
+
+  if (operator === 'in') {
+    if (!Array.isArray(right)) return UNKNOWN;
+    const needle = comparable(left);
+    return right.some(item => comparable(item) === needle ||
+      (typeof item === 'string' && typeof left === 'string' && item.toLowerCase() === left.toLowerCase()));
+  }
+
+  let a = comparable(left);
+  let b = comparable(right);
+
+  // Numeric strings compare as numbers against numbers
+  if (typeof a === 'number' && typeof b === 'string' && b.trim() !== '' && !Number.isNaN(Number(b))) b = Number(b);
+  if (typeof b === 'number' && typeof a === 'string' && a.trim() !== '' && !Number.isNaN(Number(a))) a = Number(a);
+
+  switch (operator) {
+    case '==': return a === b;
+    case '!=': return a !== b;
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+    default: return UNKNOWN;
+  }
+};
+
+/**
+ * Evaluate a syntax tree
+ * @param {Object} node - Syntax tree node
+ * @param {Object} context - Evaluation context
+ * @param {Set} missing - Collects field paths that were missing
+ * @returns {*} Value or UNKNOWN
+ */
+const evaluateNode = (node, context, missing) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'field': {
+      const value = lookup(context, node.path);
+      if (value === UNKNOWN) missing.add(node.path.join('.'));
+      return value;
+    }
+
+    case 'list':
+      return node.items.map(item => evaluateNode(item, context, missing));
+
+    case 'negate': {
+      const value = evaluateNode(node.argument, context, missing);
+      return value === UNKNOWN || Number.isNaN(Number(value)) ? UNKNOWN : -Number(value);
+    }
+
+    case 'arithmetic': {
+      const left = evaluateNode(node.left, context, missing);
+      const right = evaluateNode(node.right, context, missing);
+      if (left === UNKNOWN || right === UNKNOWN) return UNKNOWN;
+
+      // Adding to a date adds days
+      if (left instanceof Date && (node.operator === '+' || node.operator === '-')) {
+        const sign = node.operator === '+' ? 1 : -1;
+        return new Date(left.getTime() + sign * Number(right) * MS_PER_DAY);
+      }
+
+      if (node.operator === '+' && (typeof left === 'string' || typeof right === 'string')) {
+        return `${left}${right}`;
+      }
+
+      const a = Number(comparable(left));
+      const b = Number(comparable(right));
+      if (Number.isNaN(a) || Number.isNaN(b)) return UNKNOWN;
+
+      switch (node.operator) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/': return b === 0 ? UNKNOWN : a / b;
+        case '%': return b === 0 ? UNKNOWN : a % b;
+        default: return UNKNOWN;
+      }
+    }
+
+    case 'compare':
+      return compare(
+        node.operator,
+        evaluateNode(node.left, context, missing),
+        evaluateNode(node.right, context, missing)
+      );
+
+    case 'not': {
+      const value = evaluateNode(node.argument, context, missing);
+      return value === UNKNOWN ? UNKNOWN : !value;
+    }
+
+    case 'logical': {
+      const left = evaluateNode(node.left, context, missing);
+
+      // Short circuit only on a definite answer so every missing field is reported
+      if (node.operator === 'and' && left !== UNKNOWN && !left) return false;
+      if (node.operator === 'or' && left !== UNKNOWN && left) return true;
+
+      const right = evaluateNode(node.right, context, missing);
+
+      if (node.operator === 'and') {
+        if (right !== UNKNOWN && !right) return false;
+        return left === UNKNOWN || right === UNKNOWN ? UNKNOWN : true;
+      }
+
+      if (right !== UNKNOWN && right) return true;
+      return left === UNKNOWN || right === UNKNOWN ? UNKNOWN : false;
+    }
+
+    case 'call': {
+      if (node.name === 'exists') {
+        const value = evaluateNode(node.args[0], context, new Set());
+        return value !== UNKNOWN;
+      }
+
+      if (node.name === 'if') {
+        const condition = evaluateNode(node.args[0], context, missing);
+        if (condition === UNKNOWN) return UNKNOWN;
+        const branch = condition ? node.args[1] : node.args[2];
+        return branch ? evaluateNode(branch, context, missing) : null;
+      }
+
+      if (node.name === 'coalesce') {
+        for (const arg of node.args) {
+          const value = evaluateNode(arg, context, new Set());
+          if (value !== UNKNOWN) return value;
+        }
+        node.args.forEach(arg => evaluateNode(arg, context, missing));
+        return UNKNOWN;
+      }
+
+      if (!isFunction(node.name)) {
+        throw expressionError(`Unknown function '${node.name}'`);
+      }
+
+      const args = node.args.map(arg => evaluateNode(arg, context, missing));
+      return FUNCTIONS[node.name](...args);
+    }
+
+    default:
+      throw expressionError(`Unknown node type '${node.type}'`);
+  }
+};
+
+/**
+ * Parse an expression, using the cache when possible
+ * @param {String} expression - Expression text
+ * @returns {Object} Syntax tree
+ */
+const compile = (expression) => {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw expressionError('Expression must be a non-empty string');
+  }
+
+  if (expression.length > MAX_EXPRESSION_LENGTH) {
+    throw expressionError(`Expression cannot exceed ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+
+  if (cache.has(expression)) {
+    return cache.get(expression);
+  }
+
+  const tree = parse(expression);
+
+  if (cache.size >= MAX_CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(expression, tree);
+
+  return tree;
+};
+
+/**
+ * Collect the field paths an expression reads
+ * @param {String} expression - Expression text
+ * @returns {Array} Field paths
+ */
+const getFields = (expression) => {
+  const fields = new Set();
+
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (node.type === 'field') {
+      fields.add(node.path.join('.'));
+      return;
+    }
+    ['argument', 'left', 'right'].forEach(key => visit(node[key]));
+    (node.args || []).forEach(visit);
+    (node.items || []).forEach(visit);
+  };
+
+  visit(compile(expression));
+  return [...fields];
+};
+
+/**
+ * Evaluate an expression against a context
+ * @param {String} expression - Expression text
+ * @param {Object} context - Field values
+ * @returns {Object} Value (UNKNOWN when it depends on missing data) and missing field paths
+ */
+const evaluate = (expression, context = {}) => {
+  const missing = new Set();
+  const value = evaluateNode(compile(expression), context, missing);
+  return { value, missing: [...missing] };
+};
+
+/**
+ * Check whether a value is UNKNOWN
+ * @param {*} value - Value
+ * @returns {Boolean} True when the value depends on missing data
+ */
+const isUnknown = (value) => value === UNKNOWN;
+
+/**
+ * Evaluate derived fields in order and add them to a copy of the context
+ * Later fields may use earlier ones; unknown results are left out
+ *
+ * @param {Object} context - Field values
+ * @param {Array} derivedFields - [{ name, expression }]
+ * @returns {Object} Context with derived fields
+ */
+const applyDerivedFields = (context, derivedFields = []) => {
+  const result = { ...context };
+
+  derivedFields.forEach(field => {
+    if (!field || !field.name || !field.expression) return;
+    const { value } = evaluate(field.expression, result);
+    if (value !== UNKNOWN) {
+      result[field.name] = value;
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Evaluate a rule tree
+ * Nodes are { all: [...] }, { any: [...] }, { not: node } or
+ * { expression: '...' }, each with an optional multilingual name/description.
+ *
+ * @param {Object} rule - Rule node
+ * @param {Object} context - Field values
+ * @returns {Object} result (true, false or 'unknown'), failed rules and missing
+ * fields as [{ field, rule }] where rule is the leaf that needed the field
+ */
+const evaluateRule = (rule, context = {}) => {
+  if (!rule || typeof rule !== 'object') {
+    return { result: true, failed: [], missing: [] };
+  }
+
+  if (rule.expression !== undefined) {
+    const { value, missing } = evaluate(rule.expression, context);
+
+    if (value === UNKNOWN) {
+      return { result: 'unknown', failed: [], missing: missing.map(field => ({ field, rule })) };
+    }
+
+    return value
+      ? { result: true, failed: [], missing: [] }
+      : { result: false, failed: [rule], missing: [] };
+  }
+
+  if (rule.not) {
+    const inner = evaluateRule(rule.not, context);
+    if (inner.result === 'unknown') return inner;
+    return inner.result
+      ? { result: false, failed: [rule], missing: [] }
+      : { result: true, failed: [], missing: [] };
+  }
+
+  const children = rule.all || rule.any;
+  if (!Array.isArray(children)) {
+    throw expressionError('Rule must have an expression, all, any or not');
+  }
+
+  const results = children.map(child => evaluateRule(child, context));
+  const missing = results.flatMap(item => item.missing);
+
+  if (rule.all) {
+    const failed = results.filter(item => item.result === false);
+    if (failed.length > 0) {
+      return { result: false, failed: rule.name ? [rule] : failed.flatMap(item => item.failed), missing };
+    }
+    return { result: results.some(item => item.result === 'unknown') ? 'unknown' : true, failed: [], missing };
+  }
+
+  // any: one success is enough
+  if (results.some(item => item.result === true)) {
+    return { result: true, failed: [], missing: [] };
+  }
+  if (results.some(item => item.result === 'unknown')) {
+    return { result: 'unknown', failed: [], missing };
+  }
+  return { result: false, failed: rule.name ? [rule] : results.flatMap(item => item.failed), missing };
+};
+
+/**
+ * Check a rule tree is well formed and all its expressions parse
+ * @param {Object} rule - Rule node
+ * @param {Number} depth - Current nesting depth
+ * @throws {Error} ExpressionError describing the first problem found
+ */
+const validateRule = (rule, depth = 0) => {
+  if (depth > MAX_DEPTH) {
+    throw expressionError('Rule is nested too deeply');
+  }
+
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw expressionError('Rule must be an object');
+  }
+
+  const kinds = ['expression', 'all', 'any', 'not'].filter(key => rule[key] !== undefined);
+  if (kinds.length !== 1) {
+    throw expressionError('Rule must have exactly one of expression, all, any or not');
+  }
+
+  if (rule.expression !== undefined) {
+    compile(rule.expression);
+  } else if (rule.not !== undefined) {
+    validateRule(rule.not, depth + 1);
+  } else {
+    const children = rule.all || rule.any;
+    if (!Array.isArray(children) || children.length === 0) {
+      throw expressionError(`'${kinds[0]}' must be a non-empty list of rules`);
+    }
+    children.forEach(child => validateRule(child, depth + 1));
+  }
+};
+
+module.exports = {
+  UNKNOWN,
+  compile,
+  evaluate,
+  getFields,
+  isUnknown,
+  applyDerivedFields,
+  evaluateRule,
+  validateRule
+};
@@ -0,0 +1,613 @@
+/**
+ * Sentiment analysis for SwarSeva reviews
+ * Reviews are analyzed through an adapter so a hosted NLP service can replace
+ * the built-in analyzer without touching the review flow. An analyzer implements:
+ *
+ *   { name, version, analyze(text, { language }) -> Promise<{ score, category, aspects, keyPhrases }> }
+ *
+ * where score is -1 to 1, category is positive, negative, neutral or mixed,
+ * and aspects are [{ name, score }] using the review aspectRatings keys
+ * (ease, speed, staff, clarity, outcome).
+ *
+ * The built-in lexicon analyzer has word lists for all 12 review languages.
+ * English is always checked as well, since Indian language reviews often mix
+ * in English words. It handles negation ("not good", "अच्छा नहीं", and fused
+ * forms such as Kannada "ಚೆನ್ನಾಗಿಲ್ಲ"), intensifiers ("very", "बहुत"), and
+ * splits text into clauses at punctuation and at words like "but" so each
+ * aspect is scored on the clause that mentions it.
+ */
+
+// Word lists by language. negation says whether negators come 'before' the
+// word they negate (English) or 'after' it (Indian languages); negationSuffixes
+// negate the word they end. Aspect keys match the review aspectRatings keys.
+const LEXICONS = {
+  en: {
+    positive: [
+      'good', 'great', 'excellent', 'awesome', 'wonderful', 'fantastic', 'helpful', 'easy', 'easily', 'convenient',
+      'satisfied', 'smooth', 'quick', 'fast', 'efficient', 'polite', 'courteous', 'friendly', 'clear', 'simple',
+      'transparent', 'prompt', 'happy', 'thank', 'best', 'nice', 'appreciate', 'professional', 'responsive', 'hassle free'
+    ],
+    negative: [
+      'bad', 'poor', 'terrible', 'awful', 'horrible', 'difficult', 'complicated', 'unhelpful', 'dissatisfied', 'waste',
+      'slow', 'delay', 'rude', 'corrupt', 'bribe', 'confusing', 'unclear', 'useless', 'worst', 'pathetic',
+      'harass', 'frustrating', 'disappointed', 'problem', 'no response'
+    ],
+    negators: ['not', 'no', 'never', 'nothing', 'nobody', 'hardly', 'barely', 'neither', 'nor', 'without', 'cannot', 't'],
+    negation: 'before',
+    intensifiers: ['very', 'really', 'extremely', 'too', 'so', 'highly', 'absolutely', 'totally', 'quite', 'super'],
+    contrast: ['but', 'however', 'although', 'though', 'yet', 'whereas'],
+    aspects: {
+      ease: ['process', 'procedure', 'form', 'portal', 'website', 'app', 'online', 'easy', 'easily', 'difficult', 'complicated', 'simple', 'hassle', 'steps', 'apply', 'application'],
+      speed: ['time', 'fast', 'quick', 'slow', 'delay', 'days', 'weeks', 'months', 'hours', 'wait', 'queue', 'prompt', 'late', 'speed'],
+      staff: ['staff', 'officer', 'official', 'clerk', 'employee', 'behaviour', 'behavior', 'rude', 'polite', 'courteous', 'friendly', 'helpdesk', 'counter', 'bribe', 'corrupt'],
+      clarity: ['information', 'instructions', 'clear', 'unclear', 'confusing', 'explain', 'guidance', 'guideline', 'details', 'transparent', 'understand'],
+      outcome: ['result', 'outcome', 'certificate', 'received', 'issued', 'approved', 'rejected', 'done', 'solved', 'resolved', 'benefit', 'work', 'got']
+    }
+  },
+  hi: {
+    positive: [
+      'अच्छा', 'अच्छी', 'अच्छे', 'बढ़िया', 'उत्कृष्ट', 'शानदार', 'सहायक', 'आसान', 'सरल', 'संतुष्ट', 'धन्यवाद', 'शुक्रिया',
+      'तेज', 'तेज़', 'जल्द', 'मददगार', 'विनम्र', 'स्पष्ट', 'खुश', 'खुशी', 'सुविधाजनक', 'बेहतरीन',
+      'accha', 'achha', 'acha', 'badhiya', 'aasan', 'shukriya', 'dhanyavad'
+    ],
+    negative: [
+      'बुरा', 'बुरी', 'ख़राब', 'खराब', 'भयानक', 'मुश्किल', 'कठिन', 'जटिल', 'असंतुष्ट', 'बेकार', 'धीमा', 'धीमी', 'देर', 'देरी',
+      'रिश्वत', 'भ्रष्ट', 'परेशान', 'बदतमीज', 'लापरवाह', 'निराश', 'घटिया', 'बर्बाद', 'बकवास', 'समय की बर्बादी',
+      'bekar', 'bakwas', 'bura', 'kharab', 'pareshan'
+    ],
+    negators: ['नहीं', 'नही', 'न', 'ना', 'मत', 'बिना', 'nahi', 'nahin', 'na'],
+    negation: 'after',
+    intensifiers: ['बहुत', 'बेहद', 'काफी', 'काफ़ी', 'अत्यंत', 'बिल्कुल', 'एकदम', 'ज्यादा', 'ज़्यादा', 'bahut', 'bahot'],
+    contrast: ['लेकिन', 'मगर', 'परंतु', 'किंतु', 'lekin'],
+    aspects: {
+      ease: ['प्रक्रिया', 'फॉर्म', 'फार्म', 'पोर्टल', 'वेबसाइट', 'आवेदन', 'ऑनलाइन', 'आसान', 'सरल', 'मुश्किल', 'कठिन', 'जटिल'],
+      speed: ['समय', 'जल्द', 'देर', 'देरी', 'दिन', 'हफ्ते', 'महीने', 'इंतजार', 'इंतज़ार', 'लाइन', 'कतार', 'धीमा', 'धीमी', 'तेज', 'तेज़'],
+      staff: ['कर्मचारी', 'अधिकारी', 'बाबू', 'स्टाफ', 'क्लर्क', 'व्यवहार', 'बदतमीज', 'विनम्र', 'रिश्वत', 'भ्रष्ट'],
+      clarity: ['जानकारी', 'निर्देश', 'स्पष्ट', 'समझ', 'समझाया', 'मार्गदर्शन', 'सूचना', 'विवरण', 'पारदर्शी'],
+      outcome: ['प्रमाण', 'काम', 'परिणाम', 'नतीजा', 'मिला', 'मिली', 'मिले', 'लाभ', 'मंजूर', 'मंज़ूर', 'स्वीकृत', 'हल']
+    }
+  },
+  mr: {
+    positive: [
+      'चांगला', 'चांगली', 'चांगले', 'छान', 'उत्तम', 'सोपा', 'सोपी', 'सोपे', 'सुलभ', 'जलद', 'लवकर', 'समाधानी',
+      'धन्यवाद', 'मदत', 'उपयुक्त', 'नम्र', 'स्पष्ट', 'आनंद'
+    ],
+    negative: [
+      'वाईट', 'खराब', 'कठीण', 'अवघड', 'क्लिष्ट', 'उशीर', 'उशिरा', 'विलंब', 'असमाधानी', 'निरुपयोगी', 'भ्रष्ट', 'लाच',
+      'त्रास', 'निराश', 'बेकार', 'संथ'
+    ],
+    negators: ['नाही', 'नाहीत', 'नको', 'न', 'ना', 'नव्हता', 'नव्हती', 'नव्हते'],
+    negation: 'after',
+    intensifiers: ['खूप', 'फार', 'अतिशय', 'अत्यंत', 'एकदम', 'अगदी'],
+    contrast: ['पण', 'परंतु', 'मात्र', 'तरी'],
+    aspects: {
+      ease: ['प्रक्रिया', 'अर्ज', 'फॉर्म', 'पोर्टल', 'संकेतस्थळ', 'वेबसाइट', 'ऑनलाइन', 'सोपा', 'सोपी', 'सोपे', 'अवघड', 'कठीण'],
+      speed: ['वेळ', 'वेळेत', 'दिवस', 'आठवडे', 'महिने', 'लवकर', 'जलद', 'उशीर', 'उशिरा', 'विलंब', 'रांग', 'प्रतीक्षा', 'संथ'],
+      staff: ['कर्मचारी', 'अधिकारी', 'स्टाफ', 'वागणूक', 'वर्तन', 'नम्र', 'लाच', 'भ्रष्ट'],
+      clarity: ['माहिती', 'सूचना', 'स्पष्ट', 'मार्गदर्शन', 'समजावून', 'समजले', 'तपशील'],
+      outcome: ['प्रमाणपत्र', 'दाखला', 'काम', 'निकाल', 'परिणाम', 'मिळाल', 'मंजूर', 'लाभ']
+    }
+  },
+  gu: {
+    positive: [
+      'સારું', 'સારો', 'સારી', 'સરસ', 'ઉત્તમ', 'શ્રેષ્ઠ', 'સરળ', 'સહેલું', 'ઝડપી', 'જલ્દી', 'સંતુષ્ટ', 'આભાર',
+      'મદદરૂપ', 'નમ્ર', 'સ્પષ્ટ', 'ખુશ'
+    ],
+    negative: [
+      'ખરાબ', 'મુશ્કેલ', 'અઘરું', 'જટિલ', 'ધીમું', 'ધીમી', 'વિલંબ', 'મોડું', 'અસંતુષ્ટ', 'નકામું', 'ભ્રષ્ટ', 'લાંચ',
+      'હેરાન', 'નિરાશ', 'બેકાર'
+    ],
+    negators: ['નથી', 'નહીં', 'ના', 'ન', 'નહોતું', 'નહોતી', 'નહોતો', 'વગર'],
+    negation: 'after',
+    intensifiers: ['ખૂબ', 'બહુ', 'અત્યંત', 'એકદમ', 'ઘણું', 'ઘણી'],
+    contrast: ['પણ', 'પરંતુ', 'છતાં', 'જોકે'],
+    aspects: {
+      ease: ['પ્રક્રિયા', 'અરજી', 'ફોર્મ', 'પોર્ટલ', 'વેબસાઇટ', 'ઓનલાઇન', 'સરળ', 'સહેલું', 'મુશ્કેલ', 'અઘરું'],
+      speed: ['સમય', 'દિવસ', 'અઠવાડિયા', 'મહિના', 'જલ્દી', 'ઝડપી', 'વિલંબ', 'મોડું', 'ધીમું', 'રાહ', 'લાઇન'],
+      staff: ['કર્મચારી', 'અધિકારી', 'સ્ટાફ', 'વર્તન', 'નમ્ર', 'લાંચ', 'ભ્રષ્ટ'],
+      clarity: ['માહિતી', 'સૂચના', 'સ્પષ્ટ', 'માર્ગદર્શન', 'સમજાવ્યું', 'વિગત'],
+      outcome: ['પ્રમાણપત્ર', 'દાખલો', 'કામ', 'પરિણામ', 'મળ્યું', 'મળ્યો', 'મળી', 'મંજૂર', 'લાભ']
+    }
+  },
+  pa: {
+    positive: [
+      'ਵਧੀਆ', 'ਚੰਗਾ', 'ਚੰਗੀ', 'ਚੰਗੇ', 'ਸ਼ਾਨਦਾਰ', 'ਆਸਾਨ', 'ਸੌਖਾ', 'ਸੌਖੀ', 'ਤੇਜ਼', 'ਜਲਦੀ', 'ਸੰਤੁਸ਼ਟ', 'ਧੰਨਵਾਦ',
+      'ਮਦਦਗਾਰ', 'ਨਿਮਰ', 'ਸਪਸ਼ਟ', 'ਖੁਸ਼'
+    ],
+    negative: [
+      'ਮਾੜਾ', 'ਮਾੜੀ', 'ਖਰਾਬ', 'ਔਖਾ', 'ਔਖੀ', 'ਮੁਸ਼ਕਲ', 'ਗੁੰਝਲਦਾਰ', 'ਹੌਲੀ', 'ਦੇਰੀ', 'ਅਸੰਤੁਸ਼ਟ', 'ਬੇਕਾਰ', 'ਭ੍ਰਿਸ਼ਟ',
+      'ਰਿਸ਼ਵਤ', 'ਪਰੇਸ਼ਾਨ', 'ਨਿਰਾਸ਼'
+    ],
+    negators: ['ਨਹੀਂ', 'ਨਹੀ', 'ਨਾ', 'ਨ', 'ਬਿਨਾਂ'],
+    negation: 'after',
+    intensifiers: ['ਬਹੁਤ', 'ਬਿਲਕੁਲ', 'ਕਾਫ਼ੀ', 'ਬੇਹੱਦ'],
+    contrast: ['ਪਰ', 'ਲੇਕਿਨ', 'ਪਰੰਤੂ'],
+    aspects: {
+      ease: ['ਪ੍ਰਕਿਰਿਆ', 'ਫਾਰਮ', 'ਅਰਜ਼ੀ', 'ਪੋਰਟਲ', 'ਵੈੱਬਸਾਈਟ', 'ਆਸਾਨ', 'ਸੌਖਾ', 'ਔਖਾ', 'ਮੁਸ਼ਕਲ'],
+      speed: ['ਸਮਾਂ', 'ਸਮੇਂ', 'ਦਿਨ', 'ਹਫ਼ਤੇ', 'ਮਹੀਨੇ', 'ਜਲਦੀ', 'ਤੇਜ਼', 'ਦੇਰੀ', 'ਹੌਲੀ', 'ਉਡੀਕ', 'ਲਾਈਨ'],
+      staff: ['ਕਰਮਚਾਰੀ', 'ਅਧਿਕਾਰੀ', 'ਮੁਲਾਜ਼ਮ', 'ਸਟਾਫ', 'ਵਿਵਹਾਰ', 'ਨਿਮਰ', 'ਰਿਸ਼ਵਤ', 'ਭ੍ਰਿਸ਼ਟ'],
+      clarity: ['ਜਾਣਕਾਰੀ', 'ਹਦਾਇਤਾਂ', 'ਸਪਸ਼ਟ', 'ਸਮਝਾਇਆ', 'ਵੇਰਵੇ'],
+      outcome: ['ਸਰਟੀਫਿਕੇਟ', 'ਪ੍ਰਮਾਣ', 'ਕੰਮ', 'ਨਤੀਜਾ', 'ਮਿਲਿਆ', 'ਮਨਜ਼ੂਰ', 'ਲਾਭ']
+    }
+  },
+  ta: {
+    positive: [
+      'நல்ல', 'நன்று', 'நன்றாக', 'அருமை', 'சிறப்பு', 'சிறந்த', 'எளிது', 'எளிதாக', 'எளிமை', 'விரைவாக', 'வேகமாக',
+      'சீக்கிரம்', 'திருப்தி', 'நன்றி', 'உதவி', 'மரியாதை', 'தெளிவு', 'தெளிவாக', 'மகிழ்ச்சி'
+    ],
+    negative: [
+      'மோசம்', 'மோசமான', 'கஷ்டம்', 'கடினம்', 'சிக்கல்', 'தாமதம்', 'தாமதமாக', 'மெதுவாக', 'அதிருப்தி', 'பயனற்ற',
+      'வீண்', 'லஞ்சம்', 'ஊழல்', 'அலைக்கழிப்பு', 'ஏமாற்றம்'
+    ],
+    negators: ['இல்லை', 'இல்ல', 'அல்ல', 'வேண்டாம்', 'இன்றி'],
+    negationSuffixes: ['ல்லை'],
+    negation: 'after',
+    intensifiers: ['மிகவும்', 'ரொம்ப', 'மிக', 'நிறைய'],
+    contrast: ['ஆனால்', 'ஆனாலும்', 'இருந்தாலும்'],
+    aspects: {
+      ease: ['செயல்முறை', 'நடைமுறை', 'விண்ணப்ப', 'படிவம்', 'இணையதளம்', 'எளிது', 'எளிதாக', 'எளிமை', 'கஷ்டம்', 'கடினம்', 'சிக்கல்'],
+      speed: ['நேரம்', 'நாட்கள்', 'நாள்', 'வாரம்', 'மாதம்', 'விரைவாக', 'வேகமாக', 'சீக்கிரம்', 'தாமதம்', 'மெதுவாக', 'காத்திருப்பு', 'வரிசை'],
+      staff: ['ஊழியர்', 'அதிகாரி', 'பணியாளர்', 'அலுவலர்', 'நடத்தை', 'மரியாதை', 'லஞ்சம்', 'ஊழல்'],
+      clarity: ['தகவல்', 'வழிமுறை', 'விளக்கம்', 'தெளிவு', 'தெளிவாக', 'விவரம்', 'புரிந்தது'],
+      outcome: ['சான்றிதழ்', 'வேலை', 'முடிவு', 'கிடைத்த', 'ஒப்புதல்', 'பலன்', 'தீர்வு']
+    }
+  },
+  te: {
+    positive: [
+      'మంచి', 'బాగుంది', 'బాగా', 'బావుంది', 'అద్భుతం', 'చక్కగా', 'సులభం', 'సులభంగా', 'సులువు', 'త్వరగా', 'వేగంగా',
+      'సంతృప్తి', 'ధన్యవాదాలు', 'కృతజ్ఞతలు', 'సహాయం', 'మర్యాద', 'స్పష్టం', 'స్పష్టంగా', 'సంతోషం'
+    ],
+    negative: [
+      'చెడ్డ', 'చెడు', 'బాగోలేదు', 'దారుణం', 'కష్టం', 'కష్టంగా', 'క్లిష్టం', 'ఆలస్యం', 'నెమ్మదిగా', 'అసంతృప్తి',
+      'పనికిరాని', 'వృధా', 'లంచం', 'అవినీతి', 'ఇబ్బంది', 'నిరాశ'
+    ],
+    negators: ['లేదు', 'కాదు', 'లేవు', 'వద్దు', 'లేకుండా'],
+    negationSuffixes: ['లేదు', 'లేరు', 'లేవు', 'కాదు'],
+    negation: 'after',
+    intensifiers: ['చాలా', 'ఎంతో', 'మరీ'],
+    contrast: ['కానీ', 'అయితే', 'అయినా'],
+    aspects: {
+      ease: ['ప్రక్రియ', 'దరఖాస్తు', 'ఫారం', 'పోర్టల్', 'వెబ్సైట్', 'సులభం', 'సులువు', 'కష్టం', 'క్లిష్టం'],
+      speed: ['సమయం', 'రోజులు', 'రోజు', 'వారాలు', 'నెలలు', 'త్వరగా', 'వేగంగా', 'ఆలస్యం', 'నెమ్మదిగా', 'వేచి', 'క్యూ'],
+      staff: ['సిబ్బంది', 'అధికారి', 'ఉద్యోగ', 'ప్రవర్తన', 'మర్యాద', 'లంచం', 'అవినీతి'],
+      clarity: ['సమాచారం', 'సూచనలు', 'స్పష్టం', 'స్పష్టంగా', 'వివరాలు', 'వివరించారు', 'అర్థం'],
+      outcome: ['సర్టిఫికెట్', 'ధృవీకరణ', 'పని', 'ఫలితం', 'వచ్చింది', 'దొరికింది', 'మంజూరు', 'లబ్ధి', 'ప్రయోజనం']
+    }
+  },
+  kn: {
+    positive: [
+      'ಒಳ್ಳೆಯ', 'ಚೆನ್ನಾಗಿ', 'ಅದ್ಭುತ', 'ಉತ್ತಮ', 'ಸುಲಭ', 'ಸರಳ', 'ಬೇಗ', 'ತ್ವರಿತ', 'ವೇಗವಾಗಿ', 'ತೃಪ್ತಿ', 'ಧನ್ಯವಾದ',
+      'ಸಹಾಯ', 'ವಿನಯ', 'ಸ್ಪಷ್ಟ', 'ಸಂತೋಷ'
+    ],
+    negative: [
+      'ಕೆಟ್ಟ', 'ಕಷ್ಟ', 'ಕಠಿಣ', 'ಜಟಿಲ', 'ತಡ', 'ತಡವಾಗಿ', 'ವಿಳಂಬ', 'ನಿಧಾನ', 'ಅತೃಪ್ತಿ', 'ನಿಷ್ಪ್ರಯೋಜಕ', 'ವ್ಯರ್ಥ', 'ಲಂಚ',
+      'ಭ್ರಷ್ಟ', 'ತೊಂದರೆ', 'ನಿರಾಶೆ'
+    ],
+    negators: ['ಇಲ್ಲ', 'ಅಲ್ಲ', 'ಬೇಡ'],
+    negationSuffixes: ['ಲ್ಲ'],
+    negation: 'after',
+    intensifiers: ['ತುಂಬಾ', 'ತುಂಬ', 'ಬಹಳ', 'ಅತ್ಯಂತ'],
+    contrast: ['ಆದರೆ', 'ಆದರೂ', 'ಆದ್ರೆ'],
+    aspects: {
+      ease: ['ಪ್ರಕ್ರಿಯೆ', 'ಅರ್ಜಿ', 'ಫಾರ್ಮ್', 'ಪೋರ್ಟಲ್', 'ವೆಬ್ಸೈಟ್', 'ಸುಲಭ', 'ಸರಳ', 'ಕಷ್ಟ', 'ಕಠಿಣ', 'ಜಟಿಲ'],
+      speed: ['ಸಮಯ', 'ದಿನ', 'ದಿನಗಳು', 'ವಾರ', 'ತಿಂಗಳು', 'ಬೇಗ', 'ತ್ವರಿತ', 'ವೇಗ', 'ತಡ', 'ತಡವಾಗಿ', 'ವಿಳಂಬ', 'ನಿಧಾನ', 'ಸರತಿ'],
+      staff: ['ಸಿಬ್ಬಂದಿ', 'ಅಧಿಕಾರಿ', 'ನೌಕರ', 'ನಡವಳಿಕೆ', 'ವರ್ತನೆ', 'ವಿನಯ', 'ಲಂಚ', 'ಭ್ರಷ್ಟ'],
+      clarity: ['ಮಾಹಿತಿ', 'ಸೂಚನೆ', 'ಸ್ಪಷ್ಟ', 'ವಿವರ', 'ಮಾರ್ಗದರ್ಶನ', 'ಅರ್ಥ'],
+      outcome: ['ಪ್ರಮಾಣಪತ್ರ', 'ಕೆಲಸ', 'ಫಲಿತಾಂಶ', 'ಸಿಕ್ಕಿ', 'ಮಂಜೂರು', 'ಪ್ರಯೋಜನ', 'ಲಾಭ']
+    }
+  },
+  bn: {
+    positive: [
+      'ভালো', 'ভাল', 'চমৎকার', 'দারুণ', 'অসাধারণ', 'সহজ', 'দ্রুত', 'তাড়াতাড়ি', 'সন্তুষ্ট', 'ধন্যবাদ', 'সাহায্য',
+      'সহায়ক', 'ভদ্র', 'স্পষ্ট', 'খুশি', 'সুন্দর'
+    ],
+    negative: [
+      'খারাপ', 'বাজে', 'কঠিন', 'জটিল', 'দেরি', 'দেরী', 'ধীর', 'ধীরে', 'অসন্তুষ্ট', 'অকেজো', 'বৃথা', 'ঘুষ', 'দুর্নীতি',
+      'হয়রানি', 'হতাশ', 'ঝামেলা'
+    ],
+    negators: ['না', 'নয়', 'নেই', 'নি', 'নাই', 'ছাড়া'],
+    negation: 'after',
+    intensifiers: ['খুব', 'অনেক', 'অত্যন্ত', 'একদম', 'বেশ', 'ভীষণ'],
+    contrast: ['কিন্তু', 'তবে', 'যদিও', 'তবুও'],
+    aspects: {
+      ease: ['প্রক্রিয়া', 'আবেদন', 'ফর্ম', 'পোর্টাল', 'ওয়েবসাইট', 'অনলাইন', 'সহজ', 'কঠিন', 'জটিল'],
+      speed: ['সময়', 'দিন', 'সপ্তাহ', 'মাস', 'দ্রুত', 'তাড়াতাড়ি', 'দেরি', 'দেরী', 'ধীর', 'ধীরে', 'অপেক্ষা', 'লাইন'],
+      staff: ['কর্মচারী', 'কর্মী', 'অফিসার', 'আধিকারিক', 'কর্মকর্তা', 'ব্যবহার', 'আচরণ', 'ভদ্র', 'ঘুষ', 'দুর্নীতি'],
+      clarity: ['তথ্য', 'নির্দেশ', 'স্পষ্ট', 'বুঝিয়ে', 'বিস্তারিত', 'ব্যাখ্যা'],
+      outcome: ['সার্টিফিকেট', 'শংসাপত্র', 'প্রমাণপত্র', 'কাজ', 'ফল', 'ফলাফল', 'পেয়েছি', 'পেলাম', 'মঞ্জুর', 'সুবিধা']
+    }
+  },
+  ml: {
+    positive: [
+      'നല്ല', 'മികച്ച', 'ഗംഭീരം', 'എളുപ്പ', 'ലളിതം', 'വേഗം', 'വേഗത്തിൽ', 'പെട്ടെന്ന്', 'തൃപ്തി', 'സംതൃപ്തി', 'നന്ദി',
+      'സഹായം', 'മര്യാദ', 'വ്യക്ത', 'സന്തോഷം'
+    ],
+    negative: [
+      'മോശം', 'മോശമ', 'ബുദ്ധിമുട്ട്', 'പ്രയാസം', 'സങ്കീർണ്ണം', 'വൈകി', 'കാലതാമസം', 'താമസം', 'പതുക്കെ', 'അസംതൃപ്തി',
+      'ഉപയോഗശൂന്യം', 'പാഴ്', 'കൈക്കൂലി', 'അഴിമതി', 'നിരാശ'
+    ],
+    negators: ['ഇല്ല', 'അല്ല', 'വേണ്ട', 'ഇല്ലാതെ'],
+    negationSuffixes: ['ല്ല'],
+    negation: 'after',
+    intensifiers: ['വളരെ', 'വളരെയധികം', 'ഏറെ', 'തീർത്തും'],
+    contrast: ['പക്ഷേ', 'പക്ഷെ', 'എന്നാൽ', 'എങ്കിലും'],
+    aspects: {
+      ease: ['പ്രക്രിയ', 'നടപടിക്രമം', 'അപേക്ഷ', 'ഫോം', 'പോർട്ടൽ', 'വെബ്സൈറ്റ്', 'എളുപ്പ', 'ലളിതം', 'ബുദ്ധിമുട്ട്', 'പ്രയാസം', 'സങ്കീർണ്ണം'],
+      speed: ['സമയം', 'ദിവസം', 'ദിവസങ്ങൾ', 'ആഴ്ച', 'മാസം', 'വേഗം', 'വേഗത്തിൽ', 'പെട്ടെന്ന്', 'വൈകി', 'കാലതാമസം', 'താമസം', 'പതുക്കെ', 'കാത്തിരിപ്പ്', 'ക്യൂ'],
+      staff: ['ജീവനക്കാ', 'ഉദ്യോഗസ്ഥ', 'പെരുമാറ്റം', 'മര്യാദ', 'കൈക്കൂലി', 'അഴിമതി'],
+      clarity: ['വിവരം', 'വിവരങ്ങൾ', 'നിർദ്ദേശ', 'വ്യക്ത', 'വിശദീകരിച്ചു', 'വിശദാംശ', 'മാർഗ്ഗനിർദ്ദേശം'],
+      outcome: ['സർട്ടിഫിക്കറ്റ്', 'സാക്ഷ്യപത്രം', 'ജോലി', 'കാര്യം', 'ഫലം', 'കിട്ടി', 'ലഭിച്ചു', 'അനുമതി', 'ആനുകൂല്യം']
+    }
+  },
+  or: {
+    positive: [
+      'ଭଲ', 'ଉତ୍ତମ', 'ଚମତ୍କାର', 'ବଢ଼ିଆ', 'ସହଜ', 'ସରଳ', 'ଶୀଘ୍ର', 'ତୁରନ୍ତ', 'ସନ୍ତୁଷ୍ଟ', 'ଧନ୍ୟବାଦ', 'ସାହାଯ୍ୟ', 'ଭଦ୍ର',
+      'ସ୍ପଷ୍ଟ', 'ଖୁସି'
+    ],
+    negative: [
+      'ଖରାପ', 'କଠିନ', 'ଜଟିଳ', 'ବିଳମ୍ବ', 'ଡେରି', 'ଧୀର', 'ଅସନ୍ତୁଷ୍ଟ', 'ଅଦରକାରୀ', 'ବେକାର', 'ଲାଞ୍ଚ', 'ଦୁର୍ନୀତି', 'ହଇରାଣ',
+      'ନିରାଶ'
+    ],
+    negators: ['ନାହିଁ', 'ନୁହେଁ', 'ନା', 'ନ', 'ବିନା'],
+    negationSuffixes: ['ନାହିଁ'],
+    negation: 'after',
+    intensifiers: ['ବହୁତ', 'ଅତ୍ୟନ୍ତ', 'ଖୁବ୍', 'ବେଶ୍', 'ଏକଦମ'],
+    contrast: ['କିନ୍ତୁ', 'ତଥାପି', 'ଯଦିଓ'],
+    aspects: {
+      ease: ['ପ୍ରକ୍ରିୟା', 'ଆବେଦନ', 'ଫର୍ମ', 'ପୋର୍ଟାଲ', 'ୱେବସାଇଟ', 'ସହଜ', 'ସରଳ', 'କଠିନ', 'ଜଟିଳ'],
+      speed: ['ସମୟ', 'ଦିନ', 'ସପ୍ତାହ', 'ମାସ', 'ଶୀଘ୍ର', 'ତୁରନ୍ତ', 'ବିଳମ୍ବ', 'ଡେରି', 'ଧୀର', 'ଅପେକ୍ଷା', 'ଧାଡ଼ି'],
+      staff: ['କର୍ମଚାରୀ', 'ଅଧିକାରୀ', 'କର୍ମୀ', 'ବ୍ୟବହାର', 'ଆଚରଣ', 'ଭଦ୍ର', 'ଲାଞ୍ଚ', 'ଦୁର୍ନୀତି'],
+      clarity: ['ସୂଚନା', 'ତଥ୍ୟ', 'ନିର୍ଦ୍ଦେଶ', 'ସ୍ପଷ୍ଟ', 'ବୁଝାଇ', 'ବିବରଣୀ'],
+      outcome: ['ପ୍ରମାଣପତ୍ର', 'ସାର୍ଟିଫିକେଟ', 'କାମ', 'ଫଳାଫଳ', 'ଫଳ', 'ମିଳି', 'ମଞ୍ଜୁର', 'ସୁବିଧା']
+    }
+  },
+  as: {
+    positive: [
+      'ভাল', 'ভালকৈ', 'উত্তম', 'চমৎকাৰ', 'বঢ়িয়া', 'সহজ', 'সোনকালে', 'দ্ৰুত', 'সন্তুষ্ট', 'ধন্যবাদ', 'সহায়', 'ভদ্ৰ',
+      'স্পষ্ট', 'সুখী', 'আনন্দ'
+    ],
+    negative: [
+      'বেয়া', 'কঠিন', 'জটিল', 'পলম', 'লেহেমীয়া', 'অসন্তুষ্ট', 'অকামিলা', 'বৃথা', 'ঘোচ', 'দুৰ্নীতি', 'হাৰাশাস্তি', 'হতাশ',
+      'আমনি'
+    ],
+    negators: ['নাই', 'নহয়', 'নহ', 'না', 'বিনা'],
+    negation: 'after',
+    intensifiers: ['বৰ', 'অতি', 'অত্যন্ত', 'যথেষ্ট', 'বহুত'],
+    contrast: ['কিন্তু', 'তথাপি', 'যদিও'],
+    aspects: {
+      ease: ['প্ৰক্ৰিয়া', 'আবেদন', 'ফৰ্ম', 'পৰ্টেল', 'ৱেবছাইট', 'সহজ', 'কঠিন', 'জটিল'],
+      speed: ['সময়', 'দিন', 'সপ্তাহ', 'মাহ', 'সোনকালে', 'দ্ৰুত', 'পলম', 'লেহেমীয়া', 'অপেক্ষা', 'শাৰী'],
+      staff: ['কৰ্মচাৰী', 'বিষয়া', 'কৰ্মী', 'ব্যৱহাৰ', 'আচৰণ', 'ভদ্ৰ', 'ঘোচ', 'দুৰ্নীতি'],
+      clarity: ['তথ্য', 'নিৰ্দেশ', 'স্পষ্ট', 'বুজাই', 'বিৱৰণ', 'জানকাৰী'],
+      outcome: ['প্ৰমাণপত্ৰ', 'চাৰ্টিফিকেট', 'কাম', 'ফলাফল', 'পালোঁ', 'পাইছো', 'অনুমোদন', 'সুবিধা']
+    }
+  }
+};
+
+// Words at least this long also match longer forms ("delayed", "अच्छाई", "ಚೆನ್ನಾಗಿದೆ")
+const MIN_PREFIX_LENGTH = 4;
+
+// How many words away a negator still negates
+const NEGATION_WINDOW = 3;
+
+// "very good" counts more than "good"; "not good" counts less than "bad"
+const INTENSIFIER_WEIGHT = 1.5;
+const NEGATION_WEIGHT = 0.75;
+
+// Scores closer to zero than this are neutral, or mixed when both sides were found
+const CATEGORY_THRESHOLD = 0.25;
+
+// Words kept either side of a sentiment word in a key phrase
+const PHRASE_CONTEXT = 2;
+const MAX_KEY_PHRASES = 5;
+
+// Punctuation that ends a clause, including the Devanagari danda
+const CLAUSE_BREAK = /[.!?;:,\n।॥]+/;
+
+/**
+ * Create an error for analyzer failures
+ * @param {String} message - Error message
+ * @returns {Error} Error named SentimentError
+ */
+const sentimentError = (message) => {
+  const error = new Error(message);
+  error.name = 'SentimentError';
+  return error;
+};
+
+/**
+ * Split text into lower case words in any script
+ * Zero width joiners are dropped so Indic words written with them stay whole
+ * @param {String} text - Text to split
+ * @returns {Array} Words
+ */
+const toWords = (text) => text
+  .normalize('NFC')
+  .replace(/[\u200c\u200d]/g, '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{M}\p{N}]+/u)
+  .filter(Boolean);
+
+/**
+ * Check whether a word is a lexicon word or a longer form of it
+ * @param {String} word - Word from the text
+ * @param {String} termWord - Word from the lexicon
+ * @returns {Boolean} True if it matches
+ */
+const wordMatches = (word, termWord) =>
+  word === termWord || ([...termWord].length >= MIN_PREFIX_LENGTH && word.startsWith(termWord));
+
+/**
+ * Prepare a language's word lists for matching
+ * Longer terms come first so "no response" wins over "no" and "ಚೆನ್ನಾಗಿದೆ" over "ಚೆನ್ನಾಗಿ"
+ * @param {Object} lexicon - Entry of LEXICONS
+ * @returns {Object} Compiled lexicon
+ */
+const compileLexicon = (lexicon) => {
+  const byLength = (a, b) => b.words.length - a.words.length || b.words.join(' ').length - a.words.join(' ').length;
+  const toTerms = (list, fields) => list.map(term => ({ words: toWords(term), ...fields }));
+  const negators = new Set(lexicon.negators.flatMap(toWords));
+  const negationSuffixes = (lexicon.negationSuffixes || []).map(suffix => suffix.normalize('NFC'));
+
+  return {
+    terms: [
+      ...toTerms(lexicon.positive, { value: 1 }),
+      ...toTerms(lexicon.negative, { value: -1 })
+    ].sort(byLength),
+    aspects: Object.entries(lexicon.aspects)
+      .flatMap(([aspect, list]) => toTerms(list, { aspect }))
+      .sort(byLength),
+    negationSuffixes,
+    negation: lexicon.negation,
+    intensifiers: new Set(lexicon.intensifiers.flatMap(toWords)),
+    contrast: new Set(lexicon.contrast.flatMap(toWords)),
+    isNegator: (word) => negators.has(word) ||
+      negationSuffixes.some(suffix => word.length > suffix.length && word.endsWith(suffix))
+  };
+};
+
+// Compiled lexicons by language, built on first use
+const compiled = {};
+
+/**
+ * Get the compiled lexicon for a language
+ * @param {String} language - Language code
+ * @returns {Object} Compiled lexicon
+ */
+const getLexicon = (language) => {
+  if (!compiled[language]) {
+    compiled[language] = compileLexicon(LEXICONS[language]);
+  }
+  return compiled[language];
+};
+
+/**
+ * Find the lexicon term starting at a word
+ * @param {Array} words - Clause words
+ * @param {Number} index - Position to match at
+ * @param {Array} terms - Compiled terms, longest first
+ * @returns {Object|undefined} Matching term
+ */
+const findTerm = (words, index, terms) => terms.find(term =>
+  term.words.every((termWord, offset) => index + offset < words.length && wordMatches(words[index + offset], termWord))
+);
+
+/**
+ * Split text into clauses at punctuation and contrast words ("but", "लेकिन")
+ * @param {String} text - Text to split
+ * @param {Array} lexicons - Compiled lexicons in use
+ * @returns {Array} Clauses as arrays of words
+ */
+const toClauses = (text, lexicons) => text.split(CLAUSE_BREAK).flatMap(part => {
+  const clauses = [[]];
+
+  toWords(part).forEach(word => {
+    if (lexicons.some(lexicon => lexicon.contrast.has(word))) {
+      clauses.push([]);
+    } else {
+      clauses[clauses.length - 1].push(word);
+    }
+  });
+
+  return clauses.filter(clause => clause.length > 0);
+});
+
+/**
+ * Find and weigh the sentiment words in a clause
+ * @param {Array} words - Clause words
+ * @param {Array} lexicons - Compiled lexicons in use, the review language first
+ * @returns {Array} Hits as { start, end, value } where value is the signed weight
+ */
+const scoreClause = (words, lexicons) => {
+  const hits = [];
+  const taken = new Set();
+
+  lexicons.forEach(lexicon => {
+    for (let i = 0; i < words.length; i++) {
+      const term = taken.has(i) ? null : findTerm(words, i, lexicon.terms);
+
+      if (term) {
+        const end = i + term.words.length - 1;
+        for (let k = i; k <= end; k++) taken.add(k);
+        hits.push({ lexicon, start: i, end, value: term.value, termWord: term.words[term.words.length - 1] });
+        i = end;
+      }
+    }
+  });
+
+  // A negator in the direction its language puts them, before reaching another sentiment word
+  const negatedFrom = (hit, direction) => {
+    const step = direction === 'before' ? -1 : 1;
+    let index = direction === 'before' ? hit.start - 1 : hit.end + 1;
+
+    for (let distance = 0; distance < NEGATION_WINDOW && index >= 0 && index < words.length && !taken.has(index); distance++) {
+      const word = words[index];
+      if (lexicons.some(lexicon => lexicon.negation === direction && lexicon.isNegator(word))) {
+        return true;
+      }
+      index += step;
+    }
+
+    return false;
+  };
+
+  return hits.map(hit => {
+    const word = words[hit.end];
+    // Fused negation: "ಚೆನ್ನಾಗಿಲ್ಲ" is "ಚೆನ್ನಾಗಿ" (well) ending in "ಇಲ್ಲ" (not)
+    const suffixNegated = hit.lexicon.negationSuffixes.some(suffix =>
+      word.endsWith(suffix) && word.length >= hit.termWord.length + suffix.length
+    );
+    const negated = suffixNegated || negatedFrom(hit, 'before') || negatedFrom(hit, 'after');
+    const intensified = hit.start > 0 && lexicons.some(lexicon => lexicon.intensifiers.has(words[hit.start - 1]));
+
+    let value = hit.value;
+    if (intensified) value *= INTENSIFIER_WEIGHT;
+    if (negated) value *= -NEGATION_WEIGHT;
+
+    return { start: hit.start, end: hit.end, value };
+  });
+};
+
+/**
+ * Find the aspects a clause talks about
+ * @param {Array} words - Clause words
+ * @param {Array} lexicons - Compiled lexicons in use
+ * @returns {Set} Aspect names
+ */
+const findAspects = (words, lexicons) => {
+  const aspects = new Set();
+
+  lexicons.forEach(lexicon => {
+    words.forEach((word, index) => {
+      const term = findTerm(words, index, lexicon.aspects);
+      if (term) aspects.add(term.aspect);
+    });
+  });
+
+  return aspects;
+};
+
+/**
+ * Turn positive and negative weight into a score from -1 to 1
+ * @param {Number} positive - Total positive weight
+ * @param {Number} negative - Total negative weight
+ * @returns {Number} Score rounded to two decimals
+ */
+const toScore = (positive, negative) => {
+  const total = positive + negative;
+  return total > 0 ? Math.round(((positive - negative) / total) * 100) / 100 : 0;
+};
+
+/**
+ * Categorize a score
+ * @param {Number} score - Score from -1 to 1
+ * @param {Number} positive - Total positive weight
+ * @param {Number} negative - Total negative weight
+ * @returns {String} positive, negative, neutral or mixed
+ */
+const toCategory = (score, positive, negative) => {
+  if (score > CATEGORY_THRESHOLD) return 'positive';
+  if (score < -CATEGORY_THRESHOLD) return 'negative';
+  return positive > 0 && negative > 0 ? 'mixed' : 'neutral';
+};
+
+/**
+ * Built-in analyzer using the word lists above
+ */
+const lexiconAnalyzer = {
+  name: 'lexicon',
+  version: 1,
+
+  analyze: async (text, { language = 'en' } = {}) => {
+    const lexicons = [...new Set([language, 'en'])]
+      .filter(code => LEXICONS[code])
+      .map(getLexicon);
+
+    const totals = { positive: 0, negative: 0 };
+    const aspectTotals = {};
+    const keyPhrases = [];
+
+    toClauses(String(text || ''), lexicons).forEach(words => {
+      const hits = scoreClause(words, lexicons);
+      if (hits.length === 0) return;
+
+      const clause = { positive: 0, negative: 0 };
+      hits.forEach(hit => {
+        clause[hit.value > 0 ? 'positive' : 'negative'] += Math.abs(hit.value);
+
+        const phrase = words.slice(Math.max(0, hit.start - PHRASE_CONTEXT), hit.end + PHRASE_CONTEXT + 1).join(' ');
+        if (!keyPhrases.some(kept => kept.includes(phrase))) keyPhrases.push(phrase);
+      });
+
+      totals.positive += clause.positive;
+      totals.negative += clause.negative;
+
+      // Every aspect named in the clause takes the clause's sentiment
+      findAspects(words, lexicons).forEach(aspect => {
+        aspectTotals[aspect] = aspectTotals[aspect] || { positive: 0, negative: 0 };
+        aspectTotals[aspect].positive += clause.positive;
+        aspectTotals[aspect].negative += clause.negative;
+      });
+    });
+
+    const score = toScore(totals.positive, totals.negative);
+
+    return {
+      score,
+      category: toCategory(score, totals.positive, totals.negative),
+      aspects: Object.entries(aspectTotals).map(([name, aspect]) => ({
+        name,
+        score: toScore(aspect.positive, aspect.negative)
+      })),
+      keyPhrases: keyPhrases.slice(0, MAX_KEY_PHRASES)
+    };
+  }
+};
+
+// Registered analyzers by name
+const analyzers = {
+  lexicon: lexiconAnalyzer
+};
+
+/**
+ * Register an analyzer
+ * @param {Object} analyzer - Analyzer implementing the interface above
+ */
+const registerAnalyzer = (analyzer) => {
+  ['name', 'version', 'analyze'].forEach(key => {
+    if (!analyzer || !analyzer[key]) {
+      throw sentimentError(`Sentiment analyzer is missing '${key}'`);
+    }
+  });
+  analyzers[analyzer.name] = analyzer;
+};
+
+/**
+ * Get an analyzer
+ * @param {String} [name] - Analyzer name, defaults to SENTIMENT_ANALYZER or lexicon
+ * @returns {Object} Analyzer
+ */
+const getAnalyzer = (name) => {
+  const analyzerName = name || process.env.SENTIMENT_ANALYZER || 'lexicon';
+  const analyzer = analyzers[analyzerName];
+
+  if (!analyzer) {
+    throw sentimentError(`Unknown sentiment analyzer '${analyzerName}'`);
+  }
+
+  return analyzer;
+};
+
+/**
+ * Identify the analyzer and version that produced a result
+ * Stored with each review's sentiment so re-analysis can find stale results
+ * @param {Object} analyzer - Analyzer
+ * @returns {String} e.g. "lexicon@1"
+ */
+const analyzerId = (analyzer) => `${analyzer.name}@${analyzer.version}`;
+
+module.exports = {
+  getAnalyzer,
+  registerAnalyzer,
+  analyzerId
+};
@@ -0,0 +1,537 @@
+/**
+ * SSML rendering for SwarSeva
+ * Turns service details, eligibility results, fee breakdowns and status
+ * templates into spoken text for IVR and browser text-to-speech
+ */
+
+// BCP 47 locale used in xml:lang for each supported language
+const LOCALES = {
+  en: 'en-IN',
+  hi: 'hi-IN',
+  bn: 'bn-IN',
+  ta: 'ta-IN',
+  te: 'te-IN',
+  mr: 'mr-IN',
+  gu: 'gu-IN',
+  kn: 'kn-IN',
+  ml: 'ml-IN',
+  pa: 'pa-IN',
+  or: 'or-IN',
+  as: 'as-IN'
+};
+
+// Words used to read amounts in the Indian numbering system
+const NUMBER_WORDS = {
+  en: { thousand: 'thousand', lakh: 'lakh', crore: 'crore', rupees: 'rupees', paise: 'paise', and: 'and' },
+  hi: { thousand: 'हज़ार', lakh: 'लाख', crore: 'करोड़', rupees: 'रुपये', paise: 'पैसे', and: 'और' },
+  bn: { thousand: 'হাজার', lakh: 'লাখ', crore: 'কোটি', rupees: 'টাকা', paise: 'পয়সা', and: 'এবং' },
+  ta: { thousand: 'ஆயிரம்', lakh: 'லட்சம்', crore: 'கோடி', rupees: 'ரூபாய்', paise: 'பைசா', and: 'மற்றும்' },
+  te: { thousand: 'వేల', lakh: 'లక్షల', crore: 'కోట్ల', rupees: 'రూపాయలు', paise: 'పైసలు', and: 'మరియు' },
+  mr: { thousand: 'हजार', lakh: 'लाख', crore: 'कोटी', rupees: 'रुपये', paise: 'पैसे', and: 'आणि' },
+  gu: { thousand: 'હજાર', lakh: 'લાખ', crore: 'કરોડ', rupees: 'રૂપિયા', paise: 'પૈસા', and: 'અને' },
+  kn: { thousand: 'ಸಾವಿರ', lakh: 'ಲಕ್ಷ', crore: 'ಕೋಟಿ', rupees: 'ರೂಪಾಯಿ', paise: 'ಪೈಸೆ', and: 'ಮತ್ತು' },
+  ml: { thousand: 'ആയിരം', lakh: 'ലക്ഷം', crore: 'കോടി', rupees: 'രൂപ', paise: 'പൈസ', and: 'കൂടാതെ' },
+  pa: { thousand: 'ਹਜ਼ਾਰ', lakh: 'ਲੱਖ', crore: 'ਕਰੋੜ', rupees: 'ਰੁਪਏ', paise: 'ਪੈਸੇ', and: 'ਅਤੇ' },
+  or: { thousand: 'ହଜାର', lakh: 'ଲକ୍ଷ', crore: 'କୋଟି', rupees: 'ଟଙ୍କା', paise: 'ପଇସା', and: 'ଏବଂ' },
+  as: { thousand: 'হাজাৰ', lakh: 'লাখ', crore: 'কোটি', rupees: 'টকা', paise: 'পইচা', and: 'আৰু' }
+};
+
+// Sentence templates for each supported language
+const PHRASES = {
+  en: {
+    offeredBy: 'This service is offered by {department}.',
+    processingTime: 'Processing usually takes about {days} days.',
+    documents: 'Documents required: {count}.',
+    fee: 'Fee: {amount}.',
+    noFee: 'There is no fee for this service.',
+    eligible: 'You are eligible for {service}.',
+    notEligible: 'You are not eligible for {service}.',
+    eligibilityUnknown: 'We need more information to check your eligibility for {service}.',
+    criteriaNotMet: 'Criteria not met: {criteria}.',
+    missingInformation: 'Information needed: {fields}.',
+    totalFee: 'Total fee: {amount}.',
+    waived: '{fee} has been waived.',
+    waivedProvisional: '{fee} will be waived once your proof document is verified.',
+    contact: 'For help, call {phone}.'
+  },
+  hi: {
+    offeredBy: 'यह सेवा {department} द्वारा दी जाती है।',
+    processingTime: 'इसमें आम तौर पर लगभग {days} दिन लगते हैं।',
+    documents: 'आवश्यक दस्तावेज़: {count}।',
+    fee: 'शुल्क: {amount}।',
+    noFee: 'इस सेवा के लिए कोई शुल्क नहीं है।',
+    eligible: 'आप {service} के लिए पात्र हैं।',
+    notEligible: 'आप {service} के लिए पात्र नहीं हैं।',
+    eligibilityUnknown: '{service} के लिए आपकी पात्रता जाँचने के लिए और जानकारी चाहिए।',
+    criteriaNotMet: 'ये शर्तें पूरी नहीं हुईं: {criteria}।',
+    missingInformation: 'आवश्यक जानकारी: {fields}।',
+    totalFee: 'कुल शुल्क: {amount}।',
+    waived: '{fee} माफ़ कर दिया गया है।',
+    waivedProvisional: 'आपके प्रमाण दस्तावेज़ के सत्यापन के बाद {fee} माफ़ किया जाएगा।',
+    contact: 'सहायता के लिए {phone} पर कॉल करें।'
+  },
+  bn: {
+    offeredBy: 'এই পরিষেবাটি {department} দ্বারা প্রদান করা হয়।',
+    processingTime: 'সাধারণত প্রায় {days} দিন সময় লাগে।',
+    documents: 'প্রয়োজনীয় নথি: {count}।',
+    fee: 'ফি: {amount}।',
+    noFee: 'এই পরিষেবার জন্য কোনো ফি নেই।',
+    eligible: 'আপনি {service} এর জন্য যোগ্য।',
+    notEligible: 'আপনি {service} এর জন্য যোগ্য নন।',
+    eligibilityUnknown: '{service} এর জন্য আপনার যোগ্যতা যাচাই করতে আরও তথ্য প্রয়োজন।',
+    criteriaNotMet: 'এই শর্তগুলি পূরণ হয়নি: {criteria}।',
+    missingInformation: 'প্রয়োজনীয় তথ্য: {fields}।',
+    totalFee: 'মোট ফি: {amount}।',
+    waived: '{fee} মকুব করা হয়েছে।',
+    waivedProvisional: 'আপনার প্রমাণপত্র যাচাই হলে {fee} মকুব করা হবে।',
+    contact: 'সাহায্যের জন্য {phone} নম্বরে কল করুন।'
+  },
+  ta: {
+    offeredBy: 'இந்த சேவையை {department} வழங்குகிறது.',
+    processingTime: 'பொதுவாக சுமார் {days} நாட்கள் ஆகும்.',
+    documents: 'தேவையான ஆவணங்கள்: {count}.',
+    fee: 'கட்டணம்: {amount}.',
+    noFee: 'இந்த சேவைக்கு கட்டணம் இல்லை.',
+    eligible: 'நீங்கள் {service} பெற தகுதியானவர்.',
+    notEligible: 'நீங்கள் {service} பெற தகுதியற்றவர்.',
+    eligibilityUnknown: '{service} க்கான உங்கள் தகுதியை சரிபார்க்க மேலும் தகவல் தேவை.',
+    criteriaNotMet: 'பூர்த்தி செய்யப்படாத நிபந்தனைகள்: {criteria}.',
+    missingInformation: 'தேவையான தகவல்: {fields}.',
+    totalFee: 'மொத்த கட்டணம்: {amount}.',
+    waived: '{fee} தள்ளுபடி செய்யப்பட்டது.',
+    waivedProvisional: 'உங்கள் ஆதார ஆவணம் சரிபார்க்கப்பட்டதும் {fee} தள்ளுபடி செய்யப்படும்.',
+    contact: 'உதவிக்கு {phone} என்ற எண்ணை அழைக்கவும்.'
+  },
+  te: {
+    offeredBy: 'ఈ సేవను {department} అందిస్తుంది.',
+    processingTime: 'సాధారణంగా సుమారు {days} రోజులు పడుతుంది.',
+    documents: 'అవసరమైన పత్రాలు: {count}.',
+    fee: 'రుసుము: {amount}.',
+    noFee: 'ఈ సేవకు ఎలాంటి రుసుము లేదు.',
+    eligible: 'మీరు {service} కు అర్హులు.',
+    notEligible: 'మీరు {service} కు అర్హులు కారు.',
+    eligibilityUnknown: '{service} కు మీ అర్హతను తనిఖీ చేయడానికి మరింత సమాచారం అవసరం.',
+    criteriaNotMet: 'నెరవేరని నిబంధనలు: {criteria}.',
+    missingInformation: 'అవసరమైన సమాచారం: {fields}.',
+    totalFee: 'మొత్తం రుసుము: {amount}.',
+    waived: '{fee} మినహాయించబడింది.',
+    waivedProvisional: 'మీ రుజువు పత్రం ధృవీకరించబడిన తర్వాత {fee} మినహాయించబడుతుంది.',
+    contact: 'సహాయం కోసం {phone} కు కాల్ చేయండి.'
+  },
+  mr: {
+    offeredBy: 'ही सेवा {department} द्वारे दिली जाते.',
+    processingTime: 'साधारणपणे सुमारे {days} दिवस लागतात.',
+    documents: 'आवश्यक कागदपत्रे: {count}.',
+    fee: 'शुल्क: {amount}.',
+    noFee: 'या सेवेसाठी कोणतेही शुल्क नाही.',
+    eligible: 'तुम्ही {service} साठी पात्र आहात.',
+    notEligible: 'तुम्ही {service} साठी पात्र नाही.',
+    eligibilityUnknown: '{service} साठी तुमची पात्रता तपासण्यासाठी अधिक माहिती आवश्यक आहे.',
+    criteriaNotMet: 'या अटी पूर्ण झाल्या नाहीत: {criteria}.',
+    missingInformation: 'आवश्यक माहिती: {fields}.',
+    totalFee: 'एकूण शुल्क: {amount}.',
+    waived: '{fee} माफ करण्यात आले आहे.',
+    waivedProvisional: 'तुमचा पुरावा दस्तऐवज पडताळल्यानंतर {fee} माफ केले जाईल.',
+    contact: 'मदतीसाठी {phone} वर कॉल करा.'
+  },
+  gu: {
+    offeredBy: 'આ સેવા {department} દ્વારા આપવામાં આવે છે.',
+    processingTime: 'સામાન્ય રીતે લગભગ {days} દિવસ લાગે છે.',
+    documents: 'જરૂરી દસ્તાવેજો: {count}.',
+    fee: 'ફી: {amount}.',
+    noFee: 'આ સેવા માટે કોઈ ફી નથી.',
+    eligible: 'તમે {service} માટે પાત્ર છો.',
+    notEligible: 'તમે {service} માટે પાત્ર નથી.',
+    eligibilityUnknown: '{service} માટે તમારી પાત્રતા તપાસવા વધુ માહિતી જરૂરી છે.',
+    criteriaNotMet: 'આ શરતો પૂરી થઈ નથી: {criteria}.',
+    missingInformation: 'જરૂરી માહિતી: {fields}.',
+    totalFee: 'કુલ ફી: {amount}.',
+    waived: '{fee} માફ કરવામાં આવી છે.',
+    waivedProvisional: 'તમારો પુરાવા દસ્તાવેજ ચકાસાયા પછી {fee} માફ કરવામાં આવશે.',
+    contact: 'મદદ માટે {phone} પર કૉલ કરો.'
+  },
+  kn: {
+    offeredBy: 'ಈ ಸೇವೆಯನ್ನು {department} ಒದಗಿಸುತ್ತದೆ.',
+    processingTime: 'ಸಾಮಾನ್ಯವಾಗಿ ಸುಮಾರು {days} ದಿನಗಳು ಬೇಕಾಗುತ್ತದೆ.',
+    documents: 'ಅಗತ್ಯವಿರುವ ದಾಖಲೆಗಳು: {count}.',
+    fee: 'ಶುಲ್ಕ: {amount}.',
+    noFee: 'ಈ ಸೇವೆಗೆ ಯಾವುದೇ ಶುಲ್ಕವಿಲ್ಲ.',
+    eligible: 'ನೀವು {service} ಗೆ ಅರ್ಹರು.',
+    notEligible: 'ನೀವು {service} ಗೆ ಅರ್ಹರಲ್ಲ.',
+    eligibilityUnknown: '{service} ಗೆ ನಿಮ್ಮ ಅರ್ಹತೆ ಪರಿಶೀಲಿಸಲು ಹೆಚ್ಚಿನ ಮಾಹಿತಿ ಬೇಕು.',
+    criteriaNotMet: 'ಪೂರೈಸದ ಷರತ್ತುಗಳು: {criteria}.',
+    missingInformation: 'ಅಗತ್ಯ ಮಾಹಿತಿ: {fields}.',
+    totalFee: 'ಒಟ್ಟು ಶುಲ್ಕ: {amount}.',
+    waived: '{fee} ಮನ್ನಾ ಮಾಡಲಾಗಿದೆ.',
+    waivedProvisional: 'ನಿಮ್ಮ ಪುರಾವೆ ದಾಖಲೆ ಪರಿಶೀಲಿಸಿದ ನಂತರ {fee} ಮನ್ನಾ ಮಾಡಲಾಗುವುದು.',
+    contact: 'ಸಹಾಯಕ್ಕಾಗಿ {phone} ಗೆ ಕರೆ ಮಾಡಿ.'
+  },
+  ml: {
+    offeredBy: 'ഈ സേവനം നൽകുന്നത് {department} ആണ്.',
+    processingTime: 'സാധാരണയായി ഏകദേശം {days} ദിവസം എടുക്കും.',
+    documents: 'ആവശ്യമായ രേഖകൾ: {count}.',
+    fee: 'ഫീസ്: {amount}.',
+    noFee: 'ഈ സേവനത്തിന് ഫീസ് ഇല്ല.',
+    eligible: 'നിങ്ങൾ {service} ന് അർഹരാണ്.',
+    notEligible: 'നിങ്ങൾ {service} ന് അർഹരല്ല.',
+    eligibilityUnknown: '{service} നുള്ള നിങ്ങളുടെ യോഗ്യത പരിശോധിക്കാൻ കൂടുതൽ വിവരങ്ങൾ വേണം.',
+    criteriaNotMet: 'പാലിക്കാത്ത നിബന്ധനകൾ: {criteria}.',
+    missingInformation: 'ആവശ്യമായ വിവരങ്ങൾ: {fields}.',
+    totalFee: 'ആകെ ഫീസ്: {amount}.',
+    waived: '{fee} ഒഴിവാക്കിയിരിക്കുന്നു.',
+    waivedProvisional: 'നിങ്ങളുടെ തെളിവ് രേഖ പരിശോധിച്ച ശേഷം {fee} ഒഴിവാക്കും.',
+    contact: 'സഹായത്തിന് {phone} ൽ വിളിക്കുക.'
+  },
+  pa: {
+    offeredBy: 'ਇਹ ਸੇਵਾ {department} ਵੱਲੋਂ ਦਿੱਤੀ ਜਾਂਦੀ ਹੈ।',
+    processingTime: 'ਆਮ ਤੌਰ ਤੇ ਲਗਭਗ {days} ਦਿਨ ਲੱਗਦੇ ਹਨ।',
+    documents: 'ਲੋੜੀਂਦੇ ਦਸਤਾਵੇਜ਼: {count}।',
+    fee: 'ਫੀਸ: {amount}।',
+    noFee: 'ਇਸ ਸੇਵਾ ਲਈ ਕੋਈ ਫੀਸ ਨਹੀਂ ਹੈ।',
+    eligible: 'ਤੁਸੀਂ {service} ਲਈ ਯੋਗ ਹੋ।',
+    notEligible: 'ਤੁਸੀਂ {service} ਲਈ ਯੋਗ ਨਹੀਂ ਹੋ।',
+    eligibilityUnknown: '{service} ਲਈ ਤੁਹਾਡੀ ਯੋਗਤਾ ਜਾਂਚਣ ਲਈ ਹੋਰ ਜਾਣਕਾਰੀ ਚਾਹੀਦੀ ਹੈ।',
+    criteriaNotMet: 'ਇਹ ਸ਼ਰਤਾਂ ਪੂਰੀਆਂ ਨਹੀਂ ਹੋਈਆਂ: {criteria}।',
+    missingInformation: 'ਲੋੜੀਂਦੀ ਜਾਣਕਾਰੀ: {fields}।',
+    totalFee: 'ਕੁੱਲ ਫੀਸ: {amount}।',
+    waived: '{fee} ਮੁਆਫ਼ ਕਰ ਦਿੱਤੀ ਗਈ ਹੈ।',
+    waivedProvisional: 'ਤੁਹਾਡੇ ਸਬੂਤ ਦਸਤਾਵੇਜ਼ ਦੀ ਪੁਸ਼ਟੀ ਤੋਂ ਬਾਅਦ {fee} ਮੁਆਫ਼ ਕੀਤੀ ਜਾਵੇਗੀ।',
+    contact: 'ਮਦਦ ਲਈ {phone} ਤੇ ਕਾਲ ਕਰੋ।'
+  },
+  or: {
+    offeredBy: 'ଏହି ସେବା {department} ଦ୍ୱାରା ପ୍ରଦାନ କରାଯାଏ।',
+    processingTime: 'ସାଧାରଣତଃ ପ୍ରାୟ {days} ଦିନ ଲାଗେ।',
+    documents: 'ଆବଶ୍ୟକ ଦଲିଲ: {count}।',
+    fee: 'ଫି: {amount}।',
+    noFee: 'ଏହି ସେବା ପାଇଁ କୌଣସି ଫି ନାହିଁ।',
+    eligible: 'ଆପଣ {service} ପାଇଁ ଯୋଗ୍ୟ।',
+    notEligible: 'ଆପଣ {service} ପାଇଁ ଯୋଗ୍ୟ ନୁହଁନ୍ତି।',
+    eligibilityUnknown: '{service} ପାଇଁ ଆପଣଙ୍କ ଯୋଗ୍ୟତା ଯାଞ୍ଚ କରିବାକୁ ଅଧିକ ସୂଚନା ଆବଶ୍ୟକ।',
+    criteriaNotMet: 'ପୂରଣ ହୋଇନଥିବା ସର୍ତ୍ତ: {criteria}।',
+    missingInformation: 'ଆବଶ୍ୟକ ସୂଚନା: {fields}।',
+    totalFee: 'ମୋଟ ଫି: {amount}।',
+    waived: '{fee} ଛାଡ଼ କରାଯାଇଛି।',
+    waivedProvisional: 'ଆପଣଙ୍କ ପ୍ରମାଣ ଦଲିଲ ଯାଞ୍ଚ ହେବା ପରେ {fee} ଛାଡ଼ କରାଯିବ।',
+    contact: 'ସହାୟତା ପାଇଁ {phone} ରେ କଲ କରନ୍ତୁ।'
+  },
+  as: {
+    offeredBy: 'এই সেৱা {department}ৰ দ্বাৰা প্ৰদান কৰা হয়।',
+    processingTime: 'সাধাৰণতে প্ৰায় {days} দিন লাগে।',
+    documents: 'প্ৰয়োজনীয় নথি: {count}।',
+    fee: 'মাচুল: {amount}।',
+    noFee: 'এই সেৱাৰ বাবে কোনো মাচুল নাই।',
+    eligible: 'আপুনি {service}ৰ বাবে যোগ্য।',
+    notEligible: 'আপুনি {service}ৰ বাবে যোগ্য নহয়।',
+    eligibilityUnknown: '{service}ৰ বাবে আপোনাৰ যোগ্যতা পৰীক্ষা কৰিবলৈ অধিক তথ্যৰ প্ৰয়োজন।',
+    criteriaNotMet: 'পূৰণ নোহোৱা চৰ্তসমূহ: {criteria}।',
+    missingInformation: 'প্ৰয়োজনীয় তথ্য: {fields}।',
+    totalFee: 'মুঠ মাচুল: {amount}।',
+    waived: '{fee} ৰেহাই দিয়া হৈছে।',
+    waivedProvisional: 'আপোনাৰ প্ৰমাণ নথি পৰীক্ষা হোৱাৰ পিছত {fee} ৰেহাই দিয়া হ’ব।',
+    contact: 'সহায়ৰ বাবে {phone} নম্বৰত ফোন কৰক।'
+  }
+};
+
+// Pause between sections of a response
+const SECTION_BREAK = '<break time="400ms"/>';
+
+/**
+ * Escape text for use inside SSML
+ * @param {String} text - Raw text
+ * @returns {String} Escaped text
+ */
+const escapeXml = (text) => String(text === undefined || text === null ? '' : text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Get localized text with English fallback
+ * @param {Object} field - Multilingual text object
+ * @param {String} language - Language code
+ * @returns {String} Localized text
+ */
+const getText = (field, language) => {
+  if (!field) return '';
+  return field[language] || field.en || '';
+};
+
+/**
+ * Fill a phrase template; parameters are inserted as already escaped SSML
+ * @param {String} language - Language code
+ * @param {String} key - Phrase key
+ * @param {Object} params - Template parameters (SSML fragments)
+ * @returns {String} SSML sentence
+ */
+const phrase = (language, key, params = {}) => {
+  const template = (PHRASES[language] || PHRASES.en)[key] || PHRASES.en[key];
+  const filled = escapeXml(template).replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined ? params[name] : match
+  );
+  return `<s>${filled}</s>`;
+};
+
+/**
+ * Read a whole number in the Indian numbering system (crore, lakh, thousand)
+ * @param {Number} value - Non-negative integer
+ * @param {String} language - Language code
+ * @returns {String} Number as spoken text
+ */
+const speakNumber = (value, language = 'en') => {
+  const words = NUMBER_WORDS[language] || NUMBER_WORDS.en;
+  let remaining = Math.floor(Math.abs(value));
+
+  if (remaining === 0) return '0';
+
+  const parts = [];
+  const crores = Math.floor(remaining / 10000000);
+  remaining %= 10000000;
+  const lakhs = Math.floor(remaining / 100000);
+  remaining %= 100000;
+  const thousands = Math.floor(remaining / 1000);
+  remaining %= 1000;
+
+  if (crores) parts.push(`${crores} ${words.crore}`);
+  if (lakhs) parts.push(`${lakhs} ${words.lakh}`);
+  if (thousands) parts.push(`${thousands} ${words.thousand}`);
+  if (remaining) parts.push(String(remaining));
+
+  return parts.join(' ');
+};
+
+/**
+ * Read a money amount, e.g. 150050.5 INR in Hindi as
+ * "1 लाख 50 हज़ार 50 रुपये और 50 पैसे"
+ *
+ * @param {Number} amount - Amount
+ * @param {String} currency - ISO currency code
+ * @param {String} language - Language code
+ * @returns {String} Escaped SSML fragment
+ */
+const speakAmount = (amount, currency = 'INR', language = 'en') => {
+  const words = NUMBER_WORDS[language] || NUMBER_WORDS.en;
+  const value = Math.round((Number(amount) || 0) * 100) / 100;
+  const whole = Math.floor(value);
+  const fraction = Math.round((value - whole) * 100);
+
+  if (currency !== 'INR') {
+    return escapeXml(`${speakNumber(whole, language)}${fraction ? `.${String(fraction).padStart(2, '0')}` : ''} ${currency}`);
+  }
+
+  let text = `${speakNumber(whole, language)} ${words.rupees}`;
+  if (fraction) {
+    text += ` ${words.and} ${fraction} ${words.paise}`;
+  }
+
+  return escapeXml(text);
+};
+
+/**
+ * Mark up a phone number so it is read digit by digit
+ * @param {String} phone - Phone number
+ * @returns {String} SSML fragment
+ */
+const speakPhone = (phone) => `<say-as interpret-as="telephone">${escapeXml(phone)}</say-as>`;
+
+/**
+ * Convert a 0.5-2.0 multiplier into an SSML relative percentage
+ * @param {Number} value - Multiplier
+ * @returns {String} Percentage change, e.g. "+20%"
+ */
+const toRelativePercent = (value) => {
+  const change = Math.round(((Number(value) || 1) - 1) * 100);
+  return `${change >= 0 ? '+' : ''}${change}%`;
+};
+
+/**
+ * Wrap SSML content in a speak element with the caller's prosody settings
+ * @param {String} body - SSML content
+ * @param {String} language - Language code
+ * @param {Object} voicePreferences - User voice preferences (speechRate, pitch)
+ * @returns {String} Complete SSML document
+ */
+const wrapSpeak = (body, language = 'en', voicePreferences = {}) => {
+  const locale = LOCALES[language] || LOCALES.en;
+  const rate = `${Math.round((Number(voicePreferences.speechRate) || 1) * 100)}%`;
+  const pitch = toRelativePercent(voicePreferences.pitch);
+
+  return '<?xml version="1.0" encoding="UTF-8"?>' +
+    `<speak version="1.1" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="${locale}">` +
+    `<prosody rate="${rate}" pitch="${pitch}">${body}</prosody>` +
+    '</speak>';
+};
+
+/**
+ * Find the localized name of an eligibility criterion from its English name
+ * @param {Object} service - Service document
+ * @param {String} englishName - English criterion name from checkEligibility
+ * @param {String} language - Language code
+ * @returns {String} Localized criterion name
+ */
+const getCriteriaName = (service, englishName, language) => {
+  const criteria = (service.eligibilityCriteria || []).find(item =>
+    item.name && (item.name.en === englishName || item.criteriaType === englishName)
+  );
+  return criteria ? getText(criteria.name, language) : englishName;
+};
+
+/**
+ * Find the localized name of a fee from its fee type
+ * @param {Object} service - Service document
+ * @param {Object} item - Fee breakdown or waiver entry
+ * @param {String} language - Language code
+ * @returns {String} Localized fee name
+ */
+const getFeeName = (service, item, language) => {
+  const fee = (service.fees || []).find(entry => entry.feeType === item.feeType);
+  return fee ? getText(fee.name, language) : item.name;
+};
+
+/**
+ * Render a spoken service summary
+ * @param {Object} service - Service document
+ * @param {String} language - Language code
+ * @param {Object} voicePreferences - User voice preferences
+ * @returns {String} SSML document
+ */
+const renderServiceSummary = (service, language = 'en', voicePreferences = {}) => {
+  const summary = service.getServiceSummary(language);
+  const sections = [];
+
+  sections.push(`<p><s>${escapeXml(summary.name)}</s><s>${escapeXml(summary.description)}</s></p>`);
+
+  const details = [];
+  if (summary.department) {
+    details.push(phrase(language, 'offeredBy', { department: escapeXml(summary.department) }));
+  }
+  if (summary.processingTime && summary.processingTime.averageDays) {
+    details.push(phrase(language, 'processingTime', { days: summary.processingTime.averageDays }));
+  }
+  if (summary.requirementCount > 0) {
+    details.push(phrase(language, 'documents', { count: summary.requirementCount }));
+  }
+  details.push(summary.feeEstimate > 0
+    ? phrase(language, 'fee', { amount: speakAmount(summary.feeEstimate, summary.currency, language) })
+    : phrase(language, 'noFee'));
+  if (service.department && service.department.contactPhone) {
+    details.push(phrase(language, 'contact', { phone: speakPhone(service.department.contactPhone) }));
+  }
+  sections.push(`<p>${details.join('')}</p>`);
+
+  return wrapSpeak(sections.join(SECTION_BREAK), language, voicePreferences);
+};
+
+/**
+ * Render a spoken eligibility result
+ * With an explanation, each criterion is read with its reason and hint
+ * instead of a list of criterion names
+ *
+ * @param {Object} service - Service document
+ * @param {Object} result - Result of service.checkEligibility
+ * @param {String} language - Language code
+ * @param {Object} voicePreferences - User voice preferences
+ * @param {Object} explanation - Result of eligibilityExplainer.explainEligibility
+ * @returns {String} SSML document
+ */
+const renderEligibility = (service, result, language = 'en', voicePreferences = {}, explanation = null) => {
+  const serviceName = escapeXml(getText(service.name, language));
+  const sentences = [];
+
+  if (result.eligible === true) {
+    sentences.push(phrase(language, 'eligible', { service: serviceName }));
+  } else if (result.eligible === false) {
+    sentences.push(phrase(language, 'notEligible', { service: serviceName }));
+  } else {
+    sentences.push(phrase(language, 'eligibilityUnknown', { service: serviceName }));
+  }
+
+  if (explanation && explanation.items.length > 0) {
+    const details = explanation.items.map(item => `<p>${item.speech}</p>`);
+    return wrapSpeak(`<p>${sentences.join('')}</p>${SECTION_BREAK}${details.join(SECTION_BREAK)}`, language, voicePreferences);
+  }
+
+  if (result.failedCriteria && result.failedCriteria.length > 0) {
+    const names = result.failedCriteria.map(item => escapeXml(getCriteriaName(service, item.name, language)));
+    sentences.push(phrase(language, 'criteriaNotMet', { criteria: names.join(', ') }));
+  }
+
+  if (result.missingData && result.missingData.length > 0) {
+    const names = result.missingData.map(item => escapeXml(getCriteriaName(service, item.criteria, language)));
+    sentences.push(phrase(language, 'missingInformation', { fields: names.join(', ') }));
+  }
+
+  return wrapSpeak(`<p>${sentences.join('')}</p>`, language, voicePreferences);
+};
+
+/**
+ * Render a spoken fee breakdown
+ * @param {Object} service - Service document
+ * @param {Object} result - Result of service.calculateFees
+ * @param {String} language - Language code
+ * @param {Object} voicePreferences - User voice preferences
+ * @returns {String} SSML document
+ */
+const renderFees = (service, result, language = 'en', voicePreferences = {}) => {
+  const currency = result.currency || 'INR';
+  const sentences = [];
+
+  (result.breakdown || []).forEach(item => {
+    sentences.push(`<s>${escapeXml(getFeeName(service, item, language))}: ${speakAmount(item.amount, currency, language)}</s>`);
+  });
+
+  (result.waivers || []).forEach(item => {
+    const key = item.status === 'provisional' ? 'waivedProvisional' : 'waived';
+    sentences.push(phrase(language, key, { fee: escapeXml(getFeeName(service, item, language)) }));
+  });
+
+  const total = result.totalAmount > 0
+    ? phrase(language, 'totalFee', { amount: speakAmount(result.totalAmount, currency, language) })
+    : phrase(language, 'noFee');
+
+  const body = sentences.length > 0
+    ? `<p>${sentences.join('')}</p>${SECTION_BREAK}<p>${total}</p>`
+    : `<p>${total}</p>`;
+
+  return wrapSpeak(body, language, voicePreferences);
+};
+
+/**
+ * Render a spoken application status update
+ * Status template text is only authored in English, so it is marked as such
+ * when another language is requested
+ *
+ * @param {Object} template - Result of service.getStatusUpdateTemplate
+ * @param {String} language - Language code
+ * @param {Object} voicePreferences - User voice preferences
+ * @returns {String} SSML document
+ */
+const renderStatus = (template, language = 'en', voicePreferences = {}) => {
+  const sentences = [template.title, template.message, template.nextSteps, template.estimatedTime]
+    .filter(Boolean)
+    .map(text => `<s>${escapeXml(text)}</s>`)
+    .join('');
+
+  const content = language === 'en'
+    ? `<p>${sentences}</p>`
+    : `<p><lang xml:lang="${LOCALES.en}">${sentences}</lang></p>`;
+
+  const contact = template.contactPhone
+    ? `${SECTION_BREAK}<p>${phrase(language, 'contact', { phone: speakPhone(template.contactPhone) })}</p>`
+    : '';
+
+  return wrapSpeak(content + contact, language, voicePreferences);
+};
+
+module.exports = {
+  LOCALES,
+  escapeXml,
+  speakNumber,
+  speakAmount,
+  wrapSpeak,
+  renderServiceSummary,
+  renderEligibility,
+  renderFees,
+  renderStatus
+};
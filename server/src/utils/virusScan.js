@@ -0,0 +1,77 @@
+/**
+ * Virus scan hooks for SwarSeva uploads
+ * Scanners are registered as hooks and every upload is passed through all of
+ * them before it is stored. A scanner implements:
+ *
+ *   { name, scan(data, { filename, mimeType }) -> Promise<{ clean, threat }> }
+ *
+ * Only the EICAR test signature is detected out of the box, so the rejection
+ * path can be exercised offline; register a real engine (e.g. a ClamAV
+ * client) at startup for production.
+ */
+
+// Standard anti-virus test file content
+const EICAR_SIGNATURE = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+const eicarScanner = {
+  name: 'eicar',
+  scan: async (data) => {
+    const found = data.includes(EICAR_SIGNATURE);
+    return { clean: !found, threat: found ? 'EICAR-Test-File' : undefined };
+  }
+};
+
+// Registered scanners, run in order
+const scanners = [eicarScanner];
+
+/**
+ * Register a scanner hook
+ * @param {Object} scanner - Scanner implementing the interface above
+ */
+const registerScanner = (scanner) => {
+  if (!scanner || !scanner.name || typeof scanner.scan !== 'function') {
+    throw new Error('A scanner needs a name and a scan function');
+  }
+  scanners.push(scanner);
+};
+
+/**
+ * Scan a file with every registered scanner
+ * A scanner that fails does not block the upload; the file is recorded with
+ * status 'error' so officers know it was not checked.
+ *
+ * @param {Buffer} data - File contents
+ * @param {Object} [meta] - File name and detected MIME type
+ * @returns {Promise<Object>} { status: clean|infected|error|unscanned, engines, threat, scannedAt }
+ */
+const scanFile = async (data, meta = {}) => {
+  if (scanners.length === 0) {
+    return { status: 'unscanned', engines: [], scannedAt: new Date() };
+  }
+
+  let status = 'clean';
+
+  for (const scanner of scanners) {
+    try {
+      const result = await scanner.scan(data, meta);
+      if (!result.clean) {
+        return {
+          status: 'infected',
+          engines: scanners.map(item => item.name),
+          threat: result.threat || `Flagged by ${scanner.name}`,
+          scannedAt: new Date()
+        };
+      }
+    } catch (error) {
+      console.error(`Virus scanner '${scanner.name}' failed:`, error);
+      status = 'error';
+    }
+  }
+
+  return { status, engines: scanners.map(item => item.name), scannedAt: new Date() };
+};
+
+module.exports = {
+  registerScanner,
+  scanFile
+};
@@ -0,0 +1,993 @@
+/**
+ * Voice dialogue engine for SwarSeva
+ * Walks a caller through a service's eligibility check turn by turn.
+ * The engine is stateless: it takes the dialogue state and returns the next
+ * state and the prompt to speak, leaving persistence to the caller.
+ */
+
+const { normalizeText, similarity } = require('./voiceMatcher');
+
+// Unanswerable questions are skipped after this many failed attempts
+const MAX_RETRIES = 2;
+
+// Stages after which the dialogue accepts no more input
+const FINAL_STAGES = ['completed', 'ineligible', 'cancelled'];
+
+// Where each missing-data field from checkEligibility lives in the profile
+const FIELD_PATHS = {
+  dateOfBirth: 'dateOfBirth',
+  income: 'income',
+  residence: 'address.state',
+  education: 'education.level',
+  gender: 'gender',
+  marital: 'maritalStatus',
+  occupation: 'occupation',
+  category: 'category',
+  disability: 'hasDisability'
+};
+
+// Spoken words for yes/no, gender and dialogue commands in every supported language
+const LEXICON = {
+  yes: [
+    'yes', 'yeah', 'yep', 'sure', 'correct', 'ok', 'okay', 'haan', 'han', 'ha', 'ji', 'हाँ', 'हां', 'जी', 'ठीक',
+    'হ্যাঁ', 'হাঁ', 'ஆம்', 'ஆமாம்', 'சரி', 'అవును', 'సరే', 'होय', 'હા', 'હાં', 'ಹೌದು', 'ಸರಿ',
+    'അതെ', 'ശരി', 'ਹਾਂ', 'ਜੀ', 'ହଁ', 'ହଉ', 'হয়'
+  ],
+  no: [
+    'no', 'nope', 'not', 'nahi', 'nahin', 'na', 'नहीं', 'नही', 'ना',
+    'না', 'নেই', 'இல்லை', 'வேண்டாம்', 'కాదు', 'లేదు', 'వద్దు', 'नाही', 'नको', 'ના', 'નથી', 'નહીં',
+    'ಇಲ್ಲ', 'ಬೇಡ', 'ഇല്ല', 'അല്ല', 'വേണ്ട', 'ਨਹੀਂ', 'ਨਾ', 'ନା', 'ନାହିଁ', 'নহয়', 'নাই'
+  ],
+  male: [
+    'male', 'man', 'boy', 'purush', 'aadmi', 'पुरुष', 'आदमी', 'मर्द', 'लड़का',
+    'পুরুষ', 'ছেলে', 'ஆண்', 'పురుషుడు', 'మగ', 'मुलगा', 'પુરુષ', 'છોકરો', 'ಪುರುಷ', 'ಗಂಡು',
+    'പുരുഷൻ', 'പുരുഷനാണ്', 'ആൺ', 'ਪੁਰਸ਼', 'ਮਰਦ', 'ਮੁੰਡਾ', 'ପୁରୁଷ', 'পুৰুষ'
+  ],
+  female: [
+    'female', 'woman', 'girl', 'lady', 'mahila', 'aurat', 'महिला', 'स्त्री', 'औरत', 'लड़की',
+    'মহিলা', 'নারী', 'মেয়ে', 'பெண்', 'స్త్రీ', 'మహిళ', 'ఆడ', 'मुलगी', 'સ્ત્રી', 'મહિલા', 'છોકરી',
+    'ಮಹಿಳೆ', 'ಹೆಣ್ಣು', 'ಸ್ತ್ರೀ', 'സ്ത്രീ', 'സ്ത്രീയാണ്', 'പെൺ', 'ਔਰਤ', 'ਇਸਤਰੀ', 'ਕੁੜੀ',
+    'ମହିଳା', 'ସ୍ତ୍ରୀ', 'নাৰী', 'ছোৱালী'
+  ],
+  other: [
+    'other', 'transgender', 'anya', 'अन्य', 'ट्रांसजेंडर',
+    'অন্য', 'অন্যান্য', 'மற்றவர்', 'திருநங்கை', 'ఇతర', 'ఇతరులు', 'इतर', 'અન્ય', 'ಇತರ',
+    'മറ്റുള്ളവർ', 'ਹੋਰ', 'ଅନ୍ୟ'
+  ],
+  repeat: [
+    'repeat', 'again', 'dobara', 'दोबारा', 'फिर',
+    'আবার', 'மீண்டும்', 'మళ్ళీ', 'पुन्हा', 'ફરીથી', 'ಮತ್ತೆ', 'വീണ്ടും', 'ਦੁਬਾਰਾ', 'ପୁଣି', 'আকৌ'
+  ],
+  cancel: [
+    'cancel', 'stop', 'exit', 'quit', 'band', 'रद्द', 'बंद',
+    'বাতিল', 'ரத்து', 'நிறுத்து', 'రద్దు', 'ఆపు', 'थांबा', 'રદ', 'ರದ್ದು', 'ನಿಲ್ಲಿಸಿ',
+    'റദ്ദാക്കുക', 'നിർത്തുക', 'ਰੱਦ', 'ਬੰਦ', 'ବାତିଲ', 'ବନ୍ଦ'
+  ]
+};
+
+// Spoken number multipliers
+const MULTIPLIERS = {
+  thousand: 1000,
+  hazar: 1000,
+  hazaar: 1000,
+  'हज़ार': 1000,
+  'हजार': 1000,
+  'হাজার': 1000,
+  'হাজাৰ': 1000,
+  'ஆயிரம்': 1000,
+  'వేలు': 1000,
+  'వేల': 1000,
+  'હજાર': 1000,
+  'ಸಾವಿರ': 1000,
+  'ആയിരം': 1000,
+  'ਹਜ਼ਾਰ': 1000,
+  'ਹਜਾਰ': 1000,
+  'ହଜାର': 1000,
+  lakh: 100000,
+  lac: 100000,
+  lakhs: 100000,
+  'लाख': 100000,
+  'লাখ': 100000,
+  'லட்சம்': 100000,
+  'లక్ష': 100000,
+  'లక్షలు': 100000,
+  'లక్షల': 100000,
+  'લાખ': 100000,
+  'ಲಕ್ಷ': 100000,
+  'ലക്ഷം': 100000,
+  'ਲੱਖ': 100000,
+  'ଲକ୍ଷ': 100000,
+  crore: 10000000,
+  crores: 10000000,
+  'करोड़': 10000000,
+  'कोटी': 10000000,
+  'কোটি': 10000000,
+  'கோடி': 10000000,
+  'కోటి': 10000000,
+  'కోట్లు': 10000000,
+  'కోట్ల': 10000000,
+  'કરોડ': 10000000,
+  'ಕೋಟಿ': 10000000,
+  'കോടി': 10000000,
+  'ਕਰੋੜ': 10000000,
+  'କୋଟି': 10000000
+};
+
+// Native digits of the Indic scripts; each block runs from zero at U+xx66 to nine at U+xx6F
+const INDIC_DIGITS = /[\u0966-\u096F\u09E6-\u09EF\u0A66-\u0A6F\u0AE6-\u0AEF\u0B66-\u0B6F\u0BE6-\u0BEF\u0C66-\u0C6F\u0CE6-\u0CEF\u0D66-\u0D6F]/g;
+
+/**
+ * Replace Indic script digits with ASCII digits
+ * @param {String} text - Spoken text
+ * @returns {String} Text with ASCII digits
+ */
+const toAsciiDigits = (text) => String(text || '')
+  .replace(INDIC_DIGITS, digit => String((digit.charCodeAt(0) & 0xF) - 6));
+
+// English number words recognisers sometimes emit instead of digits
+const NUMBER_WORDS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+  eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, thirteen: 13,
+  fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18,
+  nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60,
+  seventy: 70, eighty: 80, ninety: 90
+};
+
+/**
+ * Dialogue messages for every supported language
+ * Unknown language codes fall back to English
+ */
+const MESSAGES = {
+  en: {
+    welcome: 'Welcome. I will help you check your eligibility for {service}.',
+    notUnderstood: 'Sorry, I did not understand that.',
+    skipped: 'Let us move on.',
+    eligible: 'You appear to be eligible for {service}.',
+    eligibilityUnknown: 'I could not confirm every eligibility condition. An officer will verify the rest.',
+    ineligible: 'Sorry, you do not meet the following condition: {criteria}.',
+    documents: 'You will need these documents: {documents}.',
+    noDocuments: 'No documents are required for this service.',
+    fees: 'The total fee is {amount} rupees.',
+    noFees: 'There is no fee for this service.',
+    confirm: 'Shall I save these details as an application? Please say yes or no.',
+    completed: 'Thank you. Your eligibility check is complete.',
+    applicationSaved: 'Your application has been saved as a draft with number {number}.',
+    loginToSave: 'Please log in to save this as an application.',
+    declined: 'Okay, nothing has been saved. Goodbye.',
+    cancelled: 'The session has been cancelled. Goodbye.',
+    finished: 'This session has ended. Please start a new one.',
+    options: 'You can say: {options}.',
+    questions: {
+      dateOfBirth: 'How old are you? You can also tell me your date of birth.',
+      income: 'What is your annual family income in rupees?',
+      residence: 'Which state do you live in?',
+      education: 'What is your highest level of education?',
+      gender: 'Are you male, female or other?',
+      marital: 'What is your marital status?',
+      occupation: 'What is your occupation?',
+      category: 'Which social category do you belong to?',
+      disability: 'Do you have a disability? Please say yes or no.',
+      default: 'Please tell me your {criteria}.'
+    }
+  },
+  hi: {
+    welcome: 'नमस्ते। मैं {service} के लिए आपकी पात्रता जाँचने में मदद करूँगा।',
+    notUnderstood: 'माफ़ कीजिए, मैं समझ नहीं पाया।',
+    skipped: 'चलिए आगे बढ़ते हैं।',
+    eligible: 'आप {service} के लिए पात्र लगते हैं।',
+    eligibilityUnknown: 'मैं सभी पात्रता शर्तों की पुष्टि नहीं कर सका। बाकी की जाँच अधिकारी करेंगे।',
+    ineligible: 'माफ़ कीजिए, आप इस शर्त को पूरा नहीं करते: {criteria}।',
+    documents: 'आपको इन दस्तावेज़ों की ज़रूरत होगी: {documents}।',
+    noDocuments: 'इस सेवा के लिए किसी दस्तावेज़ की ज़रूरत नहीं है।',
+    fees: 'कुल शुल्क {amount} रुपये है।',
+    noFees: 'इस सेवा के लिए कोई शुल्क नहीं है।',
+    confirm: 'क्या मैं इन विवरणों को आवेदन के रूप में सहेज दूँ? कृपया हाँ या नहीं कहें।',
+    completed: 'धन्यवाद। आपकी पात्रता जाँच पूरी हो गई है।',
+    applicationSaved: 'आपका आवेदन ड्राफ्ट के रूप में संख्या {number} के साथ सहेज लिया गया है।',
+    loginToSave: 'आवेदन सहेजने के लिए कृपया लॉग इन करें।',
+    declined: 'ठीक है, कुछ भी सहेजा नहीं गया। नमस्ते।',
+    cancelled: 'सत्र रद्द कर दिया गया है। नमस्ते।',
+    finished: 'यह सत्र समाप्त हो गया है। कृपया नया सत्र शुरू करें।',
+    options: 'आप कह सकते हैं: {options}।',
+    questions: {
+      dateOfBirth: 'आपकी उम्र क्या है? आप अपनी जन्म तिथि भी बता सकते हैं।',
+      income: 'आपकी सालाना पारिवारिक आय कितने रुपये है?',
+      residence: 'आप किस राज्य में रहते हैं?',
+      education: 'आपकी सबसे ऊँची शिक्षा क्या है?',
+      gender: 'आप पुरुष हैं, महिला हैं या अन्य?',
+      marital: 'आपकी वैवाहिक स्थिति क्या है?',
+      occupation: 'आपका व्यवसाय क्या है?',
+      category: 'आप किस सामाजिक वर्ग से हैं?',
+      disability: 'क्या आपको कोई विकलांगता है? कृपया हाँ या नहीं कहें।',
+      default: 'कृपया अपना {criteria} बताइए।'
+    }
+  },
+  bn: {
+    welcome: 'নমস্কার। আমি {service}-এর জন্য আপনার যোগ্যতা যাচাই করতে সাহায্য করব।',
+    notUnderstood: 'দুঃখিত, আমি বুঝতে পারিনি।',
+    skipped: 'চলুন এগিয়ে যাই।',
+    eligible: 'আপনি {service}-এর জন্য যোগ্য বলে মনে হচ্ছে।',
+    eligibilityUnknown: 'আমি সব যোগ্যতার শর্ত নিশ্চিত করতে পারিনি। বাকিগুলি একজন আধিকারিক যাচাই করবেন।',
+    ineligible: 'দুঃখিত, আপনি এই শর্ত পূরণ করেন না: {criteria}।',
+    documents: 'আপনার এই নথিগুলি লাগবে: {documents}।',
+    noDocuments: 'এই পরিষেবার জন্য কোনো নথি লাগবে না।',
+    fees: 'মোট ফি {amount} টাকা।',
+    noFees: 'এই পরিষেবার জন্য কোনো ফি নেই।',
+    confirm: 'আমি কি এই তথ্যগুলি একটি আবেদন হিসেবে সংরক্ষণ করব? অনুগ্রহ করে হ্যাঁ বা না বলুন।',
+    completed: 'ধন্যবাদ। আপনার যোগ্যতা যাচাই সম্পূর্ণ হয়েছে।',
+    applicationSaved: 'আপনার আবেদন {number} নম্বরে খসড়া হিসেবে সংরক্ষিত হয়েছে।',
+    loginToSave: 'আবেদন হিসেবে সংরক্ষণ করতে অনুগ্রহ করে লগ ইন করুন।',
+    declined: 'ঠিক আছে, কিছুই সংরক্ষণ করা হয়নি। বিদায়।',
+    cancelled: 'সেশনটি বাতিল করা হয়েছে। বিদায়।',
+    finished: 'এই সেশনটি শেষ হয়েছে। অনুগ্রহ করে একটি নতুন সেশন শুরু করুন।',
+    options: 'আপনি বলতে পারেন: {options}।',
+    questions: {
+      dateOfBirth: 'আপনার বয়স কত? আপনি আপনার জন্ম তারিখও বলতে পারেন।',
+      income: 'আপনার পরিবারের বার্ষিক আয় কত টাকা?',
+      residence: 'আপনি কোন রাজ্যে থাকেন?',
+      education: 'আপনার সর্বোচ্চ শিক্ষাগত যোগ্যতা কী?',
+      gender: 'আপনি পুরুষ, মহিলা না অন্য?',
+      marital: 'আপনার বৈবাহিক অবস্থা কী?',
+      occupation: 'আপনার পেশা কী?',
+      category: 'আপনি কোন সামাজিক শ্রেণির অন্তর্ভুক্ত?',
+      disability: 'আপনার কি কোনো প্রতিবন্ধকতা আছে? অনুগ্রহ করে হ্যাঁ বা না বলুন।',
+      default: 'অনুগ্রহ করে আপনার {criteria} বলুন।'
+    }
+  },
+  ta: {
+    welcome: 'வணக்கம். {service} சேவைக்கான உங்கள் தகுதியைச் சரிபார்க்க நான் உதவுகிறேன்.',
+    notUnderstood: 'மன்னிக்கவும், எனக்குப் புரியவில்லை.',
+    skipped: 'அடுத்ததற்குச் செல்வோம்.',
+    eligible: '{service} சேவைக்கு நீங்கள் தகுதியானவர் போல் தெரிகிறது.',
+    eligibilityUnknown: 'எல்லாத் தகுதி நிபந்தனைகளையும் என்னால் உறுதிப்படுத்த முடியவில்லை. மீதமுள்ளவற்றை ஒரு அலுவலர் சரிபார்ப்பார்.',
+    ineligible: 'மன்னிக்கவும், நீங்கள் இந்த நிபந்தனையைப் பூர்த்தி செய்யவில்லை: {criteria}.',
+    documents: 'உங்களுக்கு இந்த ஆவணங்கள் தேவைப்படும்: {documents}.',
+    noDocuments: 'இந்தச் சேவைக்கு எந்த ஆவணமும் தேவையில்லை.',
+    fees: 'மொத்தக் கட்டணம் {amount} ரூபாய்.',
+    noFees: 'இந்தச் சேவைக்குக் கட்டணம் இல்லை.',
+    confirm: 'இந்த விவரங்களை ஒரு விண்ணப்பமாகச் சேமிக்கட்டுமா? தயவுசெய்து ஆம் அல்லது இல்லை என்று சொல்லுங்கள்.',
+    completed: 'நன்றி. உங்கள் தகுதிச் சரிபார்ப்பு முடிந்தது.',
+    applicationSaved: 'உங்கள் விண்ணப்பம் {number} என்ற எண்ணுடன் வரைவாகச் சேமிக்கப்பட்டது.',
+    loginToSave: 'இதை விண்ணப்பமாகச் சேமிக்க தயவுசெய்து உள்நுழையவும்.',
+    declined: 'சரி, எதுவும் சேமிக்கப்படவில்லை. வணக்கம்.',
+    cancelled: 'அமர்வு ரத்து செய்யப்பட்டது. வணக்கம்.',
+    finished: 'இந்த அமர்வு முடிந்துவிட்டது. தயவுசெய்து புதிய அமர்வைத் தொடங்குங்கள்.',
+    options: 'நீங்கள் சொல்லலாம்: {options}.',
+    questions: {
+      dateOfBirth: 'உங்கள் வயது என்ன? உங்கள் பிறந்த தேதியையும் சொல்லலாம்.',
+      income: 'உங்கள் குடும்பத்தின் ஆண்டு வருமானம் எத்தனை ரூபாய்?',
+      residence: 'நீங்கள் எந்த மாநிலத்தில் வசிக்கிறீர்கள்?',
+      education: 'உங்கள் உயர்ந்த கல்வித் தகுதி என்ன?',
+      gender: 'நீங்கள் ஆண், பெண் அல்லது மற்றவரா?',
+      marital: 'உங்கள் திருமண நிலை என்ன?',
+      occupation: 'உங்கள் தொழில் என்ன?',
+      category: 'நீங்கள் எந்தச் சமூகப் பிரிவைச் சேர்ந்தவர்?',
+      disability: 'உங்களுக்கு ஏதேனும் மாற்றுத்திறன் உள்ளதா? தயவுசெய்து ஆம் அல்லது இல்லை என்று சொல்லுங்கள்.',
+      default: 'தயவுசெய்து உங்கள் {criteria} சொல்லுங்கள்.'
+    }
+  },
+  te: {
+    welcome: 'నమస్కారం. {service} కోసం మీ అర్హతను తనిఖీ చేయడంలో నేను సహాయం చేస్తాను.',
+    notUnderstood: 'క్షమించండి, నాకు అర్థం కాలేదు.',
+    skipped: 'ముందుకు వెళ్దాం.',
+    eligible: 'మీరు {service} కోసం అర్హులుగా కనిపిస్తున్నారు.',
+    eligibilityUnknown: 'నేను అన్ని అర్హత షరతులను నిర్ధారించలేకపోయాను. మిగిలినవాటిని ఒక అధికారి తనిఖీ చేస్తారు.',
+    ineligible: 'క్షమించండి, మీరు ఈ షరతును నెరవేర్చలేదు: {criteria}.',
+    documents: 'మీకు ఈ పత్రాలు అవసరం: {documents}.',
+    noDocuments: 'ఈ సేవకు ఎలాంటి పత్రాలు అవసరం లేదు.',
+    fees: 'మొత్తం రుసుము {amount} రూపాయలు.',
+    noFees: 'ఈ సేవకు ఎలాంటి రుసుము లేదు.',
+    confirm: 'ఈ వివరాలను దరఖాస్తుగా సేవ్ చేయమంటారా? దయచేసి అవును లేదా కాదు అని చెప్పండి.',
+    completed: 'ధన్యవాదాలు. మీ అర్హత తనిఖీ పూర్తయింది.',
+    applicationSaved: 'మీ దరఖాస్తు {number} సంఖ్యతో డ్రాఫ్ట్‌గా సేవ్ చేయబడింది.',
+    loginToSave: 'దీన్ని దరఖాస్తుగా సేవ్ చేయడానికి దయచేసి లాగిన్ అవ్వండి.',
+    declined: 'సరే, ఏదీ సేవ్ చేయలేదు. వెళ్ళి రండి.',
+    cancelled: 'సెషన్ రద్దు చేయబడింది. వెళ్ళి రండి.',
+    finished: 'ఈ సెషన్ ముగిసింది. దయచేసి కొత్త సెషన్ ప్రారంభించండి.',
+    options: 'మీరు ఇలా చెప్పవచ్చు: {options}.',
+    questions: {
+      dateOfBirth: 'మీ వయస్సు ఎంత? మీ పుట్టిన తేదీని కూడా చెప్పవచ్చు.',
+      income: 'మీ కుటుంబ వార్షిక ఆదాయం ఎన్ని రూపాయలు?',
+      residence: 'మీరు ఏ రాష్ట్రంలో నివసిస్తున్నారు?',
+      education: 'మీ అత్యున్నత విద్యార్హత ఏమిటి?',
+      gender: 'మీరు పురుషుడా, స్త్రీనా లేదా ఇతరులా?',
+      marital: 'మీ వైవాహిక స్థితి ఏమిటి?',
+      occupation: 'మీ వృత్తి ఏమిటి?',
+      category: 'మీరు ఏ సామాజిక వర్గానికి చెందినవారు?',
+      disability: 'మీకు ఏదైనా వైకల్యం ఉందా? దయచేసి అవును లేదా కాదు అని చెప్పండి.',
+      default: 'దయచేసి మీ {criteria} చెప్పండి.'
+    }
+  },
+  mr: {
+    welcome: 'नमस्कार. {service} साठी तुमची पात्रता तपासण्यात मी मदत करेन.',
+    notUnderstood: 'माफ करा, मला समजले नाही.',
+    skipped: 'चला पुढे जाऊया.',
+    eligible: 'तुम्ही {service} साठी पात्र असल्याचे दिसते.',
+    eligibilityUnknown: 'पात्रतेच्या सर्व अटींची खात्री करता आली नाही. उर्वरित तपासणी अधिकारी करतील.',
+    ineligible: 'माफ करा, तुम्ही ही अट पूर्ण करत नाही: {criteria}.',
+    documents: 'तुम्हाला ही कागदपत्रे लागतील: {documents}.',
+    noDocuments: 'या सेवेसाठी कोणत्याही कागदपत्रांची आवश्यकता नाही.',
+    fees: 'एकूण शुल्क {amount} रुपये आहे.',
+    noFees: 'या सेवेसाठी कोणतेही शुल्क नाही.',
+    confirm: 'हे तपशील अर्ज म्हणून जतन करू का? कृपया होय किंवा नाही म्हणा.',
+    completed: 'धन्यवाद. तुमची पात्रता तपासणी पूर्ण झाली आहे.',
+    applicationSaved: 'तुमचा अर्ज {number} क्रमांकासह मसुदा म्हणून जतन केला आहे.',
+    loginToSave: 'अर्ज म्हणून जतन करण्यासाठी कृपया लॉग इन करा.',
+    declined: 'ठीक आहे, काहीही जतन केलेले नाही. नमस्कार.',
+    cancelled: 'सत्र रद्द केले आहे. नमस्कार.',
+    finished: 'हे सत्र संपले आहे. कृपया नवीन सत्र सुरू करा.',
+    options: 'तुम्ही म्हणू शकता: {options}.',
+    questions: {
+      dateOfBirth: 'तुमचे वय किती आहे? तुम्ही तुमची जन्मतारीखही सांगू शकता.',
+      income: 'तुमचे वार्षिक कौटुंबिक उत्पन्न किती रुपये आहे?',
+      residence: 'तुम्ही कोणत्या राज्यात राहता?',
+      education: 'तुमचे सर्वोच्च शिक्षण कोणते?',
+      gender: 'तुम्ही पुरुष, स्त्री की इतर?',
+      marital: 'तुमची वैवाहिक स्थिती काय आहे?',
+      occupation: 'तुमचा व्यवसाय काय आहे?',
+      category: 'तुम्ही कोणत्या सामाजिक प्रवर्गातील आहात?',
+      disability: 'तुम्हाला कोणते अपंगत्व आहे का? कृपया होय किंवा नाही म्हणा.',
+      default: 'कृपया तुमचे {criteria} सांगा.'
+    }
+  },
+  gu: {
+    welcome: 'નમસ્તે. {service} માટે તમારી પાત્રતા તપાસવામાં હું મદદ કરીશ.',
+    notUnderstood: 'માફ કરશો, મને સમજાયું નહીં.',
+    skipped: 'ચાલો આગળ વધીએ.',
+    eligible: 'તમે {service} માટે પાત્ર હોવ એવું લાગે છે.',
+    eligibilityUnknown: 'પાત્રતાની બધી શરતોની ખાતરી થઈ શકી નથી. બાકીની ચકાસણી અધિકારી કરશે.',
+    ineligible: 'માફ કરશો, તમે આ શરત પૂરી કરતા નથી: {criteria}.',
+    documents: 'તમારે આ દસ્તાવેજોની જરૂર પડશે: {documents}.',
+    noDocuments: 'આ સેવા માટે કોઈ દસ્તાવેજની જરૂર નથી.',
+    fees: 'કુલ ફી {amount} રૂપિયા છે.',
+    noFees: 'આ સેવા માટે કોઈ ફી નથી.',
+    confirm: 'શું હું આ વિગતો અરજી તરીકે સાચવું? કૃપા કરીને હા અથવા ના કહો.',
+    completed: 'આભાર. તમારી પાત્રતાની તપાસ પૂર્ણ થઈ છે.',
+    applicationSaved: 'તમારી અરજી {number} નંબર સાથે ડ્રાફ્ટ તરીકે સાચવવામાં આવી છે.',
+    loginToSave: 'આને અરજી તરીકે સાચવવા માટે કૃપા કરીને લૉગ ઇન કરો.',
+    declined: 'ઠીક છે, કંઈ સાચવવામાં આવ્યું નથી. આવજો.',
+    cancelled: 'સત્ર રદ કરવામાં આવ્યું છે. આવજો.',
+    finished: 'આ સત્ર પૂરું થયું છે. કૃપા કરીને નવું સત્ર શરૂ કરો.',
+    options: 'તમે કહી શકો છો: {options}.',
+    questions: {
+      dateOfBirth: 'તમારી ઉંમર કેટલી છે? તમે તમારી જન્મ તારીખ પણ કહી શકો છો.',
+      income: 'તમારા પરિવારની વાર્ષિક આવક કેટલા રૂપિયા છે?',
+      residence: 'તમે કયા રાજ્યમાં રહો છો?',
+      education: 'તમારું સૌથી ઊંચું શિક્ષણ કયું છે?',
+      gender: 'તમે પુરુષ છો, સ્ત્રી છો કે અન્ય?',
+      marital: 'તમારી વૈવાહિક સ્થિતિ શું છે?',
+      occupation: 'તમારો વ્યવસાય શું છે?',
+      category: 'તમે કયા સામાજિક વર્ગના છો?',
+      disability: 'શું તમને કોઈ વિકલાંગતા છે? કૃપા કરીને હા અથવા ના કહો.',
+      default: 'કૃપા કરીને તમારું {criteria} જણાવો.'
+    }
+  },
+  kn: {
+    welcome: 'ನಮಸ್ಕಾರ. {service} ಗಾಗಿ ನಿಮ್ಮ ಅರ್ಹತೆಯನ್ನು ಪರಿಶೀಲಿಸಲು ನಾನು ಸಹಾಯ ಮಾಡುತ್ತೇನೆ.',
+    notUnderstood: 'ಕ್ಷಮಿಸಿ, ನನಗೆ ಅರ್ಥವಾಗಲಿಲ್ಲ.',
+    skipped: 'ಮುಂದೆ ಹೋಗೋಣ.',
+    eligible: 'ನೀವು {service} ಗೆ ಅರ್ಹರಾಗಿರುವಂತೆ ಕಾಣುತ್ತದೆ.',
+    eligibilityUnknown: 'ಎಲ್ಲಾ ಅರ್ಹತಾ ಷರತ್ತುಗಳನ್ನು ನಾನು ಖಚಿತಪಡಿಸಲು ಸಾಧ್ಯವಾಗಲಿಲ್ಲ. ಉಳಿದವನ್ನು ಒಬ್ಬ ಅಧಿಕಾರಿ ಪರಿಶೀಲಿಸುತ್ತಾರೆ.',
+    ineligible: 'ಕ್ಷಮಿಸಿ, ನೀವು ಈ ಷರತ್ತನ್ನು ಪೂರೈಸುವುದಿಲ್ಲ: {criteria}.',
+    documents: 'ನಿಮಗೆ ಈ ದಾಖಲೆಗಳು ಬೇಕಾಗುತ್ತವೆ: {documents}.',
+    noDocuments: 'ಈ ಸೇವೆಗೆ ಯಾವುದೇ ದಾಖಲೆಗಳ ಅಗತ್ಯವಿಲ್ಲ.',
+    fees: 'ಒಟ್ಟು ಶುಲ್ಕ {amount} ರೂಪಾಯಿ.',
+    noFees: 'ಈ ಸೇವೆಗೆ ಯಾವುದೇ ಶುಲ್ಕವಿಲ್ಲ.',
+    confirm: 'ಈ ವಿವರಗಳನ್ನು ಅರ್ಜಿಯಾಗಿ ಉಳಿಸಲೇ? ದಯವಿಟ್ಟು ಹೌದು ಅಥವಾ ಇಲ್ಲ ಎಂದು ಹೇಳಿ.',
+    completed: 'ಧನ್ಯವಾದಗಳು. ನಿಮ್ಮ ಅರ್ಹತಾ ಪರಿಶೀಲನೆ ಪೂರ್ಣಗೊಂಡಿದೆ.',
+    applicationSaved: 'ನಿಮ್ಮ ಅರ್ಜಿಯನ್ನು {number} ಸಂಖ್ಯೆಯೊಂದಿಗೆ ಕರಡು ಆಗಿ ಉಳಿಸಲಾಗಿದೆ.',
+    loginToSave: 'ಇದನ್ನು ಅರ್ಜಿಯಾಗಿ ಉಳಿಸಲು ದಯವಿಟ್ಟು ಲಾಗಿನ್ ಮಾಡಿ.',
+    declined: 'ಸರಿ, ಏನನ್ನೂ ಉಳಿಸಲಾಗಿಲ್ಲ. ನಮಸ್ಕಾರ.',
+    cancelled: 'ಸೆಷನ್ ರದ್ದುಗೊಳಿಸಲಾಗಿದೆ. ನಮಸ್ಕಾರ.',
+    finished: 'ಈ ಸೆಷನ್ ಮುಗಿದಿದೆ. ದಯವಿಟ್ಟು ಹೊಸ ಸೆಷನ್ ಪ್ರಾರಂಭಿಸಿ.',
+    options: 'ನೀವು ಹೀಗೆ ಹೇಳಬಹುದು: {options}.',
+    questions: {
+      dateOfBirth: 'ನಿಮ್ಮ ವಯಸ್ಸು ಎಷ್ಟು? ನಿಮ್ಮ ಜನ್ಮ ದಿನಾಂಕವನ್ನೂ ಹೇಳಬಹುದು.',
+      income: 'ನಿಮ್ಮ ಕುಟುಂಬದ ವಾರ್ಷಿಕ ಆದಾಯ ಎಷ್ಟು ರೂಪಾಯಿ?',
+      residence: 'ನೀವು ಯಾವ ರಾಜ್ಯದಲ್ಲಿ ವಾಸಿಸುತ್ತೀರಿ?',
+      education: 'ನಿಮ್ಮ ಅತ್ಯುನ್ನತ ಶಿಕ್ಷಣ ಯಾವುದು?',
+      gender: 'ನೀವು ಪುರುಷರೇ, ಮಹಿಳೆಯೇ ಅಥವಾ ಇತರರೇ?',
+      marital: 'ನಿಮ್ಮ ವೈವಾಹಿಕ ಸ್ಥಿತಿ ಏನು?',
+      occupation: 'ನಿಮ್ಮ ಉದ್ಯೋಗ ಏನು?',
+      category: 'ನೀವು ಯಾವ ಸಾಮಾಜಿಕ ವರ್ಗಕ್ಕೆ ಸೇರಿದವರು?',
+      disability: 'ನಿಮಗೆ ಯಾವುದಾದರೂ ಅಂಗವೈಕಲ್ಯವಿದೆಯೇ? ದಯವಿಟ್ಟು ಹೌದು ಅಥವಾ ಇಲ್ಲ ಎಂದು ಹೇಳಿ.',
+      default: 'ದಯವಿಟ್ಟು ನಿಮ್ಮ {criteria} ಹೇಳಿ.'
+    }
+  },
+  ml: {
+    welcome: 'നമസ്കാരം. {service} സേവനത്തിനുള്ള നിങ്ങളുടെ യോഗ്യത പരിശോധിക്കാൻ ഞാൻ സഹായിക്കാം.',
+    notUnderstood: 'ക്ഷമിക്കണം, എനിക്ക് മനസ്സിലായില്ല.',
+    skipped: 'നമുക്ക് മുന്നോട്ട് പോകാം.',
+    eligible: 'നിങ്ങൾക്ക് {service} സേവനത്തിന് യോഗ്യതയുണ്ടെന്ന് തോന്നുന്നു.',
+    eligibilityUnknown: 'എല്ലാ യോഗ്യതാ വ്യവസ്ഥകളും ഉറപ്പാക്കാൻ എനിക്ക് കഴിഞ്ഞില്ല. ബാക്കിയുള്ളവ ഒരു ഉദ്യോഗസ്ഥൻ പരിശോധിക്കും.',
+    ineligible: 'ക്ഷമിക്കണം, നിങ്ങൾ ഈ വ്യവസ്ഥ പാലിക്കുന്നില്ല: {criteria}.',
+    documents: 'നിങ്ങൾക്ക് ഈ രേഖകൾ ആവശ്യമാണ്: {documents}.',
+    noDocuments: 'ഈ സേവനത്തിന് രേഖകളൊന്നും ആവശ്യമില്ല.',
+    fees: 'ആകെ ഫീസ് {amount} രൂപയാണ്.',
+    noFees: 'ഈ സേവനത്തിന് ഫീസില്ല.',
+    confirm: 'ഈ വിവരങ്ങൾ ഒരു അപേക്ഷയായി സേവ് ചെയ്യട്ടെ? ദയവായി അതെ അല്ലെങ്കിൽ ഇല്ല എന്ന് പറയൂ.',
+    completed: 'നന്ദി. നിങ്ങളുടെ യോഗ്യതാ പരിശോധന പൂർത്തിയായി.',
+    applicationSaved: 'നിങ്ങളുടെ അപേക്ഷ {number} എന്ന നമ്പറിൽ ഡ്രാഫ്റ്റായി സേവ് ചെയ്തു.',
+    loginToSave: 'ഇത് അപേക്ഷയായി സേവ് ചെയ്യാൻ ദയവായി ലോഗിൻ ചെയ്യുക.',
+    declined: 'ശരി, ഒന്നും സേവ് ചെയ്തിട്ടില്ല. നന്ദി.',
+    cancelled: 'സെഷൻ റദ്ദാക്കി. നന്ദി.',
+    finished: 'ഈ സെഷൻ അവസാനിച്ചു. ദയവായി ഒരു പുതിയ സെഷൻ ആരംഭിക്കുക.',
+    options: 'നിങ്ങൾക്ക് പറയാം: {options}.',
+    questions: {
+      dateOfBirth: 'നിങ്ങളുടെ പ്രായം എത്രയാണ്? ജനനത്തീയതിയും പറയാം.',
+      income: 'നിങ്ങളുടെ കുടുംബത്തിന്റെ വാർഷിക വരുമാനം എത്ര രൂപയാണ്?',
+      residence: 'നിങ്ങൾ ഏത് സംസ്ഥാനത്താണ് താമസിക്കുന്നത്?',
+      education: 'നിങ്ങളുടെ ഏറ്റവും ഉയർന്ന വിദ്യാഭ്യാസ യോഗ്യത എന്താണ്?',
+      gender: 'നിങ്ങൾ പുരുഷനാണോ, സ്ത്രീയാണോ, അതോ മറ്റുള്ളവരാണോ?',
+      marital: 'നിങ്ങളുടെ വൈവാഹിക നില എന്താണ്?',
+      occupation: 'നിങ്ങളുടെ തൊഴിൽ എന്താണ്?',
+      category: 'നിങ്ങൾ ഏത് സാമൂഹിക വിഭാഗത്തിൽ പെടുന്നു?',
+      disability: 'നിങ്ങൾക്ക് എന്തെങ്കിലും ഭിന്നശേഷിയുണ്ടോ? ദയവായി അതെ അല്ലെങ്കിൽ ഇല്ല എന്ന് പറയൂ.',
+      default: 'ദയവായി നിങ്ങളുടെ {criteria} പറയൂ.'
+    }
+  },
+  pa: {
+    welcome: 'ਸਤ ਸ੍ਰੀ ਅਕਾਲ। ਮੈਂ {service} ਲਈ ਤੁਹਾਡੀ ਯੋਗਤਾ ਜਾਂਚਣ ਵਿੱਚ ਮਦਦ ਕਰਾਂਗਾ।',
+    notUnderstood: 'ਮਾਫ਼ ਕਰਨਾ, ਮੈਂ ਸਮਝ ਨਹੀਂ ਸਕਿਆ।',
+    skipped: 'ਚਲੋ ਅੱਗੇ ਵਧੀਏ।',
+    eligible: 'ਤੁਸੀਂ {service} ਲਈ ਯੋਗ ਲੱਗਦੇ ਹੋ।',
+    eligibilityUnknown: 'ਮੈਂ ਯੋਗਤਾ ਦੀਆਂ ਸਾਰੀਆਂ ਸ਼ਰਤਾਂ ਦੀ ਪੁਸ਼ਟੀ ਨਹੀਂ ਕਰ ਸਕਿਆ। ਬਾਕੀ ਦੀ ਜਾਂਚ ਅਧਿਕਾਰੀ ਕਰਨਗੇ।',
+    ineligible: 'ਮਾਫ਼ ਕਰਨਾ, ਤੁਸੀਂ ਇਹ ਸ਼ਰਤ ਪੂਰੀ ਨਹੀਂ ਕਰਦੇ: {criteria}।',
+    documents: 'ਤੁਹਾਨੂੰ ਇਹਨਾਂ ਦਸਤਾਵੇਜ਼ਾਂ ਦੀ ਲੋੜ ਪਵੇਗੀ: {documents}।',
+    noDocuments: 'ਇਸ ਸੇਵਾ ਲਈ ਕਿਸੇ ਦਸਤਾਵੇਜ਼ ਦੀ ਲੋੜ ਨਹੀਂ ਹੈ।',
+    fees: 'ਕੁੱਲ ਫੀਸ {amount} ਰੁਪਏ ਹੈ।',
+    noFees: 'ਇਸ ਸੇਵਾ ਲਈ ਕੋਈ ਫੀਸ ਨਹੀਂ ਹੈ।',
+    confirm: 'ਕੀ ਮੈਂ ਇਹ ਵੇਰਵੇ ਅਰਜ਼ੀ ਵਜੋਂ ਸੰਭਾਲ ਲਵਾਂ? ਕਿਰਪਾ ਕਰਕੇ ਹਾਂ ਜਾਂ ਨਹੀਂ ਕਹੋ।',
+    completed: 'ਧੰਨਵਾਦ। ਤੁਹਾਡੀ ਯੋਗਤਾ ਦੀ ਜਾਂਚ ਪੂਰੀ ਹੋ ਗਈ ਹੈ।',
+    applicationSaved: 'ਤੁਹਾਡੀ ਅਰਜ਼ੀ ਨੰਬਰ {number} ਨਾਲ ਡਰਾਫਟ ਵਜੋਂ ਸੰਭਾਲ ਲਈ ਗਈ ਹੈ।',
+    loginToSave: 'ਇਸਨੂੰ ਅਰਜ਼ੀ ਵਜੋਂ ਸੰਭਾਲਣ ਲਈ ਕਿਰਪਾ ਕਰਕੇ ਲੌਗ ਇਨ ਕਰੋ।',
+    declined: 'ਠੀਕ ਹੈ, ਕੁਝ ਵੀ ਸੰਭਾਲਿਆ ਨਹੀਂ ਗਿਆ। ਅਲਵਿਦਾ।',
+    cancelled: 'ਸੈਸ਼ਨ ਰੱਦ ਕਰ ਦਿੱਤਾ ਗਿਆ ਹੈ। ਅਲਵਿਦਾ।',
+    finished: 'ਇਹ ਸੈਸ਼ਨ ਖ਼ਤਮ ਹੋ ਗਿਆ ਹੈ। ਕਿਰਪਾ ਕਰਕੇ ਨਵਾਂ ਸੈਸ਼ਨ ਸ਼ੁਰੂ ਕਰੋ।',
+    options: 'ਤੁਸੀਂ ਕਹਿ ਸਕਦੇ ਹੋ: {options}।',
+    questions: {
+      dateOfBirth: 'ਤੁਹਾਡੀ ਉਮਰ ਕਿੰਨੀ ਹੈ? ਤੁਸੀਂ ਆਪਣੀ ਜਨਮ ਮਿਤੀ ਵੀ ਦੱਸ ਸਕਦੇ ਹੋ।',
+      income: 'ਤੁਹਾਡੇ ਪਰਿਵਾਰ ਦੀ ਸਾਲਾਨਾ ਆਮਦਨ ਕਿੰਨੇ ਰੁਪਏ ਹੈ?',
+      residence: 'ਤੁਸੀਂ ਕਿਸ ਰਾਜ ਵਿੱਚ ਰਹਿੰਦੇ ਹੋ?',
+      education: 'ਤੁਹਾਡੀ ਸਭ ਤੋਂ ਉੱਚੀ ਸਿੱਖਿਆ ਕੀ ਹੈ?',
+      gender: 'ਤੁਸੀਂ ਪੁਰਸ਼ ਹੋ, ਔਰਤ ਹੋ ਜਾਂ ਹੋਰ?',
+      marital: 'ਤੁਹਾਡੀ ਵਿਆਹੁਤਾ ਸਥਿਤੀ ਕੀ ਹੈ?',
+      occupation: 'ਤੁਹਾਡਾ ਕਿੱਤਾ ਕੀ ਹੈ?',
+      category: 'ਤੁਸੀਂ ਕਿਸ ਸਮਾਜਿਕ ਵਰਗ ਨਾਲ ਸਬੰਧਤ ਹੋ?',
+      disability: 'ਕੀ ਤੁਹਾਨੂੰ ਕੋਈ ਅਪੰਗਤਾ ਹੈ? ਕਿਰਪਾ ਕਰਕੇ ਹਾਂ ਜਾਂ ਨਹੀਂ ਕਹੋ।',
+      default: 'ਕਿਰਪਾ ਕਰਕੇ ਆਪਣਾ {criteria} ਦੱਸੋ।'
+    }
+  },
+  or: {
+    welcome: 'ନମସ୍କାର। {service} ପାଇଁ ଆପଣଙ୍କ ଯୋଗ୍ୟତା ଯାଞ୍ଚ କରିବାରେ ମୁଁ ସାହାଯ୍ୟ କରିବି।',
+    notUnderstood: 'କ୍ଷମା କରିବେ, ମୁଁ ବୁଝିପାରିଲି ନାହିଁ।',
+    skipped: 'ଚାଲନ୍ତୁ ଆଗକୁ ବଢ଼ିବା।',
+    eligible: 'ଆପଣ {service} ପାଇଁ ଯୋଗ୍ୟ ବୋଲି ମନେହେଉଛି।',
+    eligibilityUnknown: 'ମୁଁ ସମସ୍ତ ଯୋଗ୍ୟତା ସର୍ତ୍ତ ନିଶ୍ଚିତ କରିପାରିଲି ନାହିଁ। ବାକିତକ ଜଣେ ଅଧିକାରୀ ଯାଞ୍ଚ କରିବେ।',
+    ineligible: 'କ୍ଷମା କରିବେ, ଆପଣ ଏହି ସର୍ତ୍ତ ପୂରଣ କରୁନାହାନ୍ତି: {criteria}।',
+    documents: 'ଆପଣଙ୍କୁ ଏହି ଦସ୍ତାବିଜଗୁଡ଼ିକ ଦରକାର ହେବ: {documents}।',
+    noDocuments: 'ଏହି ସେବା ପାଇଁ କୌଣସି ଦସ୍ତାବିଜ ଦରକାର ନାହିଁ।',
+    fees: 'ମୋଟ ଶୁଳ୍କ {amount} ଟଙ୍କା।',
+    noFees: 'ଏହି ସେବା ପାଇଁ କୌଣସି ଶୁଳ୍କ ନାହିଁ।',
+    confirm: 'ମୁଁ କଣ ଏହି ବିବରଣୀକୁ ଆବେଦନ ଭାବେ ସଞ୍ଚୟ କରିବି? ଦୟାକରି ହଁ କିମ୍ବା ନା କୁହନ୍ତୁ।',
+    completed: 'ଧନ୍ୟବାଦ। ଆପଣଙ୍କ ଯୋଗ୍ୟତା ଯାଞ୍ଚ ସମ୍ପୂର୍ଣ୍ଣ ହୋଇଛି।',
+    applicationSaved: 'ଆପଣଙ୍କ ଆବେଦନ {number} ନମ୍ବର ସହ ଡ୍ରାଫ୍ଟ ଭାବେ ସଞ୍ଚୟ ହୋଇଛି।',
+    loginToSave: 'ଏହାକୁ ଆବେଦନ ଭାବେ ସଞ୍ଚୟ କରିବା ପାଇଁ ଦୟାକରି ଲଗ୍ ଇନ୍ କରନ୍ତୁ।',
+    declined: 'ଠିକ ଅଛି, କିଛି ସଞ୍ଚୟ କରାଯାଇନାହିଁ। ନମସ୍କାର।',
+    cancelled: 'ସେସନ୍ ବାତିଲ କରାଯାଇଛି। ନମସ୍କାର।',
+    finished: 'ଏହି ସେସନ୍ ଶେଷ ହୋଇଯାଇଛି। ଦୟାକରି ଏକ ନୂଆ ସେସନ୍ ଆରମ୍ଭ କରନ୍ତୁ।',
+    options: 'ଆପଣ କହିପାରିବେ: {options}।',
+    questions: {
+      dateOfBirth: 'ଆପଣଙ୍କ ବୟସ କେତେ? ଆପଣ ନିଜ ଜନ୍ମ ତାରିଖ ମଧ୍ୟ କହିପାରିବେ।',
+      income: 'ଆପଣଙ୍କ ପରିବାରର ବାର୍ଷିକ ଆୟ କେତେ ଟଙ୍କା?',
+      residence: 'ଆପଣ କେଉଁ ରାଜ୍ୟରେ ରହନ୍ତି?',
+      education: 'ଆପଣଙ୍କ ସର୍ବୋଚ୍ଚ ଶିକ୍ଷାଗତ ଯୋଗ୍ୟତା କଣ?',
+      gender: 'ଆପଣ ପୁରୁଷ, ମହିଳା ନା ଅନ୍ୟ?',
+      marital: 'ଆପଣଙ୍କ ବୈବାହିକ ସ୍ଥିତି କଣ?',
+      occupation: 'ଆପଣଙ୍କ ବୃତ୍ତି କଣ?',
+      category: 'ଆପଣ କେଉଁ ସାମାଜିକ ବର୍ଗର?',
+      disability: 'ଆପଣଙ୍କର କୌଣସି ଭିନ୍ନକ୍ଷମତା ଅଛି କି? ଦୟାକରି ହଁ କିମ୍ବା ନା କୁହନ୍ତୁ।',
+      default: 'ଦୟାକରି ଆପଣଙ୍କ {criteria} କୁହନ୍ତୁ।'
+    }
+  },
+  as: {
+    welcome: 'নমস্কাৰ। {service}ৰ বাবে আপোনাৰ যোগ্যতা পৰীক্ষা কৰাত মই সহায় কৰিম।',
+    notUnderstood: 'ক্ষমা কৰিব, মই বুজি নাপালোঁ।',
+    skipped: 'আহক আগবাঢ়োঁ।',
+    eligible: 'আপুনি {service}ৰ বাবে যোগ্য যেন লাগিছে।',
+    eligibilityUnknown: 'মই যোগ্যতাৰ সকলো চৰ্ত নিশ্চিত কৰিব নোৱাৰিলোঁ। বাকীখিনি এজন বিষয়াই পৰীক্ষা কৰিব।',
+    ineligible: 'ক্ষমা কৰিব, আপুনি এই চৰ্ত পূৰণ নকৰে: {criteria}।',
+    documents: 'আপোনাক এই নথিপত্ৰবোৰ লাগিব: {documents}।',
+    noDocuments: 'এই সেৱাৰ বাবে কোনো নথিপত্ৰ নালাগে।',
+    fees: 'মুঠ মাচুল {amount} টকা।',
+    noFees: 'এই সেৱাৰ বাবে কোনো মাচুল নাই।',
+    confirm: 'মই এই বিৱৰণবোৰ এটা আবেদন হিচাপে সাঁচি থওঁনে? অনুগ্ৰহ কৰি হয় বা নহয় বুলি কওক।',
+    completed: 'ধন্যবাদ। আপোনাৰ যোগ্যতা পৰীক্ষা সম্পূৰ্ণ হ’ল।',
+    applicationSaved: 'আপোনাৰ আবেদন {number} নম্বৰেৰে খচৰা হিচাপে সাঁচি থোৱা হৈছে।',
+    loginToSave: 'ইয়াক আবেদন হিচাপে সাঁচি থ’বলৈ অনুগ্ৰহ কৰি লগ ইন কৰক।',
+    declined: 'ঠিক আছে, একো সাঁচি থোৱা হোৱা নাই। বিদায়।',
+    cancelled: 'ছেচনটো বাতিল কৰা হৈছে। বিদায়।',
+    finished: 'এই ছেচনটো শেষ হৈছে। অনুগ্ৰহ কৰি এটা নতুন ছেচন আৰম্ভ কৰক।',
+    options: 'আপুনি ক’ব পাৰে: {options}।',
+    questions: {
+      dateOfBirth: 'আপোনাৰ বয়স কিমান? আপুনি জন্মৰ তাৰিখো ক’ব পাৰে।',
+      income: 'আপোনাৰ পৰিয়ালৰ বাৰ্ষিক আয় কিমান টকা?',
+      residence: 'আপুনি কোন ৰাজ্যত থাকে?',
+      education: 'আপোনাৰ সৰ্বোচ্চ শিক্ষাগত অৰ্হতা কি?',
+      gender: 'আপুনি পুৰুষ, মহিলা নে অন্য?',
+      marital: 'আপোনাৰ বৈবাহিক স্থিতি কি?',
+      occupation: 'আপোনাৰ বৃত্তি কি?',
+      category: 'আপুনি কোন সামাজিক শ্ৰেণীৰ অন্তৰ্ভুক্ত?',
+      disability: 'আপোনাৰ কোনো বিকলাংগতা আছে নেকি? অনুগ্ৰহ কৰি হয় বা নহয় বুলি কওক।',
+      default: 'অনুগ্ৰহ কৰি আপোনাৰ {criteria} কওক।'
+    }
+  }
+};
+
+/**
+ * Get a dialogue message in a language with English fallback
+ * @param {String} language - Language code
+ * @param {String} key - Message key, dot separated for nested keys
+ * @param {Object} params - Values for {placeholders}
+ * @returns {String} Message text
+ */
+const getMessage = (language, key, params = {}) => {
+  const lookup = (messages) => key.split('.').reduce((value, part) => (value ? value[part] : undefined), messages);
+  const template = lookup(MESSAGES[language] || {}) || lookup(MESSAGES.en) || '';
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+};
+
+/**
+ * Get text from a multilingual field with English fallback
+ * @param {Object} field - Multilingual text object
+ * @param {String} language - Language code
+ * @returns {String|null} Text in the requested language
+ */
+const getText = (field, language) => {
+  if (!field) return null;
+  return field[language] || field.en || null;
+};
+
+/**
+ * Check whether any lexicon word was spoken
+ * @param {String} transcript - Spoken text
+ * @param {Array} words - Words to look for
+ * @returns {Boolean} True if one of the words is present
+ */
+const containsWord = (transcript, words) => {
+  const tokens = normalizeText(transcript).split(' ');
+  return words.some(word => tokens.includes(word));
+};
+
+/**
+ * Interpret a yes/no answer
+ * @param {String} transcript - Spoken text
+ * @returns {Boolean|null} true for yes, false for no, null if unclear
+ */
+const parseYesNo = (transcript) => {
+  const saidNo = containsWord(transcript, LEXICON.no);
+  const saidYes = containsWord(transcript, LEXICON.yes);
+
+  if (saidNo) return false;
+  if (saidYes) return true;
+  return null;
+};
+
+/**
+ * Convert spoken English number words ("sixty five", "two lakh") to a number
+ * @param {Array} tokens - Normalised tokens
+ * @returns {Number|null} Parsed number or null if no number words were found
+ */
+const parseNumberWords = (tokens) => {
+  let total = 0;
+  let current = 0;
+  let found = false;
+
+  tokens.forEach(token => {
+    if (NUMBER_WORDS[token] !== undefined) {
+      current += NUMBER_WORDS[token];
+      found = true;
+    } else if (token === 'hundred' && found) {
+      current = (current || 1) * 100;
+    } else if (MULTIPLIERS[token] && found) {
+      total += (current || 1) * MULTIPLIERS[token];
+      current = 0;
+    }
+  });
+
+  return found ? total + current : null;
+};
+
+/**
+ * Extract a number from spoken text
+ * Understands Indic script digits, separators and lakh/crore/thousand multipliers
+ *
+ * @param {String} transcript - Spoken text
+ * @returns {Number|null} Parsed number or null if none found
+ */
+const parseNumber = (transcript) => {
+  const text = toAsciiDigits(transcript)
+    .normalize('NFC')
+    .replace(/(\d),(?=\d)/g, '$1')
+    .toLowerCase();
+
+  const match = text.match(/(\d+(?:\.\d+)?)\s*([\p{L}\p{M}]+)?/u);
+  if (!match) return parseNumberWords(normalizeText(text).split(' '));
+
+  let value = parseFloat(match[1]);
+  const multiplier = match[2] ? MULTIPLIERS[match[2]] : undefined;
+  if (multiplier) value *= multiplier;
+
+  return Number.isFinite(value) ? value : null;
+};
+
+/**
+ * Interpret an age or date of birth answer
+ * @param {String} transcript - Spoken text
+ * @returns {Object|null} dateOfBirth (ISO date) and age, or null if unclear
+ */
+const parseDateOfBirth = (transcript) => {
+  const text = toAsciiDigits(transcript);
+  const today = new Date();
+
+  // Spoken dates arrive as dd/mm/yyyy or yyyy-mm-dd from most recognisers
+  const dayFirst = text.match(/(\d{1,2})[\/\-. ](\d{1,2})[\/\-. ](\d{4})/);
+  const isoDate = text.match(/(\d{4})-(\d{1,2})-(\d{1,2})/);
+
+  let birthDate = null;
+  if (isoDate) {
+    birthDate = new Date(Date.UTC(+isoDate[1], +isoDate[2] - 1, +isoDate[3]));
+  } else if (dayFirst) {
+    birthDate = new Date(Date.UTC(+dayFirst[3], +dayFirst[2] - 1, +dayFirst[1]));
+  } else {
+    const age = parseNumber(text);
+    if (age === null || age < 0 || age > 120) return null;
+    birthDate = new Date(Date.UTC(today.getFullYear() - Math.floor(age), today.getMonth(), today.getDate()));
+  }
+
+  if (isNaN(birthDate.getTime()) || birthDate > today) return null;
+
+  let age = today.getFullYear() - birthDate.getUTCFullYear();
+  const monthDiff = today.getMonth() - birthDate.getUTCMonth();
+  if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getUTCDate())) {
+    age--;
+  }
+
+  return {
+    dateOfBirth: birthDate.toISOString().slice(0, 10),
+    age
+  };
+};
+
+/**
+ * Pick the allowed value closest to what was spoken
+ * @param {String} transcript - Spoken text
+ * @param {Array} allowedValues - Values accepted by the criterion
+ * @returns {String|null} Matching allowed value or null
+ */
+const matchAllowedValue = (transcript, allowedValues) => {
+  const spoken = normalizeText(transcript);
+  const tokens = spoken.split(' ');
+  let best = null;
+  let bestScore = 0;
+
+  allowedValues.forEach(value => {
+    const normalizedValue = normalizeText(value);
+    let score = ` ${spoken} `.includes(` ${normalizedValue} `) ? 1 : 0;
+
+    tokens.forEach(token => {
+      score = Math.max(score, similarity(token, normalizedValue));
+    });
+
+    if (score > bestScore) {
+      bestScore = score;
+      best = value;
+    }
+  });
+
+  return bestScore >= 0.75 ? best : null;
+};
+
+/**
+ * Interpret the caller's answer for a field
+ * @param {String} field - Missing-data field being asked for
+ * @param {String} transcript - Spoken answer
+ * @param {Object} [criteria] - Eligibility criterion the field belongs to
+ * @returns {Object|null} Profile values to store, or null if unclear
+ */
+const parseAnswer = (field, transcript, criteria) => {
+  const allowedValues = criteria && criteria.allowedValues && criteria.allowedValues.length > 0
+    ? criteria.allowedValues
+    : null;
+
+  switch (field) {
+    case 'dateOfBirth':
+      return parseDateOfBirth(transcript);
+
+    case 'income': {
+      const income = parseNumber(transcript);
+      return income === null ? null : { income };
+    }
+
+    case 'disability': {
+      const answer = parseYesNo(transcript);
+      return answer === null ? null : { hasDisability: answer };
+    }
+
+    case 'gender': {
+      const gender = ['female', 'male', 'other'].find(option => containsWord(transcript, LEXICON[option]));
+      return gender ? { gender } : null;
+    }
+
+    default: {
+      let value;
+      if (allowedValues) {
+        value = matchAllowedValue(transcript, allowedValues);
+      } else {
+        value = String(transcript || '').trim() || null;
+      }
+
+      if (value === null) return null;
+      return { [FIELD_PATHS[field] || field]: value };
+    }
+  }
+};
+
+/**
+ * Store parsed values into the profile, expanding dotted paths
+ * @param {Object} profile - Caller profile
+ * @param {Object} values - Values keyed by path
+ * @returns {Object} Updated profile
+ */
+const setProfileValues = (profile, values) => {
+  const updated = { ...profile };
+
+  Object.entries(values).forEach(([path, value]) => {
+    const parts = path.split('.');
+    let target = updated;
+
+    parts.slice(0, -1).forEach(part => {
+      target[part] = { ...(target[part] || {}) };
+      target = target[part];
+    });
+
+    target[parts[parts.length - 1]] = value;
+  });
+
+  return updated;
+};
+
+/**
+ * Find the eligibility criterion a missing field belongs to
+ * @param {Object} service - Service document
+ * @param {String} field - Missing-data field
+ * @returns {Object|undefined} Eligibility criterion
+ */
+const findCriteria = (service, field) => {
+  const criteriaType = field === 'dateOfBirth' ? 'age' : field;
+  return (service.eligibilityCriteria || []).find(criteria => criteria.criteriaType === criteriaType);
+};
+
+/**
+ * Get a stage prompt, preferring the service's own voice prompts
+ * @param {Object} service - Service document
+ * @param {String} stage - welcome, eligibility, documents or confirmation
+ * @param {String} language - Language code
+ * @returns {String|null} Custom prompt or null if the service has none
+ */
+const getServicePrompt = (service, stage, language) => {
+  const prompts = service.voiceInterface && service.voiceInterface.voicePrompts;
+  return prompts ? getText(prompts[stage], language) : null;
+};
+
+/**
+ * Build the question for a missing field
+ * @param {Object} service - Service document
+ * @param {String} field - Missing-data field
+ * @param {String} language - Language code
+ * @returns {String} Question text
+ */
+const buildQuestion = (service, field, language) => {
+  const criteria = findCriteria(service, field);
+  const question = MESSAGES.en.questions[field]
+    ? getMessage(language, `questions.${field}`)
+    : getMessage(language, 'questions.default', {
+      criteria: criteria ? getText(criteria.name, language) : field
+    });
+
+  if (criteria && criteria.allowedValues && criteria.allowedValues.length > 0 && field !== 'gender') {
+    return `${question} ${getMessage(language, 'options', { options: criteria.allowedValues.join(', ') })}`;
+  }
+
+  return question;
+};
+
+/**
+ * Re-run eligibility on the collected profile and decide what to say next
+ * @param {Object} service - Service document
+ * @param {Object} state - Dialogue state
+ * @param {Array} parts - Prompt sentences collected so far
+ * @returns {Object} Next state, prompt and whether the dialogue is done
+ */
+const advance = (service, state, parts) => {
+  const language = state.language;
+  const serviceName = getText(service.name, language);
+  const eligibility = service.checkEligibility(state.profile);
+  const failedCriteria = eligibility.failedCriteria || [];
+  const missingData = eligibility.missingData || [];
+
+  state.eligibility = eligibility;
+
+  // Definitely not eligible: explain which condition failed
+  if (failedCriteria.length > 0) {
+    const names = failedCriteria.map(failed => {
+      const criteria = (service.eligibilityCriteria || []).find(c => c.criteriaType === failed.type);
+      return criteria ? getText(criteria.name, language) : failed.name;
+    });
+
+    state.stage = 'ineligible';
+    state.pendingField = null;
+    parts.push(getMessage(language, 'ineligible', { criteria: names.join(', ') }));
+    return finish(state, parts, true);
+  }
+
+  // Ask for the next piece of missing information
+  const next = missingData.find(missing => !state.skippedFields.includes(missing.field));
+  if (next) {
+    if (state.stage !== 'eligibility') {
+      const eligibilityPrompt = getServicePrompt(service, 'eligibility', language);
+      if (eligibilityPrompt) parts.push(eligibilityPrompt);
+    }
+
+    state.stage = 'eligibility';
+    state.pendingField = { field: next.field, criteria: next.criteria, retries: 0 };
+    parts.push(buildQuestion(service, next.field, language));
+    return finish(state, parts, false);
+  }
+
+  // Eligibility settled as far as the caller can answer: documents, fees, confirm
+  parts.push(getMessage(language, missingData.length > 0 ? 'eligibilityUnknown' : 'eligible', { service: serviceName }));
+
+  const documents = (service.requirements || [])
+    .filter(requirement => requirement.isMandatory)
+    .map(requirement => getText(requirement.name, language));
+
+  const documentsPrompt = getServicePrompt(service, 'documents', language);
+  if (documentsPrompt) parts.push(documentsPrompt);
+  parts.push(documents.length > 0
+    ? getMessage(language, 'documents', { documents: documents.join(', ') })
+    : getMessage(language, 'noDocuments'));
+
+  state.fees = service.calculateFees(state.profile);
+  parts.push(state.fees.totalAmount > 0
+    ? getMessage(language, 'fees', { amount: state.fees.totalAmount })
+    : getMessage(language, 'noFees'));
+
+  parts.push(getServicePrompt(service, 'confirmation', language) || getMessage(language, 'confirm'));
+
+  state.stage = 'confirmation';
+  state.pendingField = null;
+  return finish(state, parts, false);
+};
+
+/**
+ * Finalise a turn result
+ * @param {Object} state - Dialogue state
+ * @param {Array} parts - Prompt sentences
+ * @param {Boolean} done - Whether the dialogue has ended
+ * @param {String} [action] - Follow-up action for the caller of the engine
+ * @returns {Object} Turn result
+ */
+const finish = (state, parts, done, action) => {
+  state.lastPrompt = parts.join(' ');
+  return { state, prompt: state.lastPrompt, done, action };
+};
+
+/**
+ * Start a dialogue for a service
+ * @param {Object} service - Service document
+ * @param {String} language - Language code
+ * @param {Object} [profile] - Profile data already known about the caller
+ * @returns {Object} Initial state and welcome prompt
+ */
+const startDialogue = (service, language = 'en', profile = {}) => {
+  const state = {
+    stage: 'welcome',
+    language,
+    pendingField: null,
+    skippedFields: [],
+    profile: { ...profile },
+    eligibility: null,
+    fees: null,
+    lastPrompt: null
+  };
+
+  const parts = [
+    getServicePrompt(service, 'welcome', language) ||
+      getMessage(language, 'welcome', { service: getText(service.name, language) })
+  ];
+
+  return advance(service, state, parts);
+};
+
+/**
+ * Handle one caller turn
+ * @param {Object} service - Service document
+ * @param {Object} state - Current dialogue state
+ * @param {String} transcript - What the caller said
+ * @returns {Object} Next state, prompt, whether the dialogue is done, any follow-up action
+ * and understood: false when the answer could not be interpreted
+ */
+const handleTurn = (service, state, transcript) => {
+  const language = state.language;
+  const parts = [];
+
+  if (FINAL_STAGES.includes(state.stage)) {
+    return { state, prompt: getMessage(language, 'finished'), done: true };
+  }
+
+  if (containsWord(transcript, LEXICON.cancel)) {
+    state.stage = 'cancelled';
+    state.pendingField = null;
+    parts.push(getMessage(language, 'cancelled'));
+    return finish(state, parts, true);
+  }
+
+  if (containsWord(transcript, LEXICON.repeat) && state.lastPrompt) {
+    return { state, prompt: state.lastPrompt, done: false };
+  }
+
+  if (state.stage === 'confirmation') {
+    const answer = parseYesNo(transcript);
+
+    if (answer === true) {
+      state.stage = 'completed';
+      parts.push(getMessage(language, 'completed'));
+      return finish(state, parts, true, 'createApplication');
+    }
+
+    if (answer === false) {
+      state.stage = 'cancelled';
+      parts.push(getMessage(language, 'declined'));
+      return finish(state, parts, true);
+    }
+
+    parts.push(getMessage(language, 'notUnderstood'));
+    parts.push(getServicePrompt(service, 'confirmation', language) || getMessage(language, 'confirm'));
+    return { ...finish(state, parts, false), understood: false };
+  }
+
+  // Eligibility stage: interpret the answer to the pending question
+  const pending = state.pendingField;
+  if (!pending) {
+    return advance(service, state, parts);
+  }
+
+  const values = parseAnswer(pending.field, transcript, findCriteria(service, pending.field));
+
+  if (values) {
+    state.profile = setProfileValues(state.profile, values);
+    return advance(service, state, parts);
+  }
+
+  pending.retries += 1;
+  parts.push(getMessage(language, 'notUnderstood'));
+
+  if (pending.retries > MAX_RETRIES) {
+    state.skippedFields.push(pending.field);
+    parts.push(getMessage(language, 'skipped'));
+    return { ...advance(service, state, parts), understood: false };
+  }
+
+  parts.push(buildQuestion(service, pending.field, language));
+  return { ...finish(state, parts, false), understood: false };
+};
+
+module.exports = {
+  startDialogue,
+  handleTurn,
+  getMessage,
+  parseAnswer,
+  parseNumber,
+  parseYesNo
+};
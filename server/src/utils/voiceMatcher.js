@@ -0,0 +1,322 @@
+/**
+ * Voice intent matcher for SwarSeva
+ * Scores a spoken utterance against the voice commands stored on services
+ */
+
+// Weight given to each kind of phrase a service can be matched on
+const PHRASE_WEIGHTS = {
+  trigger: 1.0,
+  synonym: 0.9,
+  name: 0.85,
+  example: 0.8
+};
+
+// Score given to a token that only matches after fuzzy comparison
+// is scaled by this factor so exact matches always rank higher
+const FUZZY_MATCH_FACTOR = 0.8;
+
+// Minimum similarity for two tokens to be considered a fuzzy match
+const FUZZY_THRESHOLD = 0.75;
+
+// Similarity assigned to tokens that sound alike but are spelt differently
+const PHONETIC_MATCH_SIMILARITY = 0.9;
+
+// Language used when a service has no commands in the requested language
+const FALLBACK_LANGUAGE = 'en';
+
+// Penalty applied to matches made on fallback language commands
+const FALLBACK_PENALTY = 0.9;
+
+// Filler words that carry no intent
+const STOPWORDS = {
+  en: ['i', 'want', 'to', 'the', 'a', 'an', 'for', 'please', 'my', 'me', 'of', 'is', 'need', 'can', 'you', 'how', 'do', 'get', 'apply', 'about', 'tell'],
+  hi: ['मुझे', 'है', 'का', 'की', 'के', 'को', 'में', 'चाहिए', 'करना', 'कैसे', 'क्या', 'लिए', 'मेरा', 'मेरी', 'बताओ', 'बताइए', 'कृपया', 'mujhe', 'hai', 'ka', 'ki', 'ke', 'chahiye', 'karna', 'kaise'],
+  bn: ['আমার', 'আমি', 'আমাকে', 'চাই', 'দরকার', 'কিভাবে', 'কীভাবে', 'কী', 'কি', 'জন্য', 'বলুন', 'দয়া', 'করে', 'করতে', 'আছে', 'একটা', 'একটি'],
+  ta: ['எனக்கு', 'நான்', 'வேண்டும்', 'என்', 'என்னுடைய', 'ஒரு', 'எப்படி', 'என்ன', 'பற்றி', 'சொல்லுங்கள்', 'தயவுசெய்து', 'செய்ய', 'உள்ளது', 'இருக்கிறது'],
+  te: ['నాకు', 'నేను', 'కావాలి', 'నా', 'ఒక', 'ఎలా', 'ఏమిటి', 'కోసం', 'గురించి', 'చెప్పండి', 'దయచేసి', 'చేయాలి', 'ఉంది'],
+  mr: ['मला', 'माझा', 'माझी', 'माझे', 'आहे', 'हवे', 'हवा', 'हवी', 'पाहिजे', 'कसे', 'कसा', 'काय', 'साठी', 'सांगा', 'कृपया', 'करायचा', 'करायचे', 'मध्ये'],
+  gu: ['મને', 'મારો', 'મારી', 'મારું', 'છે', 'જોઈએ', 'કેવી', 'રીતે', 'શું', 'માટે', 'કહો', 'કૃપા', 'કરીને', 'કરવું', 'માં'],
+  kn: ['ನನಗೆ', 'ನಾನು', 'ನನ್ನ', 'ಬೇಕು', 'ಒಂದು', 'ಹೇಗೆ', 'ಏನು', 'ಬಗ್ಗೆ', 'ಹೇಳಿ', 'ದಯವಿಟ್ಟು', 'ಮಾಡಲು', 'ಇದೆ'],
+  ml: ['എനിക്ക്', 'ഞാൻ', 'എന്റെ', 'വേണം', 'ഒരു', 'എങ്ങനെ', 'എന്താണ്', 'വേണ്ടി', 'കുറിച്ച്', 'പറയൂ', 'ദയവായി', 'ചെയ്യാൻ', 'ഉണ്ട്'],
+  pa: ['ਮੈਨੂੰ', 'ਮੈਂ', 'ਮੇਰਾ', 'ਮੇਰੀ', 'ਹੈ', 'ਚਾਹੀਦਾ', 'ਚਾਹੀਦੀ', 'ਦਾ', 'ਦੀ', 'ਦੇ', 'ਨੂੰ', 'ਵਿੱਚ', 'ਕਿਵੇਂ', 'ਕੀ', 'ਲਈ', 'ਦੱਸੋ', 'ਕਿਰਪਾ', 'ਕਰਕੇ', 'ਕਰਨਾ'],
+  or: ['ମୋତେ', 'ମୁଁ', 'ମୋର', 'ଦରକାର', 'କିପରି', 'କଣ', 'ପାଇଁ', 'କୁହନ୍ତୁ', 'ଦୟାକରି', 'କରିବା', 'ଅଛି', 'ଗୋଟିଏ'],
+  as: ['মোক', 'মই', 'মোৰ', 'লাগে', 'কেনেকৈ', 'কি', 'বাবে', 'কওক', 'অনুগ্ৰহ', 'কৰি', 'কৰিব', 'আছে', 'এটা']
+};
+
+/**
+ * Normalise text for matching
+ * Lowercases, removes punctuation and collapses whitespace while keeping
+ * combining marks so Indic scripts are not broken apart
+ *
+ * @param {String} text - Raw text
+ * @returns {String} Normalised text
+ */
+const normalizeText = (text) => {
+  if (!text) return '';
+  return String(text)
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Split text into meaningful tokens
+ * @param {String} text - Raw or normalised text
+ * @param {String} language - Language code used to pick stopwords
+ * @returns {Array} Tokens without stopwords
+ */
+const tokenize = (text, language = 'en') => {
+  const stopwords = new Set([...(STOPWORDS[language] || []), ...STOPWORDS.en].map(normalizeText));
+  const tokens = normalizeText(text).split(' ').filter(Boolean);
+  const meaningful = tokens.filter(token => !stopwords.has(token));
+
+  // Keep the original tokens if everything was a stopword
+  return meaningful.length > 0 ? meaningful : tokens;
+};
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {String} a - First string
+ * @param {String} b - Second string
+ * @returns {Number} Number of single character edits
+ */
+const levenshtein = (a, b) => {
+  const first = Array.from(a);
+  const second = Array.from(b);
+
+  if (first.length === 0) return second.length;
+  if (second.length === 0) return first.length;
+
+  let previous = Array.from({ length: second.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= first.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= second.length; j++) {
+      const cost = first[i - 1] === second[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    previous = current;
+  }
+
+  return previous[second.length];
+};
+
+/**
+ * Similarity between two tokens (0-1)
+ * @param {String} a - First token
+ * @param {String} b - Second token
+ * @returns {Number} 1 for identical tokens, 0 for completely different ones
+ */
+const similarity = (a, b) => {
+  if (a === b) return 1;
+  const maxLength = Math.max(Array.from(a).length, Array.from(b).length);
+  if (maxLength === 0) return 1;
+  return 1 - levenshtein(a, b) / maxLength;
+};
+
+/**
+ * Build a rough phonetic key for a token
+ * Speech recognisers often spell Indian words the way they sound
+ * ("penshun", "rashan"), so Latin tokens are reduced to a consonant skeleton
+ * and Indic tokens lose their vowel signs before comparison.
+ *
+ * @param {String} token - Normalised token
+ * @returns {String} Phonetic key
+ */
+const phoneticKey = (token) => {
+  if (!/^[a-z]+$/.test(token)) {
+    return token.replace(/\p{M}/gu, '');
+  }
+
+  const key = token
+    .replace(/ph/g, 'f')
+    .replace(/(sh|ch|ti(?=[aeiou]))/g, 's')
+    .replace(/[cq]/g, 'k')
+    .replace(/x/g, 'ks')
+    .replace(/z/g, 'j')
+    .replace(/w/g, 'v')
+    .replace(/h/g, '')
+    .replace(/(.)\1+/g, '$1');
+
+  // Keep the first letter, drop the remaining vowels
+  return key.charAt(0) + key.slice(1).replace(/[aeiouy]/g, '');
+};
+
+/**
+ * Score how well a phrase is covered by the utterance
+ * Each phrase token is matched against the best utterance token, exactly or
+ * fuzzily to tolerate speech recognition errors
+ *
+ * @param {Array} utteranceTokens - Tokens of the spoken utterance
+ * @param {Array} phraseTokens - Tokens of the phrase to match
+ * @returns {Object} Coverage score (0-1) and whether fuzzy matching was needed
+ */
+const scorePhrase = (utteranceTokens, phraseTokens) => {
+  if (phraseTokens.length === 0 || utteranceTokens.length === 0) {
+    return { score: 0, fuzzy: false };
+  }
+
+  let total = 0;
+  let fuzzy = false;
+
+  phraseTokens.forEach(phraseToken => {
+    let best = 0;
+
+    utteranceTokens.forEach(utteranceToken => {
+      if (utteranceToken === phraseToken) {
+        best = 1;
+        return;
+      }
+
+      // Short tokens produce too many false fuzzy matches
+      if (phraseToken.length < 4) return;
+
+      let tokenSimilarity = similarity(utteranceToken, phraseToken);
+      if (phoneticKey(utteranceToken) === phoneticKey(phraseToken)) {
+        tokenSimilarity = Math.max(tokenSimilarity, PHONETIC_MATCH_SIMILARITY);
+      }
+
+      if (tokenSimilarity >= FUZZY_THRESHOLD) {
+        best = Math.max(best, tokenSimilarity * FUZZY_MATCH_FACTOR);
+      }
+    });
+
+    if (best > 0 && best < 1) fuzzy = true;
+    total += best;
+  });
+
+  return { score: total / phraseTokens.length, fuzzy };
+};
+
+/**
+ * Collect the phrases a service can be matched on for a language
+ * @param {Object} service - Service document
+ * @param {String} language - Language code
+ * @returns {Object} Phrases with their type and whether they are a fallback
+ */
+const getServicePhrases = (service, language) => {
+  let commands = (service.voiceCommands || []).filter(cmd => cmd.language === language);
+  let isFallback = false;
+
+  if (commands.length === 0 && language !== FALLBACK_LANGUAGE) {
+    commands = (service.voiceCommands || []).filter(cmd => cmd.language === FALLBACK_LANGUAGE);
+    isFallback = commands.length > 0;
+  }
+
+  const phrases = [];
+
+  commands.forEach(cmd => {
+    (cmd.triggers || []).forEach(text => phrases.push({ text, type: 'trigger', command: cmd }));
+    (cmd.synonyms || []).forEach(text => phrases.push({ text, type: 'synonym', command: cmd }));
+    (cmd.examples || []).forEach(text => phrases.push({ text, type: 'example', command: cmd }));
+  });
+
+  // The service name itself is always a reasonable phrase to match on
+  if (service.name && service.name[language]) {
+    phrases.push({ text: service.name[language], type: 'name', command: commands[0] });
+  }
+
+  return { phrases, isFallback };
+};
+
+/**
+ * Score a single service against an utterance
+ * @param {String} transcript - Spoken utterance
+ * @param {String} language - Language code of the utterance
+ * @param {Object} service - Service document
+ * @returns {Object|null} Best match for the service or null if nothing matched
+ */
+const scoreService = (transcript, language, service) => {
+  const normalizedTranscript = normalizeText(transcript);
+  const utteranceTokens = tokenize(transcript, language);
+  const { phrases, isFallback } = getServicePhrases(service, language);
+
+  let best = null;
+
+  phrases.forEach(phrase => {
+    const normalizedPhrase = normalizeText(phrase.text);
+    if (!normalizedPhrase) return;
+
+    let coverage;
+    let matchType;
+
+    // Whole phrase spoken verbatim
+    if (` ${normalizedTranscript} `.includes(` ${normalizedPhrase} `)) {
+      coverage = 1;
+      matchType = 'exact';
+    } else {
+      const result = scorePhrase(utteranceTokens, tokenize(normalizedPhrase, language));
+      coverage = result.score;
+      matchType = result.fuzzy ? 'fuzzy' : 'token';
+    }
+
+    let confidence = coverage * PHRASE_WEIGHTS[phrase.type];
+    if (isFallback) confidence *= FALLBACK_PENALTY;
+
+    if (confidence > 0 && (!best || confidence > best.confidence)) {
+      best = {
+        confidence,
+        matchedPhrase: phrase.text,
+        phraseType: phrase.type,
+        matchType,
+        responseTemplate: phrase.command ? phrase.command.responseTemplate : undefined
+      };
+    }
+  });
+
+  if (!best) return null;
+
+  return {
+    ...best,
+    confidence: Math.round(best.confidence * 1000) / 1000,
+    isFallback
+  };
+};
+
+/**
+ * Resolve an utterance to ranked service intents
+ *
+ * @param {String} transcript - Spoken utterance
+ * @param {String} language - Language code of the utterance
+ * @param {Array} services - Service documents to match against
+ * @param {Object} options - Matching options
+ * @param {Number} options.limit - Maximum number of intents to return
+ * @param {Number} options.minConfidence - Intents below this confidence are dropped
+ * @returns {Array} Intents sorted by confidence, highest first
+ */
+const resolveIntents = (transcript, language = 'en', services = [], options = {}) => {
+  const { limit = 5, minConfidence = 0.3 } = options;
+
+  return services
+    .map(service => {
+      const match = scoreService(transcript, language, service);
+      if (!match) return null;
+
+      return {
+        serviceId: service._id,
+        shortName: service.shortName,
+        name: service.name ? (service.name[language] || service.name.en) : undefined,
+        category: service.category,
+        ...match
+      };
+    })
+    .filter(intent => intent && intent.confidence >= minConfidence)
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, limit);
+};
+
+module.exports = {
+  normalizeText,
+  tokenize,
+  levenshtein,
+  similarity,
+  phoneticKey,
+  scoreService,
+  resolveIntents
+};
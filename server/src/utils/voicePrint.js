@@ -0,0 +1,473 @@
+/**
+ * Voice print feature extraction for SwarSeva
+ * Turns WAV or raw PCM audio into a fixed length speaker embedding built from
+ * MFCC statistics, computed locally without any external service
+ */
+
+// Version of the embedding format, stored with each voice print
+const EMBEDDING_VERSION = 1;
+
+// Sample rate assumed for raw PCM uploads
+const DEFAULT_SAMPLE_RATE = 16000;
+
+// Framing parameters
+const FRAME_LENGTH_MS = 25;
+const FRAME_STEP_MS = 10;
+const PRE_EMPHASIS = 0.97;
+
+// Mel filterbank and cepstrum sizes
+const MEL_FILTERS = 26;
+const MFCC_COUNT = 13;
+const MIN_FREQUENCY = 20;
+const MAX_FREQUENCY = 8000;
+
+// Frames quieter than the loudest frame by more than this are treated as silence
+const SILENCE_THRESHOLD_DB = 30;
+
+// At least half a second of speech is needed for a usable embedding
+const MIN_VOICED_FRAMES = 50;
+
+// Limits on how much audio is accepted
+const MIN_SAMPLE_RATE = 8000;
+const MAX_DURATION_SECONDS = 30;
+const MAX_CHANNELS = 8;
+
+// Sample sizes readSample can decode, by sample type
+const PCM_BIT_DEPTHS = [8, 16, 24, 32];
+const FLOAT_BIT_DEPTHS = [32, 64];
+
+// Bytes of the fmt chunk needed for the basic and the extensible layout
+const FMT_CHUNK_SIZE = 16;
+const FMT_EXTENSIBLE_CHUNK_SIZE = 26;
+
+/**
+ * Create an audio error that controllers can report as a bad request
+ * @param {String} message - Error message
+ * @returns {Error} Error named AudioFormatError
+ */
+const audioError = (message) => {
+  const error = new Error(message);
+  error.name = 'AudioFormatError';
+  return error;
+};
+
+/**
+ * Read one sample from a PCM buffer as a float between -1 and 1
+ * @param {Buffer} buffer - Audio data
+ * @param {Number} offset - Byte offset
+ * @param {Number} bitsPerSample - Sample size
+ * @param {Boolean} isFloat - Whether samples are IEEE floats
+ * @returns {Number} Sample value
+ */
+const readSample = (buffer, offset, bitsPerSample, isFloat) => {
+  if (isFloat) {
+    return bitsPerSample === 64 ? buffer.readDoubleLE(offset) : buffer.readFloatLE(offset);
+  }
+
+  switch (bitsPerSample) {
+    case 8:
+      return (buffer.readUInt8(offset) - 128) / 128;
+    case 16:
+      return buffer.readInt16LE(offset) / 32768;
+    case 24:
+      return buffer.readIntLE(offset, 3) / 8388608;
+    case 32:
+      return buffer.readInt32LE(offset) / 2147483648;
+    default:
+      throw audioError(`Unsupported bit depth: ${bitsPerSample}`);
+  }
+};
+
+/**
+ * Decode interleaved PCM data into mono samples
+ * @param {Buffer} data - PCM data
+ * @param {Object} format - Channels, bit depth and sample type
+ * @returns {Float64Array} Mono samples
+ */
+const decodePcm = (data, { channels, bitsPerSample, isFloat }) => {
+  const bytesPerSample = bitsPerSample / 8;
+  const frameSize = bytesPerSample * channels;
+  const frameCount = Math.floor(data.length / frameSize);
+  const samples = new Float64Array(frameCount);
+
+  for (let i = 0; i < frameCount; i++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      sum += readSample(data, i * frameSize + channel * bytesPerSample, bitsPerSample, isFloat);
+    }
+    samples[i] = sum / channels;
+  }
+
+  return samples;
+};
+
+/**
+ * Parse a WAV file
+ * @param {Buffer} buffer - WAV file contents
+ * @returns {Object} Mono samples and sample rate
+ */
+const parseWav = (buffer) => {
+  let offset = 12;
+  let format = null;
+  let data = null;
+
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const chunkStart = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      const available = Math.min(chunkSize, buffer.length - chunkStart);
+      if (available < FMT_CHUNK_SIZE) {
+        throw audioError('Invalid WAV file: format chunk is too short');
+      }
+
+      const audioFormat = buffer.readUInt16LE(chunkStart);
+      if (audioFormat === 0xFFFE && available < FMT_EXTENSIBLE_CHUNK_SIZE) {
+        throw audioError('Invalid WAV file: format chunk is too short');
+      }
+
+      // WAVE_FORMAT_EXTENSIBLE stores the real format in the sub-format GUID
+      const actualFormat = audioFormat === 0xFFFE ? buffer.readUInt16LE(chunkStart + 24) : audioFormat;
+
+      if (actualFormat !== 1 && actualFormat !== 3) {
+        throw audioError('Only uncompressed PCM or float WAV audio is supported');
+      }
+
+      format = {
+        channels: buffer.readUInt16LE(chunkStart + 2),
+        sampleRate: buffer.readUInt32LE(chunkStart + 4),
+        bitsPerSample: buffer.readUInt16LE(chunkStart + 14),
+        isFloat: actualFormat === 3
+      };
+    } else if (chunkId === 'data') {
+      data = buffer.subarray(chunkStart, Math.min(chunkStart + chunkSize, buffer.length));
+    }
+
+    // Chunks are padded to an even number of bytes
+    offset = chunkStart + chunkSize + (chunkSize % 2);
+  }
+
+  if (!format || !data) {
+    throw audioError('Invalid WAV file: missing format or data chunk');
+  }
+
+  if (format.channels < 1 || format.channels > MAX_CHANNELS) {
+    throw audioError(`Invalid WAV file: ${format.channels} audio channels`);
+  }
+
+  const bitDepths = format.isFloat ? FLOAT_BIT_DEPTHS : PCM_BIT_DEPTHS;
+  if (!bitDepths.includes(format.bitsPerSample)) {
+    throw audioError(`Unsupported bit depth: ${format.bitsPerSample}`);
+  }
+
+  if (data.length < (format.bitsPerSample / 8) * format.channels) {
+    throw audioError('Invalid WAV file: data chunk holds no audio');
+  }
+
+  return {
+    samples: decodePcm(data, format),
+    sampleRate: format.sampleRate
+  };
+};
+
+/**
+ * Decode uploaded audio
+ * WAV files are detected from their header, anything else is treated as raw
+ * 16-bit little endian mono PCM
+ *
+ * @param {Buffer} buffer - Audio data
+ * @param {Object} options - Decoding options
+ * @param {Number} options.sampleRate - Sample rate of raw PCM data
+ * @returns {Object} Mono samples and sample rate
+ */
+const decodeAudio = (buffer, options = {}) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw audioError('Audio data is empty');
+  }
+
+  let audio;
+
+  if (buffer.length >= 12 &&
+      buffer.toString('ascii', 0, 4) === 'RIFF' &&
+      buffer.toString('ascii', 8, 12) === 'WAVE') {
+    audio = parseWav(buffer);
+  } else {
+    audio = {
+      samples: decodePcm(buffer, { channels: 1, bitsPerSample: 16, isFloat: false }),
+      sampleRate: parseInt(options.sampleRate, 10) || DEFAULT_SAMPLE_RATE
+    };
+  }
+
+  if (audio.sampleRate < MIN_SAMPLE_RATE) {
+    throw audioError(`Sample rate must be at least ${MIN_SAMPLE_RATE} Hz`);
+  }
+
+  if (audio.samples.length > audio.sampleRate * MAX_DURATION_SECONDS) {
+    throw audioError(`Audio cannot be longer than ${MAX_DURATION_SECONDS} seconds`);
+  }
+
+  return audio;
+};
+
+/**
+ * In-place iterative radix-2 FFT
+ * @param {Float64Array} real - Real parts, length must be a power of two
+ * @param {Float64Array} imag - Imaginary parts
+ */
+const fft = (real, imag) => {
+  const n = real.length;
+
+  // Bit reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = -2 * Math.PI / size;
+    const half = size >> 1;
+
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const evenIndex = start + k;
+        const oddIndex = evenIndex + half;
+
+        const oddReal = real[oddIndex] * cos - imag[oddIndex] * sin;
+        const oddImag = real[oddIndex] * sin + imag[oddIndex] * cos;
+
+        real[oddIndex] = real[evenIndex] - oddReal;
+        imag[oddIndex] = imag[evenIndex] - oddImag;
+        real[evenIndex] += oddReal;
+        imag[evenIndex] += oddImag;
+      }
+    }
+  }
+};
+
+const hzToMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+const melToHz = (mel) => 700 * (Math.pow(10, mel / 2595) - 1);
+
+/**
+ * Build triangular mel filters over FFT bins
+ * @param {Number} fftSize - FFT size
+ * @param {Number} sampleRate - Sample rate
+ * @returns {Array} Filters as arrays of [bin, weight] pairs
+ */
+const buildMelFilterbank = (fftSize, sampleRate) => {
+  // Cap the upper frequency so prints from different sample rates stay comparable
+  const maxFrequency = Math.min(MAX_FREQUENCY, sampleRate / 2);
+  const minMel = hzToMel(MIN_FREQUENCY);
+  const maxMel = hzToMel(maxFrequency);
+
+  const bins = [];
+  for (let i = 0; i < MEL_FILTERS + 2; i++) {
+    const hz = melToHz(minMel + (i * (maxMel - minMel)) / (MEL_FILTERS + 1));
+    bins.push(Math.floor(((fftSize + 1) * hz) / sampleRate));
+  }
+
+  const filters = [];
+  for (let m = 1; m <= MEL_FILTERS; m++) {
+    const filter = [];
+    const [left, center, right] = [bins[m - 1], bins[m], bins[m + 1]];
+
+    for (let k = left; k < center; k++) {
+      filter.push([k, (k - left) / Math.max(center - left, 1)]);
+    }
+    for (let k = center; k <= right; k++) {
+      filter.push([k, (right - k) / Math.max(right - center, 1)]);
+    }
+
+    filters.push(filter);
+  }
+
+  return filters;
+};
+
+/**
+ * Compute MFCCs for every voiced frame
+ * @param {Float64Array} samples - Mono samples
+ * @param {Number} sampleRate - Sample rate
+ * @returns {Array} MFCC vectors for voiced frames
+ */
+const computeMfcc = (samples, sampleRate) => {
+  const frameLength = Math.round((sampleRate * FRAME_LENGTH_MS) / 1000);
+  const frameStep = Math.round((sampleRate * FRAME_STEP_MS) / 1000);
+
+  if (samples.length < frameLength) {
+    throw audioError('Audio is too short');
+  }
+
+  // Remove DC offset and apply pre-emphasis
+  let mean = 0;
+  for (let i = 0; i < samples.length; i++) mean += samples[i];
+  mean /= samples.length;
+
+  const emphasized = new Float64Array(samples.length);
+  emphasized[0] = samples[0] - mean;
+  for (let i = 1; i < samples.length; i++) {
+    emphasized[i] = (samples[i] - mean) - PRE_EMPHASIS * (samples[i - 1] - mean);
+  }
+
+  let fftSize = 1;
+  while (fftSize < frameLength) fftSize <<= 1;
+
+  const window = new Float64Array(frameLength);
+  for (let i = 0; i < frameLength; i++) {
+    window[i] = 0.54 - 0.46 * Math.cos((2 * Math.PI * i) / (frameLength - 1));
+  }
+
+  const filters = buildMelFilterbank(fftSize, sampleRate);
+  const frameCount = 1 + Math.floor((samples.length - frameLength) / frameStep);
+  const frames = [];
+
+  for (let f = 0; f < frameCount; f++) {
+    const offset = f * frameStep;
+    const real = new Float64Array(fftSize);
+    const imag = new Float64Array(fftSize);
+    let energy = 0;
+
+    for (let i = 0; i < frameLength; i++) {
+      const value = emphasized[offset + i];
+      energy += value * value;
+      real[i] = value * window[i];
+    }
+
+    fft(real, imag);
+
+    const power = new Float64Array(fftSize / 2 + 1);
+    for (let k = 0; k < power.length; k++) {
+      power[k] = (real[k] * real[k] + imag[k] * imag[k]) / fftSize;
+    }
+
+    const logMel = filters.map(filter => {
+      let sum = 0;
+      filter.forEach(([bin, weight]) => {
+        if (bin < power.length) sum += power[bin] * weight;
+      });
+      return Math.log(Math.max(sum, 1e-10));
+    });
+
+    // DCT-II of the log mel energies
+    const mfcc = [];
+    for (let c = 0; c < MFCC_COUNT; c++) {
+      let sum = 0;
+      for (let m = 0; m < MEL_FILTERS; m++) {
+        sum += logMel[m] * Math.cos((Math.PI * c * (m + 0.5)) / MEL_FILTERS);
+      }
+      mfcc.push(sum);
+    }
+
+    frames.push({ energy: 10 * Math.log10(energy / frameLength + 1e-12), mfcc });
+  }
+
+  // Keep only frames close to the loudest one
+  const maxEnergy = Math.max(...frames.map(frame => frame.energy));
+  return frames
+    .filter(frame => frame.energy > maxEnergy - SILENCE_THRESHOLD_DB)
+    .map(frame => frame.mfcc);
+};
+
+/**
+ * Compute a speaker embedding from audio
+ * The embedding is the mean and standard deviation of MFCCs 1-12 over voiced
+ * frames; the 0th coefficient is dropped so loudness does not matter
+ *
+ * @param {Buffer} buffer - WAV or raw PCM audio
+ * @param {Object} options - Decoding options (see decodeAudio)
+ * @returns {Array} Embedding vector
+ */
+const computeEmbedding = (buffer, options = {}) => {
+  const { samples, sampleRate } = decodeAudio(buffer, options);
+  const frames = computeMfcc(samples, sampleRate);
+
+  if (frames.length < MIN_VOICED_FRAMES) {
+    throw audioError('Not enough speech detected, please speak for longer');
+  }
+
+  const means = [];
+  const deviations = [];
+
+  for (let c = 1; c < MFCC_COUNT; c++) {
+    const values = frames.map(frame => frame[c]);
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+
+    means.push(mean);
+    deviations.push(Math.sqrt(variance));
+  }
+
+  return [...means, ...deviations].map(value => Math.round(value * 10000) / 10000);
+};
+
+/**
+ * Cosine similarity between two embeddings
+ * @param {Array} a - First embedding
+ * @param {Array} b - Second embedding
+ * @returns {Number} Similarity between -1 and 1
+ */
+const cosineSimilarity = (a, b) => {
+  if (!a || !b || a.length !== b.length || a.length === 0) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+/**
+ * Combine enrollment embeddings into a voice print
+ * @param {Array} embeddings - Embeddings of the enrollment samples
+ * @returns {Object} Averaged embedding and the lowest similarity between samples
+ */
+const createVoicePrint = (embeddings) => {
+  const size = embeddings[0].length;
+  const embedding = new Array(size).fill(0);
+
+  embeddings.forEach(sample => {
+    sample.forEach((value, i) => {
+      embedding[i] += value / embeddings.length;
+    });
+  });
+
+  // How alike the samples are; low values mean noise or different speakers
+  let consistency = 1;
+  for (let i = 0; i < embeddings.length; i++) {
+    for (let j = i + 1; j < embeddings.length; j++) {
+      consistency = Math.min(consistency, cosineSimilarity(embeddings[i], embeddings[j]));
+    }
+  }
+
+  return {
+    embedding: embedding.map(value => Math.round(value * 10000) / 10000),
+    sampleCount: embeddings.length,
+    consistency: Math.round(consistency * 1000) / 1000,
+    version: EMBEDDING_VERSION
+  };
+};
+
+module.exports = {
+  EMBEDDING_VERSION,
+  decodeAudio,
+  computeEmbedding,
+  cosineSimilarity,
+  createVoicePrint
+};